@@ -0,0 +1,78 @@
+// Announcer
+// Tells screen reader users (through an ARIA live region) and, optionally,
+// everyone in the room (through speech synthesis) which sector the ray points
+// at, how much of the countdown is left and what was won.
+
+import { DwellLock } from './core/filters.js';
+import { getLocale, getTierLabel, t } from './i18n.js';
+
+// A sector is only announced once the ray has stayed on its tier this long (ms),
+// so sweeping across the wheel doesn't read out every sector on the way
+const SECTOR_SETTLE_TIME = 400;
+
+export class Announcer {
+    /**
+     * @param {HTMLElement} region - Live region (aria-live) the messages are written to
+     */
+    constructor(region) {
+        this.region = region;
+        this.speech = false;
+        this.sectors = new Map(); // playerId -> { lock: DwellLock, announced: string|number }
+    }
+
+    /**
+     * @param {object} options - The "accessibility" settings
+     * @param {boolean} options.speech - Also speak every message aloud
+     */
+    setOptions({ speech }) {
+        this.speech = speech && 'speechSynthesis' in window;
+        if (!this.speech && 'speechSynthesis' in window) window.speechSynthesis.cancel();
+    }
+
+    /**
+     * Writes a message to the live region and speaks it if enabled. A new
+     * message replaces one that is still being spoken, so speech never lags
+     * behind the game.
+     * @param {string} message
+     */
+    announce(message) {
+        // Screen readers only announce changes, so repeated messages are re-set
+        this.region.textContent = '';
+        this.region.textContent = message;
+
+        if (!this.speech) return;
+        const utterance = new SpeechSynthesisUtterance(message);
+        utterance.lang = getLocale();
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(utterance);
+    }
+
+    /**
+     * Follows the tier under a player's ray and announces it once it settles.
+     * Keyed by tier, so moving between two sectors of the same prize stays quiet.
+     * @param {number} playerId
+     * @param {object|null} tier - Tier of the sector under the ray
+     * @param {boolean} multiplayer - Name the player in the message
+     * @param {number} now - Timestamp (ms)
+     */
+    updateSector(playerId, tier, multiplayer, now) {
+        if (!this.sectors.has(playerId)) {
+            this.sectors.set(playerId, { lock: new DwellLock(SECTOR_SETTLE_TIME), announced: -1 });
+        }
+        const state = this.sectors.get(playerId);
+        const key = tier ? `${tier.id}${tier.soldOut ? ':soldOut' : ''}` : -1;
+        const settled = state.lock.update(key, now);
+        if (settled === -1 || settled === state.announced) return;
+
+        state.announced = settled;
+        const prize = getTierLabel(tier);
+        this.announce(multiplayer
+            ? t('a11y.playerSector', { player: playerId, prize })
+            : t('a11y.sector', { prize }));
+    }
+
+    // Forget the announced sectors, e.g. when a new wheel is generated
+    resetSectors() {
+        this.sectors.clear();
+    }
+}
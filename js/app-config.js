@@ -0,0 +1,57 @@
+// App Configuration
+// Where third-party assets (MediaPipe) are loaded from.
+// Defaults to the local vendor/ folder filled by scripts/vendor-assets.sh.
+// Override with window.FACE_GAME_CONFIG = { assetBase: '...' } before this
+// script, or per page load with ?assetBase=... (e.g. https://cdn.jsdelivr.net/npm/).
+
+const APP_CONFIG = Object.assign({
+    assetBase: 'vendor/'
+}, window.FACE_GAME_CONFIG);
+
+const assetBaseParam = new URLSearchParams(window.location.search).get('assetBase');
+if (assetBaseParam) APP_CONFIG.assetBase = assetBaseParam;
+
+// Vendored scripts in load order, relative to the asset base
+const VENDOR_SCRIPTS = [
+    '@mediapipe/face_mesh/face_mesh.js',
+    '@mediapipe/camera_utils/camera_utils.js'
+];
+
+/**
+ * Resolves a path relative to the configured asset base.
+ */
+export function assetUrl(path) {
+    const base = APP_CONFIG.assetBase.endsWith('/') ? APP_CONFIG.assetBase : `${APP_CONFIG.assetBase}/`;
+    return base + path;
+}
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Failed to load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * Loads the vendored scripts one after another.
+ * @returns {Promise<void>}
+ */
+export function loadVendorScripts() {
+    return VENDOR_SCRIPTS.reduce(
+        (chain, path) => chain.then(() => loadScript(assetUrl(path))),
+        Promise.resolve()
+    );
+}
+
+/**
+ * Registers the service worker that precaches the app shell and model files.
+ */
+export function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('sw.js').catch(err => {
+        console.error("Service worker registration failed:", err);
+    });
+}
@@ -0,0 +1,109 @@
+// Calibration Round
+// Asks the player to look at the centre and each corner of the screen, then
+// builds a HeadCalibration from the control features (head pose, or eye gaze
+// in the eye gaze mode) collected at each target.
+
+import { HeadCalibration } from './core/head-pose.js';
+import { getHeadingForScreenDirection } from './core/hit-test.js';
+import { t } from './i18n.js';
+
+// Screen targets (x right, y down, in -1..1) and the message asking the player to look there.
+// Headings are unmirrored, so screen-left corresponds to heading.x = +1.
+const CALIBRATION_TARGETS = [
+    { screen: { x: 0, y: 0 }, prompt: 'calibration.center' },
+    { screen: { x: -1, y: -1 }, prompt: 'calibration.topLeft' },
+    { screen: { x: 1, y: -1 }, prompt: 'calibration.topRight' },
+    { screen: { x: 1, y: 1 }, prompt: 'calibration.bottomRight' },
+    { screen: { x: -1, y: 1 }, prompt: 'calibration.bottomLeft' }
+];
+
+// Timing per control mode: the eyes settle on a target faster than the head
+const CALIBRATION_TIMING = {
+    head: { targetDuration: 1500, settleTime: 600 }, // ms per target, ms ignored while the head moves
+    gaze: { targetDuration: 1000, settleTime: 400 }
+};
+
+// How long the eye gaze mode's hint is shown before the first target (ms)
+const GAZE_HINT_DURATION = 1500;
+
+// Samples of the target being shown, or null between targets
+let activeCalibrationTarget = null;
+
+// Whether runCalibration() is running, hint and closing message included
+let calibrating = false;
+
+/**
+ * Feeds a control feature (e.g. {x: yaw, y: pitch}) into the running calibration.
+ * Called from onResults() for every detection frame; ignored when not calibrating.
+ */
+export function addCalibrationSample(feature) {
+    if (!activeCalibrationTarget) return;
+    if (performance.now() - activeCalibrationTarget.startedAt < activeCalibrationTarget.settleTime) return;
+    activeCalibrationTarget.samples.push(feature);
+}
+
+export function isCalibrating() {
+    return calibrating;
+}
+
+/**
+ * Runs the calibration round, showing a target dot for each step.
+ * @param {string} [mode="head"] - Control mode being calibrated: "head" or "gaze"
+ * @returns {Promise<HeadCalibration|null>} The new calibration, or null if it failed
+ */
+export async function runCalibration(mode = 'head') {
+    calibrating = true;
+    try {
+        return await showCalibration(mode);
+    } finally {
+        calibrating = false;
+    }
+}
+
+async function showCalibration(mode) {
+    const { targetDuration, settleTime } = CALIBRATION_TIMING[mode];
+    const overlay = document.getElementById('calibration_overlay');
+    const dot = overlay.querySelector('.calibration-dot');
+    const prompt = overlay.querySelector('.calibration-prompt');
+
+    const results = [];
+    overlay.classList.remove('hidden');
+
+    // The eye gaze mode only works if the head stays still
+    if (mode === 'gaze') {
+        dot.style.left = '50%';
+        dot.style.top = '50%';
+        prompt.textContent = t('calibration.gazeHint');
+        await new Promise(resolve => setTimeout(resolve, GAZE_HINT_DURATION));
+    }
+
+    for (const target of CALIBRATION_TARGETS) {
+        // Corners are inset so the dot stays fully visible
+        dot.style.left = `${50 + target.screen.x * 42}%`;
+        dot.style.top = `${50 + target.screen.y * 40}%`;
+        prompt.textContent = t(target.prompt);
+
+        activeCalibrationTarget = { startedAt: performance.now(), settleTime, samples: [] };
+        await new Promise(resolve => setTimeout(resolve, targetDuration));
+        const { samples } = activeCalibrationTarget;
+        activeCalibrationTarget = null;
+
+        if (samples.length === 0) continue; // Face lost; fromTargets() will reject the result
+
+        const mean = (key) => samples.reduce((sum, s) => sum + s[key], 0) / samples.length;
+        results.push({
+            heading: getHeadingForScreenDirection(target.screen),
+            feature: { x: mean('x'), y: mean('y') }
+        });
+    }
+
+    const calibration = HeadCalibration.fromTargets(results);
+
+    prompt.textContent = t(calibration ? 'calibration.done' : 'calibration.failed');
+    dot.style.left = '50%';
+    dot.style.top = '50%';
+    await new Promise(resolve => setTimeout(resolve, 800));
+    overlay.classList.add('hidden');
+
+    return calibration;
+}
@@ -0,0 +1,223 @@
+// Animated Image Encoders
+// Minimal animated GIF and animated WebP writers for the replay export.
+// GIF frames use a fixed colour cube; WebP frames are still images encoded by
+// the browser (canvas.toBlob) and wrapped into an animated WebP container.
+
+// 6 x 7 x 6 colour cube (252 colours, green gets the extra level)
+const GIF_RED_LEVELS = 6;
+const GIF_GREEN_LEVELS = 7;
+const GIF_BLUE_LEVELS = 6;
+
+const GIF_MAX_CODE = 4096; // LZW codes are at most 12 bits
+
+let gifPalette = null;
+
+function getGifPalette() {
+    if (!gifPalette) {
+        gifPalette = new Uint8Array(256 * 3);
+        for (let r = 0; r < GIF_RED_LEVELS; r++) {
+            for (let g = 0; g < GIF_GREEN_LEVELS; g++) {
+                for (let b = 0; b < GIF_BLUE_LEVELS; b++) {
+                    const index = ((r * GIF_GREEN_LEVELS + g) * GIF_BLUE_LEVELS + b) * 3;
+                    gifPalette[index] = Math.round(r * 255 / (GIF_RED_LEVELS - 1));
+                    gifPalette[index + 1] = Math.round(g * 255 / (GIF_GREEN_LEVELS - 1));
+                    gifPalette[index + 2] = Math.round(b * 255 / (GIF_BLUE_LEVELS - 1));
+                }
+            }
+        }
+    }
+    return gifPalette;
+}
+
+/**
+ * Maps RGBA pixels onto the GIF palette.
+ * @param {Uint8ClampedArray} rgba - ImageData.data
+ * @returns {Uint8Array} One palette index per pixel
+ */
+export function quantizeGifFrame(rgba) {
+    const indices = new Uint8Array(rgba.length / 4);
+    for (let i = 0; i < indices.length; i++) {
+        const r = Math.round(rgba[i * 4] * (GIF_RED_LEVELS - 1) / 255);
+        const g = Math.round(rgba[i * 4 + 1] * (GIF_GREEN_LEVELS - 1) / 255);
+        const b = Math.round(rgba[i * 4 + 2] * (GIF_BLUE_LEVELS - 1) / 255);
+        indices[i] = (r * GIF_GREEN_LEVELS + g) * GIF_BLUE_LEVELS + b;
+    }
+    return indices;
+}
+
+// GIF variable-length LZW with 8-bit minimum code size
+function gifLzwEncode(indices) {
+    const minCodeSize = 8;
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let dictionary = new Map();
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bitBuffer & 0xFF);
+            bitBuffer >>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const key = (prefix << 8) | indices[i];
+        const code = dictionary.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode < GIF_MAX_CODE) {
+            dictionary.set(key, nextCode++);
+            if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+        } else {
+            // Table full: start over
+            emit(clearCode);
+            dictionary = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        }
+        prefix = indices[i];
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) bytes.push(bitBuffer & 0xFF);
+    return bytes;
+}
+
+// Split data into GIF sub-blocks (at most 255 bytes each, zero-terminated)
+function gifSubBlocks(bytes) {
+    const blocks = [];
+    for (let i = 0; i < bytes.length; i += 255) {
+        const block = bytes.slice(i, i + 255);
+        blocks.push(block.length, ...block);
+    }
+    blocks.push(0);
+    return Uint8Array.from(blocks);
+}
+
+function uint16LE(value) {
+    return [value & 0xFF, (value >> 8) & 0xFF];
+}
+
+/**
+ * Encodes a looping animated GIF.
+ * @param {Array<Uint8Array>} frames - Palette indices from quantizeGifFrame()
+ * @param {number} width
+ * @param {number} height
+ * @param {number} delay - Milliseconds per frame
+ * @returns {Blob}
+ */
+export function encodeGif(frames, width, height, delay) {
+    const delayCs = Math.round(delay / 10);
+    const parts = [
+        Uint8Array.from([
+            ...'GIF89a'.split('').map(char => char.charCodeAt(0)),
+            ...uint16LE(width), ...uint16LE(height),
+            0xF7, 0, 0 // Global colour table with 256 entries
+        ]),
+        getGifPalette(),
+        // NETSCAPE2.0 extension: loop forever
+        Uint8Array.from([
+            0x21, 0xFF, 0x0B,
+            ...'NETSCAPE2.0'.split('').map(char => char.charCodeAt(0)),
+            0x03, 0x01, 0, 0, 0
+        ])
+    ];
+
+    frames.forEach(indices => {
+        parts.push(Uint8Array.from([
+            0x21, 0xF9, 0x04, 0, ...uint16LE(delayCs), 0, 0, // Graphic control extension
+            0x2C, 0, 0, 0, 0, ...uint16LE(width), ...uint16LE(height), 0, // Image descriptor
+            8 // LZW minimum code size
+        ]));
+        parts.push(gifSubBlocks(gifLzwEncode(indices)));
+    });
+
+    parts.push(Uint8Array.from([0x3B]));
+    return new Blob(parts, { type: 'image/gif' });
+}
+
+function fourCC(bytes, offset) {
+    return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+/**
+ * Splits a still WebP file into its chunks.
+ * @returns {Array<{id:string, data:Uint8Array}>|null} null if the data isn't WebP
+ */
+function readWebpChunks(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes.length < 12 || fourCC(bytes, 0) !== 'RIFF' || fourCC(bytes, 8) !== 'WEBP') return null;
+
+    const view = new DataView(buffer);
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const size = view.getUint32(offset + 4, true);
+        chunks.push({ id: fourCC(bytes, offset), data: bytes.subarray(offset + 8, offset + 8 + size) });
+        offset += 8 + size + (size % 2); // Chunks are padded to an even size
+    }
+    return chunks;
+}
+
+function uint24LE(value) {
+    return [value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF];
+}
+
+// Build a RIFF chunk from its id and payload parts
+function webpChunk(id, parts) {
+    const size = parts.reduce((sum, part) => sum + part.length, 0);
+    const header = new Uint8Array(8);
+    header.set(id.split('').map(char => char.charCodeAt(0)));
+    new DataView(header.buffer).setUint32(4, size, true);
+    const chunk = [header, ...parts];
+    if (size % 2) chunk.push(new Uint8Array(1));
+    return chunk;
+}
+
+/**
+ * Wraps still WebP frames into a looping animated WebP.
+ * @param {Array<ArrayBuffer>} frames - Still WebP files of the given size
+ * @param {number} width
+ * @param {number} height
+ * @param {number} delay - Milliseconds per frame
+ * @returns {Blob|null} null if a frame isn't WebP (the browser can't encode it)
+ */
+export function encodeAnimatedWebp(frames, width, height, delay) {
+    const frameChunks = frames.map(readWebpChunks);
+    if (frameChunks.length === 0 || frameChunks.some(chunks => !chunks)) return null;
+
+    let hasAlpha = false;
+    const animationFrames = frameChunks.map(chunks => {
+        // Keep only the bitstream (and its alpha); VP8X and metadata don't belong in a frame
+        const image = chunks.filter(chunk => ['ALPH', 'VP8 ', 'VP8L'].includes(chunk.id));
+        if (image.some(chunk => chunk.id !== 'VP8 ')) hasAlpha = true;
+        const header = Uint8Array.from([
+            ...uint24LE(0), ...uint24LE(0), // Offset
+            ...uint24LE(width - 1), ...uint24LE(height - 1),
+            ...uint24LE(Math.round(delay)),
+            0x02 // Don't blend with the previous frame
+        ]);
+        return webpChunk('ANMF', [header, ...image.flatMap(chunk => webpChunk(chunk.id, [chunk.data]))]);
+    });
+
+    const vp8x = webpChunk('VP8X', [Uint8Array.from([
+        0x02 | (hasAlpha ? 0x10 : 0), 0, 0, 0, // Animation (and alpha) flags
+        ...uint24LE(width - 1), ...uint24LE(height - 1)
+    ])]);
+    const anim = webpChunk('ANIM', [Uint8Array.from([0, 0, 0, 0, 0, 0])]); // Background, loop forever
+
+    const body = [Uint8Array.from('WEBP'.split('').map(char => char.charCodeAt(0))), ...vp8x, ...anim, ...animationFrames.flat()];
+    return new Blob(webpChunk('RIFF', body), { type: 'image/webp' });
+}
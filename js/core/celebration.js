@@ -0,0 +1,109 @@
+// Celebration
+// Sizes the end-of-game celebration to the prize (a few coins for the cheapest
+// tier, a fanfare and confetti for the best) and moves the particles drawn over
+// the game (see js/effects-layer.js).
+
+/**
+ * How big the celebration for a prize is.
+ * @param {number} prize - The amount won (a game total may exceed every tier)
+ * @param {Array<{value:number}>} tiers - The wheel's prize tiers
+ * @returns {number} 0 for nothing, then up to 1 for the most valuable tier
+ */
+export function getCelebrationLevel(prize, tiers) {
+    if (prize <= 0) return 0;
+    const values = Array.from(new Set(tiers.map(tier => tier.value).filter(value => value > 0)));
+    if (values.length === 0) return 1;
+    // Rank among the distinct tier values, so a wheel of 1, 2 and 1000 still builds up in steps
+    const rank = values.filter(value => value <= prize).length;
+    return Math.max(1, rank) / values.length;
+}
+
+/**
+ * What to play and show for a celebration level.
+ * @param {number} level - From getCelebrationLevel()
+ * @returns {{level:number, chimes:number, fanfare:boolean, particles:{kind:string, count:number}|null}}
+ *   Coin chimes to play, whether to play the fanfare, and the particle burst (coins or confetti)
+ */
+export function planCelebration(level) {
+    if (level <= 0) return { level: 0, chimes: 0, fanfare: false, particles: null };
+    return {
+        level,
+        chimes: 1 + Math.round(level * 4),
+        fanfare: level >= 0.5,
+        particles: {
+            kind: level >= 0.75 ? 'confetti' : 'coins',
+            count: Math.round(30 + level * 170)
+        }
+    };
+}
+
+// Pixels per second squared; confetti flutters down slower than coins fall
+const GRAVITY = { coins: 1400, confetti: 260 };
+
+// Seconds a particle lives at most
+const PARTICLE_LIFE = { coins: 2.2, confetti: 4.5 };
+
+export class ParticleField {
+    constructor() {
+        this.particles = [];
+    }
+
+    get active() {
+        return this.particles.length > 0;
+    }
+
+    /**
+     * Adds a burst: coins fly up and out from a point, confetti falls from the top edge.
+     * @param {object} burst
+     * @param {string} burst.kind - "coins" or "confetti"
+     * @param {number} burst.count - Number of particles
+     * @param {{x:number, y:number}} burst.origin - Where coins burst from (pixels)
+     * @param {number} burst.width - Width of the area confetti falls over (pixels)
+     * @param {Array<string>} burst.colors - Confetti colours
+     * @param {function(): number} [random=Math.random]
+     */
+    burst({ kind, count, origin, width, colors }, random = Math.random) {
+        for (let i = 0; i < count; i++) {
+            const particle = {
+                kind,
+                age: 0,
+                life: PARTICLE_LIFE[kind] * (0.7 + 0.3 * random()),
+                rotation: random() * Math.PI * 2,
+                spin: (random() - 0.5) * 12,
+                size: 8 + random() * 8,
+                color: colors[Math.floor(random() * colors.length)] || '#FFD700'
+            };
+            if (kind === 'coins') {
+                const angle = -Math.PI / 2 + (random() - 0.5) * 1.6;
+                const speed = 500 + random() * 700;
+                Object.assign(particle, { x: origin.x, y: origin.y, vx: Math.cos(angle) * speed, vy: Math.sin(angle) * speed });
+            } else {
+                // Staggered start above the top edge so the confetti keeps coming for a while
+                Object.assign(particle, { x: random() * width, y: -20 - random() * 400, vx: (random() - 0.5) * 120, vy: 60 + random() * 120 });
+            }
+            this.particles.push(particle);
+        }
+    }
+
+    /**
+     * Moves every particle on and drops the ones that are done.
+     * @param {number} dt - Seconds since the last step
+     * @param {number} height - Height of the area (pixels); particles below it are gone
+     */
+    step(dt, height) {
+        this.particles = this.particles.filter(particle => {
+            particle.age += dt;
+            particle.vy += GRAVITY[particle.kind] * dt;
+            // Confetti sways from side to side as it falls
+            if (particle.kind === 'confetti') particle.vx += Math.sin(particle.age * 4 + particle.rotation) * 60 * dt;
+            particle.x += particle.vx * dt;
+            particle.y += particle.vy * dt;
+            particle.rotation += particle.spin * dt;
+            return particle.age < particle.life && particle.y < height + particle.size;
+        });
+    }
+
+    clear() {
+        this.particles = [];
+    }
+}
@@ -0,0 +1,65 @@
+// Round Countdown
+// State machine for one round's countdown. It is driven by timestamps passed
+// in by the caller, so it can be stepped through in tests without timers.
+
+export const COUNTDOWN_STATE = {
+    IDLE: 'idle',
+    RUNNING: 'running',
+    FINISHED: 'finished'
+};
+
+export class Countdown {
+    constructor() {
+        this.state = COUNTDOWN_STATE.IDLE;
+        this.seconds = 0;
+        this.startTime = 0;
+        this.timeLeft = 0;
+    }
+
+    get isRunning() {
+        return this.state === COUNTDOWN_STATE.RUNNING;
+    }
+
+    /**
+     * Starts a countdown of `seconds`. Ignored while one is already running.
+     * @param {number} seconds
+     * @param {number} now - performance.now() style timestamp
+     * @returns {boolean} Whether the countdown started
+     */
+    start(seconds, now) {
+        if (this.isRunning) return false;
+        this.state = COUNTDOWN_STATE.RUNNING;
+        this.seconds = seconds;
+        this.startTime = now;
+        this.timeLeft = seconds;
+        return true;
+    }
+
+    /**
+     * Advances the countdown to `now`. The clock shows every whole second down
+     * to 0 and the round ends one second after it reaches 0, so "00 : 00" stays
+     * on screen for a full second.
+     * @param {number} now - performance.now() style timestamp
+     * @returns {string} The state after the update (see COUNTDOWN_STATE)
+     */
+    update(now) {
+        if (!this.isRunning) return this.state;
+        const elapsed = Math.floor((now - this.startTime) / 1000);
+        this.timeLeft = Math.max(0, this.seconds - elapsed);
+        if (elapsed > this.seconds) this.state = COUNTDOWN_STATE.FINISHED;
+        return this.state;
+    }
+
+    reset() {
+        this.state = COUNTDOWN_STATE.IDLE;
+        this.timeLeft = 0;
+    }
+}
+
+/**
+ * Formats a number of seconds for the countdown panel, e.g. 75 -> "01 : 15".
+ */
+export function formatCountdown(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${String(minutes).padStart(2, '0')} : ${String(seconds % 60).padStart(2, '0')}`;
+}
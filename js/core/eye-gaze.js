@@ -0,0 +1,91 @@
+// Eye Gaze
+// Reads where the eyes point from the iris landmarks of the refined Face Mesh
+// (refineLandmarks: true): the iris centre's offset from the middle of the eye,
+// along and across the line between the eye corners. The offset can be blended
+// with the head pose, since people look at a target partly by turning their head.
+
+import { HeadCalibration } from './head-pose.js';
+
+// Iris centres and eye contours, per eye as seen in the unmirrored image
+export const GAZE_LANDMARKS = {
+    IMAGE_LEFT_EYE: { iris: 468, outer: 33, inner: 133, upper: 159, lower: 145 },
+    IMAGE_RIGHT_EYE: { iris: 473, outer: 263, inner: 362, upper: 386, lower: 374 }
+};
+
+// Uncalibrated ranges that reach the edge of the wheel: eye offsets in eye
+// widths, head angles in radians (as in HeadCalibration.createDefault())
+const GAZE_RANGE = { x: 0.2, y: 0.1 };
+const HEAD_RANGE = { x: 0.5, y: 0.35 };
+
+/**
+ * Iris offset of both eyes, averaged.
+ * Same convention as the head pose: x > 0 towards +x of the unmirrored image,
+ * y > 0 downwards. The vertical offset is taken from the middle of the lids.
+ * @param {Array<{x:number, y:number}>} landmarks - Normalised Face Mesh landmarks (478 with irises)
+ * @param {number} aspect - Width / height of the image the landmarks are normalised to
+ * @returns {{x:number, y:number}|null} Offsets in eye widths, or null without iris landmarks
+ */
+export function estimateEyeGaze(landmarks, aspect) {
+    if (landmarks.length <= GAZE_LANDMARKS.IMAGE_RIGHT_EYE.iris) return null;
+    const point = index => ({ x: landmarks[index].x * aspect, y: landmarks[index].y });
+
+    const eyes = Object.values(GAZE_LANDMARKS).map(eye => {
+        const iris = point(eye.iris);
+        const outer = point(eye.outer);
+        const inner = point(eye.inner);
+        const left = outer.x < inner.x ? outer : inner;
+        const right = outer.x < inner.x ? inner : outer;
+
+        // Eye axis from the image-left corner to the image-right one, and its normal (downwards)
+        const width = Math.hypot(right.x - left.x, right.y - left.y) || 1;
+        const axis = { x: (right.x - left.x) / width, y: (right.y - left.y) / width };
+        const normal = { x: -axis.y, y: axis.x };
+
+        const upper = point(eye.upper);
+        const lower = point(eye.lower);
+        const centre = {
+            x: (left.x + right.x + upper.x + lower.x) / 4,
+            y: (left.y + right.y + upper.y + lower.y) / 4
+        };
+        const offset = { x: iris.x - centre.x, y: iris.y - centre.y };
+        return {
+            x: (offset.x * axis.x + offset.y * axis.y) / width,
+            y: (offset.x * normal.x + offset.y * normal.y) / width
+        };
+    });
+
+    return {
+        x: eyes.reduce((sum, eye) => sum + eye.x, 0) / eyes.length,
+        y: eyes.reduce((sum, eye) => sum + eye.y, 0) / eyes.length
+    };
+}
+
+/**
+ * The control feature of the eye gaze mode: the eye offset blended with the
+ * head pose, both scaled so their uncalibrated ranges cover the wheel.
+ * @param {{x:number, y:number}} gaze - From estimateEyeGaze()
+ * @param {{yaw:number, pitch:number}} pose - From estimateHeadPose()
+ * @param {number} headWeight - Share of the head pose, 0 (eyes only) to 1 (head only)
+ * @returns {{x:number, y:number}} About ±1 at the edge of the wheel before calibration
+ */
+export function blendGaze(gaze, pose, headWeight) {
+    const weight = Math.max(0, Math.min(1, headWeight));
+    return {
+        x: (1 - weight) * gaze.x / GAZE_RANGE.x + weight * pose.yaw / HEAD_RANGE.x,
+        y: (1 - weight) * gaze.y / GAZE_RANGE.y + weight * pose.pitch / HEAD_RANGE.y
+    };
+}
+
+/**
+ * Uncalibrated mapping of the blended feature: ±1 covers the wheel.
+ * @returns {HeadCalibration}
+ */
+export function createDefaultGazeCalibration() {
+    return new HeadCalibration({
+        center: { x: 0, y: 0 },
+        xPositive: 1,
+        xNegative: -1,
+        yPositive: 1,
+        yNegative: -1
+    });
+}
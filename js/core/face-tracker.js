@@ -0,0 +1,103 @@
+// Face Tracking
+// Gives every face returned by Face Mesh a stable player id across frames,
+// so each player keeps their own ray colour, filter state and prize.
+
+// Ray colour per player id (player 1 keeps the original blue)
+export const PLAYER_COLORS = ['#0062FF', '#FF3B30', '#FF9500', '#00A86B'];
+
+const TRACKING_LANDMARK = 1; // Nose tip
+
+export class FaceTracker {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxPlayers=1] - Number of player ids (1..maxPlayers) to hand out
+     * @param {number} [options.maxDistance=0.2] - Largest per-frame movement (normalised image units) still matched to a track
+     * @param {number} [options.maxMissingTime=1000] - Milliseconds a track survives without a matching face
+     */
+    constructor({ maxPlayers = 1, maxDistance = 0.2, maxMissingTime = 1000 } = {}) {
+        this.maxPlayers = maxPlayers;
+        this.maxDistance = maxDistance;
+        this.maxMissingTime = maxMissingTime;
+        this.tracks = new Map(); // id -> { x, y, lastSeen }
+    }
+
+    setMaxPlayers(maxPlayers) {
+        this.maxPlayers = maxPlayers;
+        this.tracks.forEach((track, id) => {
+            if (id > maxPlayers) this.tracks.delete(id);
+        });
+    }
+
+    reset() {
+        this.tracks.clear();
+    }
+
+    hasTrack(id) {
+        return this.tracks.has(id);
+    }
+
+    /**
+     * Matches this frame's faces to existing tracks.
+     * @param {Array<Array<{x:number,y:number}>>} faces - multiFaceLandmarks from Face Mesh
+     * @param {number} timestamp - Milliseconds
+     * @returns {Array<{id:number, landmarks:Array}>} Tracked faces, sorted by player id
+     */
+    update(faces, timestamp) {
+        // Drop tracks that have been missing for too long
+        this.tracks.forEach((track, id) => {
+            if (timestamp - track.lastSeen > this.maxMissingTime) this.tracks.delete(id);
+        });
+
+        const positions = faces.map(landmarks => ({
+            x: landmarks[TRACKING_LANDMARK].x,
+            y: landmarks[TRACKING_LANDMARK].y
+        }));
+
+        // Greedy nearest-neighbour matching, closest pairs first
+        const pairs = [];
+        this.tracks.forEach((track, id) => {
+            positions.forEach((pos, faceIndex) => {
+                const distance = Math.hypot(pos.x - track.x, pos.y - track.y);
+                if (distance <= this.maxDistance) pairs.push({ id, faceIndex, distance });
+            });
+        });
+        pairs.sort((a, b) => a.distance - b.distance);
+
+        const assigned = new Map(); // faceIndex -> id
+        const matchedIds = new Set();
+        pairs.forEach(({ id, faceIndex }) => {
+            if (assigned.has(faceIndex) || matchedIds.has(id)) return;
+            assigned.set(faceIndex, id);
+            matchedIds.add(id);
+        });
+
+        // New faces take the lowest free id, otherwise the id of the stalest unmatched track
+        positions.forEach((pos, faceIndex) => {
+            if (assigned.has(faceIndex)) return;
+            let id = this.lowestFreeId(matchedIds);
+            if (id === null) {
+                const stale = Array.from(this.tracks.entries())
+                    .filter(([trackId]) => !matchedIds.has(trackId))
+                    .sort((a, b) => a[1].lastSeen - b[1].lastSeen)[0];
+                if (!stale) return; // More faces than players
+                id = stale[0];
+            }
+            assigned.set(faceIndex, id);
+            matchedIds.add(id);
+        });
+
+        const tracked = [];
+        assigned.forEach((id, faceIndex) => {
+            this.tracks.set(id, { ...positions[faceIndex], lastSeen: timestamp });
+            tracked.push({ id, landmarks: faces[faceIndex] });
+        });
+        return tracked.sort((a, b) => a.id - b.id);
+    }
+
+    lowestFreeId(takenIds) {
+        for (let id = 1; id <= this.maxPlayers; id++) {
+            if (!this.tracks.has(id) && !takenIds.has(id)) return id;
+        }
+        return null;
+    }
+}
@@ -0,0 +1,131 @@
+// Provably Fair Wheels
+// Commit-reveal for wheel seeds. Before a game the page shows the SHA-256 hash
+// of the game's seed and a secret salt. After the game both are revealed on the
+// result image and in the history, so anyone can check that the wheel was
+// fixed before the game and rebuild the exact layout from the seed.
+
+import { createSeededRandom, deriveSeed, formatSeed, parseSeed } from './random.js';
+import { generateWheelLayout } from './wheel-layout.js';
+
+// Most wheels a game can play on: sudden death reshuffles before every round
+// (the rounds field of the settings allows up to 20)
+const MAX_GAME_WHEELS = 20;
+
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Creates the secret salt of a commitment. Seeds have only 32 bits, so without
+ * the salt the seed could be found by hashing every possible seed.
+ * @returns {string} 32 hex digits
+ */
+export function createSalt() {
+    return toHex(globalThis.crypto.getRandomValues(new Uint8Array(16)));
+}
+
+/**
+ * SHA-256 of "<seed>:<salt>", the text shown before the game.
+ * @param {number} seed
+ * @param {string} salt - From createSalt()
+ * @returns {Promise<string>} 64 hex digits
+ */
+export async function hashSeed(seed, salt) {
+    const text = `${formatSeed(seed)}:${salt}`;
+    const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return toHex(new Uint8Array(digest));
+}
+
+/**
+ * Commits to a seed.
+ * @param {number} seed
+ * @returns {Promise<{seed:number, salt:string, hash:string}>} Only the hash may be shown before the game
+ */
+export async function createCommitment(seed) {
+    const salt = createSalt();
+    return { seed, salt, hash: await hashSeed(seed, salt) };
+}
+
+/**
+ * The inputs generateWheelLayout() reads besides the random numbers, copied so
+ * later changes to the configuration or the stock don't alter them.
+ * @param {object} config - Wheel configuration
+ * @param {object} inventory - Prizes issued so far
+ */
+export function getLayoutInputs(config, inventory) {
+    return JSON.parse(JSON.stringify({
+        wheel: {
+            totalSectors: config.totalSectors,
+            weightRange: config.weightRange,
+            budget: config.budget,
+            soldOutMode: config.soldOutMode
+        },
+        tiers: config.tiers,
+        inventory
+    }));
+}
+
+/**
+ * Describes a layout for the history: its seed, the inputs it was generated
+ * from and every sector's tier and weight.
+ * @param {object} layout - From generateWheelLayout(), with its seed
+ * @param {object} inputs - From getLayoutInputs()
+ */
+export function createLayoutSnapshot(layout, inputs) {
+    return {
+        seed: formatSeed(layout.seed),
+        ...inputs,
+        sectors: layout.assignments.map((tier, i) => ({ tierId: tier.id, weight: layout.weights[i] }))
+    };
+}
+
+/**
+ * Generates the layout a snapshot describes, from its inputs and a seed.
+ * @param {object} snapshot - From createLayoutSnapshot()
+ * @param {number} seed
+ */
+export function rebuildLayout(snapshot, seed) {
+    const config = { ...snapshot.wheel, tiers: snapshot.tiers };
+    return generateWheelLayout(config, snapshot.inventory, createSeededRandom(seed));
+}
+
+/**
+ * Checks a history record (or any object with the same fields):
+ * - the revealed seed and salt hash to the commitment shown before the game,
+ * - the last wheel of the game comes from the seed (directly, or through the
+ *   reshuffles of sudden death),
+ * - rebuilding that wheel gives exactly the recorded sectors.
+ * @param {object} record
+ * @param {string} record.seed - Revealed seed of the game (hex)
+ * @param {string} record.salt
+ * @param {string} record.commitment - Hash shown before the game
+ * @param {object} record.layout - From createLayoutSnapshot()
+ * @returns {Promise<{commitment:boolean, seedChain:boolean, layout:boolean, rebuilt:object|null}>}
+ *   rebuilt is the regenerated layout of the record's last wheel
+ */
+export async function verifyRoundRecord(record) {
+    const result = { commitment: false, seedChain: false, layout: false, rebuilt: null };
+    const seed = parseSeed(record.seed || '');
+    if (seed === null) return result;
+
+    result.commitment = typeof record.commitment === 'string' && typeof record.salt === 'string' &&
+        await hashSeed(seed, record.salt) === record.commitment.trim().toLowerCase();
+
+    const snapshot = record.layout;
+    const wheelSeed = snapshot ? parseSeed(snapshot.seed || '') : null;
+    if (wheelSeed === null || !snapshot.wheel || !Array.isArray(snapshot.sectors)) return result;
+
+    // Sudden death seeds each new wheel from the previous one (see script.js)
+    let chained = seed;
+    for (let i = 0; i < MAX_GAME_WHEELS && chained !== wheelSeed; i++) {
+        chained = deriveSeed(chained, 0);
+    }
+    result.seedChain = chained === wheelSeed;
+
+    result.rebuilt = rebuildLayout(snapshot, wheelSeed);
+    result.layout = result.rebuilt.assignments.length === snapshot.sectors.length &&
+        result.rebuilt.assignments.every((tier, i) =>
+            tier.id === snapshot.sectors[i].tierId && result.rebuilt.weights[i] === snapshot.sectors[i].weight
+        );
+    return result;
+}
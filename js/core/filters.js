@@ -0,0 +1,125 @@
+// Temporal Filtering
+// One-Euro filter (Casiez et al., 2012) used to steady the gaze ray between
+// computeHeading() and rendering, plus the dwell-to-lock rule for sectors.
+// The filter smooths heavily when the head is still and follows quickly when it
+// moves. No DOM access, so it runs in Node.
+
+// Low-pass smoothing factor for a given cutoff frequency (Hz) and time step (s)
+function smoothingFactor(cutoff, dt) {
+    const r = 2 * Math.PI * cutoff * dt;
+    return r / (r + 1);
+}
+
+class OneEuroFilter {
+    /**
+     * @param {object} params
+     * @param {number} params.minCutoff - Cutoff (Hz) at rest; lower = smoother, more lag
+     * @param {number} params.beta - Speed coefficient; higher = less lag on fast movement
+     * @param {number} [params.dCutoff=1] - Cutoff (Hz) for the derivative estimate
+     */
+    constructor({ minCutoff, beta, dCutoff = 1 }) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+        this.reset();
+    }
+
+    reset() {
+        this.lastValue = null;
+        this.lastDerivative = 0;
+        this.lastTime = null;
+    }
+
+    /**
+     * @param {number} value - New raw sample
+     * @param {number} timestamp - Sample time in milliseconds
+     * @returns {number} Filtered value
+     */
+    filter(value, timestamp) {
+        if (this.lastValue === null) {
+            this.lastValue = value;
+            this.lastTime = timestamp;
+            return value;
+        }
+
+        // Guard against duplicate timestamps
+        const dt = Math.max((timestamp - this.lastTime) / 1000, 1e-3);
+        this.lastTime = timestamp;
+
+        const derivative = (value - this.lastValue) / dt;
+        const aD = smoothingFactor(this.dCutoff, dt);
+        this.lastDerivative = aD * derivative + (1 - aD) * this.lastDerivative;
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.lastDerivative);
+        const a = smoothingFactor(cutoff, dt);
+        this.lastValue = a * value + (1 - a) * this.lastValue;
+        return this.lastValue;
+    }
+}
+
+/**
+ * Filters a 2D heading with one One-Euro filter per axis.
+ */
+export class HeadingFilter {
+    constructor(params) {
+        this.x = new OneEuroFilter(params);
+        this.y = new OneEuroFilter(params);
+    }
+
+    reset() {
+        this.x.reset();
+        this.y.reset();
+    }
+
+    /**
+     * Changes the smoothing without losing the filtered state, so the ray
+     * doesn't jump.
+     * @param {{minCutoff:number, beta:number}} params
+     */
+    setParams({ minCutoff, beta }) {
+        [this.x, this.y].forEach(axis => {
+            axis.minCutoff = minCutoff;
+            axis.beta = beta;
+        });
+    }
+
+    filter(heading, timestamp) {
+        return {
+            x: this.x.filter(heading.x, timestamp),
+            y: this.y.filter(heading.y, timestamp)
+        };
+    }
+}
+
+/**
+ * Dwell-to-lock rule: a sector only counts once the ray has stayed inside it
+ * for `dwellTime` milliseconds. Until then the previously locked sector is kept.
+ */
+export class DwellLock {
+    constructor(dwellTime) {
+        this.dwellTime = dwellTime;
+        this.reset();
+    }
+
+    reset() {
+        this.candidate = -1;
+        this.candidateSince = 0;
+        this.locked = -1;
+    }
+
+    /**
+     * @param {number} sectorIndex - Sector currently under the ray (-1 for none)
+     * @param {number} timestamp - Milliseconds
+     * @returns {number} The locked sector index (-1 until the first lock)
+     */
+    update(sectorIndex, timestamp) {
+        if (sectorIndex !== this.candidate) {
+            this.candidate = sectorIndex;
+            this.candidateSince = timestamp;
+        }
+        if (this.candidate !== -1 && timestamp - this.candidateSince >= this.dwellTime) {
+            this.locked = this.candidate;
+        }
+        return this.locked;
+    }
+}
@@ -0,0 +1,75 @@
+// Frame Statistics
+// Rates and latencies for the performance overlay. Rates are measured over a
+// sliding window of timestamps, so a stall shows up within a second instead of
+// being averaged away.
+
+/**
+ * Counts events (detection results, drawn frames) per second.
+ */
+export class RateMeter {
+    /**
+     * @param {number} [windowSize=1000] - Milliseconds of history the rate is measured over
+     */
+    constructor(windowSize = 1000) {
+        this.windowSize = windowSize;
+        this.times = [];
+    }
+
+    reset() {
+        this.times = [];
+    }
+
+    /**
+     * @param {number} timestamp - Milliseconds
+     */
+    tick(timestamp) {
+        this.times.push(timestamp);
+        this.prune(timestamp);
+    }
+
+    /**
+     * Events per second over the window ending at `timestamp`.
+     * @param {number} timestamp - Milliseconds
+     * @returns {number} 0 until two events fall inside the window
+     */
+    rate(timestamp) {
+        this.prune(timestamp);
+        if (this.times.length < 2) return 0;
+        // Intervals between the events, plus the time since the last one, so
+        // the rate drops as soon as events stop arriving
+        const span = timestamp - this.times[0];
+        return span > 0 ? (this.times.length - 1) * 1000 / span : 0;
+    }
+
+    prune(timestamp) {
+        const oldest = timestamp - this.windowSize;
+        while (this.times.length > 0 && this.times[0] < oldest) this.times.shift();
+    }
+}
+
+/**
+ * Mean of the last `size` values, e.g. the latency of the latest frames.
+ */
+export class RollingAverage {
+    constructor(size = 30) {
+        this.size = size;
+        this.values = [];
+    }
+
+    reset() {
+        this.values = [];
+    }
+
+    add(value) {
+        this.values.push(value);
+        if (this.values.length > this.size) this.values.shift();
+    }
+
+    /**
+     * @returns {number|null} null before the first value
+     */
+    get value() {
+        if (this.values.length === 0) return null;
+        return this.values.reduce((sum, value) => sum + value, 0) / this.values.length;
+    }
+}
@@ -0,0 +1,125 @@
+// Game Modes
+// A game is one or more countdown rounds. The mode decides how many rounds are
+// played, how each player's round prizes combine and whether the wheel is
+// reshuffled between rounds. Mode names are in the message catalogues
+// ("gameMode.<key>", see js/i18n.js).
+
+const GAME_MODES = {
+    // One round: the prize where the ray ends
+    single: { reshuffle: false },
+    // N rounds: each player keeps their best round
+    bestOf: { reshuffle: false },
+    // N rounds: every round's prize adds up
+    cumulative: { reshuffle: false },
+    // Up to N rounds on a reshuffled wheel: prizes add up while every round is
+    // worth at least as much as the previous one. A lower prize or a miss knocks
+    // the player out and that round scores nothing.
+    suddenDeath: { reshuffle: true }
+};
+
+export class GameSession {
+    /**
+     * @param {object} options - The "game" settings
+     * @param {string} options.mode - Key of GAME_MODES
+     * @param {number} options.rounds - Rounds per game (most rounds in sudden death)
+     * @param {number} options.countdown - Seconds per round
+     * @param {number|null} [options.seed] - Seed of the wheel the game starts on (see js/core/random.js)
+     */
+    constructor({ mode, rounds, countdown, seed = null }) {
+        this.mode = GAME_MODES[mode] ? mode : 'single';
+        this.totalRounds = this.mode === 'single' ? 1 : Math.max(1, Math.round(rounds));
+        this.countdown = countdown;
+        this.seed = seed;
+        this.roundsPlayed = 0;
+        this.players = new Map(); // playerId -> { playerId, color, heading, rounds, knockedOut, invalid }
+    }
+
+    // Sudden death plays every round on a freshly generated wheel
+    get reshuffles() {
+        return GAME_MODES[this.mode].reshuffle;
+    }
+
+    // 1-based number of the round being played (or about to be)
+    get currentRound() {
+        return Math.min(this.roundsPlayed + 1, this.totalRounds);
+    }
+
+    /**
+     * Adds the prizes of a finished round.
+     * A result with `invalid` set (see js/core/round-integrity.js) voids the
+     * player's whole game: it scores nothing and later rounds are ignored.
+     * @param {Array<{playerId:number, color:string, heading:object|null, prize:number, tier:object|null,
+     *   invalid?:string|null}>} roundResults
+     */
+    recordRound(roundResults) {
+        this.roundsPlayed++;
+        roundResults.forEach(result => {
+            if (!this.players.has(result.playerId)) {
+                this.players.set(result.playerId, {
+                    playerId: result.playerId,
+                    color: result.color,
+                    heading: null,
+                    rounds: [],
+                    knockedOut: false,
+                    invalid: null
+                });
+            }
+            const player = this.players.get(result.playerId);
+            if (player.knockedOut || player.invalid) return;
+            player.heading = result.heading;
+
+            if (result.invalid) {
+                player.invalid = result.invalid;
+                player.rounds.push({ prize: 0, tier: null, counted: false });
+                return;
+            }
+
+            let counted = true;
+            if (this.mode === 'suddenDeath') {
+                const previous = player.rounds[player.rounds.length - 1];
+                if (result.prize === 0 || (previous && result.prize < previous.prize)) {
+                    counted = false;
+                    player.knockedOut = true;
+                }
+            }
+            player.rounds.push({ prize: result.prize, tier: result.tier, counted });
+        });
+    }
+
+    isOver() {
+        if (this.roundsPlayed >= this.totalRounds) return true;
+        const players = Array.from(this.players.values());
+        // Only sudden death knocks players out; a voided game ends in every mode
+        return players.length > 0 && players.every(player => player.knockedOut || player.invalid);
+    }
+
+    /**
+     * Each player's result so far, sorted by player id.
+     * `awards` lists the tiers the player wins (used for the inventory);
+     * `tier` is the most valuable of them, for display.
+     * `invalid` is the reason a voided player's game scores nothing, or null.
+     * @returns {Array<{playerId:number, color:string, heading:object|null, prize:number,
+     *   tier:object|null, awards:Array<object>, rounds:Array<number>, invalid:string|null}>}
+     */
+    getResults() {
+        return Array.from(this.players.values())
+            .sort((a, b) => a.playerId - b.playerId)
+            .map(player => {
+                const counted = player.invalid ? [] : player.rounds.filter(round => round.counted);
+                const awarded = this.mode === 'single' || this.mode === 'bestOf'
+                    ? counted.reduce((best, round) => (round.prize > best[0].prize ? [round] : best), counted.slice(0, 1))
+                    : counted;
+                const awards = awarded.map(round => round.tier).filter(Boolean);
+                return {
+                    playerId: player.playerId,
+                    color: player.color,
+                    heading: player.heading,
+                    prize: awarded.reduce((sum, round) => sum + round.prize, 0),
+                    tier: awards.reduce((top, tier) => (!top || tier.value > top.value ? tier : top), null),
+                    awards,
+                    rounds: player.rounds.map(round => round.prize),
+                    invalid: player.invalid
+                };
+            });
+    }
+}
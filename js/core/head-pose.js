@@ -0,0 +1,170 @@
+// Head Pose Estimation
+// Builds a face-aligned coordinate frame from stable Face Mesh landmarks and
+// converts it into yaw / pitch / roll angles that do not depend on the
+// player's distance from the camera.
+
+// MediaPipe Face Mesh landmark indices
+export const POSE_LANDMARKS = {
+    FOREHEAD: 10,
+    CHIN: 152,
+    LEFT_EYE_OUTER: 33,     // Subject's right eye, image left
+    RIGHT_EYE_OUTER: 263,   // Subject's left eye, image right
+    LEFT_CHEEK: 234,
+    RIGHT_CHEEK: 454,
+    LEFT_MOUTH: 61,
+    RIGHT_MOUTH: 291
+};
+
+function vecSub(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function vecAdd(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+function vecScale(a, s) {
+    return { x: a.x * s, y: a.y * s, z: a.z * s };
+}
+
+function vecDot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function vecCross(a, b) {
+    return {
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    };
+}
+
+function vecNormalize(a) {
+    const length = Math.sqrt(vecDot(a, a)) || 1;
+    return vecScale(a, 1 / length);
+}
+
+/**
+ * Estimates the head pose from Face Mesh landmarks.
+ * Angles follow the same convention as the original nose-offset heading:
+ * - yaw > 0:   nose turned towards +x of the (unmirrored) camera image
+ * - pitch > 0: nose turned towards +y of the image (looking down)
+ * - roll:      angle of the eye line against the image x axis
+ * @param {Array<{x:number,y:number,z:number}>} landmarks - Normalised Face Mesh landmarks
+ * @param {number} aspect - Video width / height, used to make the axes isotropic
+ * @returns {{yaw:number, pitch:number, roll:number}} Angles in radians
+ */
+export function estimateHeadPose(landmarks, aspect = 4 / 3) {
+    // Landmark x and z are normalised by image width, y by image height
+    const point = (index) => {
+        const l = landmarks[index];
+        return { x: l.x * aspect, y: l.y, z: l.z * aspect };
+    };
+
+    // Horizontal axis: average of three left→right landmark pairs
+    let horizontal = vecSub(point(POSE_LANDMARKS.RIGHT_EYE_OUTER), point(POSE_LANDMARKS.LEFT_EYE_OUTER));
+    horizontal = vecAdd(horizontal, vecSub(point(POSE_LANDMARKS.RIGHT_CHEEK), point(POSE_LANDMARKS.LEFT_CHEEK)));
+    horizontal = vecAdd(horizontal, vecSub(point(POSE_LANDMARKS.RIGHT_MOUTH), point(POSE_LANDMARKS.LEFT_MOUTH)));
+    const xAxis = vecNormalize(horizontal);
+
+    // Vertical axis: forehead → chin, made orthogonal to the horizontal axis
+    const vertical = vecSub(point(POSE_LANDMARKS.CHIN), point(POSE_LANDMARKS.FOREHEAD));
+    const yAxis = vecNormalize(vecSub(vertical, vecScale(xAxis, vecDot(vertical, xAxis))));
+
+    // Face normal pointing out of the face, towards the camera (-z in MediaPipe)
+    const forward = vecScale(vecCross(xAxis, yAxis), -1);
+
+    return {
+        yaw: Math.atan2(forward.x, -forward.z),
+        pitch: Math.atan2(forward.y, -forward.z),
+        roll: Math.atan2(xAxis.y, xAxis.x)
+    };
+}
+
+/**
+ * Maps a 2D control feature (e.g. yaw/pitch) onto a heading vector.
+ * The calibrated range for each direction maps to ±1, so a player's
+ * comfortable range covers the full wheel. Headings use the unmirrored
+ * image convention expected by detectDrawnRaySector().
+ */
+export class HeadCalibration {
+    /**
+     * @param {object} params
+     * @param {{x:number,y:number}} params.center - Feature value when looking at the centre
+     * @param {number} params.xPositive - Feature x that maps to heading.x = +1
+     * @param {number} params.xNegative - Feature x that maps to heading.x = -1
+     * @param {number} params.yPositive - Feature y that maps to heading.y = +1
+     * @param {number} params.yNegative - Feature y that maps to heading.y = -1
+     */
+    constructor({ center, xPositive, xNegative, yPositive, yNegative }) {
+        this.center = center;
+        this.xPositive = xPositive;
+        this.xNegative = xNegative;
+        this.yPositive = yPositive;
+        this.yNegative = yNegative;
+    }
+
+    /**
+     * Uncalibrated mapping: ±0.5 rad of yaw and ±0.35 rad of pitch cover the wheel.
+     */
+    static createDefault() {
+        return new HeadCalibration({
+            center: { x: 0, y: 0 },
+            xPositive: 0.5,
+            xNegative: -0.5,
+            yPositive: 0.35,
+            yNegative: -0.35
+        });
+    }
+
+    /**
+     * Builds a calibration from averaged samples taken while looking at known targets.
+     * @param {Array<{heading:{x:number,y:number}, feature:{x:number,y:number}}>} targets
+     *        Targets with heading (0,0) are the centre; others are corners with heading ±1
+     * @param {number} minRange - Smallest accepted feature range per direction
+     * @returns {HeadCalibration|null} null if the samples do not span a usable range
+     */
+    static fromTargets(targets, minRange = 0.05) {
+        const average = (list, key) => list.reduce((sum, t) => sum + t.feature[key], 0) / list.length;
+        const centerTargets = targets.filter(t => t.heading.x === 0 && t.heading.y === 0);
+        const pick = (axis, sign) => targets.filter(t => Math.sign(t.heading[axis]) === sign);
+
+        const groups = [centerTargets, pick('x', 1), pick('x', -1), pick('y', 1), pick('y', -1)];
+        if (groups.some(group => group.length === 0)) return null;
+
+        const center = { x: average(centerTargets, 'x'), y: average(centerTargets, 'y') };
+        const xPositive = average(groups[1], 'x');
+        const xNegative = average(groups[2], 'x');
+        const yPositive = average(groups[3], 'y');
+        const yNegative = average(groups[4], 'y');
+
+        // Both directions of an axis must lie on opposite sides of the centre
+        const validAxis = (c, pos, neg) =>
+            Math.abs(pos - c) >= minRange && Math.abs(neg - c) >= minRange &&
+            Math.sign(pos - c) !== Math.sign(neg - c);
+        if (!validAxis(center.x, xPositive, xNegative) || !validAxis(center.y, yPositive, yNegative)) {
+            return null;
+        }
+
+        return new HeadCalibration({ center, xPositive, xNegative, yPositive, yNegative });
+    }
+
+    /**
+     * Maps a feature onto a heading vector, clamped to ±1.5 per axis.
+     * @param {{x:number,y:number}} feature
+     * @returns {{x:number,y:number}}
+     */
+    map(feature) {
+        const axis = (value, center, positive, negative) => {
+            const offset = value - center;
+            const scaled = Math.sign(offset) === Math.sign(positive - center)
+                ? offset / (positive - center)
+                : -offset / (negative - center);
+            return Math.max(-1.5, Math.min(1.5, scaled));
+        };
+        return {
+            x: axis(feature.x, this.center.x, this.xPositive, this.xNegative),
+            y: axis(feature.y, this.center.y, this.yPositive, this.yNegative)
+        };
+    }
+}
@@ -0,0 +1,61 @@
+// Heading Timeline
+// Detection results arrive at the camera's pace (often 15-30 per second), while
+// the screen is drawn at the display's (60 or more). The timeline keeps a
+// player's last two headings and plays them back one detection interval late,
+// moving smoothly from the older to the newer between results.
+
+// After a longer gap (a face lost and found again) the ray jumps instead of
+// gliding over from where it was last seen
+const DEFAULT_MAX_GAP = 250;
+
+export class HeadingTimeline {
+    /**
+     * @param {number} [maxGap=250] - Milliseconds between results beyond which they aren't interpolated
+     */
+    constructor(maxGap = DEFAULT_MAX_GAP) {
+        this.maxGap = maxGap;
+        this.reset();
+    }
+
+    reset() {
+        this.previous = null;
+        this.latest = null;
+    }
+
+    /**
+     * Adds a detection result.
+     * @param {{x:number, y:number}} heading - Smoothed heading
+     * @param {number} time - Timestamp of the detected frame (the clock smoothing and dwell run on)
+     * @param {number} arrival - When the result arrived, on the same clock as sample()
+     */
+    push(heading, time, arrival) {
+        const sample = { heading, time, arrival };
+        const gap = this.latest ? arrival - this.latest.arrival : Infinity;
+        this.previous = gap > 0 && gap <= this.maxGap ? this.latest : null;
+        this.latest = sample;
+    }
+
+    /**
+     * Heading to draw at a display frame.
+     * @param {number} now - Timestamp of the display frame, on the clock of `arrival`
+     * @returns {{heading:{x:number, y:number}, time:number}|null} The heading and
+     *   the matching frame timestamp; null before the first result
+     */
+    sample(now) {
+        const { previous, latest } = this;
+        if (!latest) return null;
+        if (!previous) return { heading: latest.heading, time: latest.time };
+
+        // One interval behind the newest result: at its arrival the older one
+        // is shown, an interval later the newer one
+        const interval = latest.arrival - previous.arrival;
+        const progress = Math.min(1, Math.max(0, (now - latest.arrival) / interval));
+        return {
+            heading: {
+                x: previous.heading.x + (latest.heading.x - previous.heading.x) * progress,
+                y: previous.heading.y + (latest.heading.y - previous.heading.y) * progress
+            },
+            time: previous.time + (latest.time - previous.time) * progress
+        };
+    }
+}
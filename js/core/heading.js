@@ -0,0 +1,38 @@
+// Heading
+// Converts one face's landmarks into the heading that drives its ray.
+
+import { blendGaze, estimateEyeGaze } from './eye-gaze.js';
+import { estimateHeadPose } from './head-pose.js';
+
+/**
+ * Calculates the visual gaze direction based on Face Mesh landmarks.
+ * Solves the head pose (yaw/pitch) from several stable landmarks and maps it
+ * through the player's calibration, so the ray does not depend on how far
+ * the player stands from the camera. In the eye gaze mode the irises steer
+ * instead, blended with the head pose (see js/core/eye-gaze.js).
+ * @param {Array<{x:number, y:number, z:number}>} landmarks - Normalised Face Mesh landmarks
+ * @param {number} aspect - Width / height of the image the landmarks are normalised to
+ * @param {HeadCalibration} calibration - Maps the control feature onto the heading
+ * @param {object} [control] - The "control" settings
+ * @param {string} control.mode - "head" or "gaze"
+ * @param {number} [control.headWeight] - Share of the head pose in the gaze mode, 0 to 1
+ * @returns {{x:number, y:number, pose:object, feature:{x:number, y:number}}} Heading in unmirrored
+ *   image space, the raw pose and the feature the calibration mapped (what calibration samples)
+ */
+export function computeHeading(landmarks, aspect, calibration, control = { mode: 'head' }) {
+    const pose = estimateHeadPose(landmarks, aspect);
+    let feature = { x: pose.yaw, y: pose.pitch };
+    if (control.mode === 'gaze') {
+        // Without iris landmarks the head alone steers, on the same scale
+        const gaze = estimateEyeGaze(landmarks, aspect);
+        feature = gaze ? blendGaze(gaze, pose, control.headWeight) : blendGaze({ x: 0, y: 0 }, pose, 1);
+    }
+    const heading = calibration.map(feature);
+
+    return {
+        x: heading.x,
+        y: heading.y,
+        pose: pose,
+        feature: feature
+    };
+}
@@ -0,0 +1,65 @@
+// Hit-Testing
+// Finds the sector a ray points at. Headings are in unmirrored image space, but
+// the overlay canvas is mirrored with CSS scaleX(-1), so the ray the player sees
+// is the heading flipped horizontally. Hit-testing uses that drawn direction.
+
+import { WHEEL_START_ANGLE } from './wheel-layout.js';
+
+/**
+ * Direction of the ray as drawn on screen (the overlay is mirrored by CSS).
+ * @param {{x:number, y:number}} heading - Heading in unmirrored image space
+ * @returns {{x:number, y:number}} Screen direction, x right and y down
+ */
+export function getDrawnRayDirection(heading) {
+    return { x: -heading.x, y: heading.y };
+}
+
+/**
+ * Heading whose drawn ray points in a screen direction; the inverse of
+ * getDrawnRayDirection(). Used by inputs that are steered on screen.
+ * @param {{x:number, y:number}} direction - Screen direction, x right and y down
+ * @returns {{x:number, y:number}} Heading in unmirrored image space
+ */
+export function getHeadingForScreenDirection(direction) {
+    return { x: -direction.x, y: direction.y };
+}
+
+/**
+ * Normalises an angle into the range covered by the sectors,
+ * [start, start + 2π).
+ * @param {number} angle
+ * @param {number} [start=WHEEL_START_ANGLE] - Start angle of the first sector
+ */
+export function normalizeWheelAngle(angle, start = WHEEL_START_ANGLE) {
+    const turn = 2 * Math.PI;
+    let normalized = (angle - start) % turn;
+    if (normalized < 0) normalized += turn;
+    return start + normalized;
+}
+
+/**
+ * Finds the sector containing an angle. Each sector includes its start angle
+ * and excludes its end angle, so a ray on a boundary counts for the next sector.
+ * Works on rotated sectors too: angles are measured from the first sector.
+ * @param {Array<{startAngle:number, endAngle:number}>} sectorAngles - From getSectorAngles()
+ * @param {number} angle - Screen angle in radians (atan2 of y down, x right)
+ * @returns {number} Index of the sector, or -1 if there is none
+ */
+export function findSectorAtAngle(sectorAngles, angle) {
+    if (sectorAngles.length === 0) return -1;
+    const wheelAngle = normalizeWheelAngle(angle, sectorAngles[0].startAngle);
+    return sectorAngles.findIndex(sector =>
+        wheelAngle >= sector.startAngle && wheelAngle < sector.endAngle
+    );
+}
+
+/**
+ * Detects which sector the DRAWN ray is pointing at.
+ * @param {Array<{startAngle:number, endAngle:number}>} sectorAngles - From getSectorAngles()
+ * @param {{x:number, y:number}} heading - Heading in unmirrored image space
+ * @returns {number} Index of the detected sector, or -1 if there is none
+ */
+export function detectDrawnRaySector(sectorAngles, heading) {
+    const ray = getDrawnRayDirection(heading);
+    return findSectorAtAngle(sectorAngles, Math.atan2(ray.y, ray.x));
+}
@@ -0,0 +1,81 @@
+// Landmark Session Format
+// The file format of motion recordings (see js/landmark-session.js): a check of
+// a parsed file and the expansion of its flat landmark arrays, kept free of the
+// DOM so a bad recording is caught on import rather than halfway through replay.
+
+export const LANDMARK_SESSION_FORMAT = 'face-game-landmarks';
+export const LANDMARK_SESSION_VERSION = 1;
+
+// Points per face from Face Mesh; 478 with the iris landmarks (refineLandmarks)
+export const FACE_MESH_POINTS = 468;
+
+// Why a file can't be replayed; the message is landmarks.error.<problem>
+export const LANDMARK_SESSION_PROBLEM = {
+    NOT_SESSION: 'notSession',
+    VERSION: 'version',
+    EMPTY: 'empty',
+    FRAME: 'frame',                               // Bad timestamp or face list
+    FACE: 'face'                                  // A face with missing or broken landmarks
+};
+
+function isFlatFace(flat) {
+    return Array.isArray(flat) &&
+        flat.length >= FACE_MESH_POINTS * 3 &&
+        flat.length % 3 === 0 &&
+        flat.every(Number.isFinite);
+}
+
+/**
+ * Checks a parsed session file.
+ * @param {*} session
+ * @returns {{problem:string, version?:*, frame?:number}|null} What is wrong
+ *   (one of LANDMARK_SESSION_PROBLEM, with the 1-based frame), or null when it can be replayed
+ */
+export function findLandmarkSessionProblem(session) {
+    if (!session || session.format !== LANDMARK_SESSION_FORMAT) {
+        return { problem: LANDMARK_SESSION_PROBLEM.NOT_SESSION };
+    }
+    if (session.version !== LANDMARK_SESSION_VERSION) {
+        return { problem: LANDMARK_SESSION_PROBLEM.VERSION, version: session.version };
+    }
+    if (!Array.isArray(session.frames) || session.frames.length === 0) {
+        return { problem: LANDMARK_SESSION_PROBLEM.EMPTY };
+    }
+
+    let previousTime = 0;
+    for (let index = 0; index < session.frames.length; index++) {
+        const frame = session.frames[index];
+        if (!frame || !Number.isFinite(frame.t) || frame.t < previousTime || !Array.isArray(frame.faces)) {
+            return { problem: LANDMARK_SESSION_PROBLEM.FRAME, frame: index + 1 };
+        }
+        if (!frame.faces.every(isFlatFace)) {
+            return { problem: LANDMARK_SESSION_PROBLEM.FACE, frame: index + 1 };
+        }
+        previousTime = frame.t;
+    }
+    return null;
+}
+
+/**
+ * Expands the flat landmark arrays of a checked session.
+ * @param {object} session - One findLandmarkSessionProblem() found nothing wrong with
+ * @returns {{aspect:number, duration:number, frames:Array<{t:number, faces:Array<Array<{x:number, y:number, z:number}>>}>}}
+ */
+export function expandLandmarkSession(session) {
+    const frames = session.frames.map(frame => ({
+        t: frame.t,
+        faces: frame.faces.map(flat => {
+            const landmarks = [];
+            for (let i = 0; i + 2 < flat.length; i += 3) {
+                landmarks.push({ x: flat[i], y: flat[i + 1], z: flat[i + 2] });
+            }
+            return landmarks;
+        })
+    }));
+
+    return {
+        aspect: Number.isFinite(session.aspect) && session.aspect > 0 ? session.aspect : 4 / 3,
+        duration: frames[frames.length - 1].t,
+        frames
+    };
+}
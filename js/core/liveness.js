@@ -0,0 +1,116 @@
+// Liveness
+// A printed photo or a face on a phone screen can hold a heading as well as a
+// person can, but it can't blink. Blinks are read from the eye aspect ratio
+// (eye height over width) of the Face Mesh eye contours: it drops sharply while
+// the eye is shut and comes back when it opens again.
+
+// Eye contours in the usual EAR order: outer corner, two upper lid points,
+// inner corner, two lower lid points facing the upper ones
+const LEFT_EYE = [33, 160, 158, 133, 153, 144];
+const RIGHT_EYE = [362, 385, 387, 263, 373, 380];
+
+// Below this the eyes are too small (or too far turned away) to read
+const MIN_OPEN_RATIO = 0.12;
+
+/**
+ * Mean eye aspect ratio of both eyes.
+ * @param {Array<{x:number, y:number}>} landmarks - Normalized Face Mesh landmarks
+ * @param {number} aspect - Frame width / height, so both axes share a scale
+ * @returns {number} Around 0.25-0.35 with open eyes, close to 0 with shut ones
+ */
+export function eyeAspectRatio(landmarks, aspect) {
+    const point = index => ({ x: landmarks[index].x * aspect, y: landmarks[index].y });
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const ratio = eye => {
+        const [outer, upper1, upper2, inner, lower2, lower1] = eye.map(point);
+        return (distance(upper1, lower1) + distance(upper2, lower2)) / (2 * distance(outer, inner));
+    };
+    return (ratio(LEFT_EYE) + ratio(RIGHT_EYE)) / 2;
+}
+
+export class BlinkDetector {
+    /**
+     * Thresholds are relative to how open the eyes were over the last `window`
+     * milliseconds, so narrow and wide eyes work alike.
+     * @param {object} [options]
+     * @param {number} [options.closedRatio=0.65] - Eyes count as shut below this share of the open level
+     * @param {number} [options.reopenRatio=0.85] - ...and as open again above this share
+     * @param {number} [options.maxClosedTime=600] - Longer closures aren't blinks (ms)
+     * @param {number} [options.window=1000] - Milliseconds of history the open level is taken from
+     */
+    constructor({ closedRatio = 0.65, reopenRatio = 0.85, maxClosedTime = 600, window = 1000 } = {}) {
+        this.closedRatio = closedRatio;
+        this.reopenRatio = reopenRatio;
+        this.maxClosedTime = maxClosedTime;
+        this.window = window;
+        this.reset();
+    }
+
+    reset() {
+        this.history = []; // { timestamp, ratio }
+        this.closedAt = null;
+    }
+
+    /**
+     * Adds an eye aspect ratio.
+     * @param {number} ratio - From eyeAspectRatio()
+     * @param {number} timestamp - Milliseconds
+     * @returns {boolean} Whether this sample completed a blink
+     */
+    update(ratio, timestamp) {
+        while (this.history.length > 0 && timestamp - this.history[0].timestamp > this.window) this.history.shift();
+        const openLevel = this.history.reduce((max, sample) => Math.max(max, sample.ratio), 0);
+        this.history.push({ timestamp, ratio });
+        if (openLevel < MIN_OPEN_RATIO) return false;
+
+        if (this.closedAt === null) {
+            if (ratio < openLevel * this.closedRatio) this.closedAt = timestamp;
+            return false;
+        }
+        if (timestamp - this.closedAt > this.maxClosedTime) {
+            // Eyes shut for too long (or a turn of the head): start over
+            this.closedAt = ratio < openLevel * this.closedRatio ? this.closedAt : null;
+            return false;
+        }
+        if (ratio >= openLevel * this.reopenRatio) {
+            this.closedAt = null;
+            return true;
+        }
+        return false;
+    }
+}
+
+/**
+ * The blinks still missing in one liveness check. A check without players
+ * never passes: nobody in front of the camera proves nothing.
+ */
+export class LivenessCheck {
+    /**
+     * @param {Array<number>} playerIds - Players who must blink
+     * @param {object} [options] - BlinkDetector options
+     */
+    constructor(playerIds, options) {
+        this.players = playerIds.length;
+        this.detectors = new Map(playerIds.map(id => [id, new BlinkDetector(options)]));
+    }
+
+    /**
+     * Adds a player's eye aspect ratio; other faces are ignored.
+     * @returns {boolean} Whether this sample completed the player's blink
+     */
+    update(playerId, ratio, timestamp) {
+        const detector = this.detectors.get(playerId);
+        if (!detector || !detector.update(ratio, timestamp)) return false;
+        this.detectors.delete(playerId);
+        return true;
+    }
+
+    // Players who haven't blinked yet
+    get waiting() {
+        return Array.from(this.detectors.keys());
+    }
+
+    get passed() {
+        return this.players > 0 && this.detectors.size === 0;
+    }
+}
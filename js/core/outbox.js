@@ -0,0 +1,107 @@
+// Outbox
+// Delivers messages one at a time, oldest first, and keeps the ones that
+// couldn't be delivered yet. A failed delivery is retried a few times with a
+// growing delay, then waits for the next flush() (e.g. when the browser comes
+// back online). With a storage the queue survives a reload.
+
+export class Outbox {
+    /**
+     * @param {object} options
+     * @param {function(object): Promise<void>} options.send - Delivers one message; rejects on failure
+     * @param {{getItem:function, setItem:function}|null} [options.storage=null] - localStorage or similar
+     * @param {string} [options.storageKey] - Key the queue is stored under
+     * @param {number} [options.retries=3] - Retries after a failure before waiting for the next flush()
+     * @param {number} [options.retryDelay=1000] - Milliseconds before the first retry, doubled for each next one
+     * @param {number} [options.maxLength=200] - Longest queue; the oldest messages are dropped beyond it
+     * @param {function(function, number): *} [options.schedule=setTimeout] - Timer used for the retries
+     * @param {function(*): void} [options.cancel=clearTimeout]
+     * @param {function(Error): void} [options.onSaveError] - Called when the storage refuses the queue
+     *   (e.g. it is full); the queue carries on in memory
+     */
+    constructor({
+        send, storage = null, storageKey = 'outbox', retries = 3, retryDelay = 1000, maxLength = 200,
+        schedule = setTimeout, cancel = clearTimeout, onSaveError = () => {}
+    }) {
+        this.send = send;
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.maxLength = maxLength;
+        this.schedule = schedule;
+        this.cancel = cancel;
+        this.onSaveError = onSaveError;
+        this.queue = this.load();
+        this.failures = 0;
+        this.sending = false;
+        this.retryTimer = null;
+    }
+
+    load() {
+        if (!this.storage) return [];
+        try {
+            const stored = JSON.parse(this.storage.getItem(this.storageKey));
+            return Array.isArray(stored) ? stored : [];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.queue));
+        } catch (err) {
+            this.onSaveError(err);
+        }
+    }
+
+    // Messages waiting to be delivered
+    get length() {
+        return this.queue.length;
+    }
+
+    /**
+     * Queues a message and starts delivering.
+     * @param {object} message - JSON-serialisable
+     * @returns {Promise<void>} Settles once the queue has been tried (at once if a delivery is running)
+     */
+    enqueue(message) {
+        this.queue.push(message);
+        if (this.queue.length > this.maxLength) this.queue.splice(0, this.queue.length - this.maxLength);
+        this.save();
+        return this.flush();
+    }
+
+    /**
+     * Delivers the queued messages, with a fresh set of retries.
+     * @returns {Promise<void>}
+     */
+    flush() {
+        this.failures = 0;
+        return this.deliver();
+    }
+
+    async deliver() {
+        if (this.sending) return;
+        this.sending = true;
+        this.cancel(this.retryTimer);
+        this.retryTimer = null;
+
+        while (this.queue.length > 0) {
+            try {
+                await this.send(this.queue[0]);
+            } catch (err) {
+                this.failures++;
+                if (this.failures <= this.retries) {
+                    this.retryTimer = this.schedule(() => this.deliver(), this.retryDelay * 2 ** (this.failures - 1));
+                }
+                break;
+            }
+            this.queue.shift();
+            this.failures = 0;
+            this.save();
+        }
+        this.sending = false;
+    }
+}
@@ -0,0 +1,71 @@
+// Wheel Palettes
+// Alternative sector colours and pattern fills for guests who can't tell the
+// configured colours apart. Styles are looked up by tier id when drawing; the
+// tiers themselves are never recoloured, so hit-testing, prizes and the history
+// don't depend on the palette.
+
+// Pattern fills a tier can use; "" is a plain fill
+export const PATTERN_NAMES = ['stripes', 'dots', 'grid', 'crosshatch', 'zigzag', 'checker'];
+
+/**
+ * Palettes by key. "default" keeps each tier's configured colours; the others
+ * replace them in tier order (the first tier gets the first colour), repeating
+ * when there are more tiers than colours.
+ */
+export const PALETTES = {
+    default: null,
+    // Okabe-Ito colours, distinguishable with every common colour vision deficiency
+    colorBlind: [
+        { color: '#E69F00', textColor: '#B07800' },
+        { color: '#56B4E9', textColor: '#2B89C0' },
+        { color: '#009E73', textColor: '#007A59' },
+        { color: '#F0E442', textColor: '#8C8200' },
+        { color: '#0072B2', textColor: '#0072B2' },
+        { color: '#D55E00', textColor: '#D55E00' },
+        { color: '#CC79A7', textColor: '#A8507F' }
+    ],
+    // Saturated colours with dark labels; neighbouring tiers differ strongly in brightness
+    highContrast: [
+        { color: '#FFFF00', textColor: '#000000' },
+        { color: '#0000CC', textColor: '#000000' },
+        { color: '#FFFFFF', textColor: '#000000' },
+        { color: '#000000', textColor: '#000000' },
+        { color: '#00FFFF', textColor: '#000000' },
+        { color: '#FF00FF', textColor: '#000000' }
+    ]
+};
+
+/**
+ * Works out how every tier is drawn.
+ * @param {Array<object>} tiers - Tiers of the wheel configuration, in order
+ * @param {object} options - The "accessibility" settings
+ * @param {string} options.palette - Key of PALETTES
+ * @param {boolean} options.autoPatterns - Give tiers without their own pattern a distinct one
+ * @returns {Map<string, {color:string, textColor:string, pattern:string}>} Keyed by tier id
+ */
+export function getTierStyles(tiers, { palette, autoPatterns }) {
+    const colors = PALETTES[palette] || null;
+    const styles = new Map();
+    tiers.forEach((tier, index) => {
+        const swatch = colors ? colors[index % colors.length] : tier;
+        const pattern = tier.pattern || (autoPatterns ? PATTERN_NAMES[index % PATTERN_NAMES.length] : '');
+        styles.set(tier.id, {
+            color: swatch.color,
+            textColor: swatch.textColor || swatch.color,
+            pattern
+        });
+    });
+    return styles;
+}
+
+/**
+ * Style of one sector's tier. Sold-out tiers keep their grey look without a
+ * pattern; tiers missing from the map fall back to their own colours and pattern.
+ * @param {object} tier - Tier assigned to the sector
+ * @param {Map<string, object>|null} styles - From getTierStyles()
+ */
+export function getTierStyle(tier, styles) {
+    if (tier.soldOut) return { color: tier.color, textColor: tier.textColor || tier.color, pattern: '' };
+    const style = styles ? styles.get(tier.id) : null;
+    return style || { color: tier.color, textColor: tier.textColor || tier.color, pattern: tier.pattern || '' };
+}
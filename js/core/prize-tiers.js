@@ -0,0 +1,102 @@
+// Prize Tiers
+// Which tiers of the wheel configuration are still available given the prizes
+// issued so far (see js/inventory.js for the stored counts), and how sold-out
+// tiers appear on the wheel.
+
+// Look of a sector whose tier has run out (used by the "shrink" and "label" modes).
+// Its text comes from getTierLabel() in js/i18n.js.
+const SOLD_OUT_COLOR = '#B0B0B0';
+const SOLD_OUT_TEXT_COLOR = '#888888';
+
+// Sector size multiplier for sold-out tiers in "shrink" mode
+export const SOLD_OUT_SHRINK_FACTOR = 0.2;
+
+/**
+ * @returns {number|null} Prizes left for the tier, or null when the stock is unlimited
+ */
+export function getRemainingStock(tier, inventory) {
+    if (tier.stock === null) return null;
+    return Math.max(0, tier.stock - (inventory.issued[tier.id] || 0));
+}
+
+/**
+ * @returns {number|null} Budget left, or null when there is no budget limit
+ */
+export function getRemainingBudget(config, inventory) {
+    if (config.budget === null) return null;
+    return Math.max(0, config.budget - inventory.spent);
+}
+
+export function isTierAvailable(tier, config, inventory) {
+    const stock = getRemainingStock(tier, inventory);
+    const budget = getRemainingBudget(config, inventory);
+    return (stock === null || stock > 0) && (budget === null || tier.value <= budget);
+}
+
+// Why a confirmed prize could not be covered; the message is result.shortfallReason.<reason>
+export const PRIZE_SHORTFALL = {
+    STOCK: 'stock',
+    BUDGET: 'budget'
+};
+
+/**
+ * Checks confirmed prizes against the stock and budget left. A game can award
+ * more than is left when several players or rounds land on the last prize of a
+ * tier before the wheel is regenerated.
+ * @param {Array<object>} tiers - Tiers awarded, in order (sold-out or missing tiers are ignored)
+ * @param {object} config - Wheel configuration; a tier's stock comes from here when it still has the tier
+ * @param {object} inventory - Prizes issued before these
+ * @returns {Array<{tier:object, reason:string}>} The prizes beyond what was left, reason one of PRIZE_SHORTFALL
+ */
+export function findPrizeShortfall(tiers, config, inventory) {
+    const counted = { issued: { ...inventory.issued }, spent: inventory.spent };
+    const shortfall = [];
+    tiers.forEach(tier => {
+        if (!tier || tier.soldOut) return;
+        const configured = config.tiers.find(candidate => candidate.id === tier.id) || tier;
+        const stock = getRemainingStock(configured, counted);
+        const budget = getRemainingBudget(config, counted);
+        if (stock === 0) {
+            shortfall.push({ tier, reason: PRIZE_SHORTFALL.STOCK });
+        } else if (budget !== null && tier.value > budget) {
+            shortfall.push({ tier, reason: PRIZE_SHORTFALL.BUDGET });
+        }
+        counted.issued[tier.id] = (counted.issued[tier.id] || 0) + 1;
+        counted.spent += tier.value;
+    });
+    return shortfall;
+}
+
+function createSoldOutTier(tier) {
+    return {
+        ...tier,
+        color: SOLD_OUT_COLOR,
+        textColor: SOLD_OUT_TEXT_COLOR,
+        value: 0,
+        soldOut: true
+    };
+}
+
+/**
+ * Returns a function mapping each configured tier to the tier that should
+ * actually appear on the wheel, according to config.soldOutMode:
+ * - "merge": sold-out sectors become the next lower tier that is still available
+ * - "shrink" / "label": sold-out sectors stay, marked as sold out and worth nothing
+ */
+export function createTierResolver(config, inventory) {
+    const available = config.tiers.filter(tier => isTierAvailable(tier, config, inventory));
+    const soldOutTiers = new Map();
+
+    return (tier) => {
+        if (available.includes(tier)) return tier;
+        if (config.soldOutMode === 'merge') {
+            const lower = available
+                .filter(candidate => candidate.value < tier.value)
+                .sort((a, b) => b.value - a.value)[0];
+            if (lower) return lower;
+        }
+        // Reuse one sold-out tier object per tier so sectors can be compared by identity
+        if (!soldOutTiers.has(tier.id)) soldOutTiers.set(tier.id, createSoldOutTier(tier));
+        return soldOutTiers.get(tier.id);
+    };
+}
@@ -0,0 +1,64 @@
+// Seeded Random
+// Reproducible random numbers for the wheel: a layout and its motion depend
+// only on a 32-bit seed, so any round can be replayed from its seed.
+// Seeds are shown to operators as 8 hex digits.
+
+/**
+ * Creates a new random seed.
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function createSeed() {
+    if (globalThis.crypto && globalThis.crypto.getRandomValues) {
+        return globalThis.crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Random source (mulberry32) for a seed, a drop-in replacement for Math.random.
+ * @param {number} seed - Unsigned 32-bit integer
+ * @returns {function():number} Returns numbers in [0, 1)
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Derives an independent seed from a seed and a stream number, e.g. the motion
+ * of the n-th round played on a layout.
+ * @param {number} seed
+ * @param {number} stream - Non-negative integer
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function deriveSeed(seed, stream) {
+    // murmur3 finaliser over the seed mixed with the stream number
+    let h = (seed ^ Math.imul(stream + 1, 0x9E3779B1)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * @param {number} seed
+ * @returns {string} 8 lowercase hex digits
+ */
+export function formatSeed(seed) {
+    return (seed >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Parses a seed typed by the operator (1-8 hex digits).
+ * @param {string} text
+ * @returns {number|null} null if the text is not a seed
+ */
+export function parseSeed(text) {
+    const trimmed = String(text).trim();
+    return /^[0-9a-f]{1,8}$/i.test(trimmed) ? parseInt(trimmed, 16) >>> 0 : null;
+}
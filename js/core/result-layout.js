@@ -0,0 +1,177 @@
+// Result Layout
+// Where everything on the result image goes (see js/result-renderer.js), in
+// design units: the video box, the prize banner and its player chips, the
+// countdown panel and the revealed seed. Text widths come from the caller's
+// measure function, so the same scene always gets the same layout and the
+// layout can be checked without a canvas.
+
+// Design size of the result image (the size of win_frame.png). Scenes are laid
+// out in these units and scaled to the requested output width.
+export const RESULT_DESIGN_WIDTH = 1732;
+export const RESULT_DESIGN_HEIGHT = 1117;
+
+// Video box and prize banner, sized like the 640x480 video on the live page
+export const RESULT_LAYOUT = {
+    videoWidth: 660,
+    videoHeight: 495,
+    cornerRadius: 12,
+    bannerHeight: 84,
+    bannerGap: 20,
+    bannerPadding: 16,
+    chipHeight: 40,
+    chipPadding: 12,
+    chipGap: 10,
+    chipRowGap: 8,
+    countdownSize: 220,
+    countdownGap: 20,
+    fairnessLineHeight: 24,
+    fairnessPadding: 10,
+    rayWidth: 6
+};
+
+// Text styles; the renderer turns them into canvas fonts
+export const RESULT_FONTS = {
+    label: { size: 32, bold: true },
+    chip: { size: 24, bold: true },
+    countdown: { size: 56, bold: true },
+    fairness: { size: 16, monospace: true }
+};
+
+/**
+ * The part of a video frame shown in a box, cropped like CSS object-fit: cover.
+ * @returns {{x:number, y:number, width:number, height:number}|null} Source rectangle, null without a frame
+ */
+export function computeVideoCrop(sourceWidth, sourceHeight, width, height) {
+    if (!sourceWidth || !sourceHeight) return null;
+    const scale = Math.max(width / sourceWidth, height / sourceHeight);
+    const cropWidth = width / scale;
+    const cropHeight = height / scale;
+    return {
+        x: (sourceWidth - cropWidth) / 2,
+        y: (sourceHeight - cropHeight) / 2,
+        width: cropWidth,
+        height: cropHeight
+    };
+}
+
+/**
+ * Splits the banner items into rows that fit its width, each row centred.
+ * An item wider than the banner gets a row of its own.
+ */
+function wrapBannerItems(items, left, width) {
+    const { chipGap } = RESULT_LAYOUT;
+    const rows = [];
+    items.forEach(item => {
+        const row = rows[rows.length - 1];
+        if (row && row.width + chipGap + item.width <= width) {
+            row.items.push(item);
+            row.width += chipGap + item.width;
+        } else {
+            rows.push({ items: [item], width: item.width });
+        }
+    });
+    rows.forEach(row => {
+        let cursorX = left + (width - row.width) / 2;
+        row.items.forEach(item => {
+            item.x = cursorX;
+            cursorX += item.width + chipGap;
+        });
+    });
+    return rows;
+}
+
+/**
+ * Lays out a result scene.
+ * @param {object} content
+ * @param {string} content.label - Banner text before the prize, e.g. t('hud.won')
+ * @param {string} [content.prize] - Single player: the formatted prize shown after the label
+ * @param {Array<{text:string, color:string}>} [content.chips] - Multiplayer: one chip per player instead of the prize
+ * @param {string} [content.countdown] - Countdown text; the panel is left out when missing
+ * @param {Array<string>} [content.fairness] - Lines of the revealed commitment, drawn below the video
+ * @param {function(string, object): number} measure - Width of a text in one of RESULT_FONTS
+ * @returns {object} Boxes and text positions in design units
+ */
+export function computeResultLayout(content, measure) {
+    const {
+        videoWidth, videoHeight, bannerHeight, bannerGap, bannerPadding, chipHeight, chipPadding,
+        chipRowGap, countdownSize, countdownGap, fairnessLineHeight, fairnessPadding
+    } = RESULT_LAYOUT;
+    const center = { x: RESULT_DESIGN_WIDTH / 2, y: RESULT_DESIGN_HEIGHT / 2 };
+    const video = { x: center.x - videoWidth / 2, y: center.y - videoHeight / 2, width: videoWidth, height: videoHeight };
+
+    // The banner sits above the video and grows upwards when the chips wrap
+    const texts = [];
+    const chips = [];
+    let height = bannerHeight;
+    if (content.chips) {
+        const label = { text: content.label, width: measure(content.label, RESULT_FONTS.label) };
+        const items = [label].concat(content.chips.map(chip => ({
+            ...chip,
+            width: measure(chip.text, RESULT_FONTS.chip) + chipPadding * 2
+        })));
+        const rows = wrapBannerItems(items, video.x + bannerPadding, videoWidth - bannerPadding * 2);
+        const rowsHeight = rows.length * chipHeight + (rows.length - 1) * chipRowGap;
+        height = Math.max(bannerHeight, rowsHeight + (bannerHeight - chipHeight));
+        const top = video.y - bannerGap - height + (height - rowsHeight) / 2;
+        rows.forEach((row, i) => {
+            const rowY = top + i * (chipHeight + chipRowGap);
+            row.items.forEach(item => {
+                if (item === label) {
+                    texts.push({ text: item.text, x: item.x, y: rowY + chipHeight / 2, align: 'left', font: RESULT_FONTS.label });
+                } else {
+                    chips.push({
+                        text: item.text,
+                        color: item.color,
+                        x: item.x,
+                        y: rowY,
+                        width: item.width,
+                        height: chipHeight,
+                        textX: item.x + chipPadding,
+                        textY: rowY + chipHeight / 2
+                    });
+                }
+            });
+        });
+    }
+    const banner = { x: video.x, y: video.y - bannerGap - height, width: videoWidth, height, texts, chips };
+    if (!content.chips) {
+        texts.push({
+            text: `${content.label} ${content.prize}`,
+            x: banner.x + banner.width / 2,
+            y: banner.y + height / 2,
+            align: 'center',
+            font: RESULT_FONTS.label
+        });
+    }
+
+    const countdown = content.countdown ? {
+        x: video.x - countdownGap - countdownSize,
+        y: center.y - countdownSize / 2,
+        size: countdownSize,
+        text: content.countdown
+    } : null;
+
+    let fairness = null;
+    if (content.fairness) {
+        const lines = content.fairness;
+        const width = Math.max(...lines.map(line => measure(line, RESULT_FONTS.fairness))) + fairnessPadding * 2;
+        const y = video.y + videoHeight + bannerGap;
+        fairness = {
+            x: center.x - width / 2,
+            y,
+            width,
+            height: lines.length * fairnessLineHeight + fairnessPadding,
+            lines: lines.map((text, i) => ({ text, x: center.x, y: y + fairnessPadding / 2 + fairnessLineHeight * (i + 0.5) }))
+        };
+    }
+
+    return {
+        center,
+        // Long enough to leave the image in every direction
+        rayLength: Math.max(RESULT_DESIGN_WIDTH, RESULT_DESIGN_HEIGHT) * 1.5,
+        video,
+        banner,
+        countdown,
+        fairness
+    };
+}
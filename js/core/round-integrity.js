@@ -0,0 +1,139 @@
+// Round Integrity
+// Decides whether a round's result may stand. A player's face must be tracked
+// without a break through the final second of the countdown, and a face that
+// jumps across the frame or suddenly changes size is taken for another person
+// swapped in. In single-player games a second face in the frame also voids the
+// round. Failure names are in the message catalogues ("integrity.<value>").
+
+export const INTEGRITY_FAILURE = {
+    FACE_LOST: 'faceLost',
+    MULTIPLE_FACES: 'multipleFaces',
+    FACE_SWAP: 'faceSwap'
+};
+
+// Face Mesh landmark on the tip of the nose
+const NOSE_TIP = 1;
+
+/**
+ * Where a face is and how big it is, in frame heights (so x and y share a scale).
+ * @param {Array<{x:number, y:number}>} landmarks - Normalized Face Mesh landmarks
+ * @param {number} aspect - Frame width / height
+ * @returns {{x:number, y:number, size:number}} Nose tip position and bounding box diagonal
+ */
+export function measureFace(landmarks, aspect) {
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    landmarks.forEach(({ x, y }) => {
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, y);
+    });
+    return {
+        x: landmarks[NOSE_TIP].x * aspect,
+        y: landmarks[NOSE_TIP].y,
+        size: Math.hypot((maxX - minX) * aspect, maxY - minY)
+    };
+}
+
+export class RoundMonitor {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.finalWindow=1000] - Milliseconds before the end a face must be tracked throughout
+     * @param {number} [options.maxGap=300] - Longest break between detections that still counts as tracked (ms)
+     * @param {number} [options.maxJump=0.5] - Furthest the nose may move between detections, in face sizes;
+     *   the allowance grows with longer breaks
+     * @param {number} [options.maxSizeChange=0.35] - Largest relative change of the face size between detections
+     * @param {number} [options.multipleFaceTime=300] - How long a second face may stay in the frame (ms)
+     */
+    constructor({ finalWindow = 1000, maxGap = 300, maxJump = 0.5, maxSizeChange = 0.35, multipleFaceTime = 300 } = {}) {
+        this.finalWindow = finalWindow;
+        this.maxGap = maxGap;
+        this.maxJump = maxJump;
+        this.maxSizeChange = maxSizeChange;
+        this.multipleFaceTime = multipleFaceTime;
+        this.active = false;
+        this.players = new Map();
+    }
+
+    /**
+     * Starts watching a round.
+     * @param {Array<number>} playerIds - Players that must be there at the end, even if never seen
+     * @param {boolean} singlePlayer - Void the round when more than one face shows up
+     */
+    start(playerIds, singlePlayer) {
+        this.active = true;
+        this.singlePlayer = singlePlayer;
+        this.multipleSince = null;
+        this.multipleFaces = false;
+        this.players = new Map();
+        playerIds.forEach(id => this.getPlayer(id));
+    }
+
+    getPlayer(id) {
+        if (!this.players.has(id)) {
+            this.players.set(id, { last: null, trackedSince: null, failure: null });
+        }
+        return this.players.get(id);
+    }
+
+    /**
+     * Adds a detection result; ignored when no round is being watched.
+     * @param {number} timestamp - Arrival time of the result (ms)
+     * @param {number} faceCount - Faces the detector found, tracked or not
+     * @param {Array<{id:number, face:{x:number, y:number, size:number}}>} tracked - Players in the frame,
+     *   measured with measureFace()
+     */
+    observe(timestamp, faceCount, tracked) {
+        if (!this.active) return;
+
+        if (this.singlePlayer && faceCount > 1) {
+            if (this.multipleSince === null) this.multipleSince = timestamp;
+            if (timestamp - this.multipleSince >= this.multipleFaceTime) this.multipleFaces = true;
+        } else {
+            this.multipleSince = null;
+        }
+
+        tracked.forEach(({ id, face }) => {
+            const player = this.getPlayer(id);
+            const { last } = player;
+            if (last) {
+                const gap = timestamp - last.timestamp;
+                const allowance = this.maxJump * Math.max(1, gap / this.maxGap);
+                const jump = Math.hypot(face.x - last.face.x, face.y - last.face.y) / last.face.size;
+                const sizeChange = Math.abs(face.size - last.face.size) / last.face.size;
+                if (!player.failure && (jump > allowance || sizeChange > this.maxSizeChange)) {
+                    player.failure = INTEGRITY_FAILURE.FACE_SWAP;
+                }
+                if (gap > this.maxGap) player.trackedSince = timestamp;
+            } else {
+                player.trackedSince = timestamp;
+            }
+            player.last = { timestamp, face };
+        });
+    }
+
+    // Stops watching without a verdict (the game was aborted)
+    cancel() {
+        this.active = false;
+    }
+
+    /**
+     * Stops watching and judges the round.
+     * @param {number} endTime - When the countdown ran out, on the clock of observe()
+     * @returns {Map<number, string|null>} Player id -> INTEGRITY_FAILURE value, or null when the result stands
+     */
+    finish(endTime) {
+        this.active = false;
+        const verdicts = new Map();
+        this.players.forEach((player, id) => {
+            let failure = player.failure;
+            if (!failure && this.multipleFaces) failure = INTEGRITY_FAILURE.MULTIPLE_FACES;
+            const present = player.last !== null
+                && player.trackedSince <= endTime - this.finalWindow
+                && endTime - player.last.timestamp <= this.maxGap;
+            if (!failure && !present) failure = INTEGRITY_FAILURE.FACE_LOST;
+            verdicts.set(id, failure);
+        });
+        return verdicts;
+    }
+}
@@ -0,0 +1,103 @@
+// Screen Layout
+// One model for where everything sits on screen: the wheel centre (where every
+// ray starts), the video frame, the inset and size of the wheel labels and the
+// canvas resolution. It is computed from the viewport size, its orientation and
+// the device pixel ratio, so the game fits landscape monitors, portrait kiosk
+// tablets and high-DPI screens alike.
+
+// The original design: a 640 x 480 video in a window whose short side is 800px
+const REFERENCE_SHORT_SIDE = 800;
+const REFERENCE_VIDEO_HEIGHT = 480;
+const REFERENCE_LABEL_PADDING = { x: 60, y: 40 };
+const REFERENCE_LABEL_FONT_SIZE = 28;
+
+// Text and spacing never shrink or grow beyond these factors of the design
+const MIN_LAYOUT_SCALE = 0.6;
+const MAX_LAYOUT_SCALE = 2;
+
+// Largest share of the viewport the video may cover. In portrait the controls
+// sit below the video, so the centre moves up to leave room for them.
+const LANDSCAPE_VIDEO_SHARE = { width: 0.5, height: 0.6 };
+const PORTRAIT_VIDEO_SHARE = { width: 0.85, height: 0.4 };
+const PORTRAIT_CENTER_Y = 0.38;
+
+// The wheel reaches this far past the furthest corner so no edge shows
+const WHEEL_OVERSCAN = 50;
+
+// Resolutions offered to the camera, smallest first (see chooseCameraResolution)
+export const CAMERA_RESOLUTIONS = [
+    { width: 640, height: 480 },
+    { width: 1280, height: 720 },
+    { width: 1920, height: 1080 }
+];
+
+/**
+ * Lays out the screen.
+ * @param {object} viewport
+ * @param {number} viewport.width - CSS pixels
+ * @param {number} viewport.height - CSS pixels
+ * @param {number} [viewport.devicePixelRatio=1]
+ * @param {number} [viewport.videoAspect=4/3] - Width / height of the input image
+ * @returns {object} Positions and sizes in CSS pixels:
+ *   center (wheel centre and ray origin), video (frame rectangle), labelPadding,
+ *   labelFontSize, wheelRadius, scale (relative to the original design) and orientation
+ */
+export function computeScreenLayout({ width, height, devicePixelRatio = 1, videoAspect = 4 / 3 }) {
+    const orientation = height > width ? 'portrait' : 'landscape';
+    const share = orientation === 'portrait' ? PORTRAIT_VIDEO_SHARE : LANDSCAPE_VIDEO_SHARE;
+    const scale = Math.min(MAX_LAYOUT_SCALE,
+        Math.max(MIN_LAYOUT_SCALE, Math.min(width, height) / REFERENCE_SHORT_SIDE));
+
+    const center = {
+        x: width / 2,
+        y: orientation === 'portrait' ? height * PORTRAIT_CENTER_Y : height / 2
+    };
+
+    // As large as the design at this scale, within the viewport share
+    const videoHeight = Math.min(
+        REFERENCE_VIDEO_HEIGHT * scale,
+        height * share.height,
+        width * share.width / videoAspect
+    );
+    const videoWidth = videoHeight * videoAspect;
+
+    return {
+        width,
+        height,
+        devicePixelRatio,
+        videoAspect,
+        orientation,
+        scale,
+        center,
+        video: {
+            x: center.x - videoWidth / 2,
+            y: center.y - videoHeight / 2,
+            width: videoWidth,
+            height: videoHeight
+        },
+        labelPadding: {
+            x: REFERENCE_LABEL_PADDING.x * scale,
+            y: REFERENCE_LABEL_PADDING.y * scale
+        },
+        labelFontSize: Math.round(REFERENCE_LABEL_FONT_SIZE * scale),
+        wheelRadius: Math.hypot(Math.max(center.x, width - center.x), Math.max(center.y, height - center.y)) +
+            WHEEL_OVERSCAN
+    };
+}
+
+/**
+ * Resolution to ask the camera for. Browsers treat it as a preference and
+ * pick the closest mode the camera has.
+ * @param {string} setting - "auto" or "<width>x<height>"
+ * @param {object} layout - From computeScreenLayout()
+ * @returns {{width:number, height:number}}
+ */
+export function chooseCameraResolution(setting, layout) {
+    const match = /^(\d+)x(\d+)$/.exec(setting);
+    if (match) return { width: Number(match[1]), height: Number(match[2]) };
+
+    // Smallest resolution that fills the video frame on this screen
+    const needed = layout.video.height * layout.devicePixelRatio;
+    return CAMERA_RESOLUTIONS.find(resolution => resolution.height >= needed) ||
+        CAMERA_RESOLUTIONS[CAMERA_RESOLUTIONS.length - 1];
+}
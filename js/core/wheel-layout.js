@@ -0,0 +1,92 @@
+// Wheel Layout
+// Turns the wheel configuration into a random sector layout and the sector
+// angles shared by drawing and hit-testing. No DOM access, so it runs in Node.
+
+import { SOLD_OUT_SHRINK_FACTOR, createTierResolver, isTierAvailable } from './prize-tiers.js';
+
+// Sectors start at the top (12 o'clock) and run clockwise on screen
+export const WHEEL_START_ANGLE = -Math.PI / 2;
+
+// 0.5 degree white border drawn at the end of every sector. It is part of the
+// sector it ends, so a ray on the border still counts for that sector.
+export const WHEEL_BORDER_RAD = (0.5 / 360) * 2 * Math.PI;
+
+/**
+ * Generates a random sector layout for the wheel.
+ * Every tier gets at least minCount sectors; the rest are drawn from tiers that
+ * still have stock. Sold-out tiers are resolved according to config.soldOutMode.
+ * @param {object} config - Validated wheel configuration
+ * @param {object} inventory - Prizes issued so far (see js/inventory.js)
+ * @param {function():number} [random=Math.random] - Random source in [0, 1)
+ * @returns {{assignments:Array<object>, weights:Array<number>, totalWeight:number, totalSectors:number}}
+ */
+export function generateWheelLayout(config, inventory, random = Math.random) {
+    const { tiers, totalSectors, weightRange } = config;
+    const resolveTier = createTierResolver(config, inventory);
+
+    // Random extra sectors only come from tiers that still have stock
+    const fillTiers = tiers.filter(tier => isTierAvailable(tier, config, inventory));
+    const fillPool = fillTiers.length > 0 ? fillTiers : tiers;
+
+    // 1. Prepare tiers ensuring each appears at least minCount times
+    let assignments = [];
+    tiers.forEach(tier => {
+        for (let i = 0; i < tier.minCount; i++) assignments.push(tier);
+    });
+    while (assignments.length < totalSectors) {
+        assignments.push(fillPool[Math.floor(random() * fillPool.length)]);
+    }
+
+    // Sold-out tiers are merged into a lower tier or marked as sold out
+    assignments = assignments.map(resolveTier);
+
+    // Shuffle tiers
+    for (let i = assignments.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [assignments[i], assignments[j]] = [assignments[j], assignments[i]];
+    }
+
+    // 2. Generate random angles (weights), scaled by each tier's relative size
+    const [minWeight, maxWeight] = weightRange;
+    const weights = assignments.map(tier => {
+        const shrink = tier.soldOut && config.soldOutMode === 'shrink' ? SOLD_OUT_SHRINK_FACTOR : 1;
+        return (random() * (maxWeight - minWeight) + minWeight) * tier.size * shrink;
+    });
+    const totalWeight = weights.reduce((a, b) => a + b, 0);
+
+    return { assignments, weights, totalWeight, totalSectors };
+}
+
+/**
+ * Computes the angular extent of every sector, starting from the top (12 o'clock).
+ * Shared by drawing and hit-testing so the two cannot drift apart.
+ * The sectors cover exactly one turn: the last one ends 2π after the first starts.
+ * @param {object|null} layout - From generateWheelLayout()
+ * @param {number} [rotation=0] - Clockwise rotation of the spinning wheel (rad)
+ * @returns {Array<{startAngle:number, endAngle:number, midAngle:number, tier:object}>}
+ */
+export function getSectorAngles(layout, rotation = 0) {
+    if (!layout) return [];
+
+    const { assignments, weights, totalWeight } = layout;
+    const sectorAngles = [];
+    const turn = 2 * Math.PI;
+    const startAngle = WHEEL_START_ANGLE + ((rotation % turn) + turn) % turn;
+    let currentAngle = startAngle;
+
+    assignments.forEach((tier, i) => {
+        // Close the circle exactly, whatever rounding the sum of the spans has
+        const endAngle = i === assignments.length - 1
+            ? startAngle + turn
+            : currentAngle + (weights[i] / totalWeight) * turn;
+        sectorAngles.push({
+            startAngle: currentAngle,
+            endAngle,
+            midAngle: (currentAngle + endAngle) / 2,
+            tier
+        });
+        currentAngle = endAngle;
+    });
+
+    return sectorAngles;
+}
@@ -0,0 +1,120 @@
+// Wheel Motion
+// Rotation of the spinning wheel during a countdown. The wheel speeds up,
+// reverses direction a few times at random moments and eases to a stop when
+// the clock reaches zero. The angular velocity is piecewise linear, so the
+// rotation at any moment is exact and depends only on the time and the seed.
+
+// Seconds to reach full speed at the start of the round
+export const WHEEL_SPIN_UP_TIME = 0.5;
+
+// Seconds to swing from full speed one way to full speed the other way
+export const WHEEL_REVERSAL_TIME = 0.6;
+
+export class WheelMotion {
+    /**
+     * @param {Array<{time:number, velocity:number}>} keyframes - Angular velocity (rad/s)
+     *   at increasing times (s); the velocity changes linearly in between
+     * @param {number} [startAngle=0] - Rotation (rad) at time 0
+     */
+    constructor(keyframes, startAngle = 0) {
+        this.keyframes = keyframes;
+        this.startAngle = startAngle;
+
+        // Rotation accumulated up to each keyframe
+        this.angles = [startAngle];
+        for (let i = 1; i < keyframes.length; i++) {
+            const previous = keyframes[i - 1];
+            const current = keyframes[i];
+            const span = current.time - previous.time;
+            this.angles.push(this.angles[i - 1] + (previous.velocity + current.velocity) / 2 * span);
+        }
+    }
+
+    /**
+     * Generates the motion of one round.
+     * @param {object} options - The "spin" settings
+     * @param {number} options.speed - Full speed in degrees per second
+     * @param {number} options.directionChanges - Reversals during the round
+     * @param {number} options.stopTime - Seconds to ease to a stop before the clock reaches zero
+     * @param {number} duration - Seconds until the wheel stands still
+     * @param {function():number} random - Seeded random source, see js/core/random.js
+     * @param {number} [startAngle=0] - Rotation (rad) the round starts from
+     * @returns {WheelMotion}
+     */
+    static create({ speed, directionChanges, stopTime }, duration, random, startAngle = 0) {
+        const fullSpeed = speed * Math.PI / 180;
+        let direction = random() < 0.5 ? 1 : -1;
+        if (!(duration > 0) || !(fullSpeed > 0)) {
+            return new WheelMotion([{ time: 0, velocity: 0 }], startAngle);
+        }
+
+        // Short rounds shrink the ramps so the wheel still moves
+        const spinUp = Math.min(WHEEL_SPIN_UP_TIME, duration / 4);
+        const stop = Math.min(Math.max(0, stopTime), duration - spinUp);
+        const keyframes = [
+            { time: 0, velocity: 0 },
+            { time: spinUp, velocity: direction * fullSpeed }
+        ];
+
+        // One reversal per equal slot of the cruising time, at a random moment
+        // inside the slot, so reversals never overlap
+        const cruiseStart = spinUp;
+        const cruiseLength = duration - stop - spinUp;
+        const changes = Math.max(0, Math.min(Math.round(directionChanges), Math.floor(cruiseLength / WHEEL_REVERSAL_TIME)));
+        const slot = changes > 0 ? cruiseLength / changes : 0;
+        for (let i = 0; i < changes; i++) {
+            const center = cruiseStart + i * slot + WHEEL_REVERSAL_TIME / 2 +
+                random() * (slot - WHEEL_REVERSAL_TIME);
+            keyframes.push({ time: center - WHEEL_REVERSAL_TIME / 2, velocity: direction * fullSpeed });
+            direction = -direction;
+            keyframes.push({ time: center + WHEEL_REVERSAL_TIME / 2, velocity: direction * fullSpeed });
+        }
+
+        keyframes.push({ time: duration - stop, velocity: direction * fullSpeed });
+        keyframes.push({ time: duration, velocity: 0 });
+        return new WheelMotion(keyframes, startAngle);
+    }
+
+    // Seconds until the wheel stands still
+    get duration() {
+        return this.keyframes[this.keyframes.length - 1].time;
+    }
+
+    /**
+     * Rotation of the wheel at a time into the round.
+     * @param {number} time - Seconds since the countdown started
+     * @returns {number} Rotation in radians, clockwise on screen
+     */
+    angleAt(time) {
+        const { keyframes, angles } = this;
+        if (time <= 0) return this.startAngle;
+        if (time >= this.duration) return angles[angles.length - 1];
+
+        let i = 0;
+        while (keyframes[i + 1].time < time) i++;
+        const previous = keyframes[i];
+        const next = keyframes[i + 1];
+        const span = next.time - previous.time;
+        const elapsed = time - previous.time;
+        const acceleration = span > 0 ? (next.velocity - previous.velocity) / span : 0;
+        return angles[i] + previous.velocity * elapsed + acceleration * elapsed * elapsed / 2;
+    }
+
+    /**
+     * @param {number} time - Seconds since the countdown started
+     * @returns {number} Angular velocity in rad/s
+     */
+    velocityAt(time) {
+        const { keyframes } = this;
+        if (time <= 0 || time >= this.duration) return 0;
+
+        let i = 0;
+        while (keyframes[i + 1].time < time) i++;
+        const previous = keyframes[i];
+        const next = keyframes[i + 1];
+        const span = next.time - previous.time;
+        return span > 0
+            ? previous.velocity + (next.velocity - previous.velocity) * (time - previous.time) / span
+            : next.velocity;
+    }
+}
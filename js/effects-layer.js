@@ -0,0 +1,95 @@
+// Effects Layer
+// Draws the celebration particles (coins or confetti, see js/core/celebration.js)
+// on a canvas that covers the whole window, above the game and the result
+// modal. Drawn from the render loop; the canvas is left empty between bursts.
+
+import { ParticleField } from './core/celebration.js';
+
+// Longest step taken at once, so a tab coming back from the background doesn't jump (s)
+const MAX_STEP = 0.05;
+
+const COIN_COLOR = '#FFC83D';
+const COIN_EDGE = '#C98A00';
+
+export class EffectsLayer {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.field = new ParticleField();
+        this.enabled = true;
+        this.width = canvas.width;
+        this.height = canvas.height;
+        this.lastFrame = null;
+        this.drawn = false;
+    }
+
+    /**
+     * Sizes the canvas for the window at the device's pixel ratio (clears it).
+     * @param {{width:number, height:number, devicePixelRatio:number}} layout - From computeScreenLayout()
+     */
+    setLayout({ width, height, devicePixelRatio }) {
+        this.width = width;
+        this.height = height;
+        this.canvas.width = Math.round(width * devicePixelRatio);
+        this.canvas.height = Math.round(height * devicePixelRatio);
+        this.ctx.setTransform(devicePixelRatio, 0, 0, devicePixelRatio, 0, 0);
+    }
+
+    /**
+     * @param {object} options - The "effects" settings
+     * @param {boolean} options.particles - Show particle bursts
+     */
+    setOptions({ particles }) {
+        this.enabled = particles;
+        if (!particles) this.field.clear();
+    }
+
+    /**
+     * Starts a burst over the window.
+     * @param {object} plan - From planCelebration()
+     * @param {{x:number, y:number}} origin - Where coins burst from (CSS pixels)
+     * @param {Array<string>} colors - Confetti colours (the wheel's tier colours)
+     */
+    celebrate(plan, origin, colors) {
+        if (!this.enabled || !plan.particles) return;
+        this.field.burst({ ...plan.particles, origin, width: this.width, colors });
+    }
+
+    /**
+     * Moves and draws the particles for one display frame.
+     * @param {number} now - Frame timestamp (ms)
+     */
+    draw(now) {
+        const dt = this.lastFrame === null ? 0 : Math.min(MAX_STEP, (now - this.lastFrame) / 1000);
+        this.lastFrame = now;
+        if (!this.field.active && !this.drawn) return;
+
+        this.field.step(dt, this.height);
+        const { ctx } = this;
+        ctx.clearRect(0, 0, this.width, this.height);
+        this.field.particles.forEach(particle => {
+            ctx.save();
+            ctx.translate(particle.x, particle.y);
+            ctx.globalAlpha = Math.min(1, (particle.life - particle.age) * 2);
+            if (particle.kind === 'coins') {
+                // A coin turning over: an ellipse whose width follows the rotation
+                ctx.beginPath();
+                ctx.ellipse(0, 0, Math.max(1, Math.abs(Math.cos(particle.rotation)) * particle.size), particle.size, 0, 0, 2 * Math.PI);
+                ctx.fillStyle = COIN_COLOR;
+                ctx.fill();
+                ctx.lineWidth = 2;
+                ctx.strokeStyle = COIN_EDGE;
+                ctx.stroke();
+            } else {
+                ctx.rotate(particle.rotation);
+                ctx.fillStyle = particle.color;
+                ctx.fillRect(-particle.size / 2, -particle.size / 4, particle.size, particle.size / 2);
+            }
+            ctx.restore();
+        });
+        this.drawn = this.field.active;
+    }
+}
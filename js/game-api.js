@@ -0,0 +1,97 @@
+// Game API
+// The public interface for other systems on the page (a kiosk wrapper, a venue
+// script driving a prize printer or a scoreboard): events as the game runs and
+// a few controls, published as window.faceGame. Event details are plain
+// JSON-serialisable objects; the README lists their fields.
+
+export const GAME_EVENT = {
+    ROUND_START: 'roundstart',
+    TICK: 'tick',                                 // A second of the countdown passed
+    SECTOR_CHANGE: 'sectorchange',                // A player's ray moved into another sector
+    ROUND_END: 'roundend',
+    RESULT_CONFIRMED: 'resultconfirmed',          // The operator confirmed a game's prizes
+    CAMERA_STATE_CHANGE: 'camerastatechange'      // The input started, stopped or failed
+};
+
+export class GameApi extends EventTarget {
+    /**
+     * @param {object} controls - Implemented by the game (see script.js)
+     * @param {function(): Promise<void>} controls.startRound
+     * @param {function(): boolean} controls.regenerateWheel
+     * @param {function(): object} controls.getConfig
+     * @param {function(object): object} controls.setConfig
+     * @param {function(): object} controls.getState
+     */
+    constructor(controls) {
+        super();
+        this.controls = controls;
+    }
+
+    /**
+     * Dispatches an event; listeners get the detail as event.detail.
+     * @param {string} type - One of GAME_EVENT
+     * @param {object} detail
+     */
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    /**
+     * Listens to an event and receives its detail directly. An error the
+     * listener throws is logged; the game and the other listeners carry on.
+     * @param {string} type - One of GAME_EVENT
+     * @param {function(object): void} listener
+     * @returns {function(): void} Removes the listener
+     */
+    on(type, listener) {
+        const handler = event => {
+            try {
+                listener(event.detail);
+            } catch (err) {
+                console.error(`Game API listener for "${type}" failed:`, err);
+            }
+        };
+        this.addEventListener(type, handler);
+        return () => this.removeEventListener(type, handler);
+    }
+
+    /**
+     * Starts the next round, like pressing Space (a new game calibrates first).
+     * @returns {Promise<void>} Resolves once the countdown started or the start was refused
+     */
+    startRound() {
+        return this.controls.startRound();
+    }
+
+    /**
+     * Draws a new wheel between games.
+     * @returns {boolean} Whether it did; a game in progress or an undecided result keeps its wheel
+     */
+    regenerateWheel() {
+        return this.controls.regenerateWheel();
+    }
+
+    /**
+     * @returns {object} A copy of the current settings (see js/settings.js)
+     */
+    getConfig() {
+        return this.controls.getConfig();
+    }
+
+    /**
+     * Changes and saves settings, e.g. setConfig({ game: { mode: 'bestOf', rounds: 3 } }).
+     * @param {object} changes - Any subset of the settings
+     * @returns {object} The settings now in use
+     * @throws {Error} When a value doesn't have the type of the setting or is out of range
+     */
+    setConfig(changes) {
+        return this.controls.setConfig(changes);
+    }
+
+    /**
+     * @returns {object} What the game is doing (the state the operator console shows)
+     */
+    getState() {
+        return this.controls.getState();
+    }
+}
@@ -0,0 +1,120 @@
+// History Panel
+// Leaderboard of finished rounds with totals per prize tier and per session,
+// plus CSV / JSON export.
+
+import {
+    getSessionId, startNewSession, ROUND_STATUS,
+    getAllRoundRecords, clearRoundRecords, summarizeRoundRecords, roundRecordsToCsv
+} from './history-store.js';
+import { formatDatetimeStamp, downloadText } from './utils.js';
+import { formatPrize, t } from './i18n.js';
+
+export function initHistoryPanel() {
+    const historyModal = document.getElementById('history_modal');
+    const openBtn = document.getElementById('open_history_btn');
+    const closeBtn = document.getElementById('history_close_btn');
+    const grandTotal = document.getElementById('history_grand_total');
+    const tierRows = document.getElementById('history_by_tier');
+    const sessionRows = document.getElementById('history_by_session');
+    const recentRows = document.getElementById('history_recent');
+    const newSessionBtn = document.getElementById('history_new_session_btn');
+    const exportCsvBtn = document.getElementById('history_export_csv_btn');
+    const exportJsonBtn = document.getElementById('history_export_json_btn');
+    const clearBtn = document.getElementById('history_clear_btn');
+
+    // Build table rows without interpreting record fields as HTML
+    function fillRows(tbody, rows) {
+        tbody.innerHTML = '';
+        rows.forEach(cells => {
+            const row = document.createElement('tr');
+            cells.forEach(cell => {
+                const td = document.createElement('td');
+                if (cell instanceof Node) {
+                    td.appendChild(cell);
+                } else {
+                    td.textContent = cell;
+                }
+                row.appendChild(td);
+            });
+            tbody.appendChild(row);
+        });
+    }
+
+    function tierSwatch(color, label) {
+        const span = document.createElement('span');
+        span.className = 'tier-swatch';
+        span.style.setProperty('--tier-color', color || '#FFFFFF');
+        span.textContent = label;
+        return span;
+    }
+
+    async function render() {
+        const records = await getAllRoundRecords();
+        const summary = summarizeRoundRecords(records);
+        const currentSession = getSessionId();
+
+        grandTotal.textContent = formatPrize(summary.grandTotal);
+
+        fillRows(tierRows, summary.byTier.map(tier => [
+            tierSwatch(tier.color, tier.label || t('history.miss')),
+            tier.count,
+            formatPrize(tier.total)
+        ]));
+
+        fillRows(sessionRows, summary.bySession.map(session => [
+            session.sessionId === currentSession
+                ? t('history.currentSession', { session: session.sessionId })
+                : session.sessionId,
+            session.rounds,
+            formatPrize(session.total)
+        ]));
+
+        fillRows(recentRows, records.slice(-20).reverse().map(record => [
+            new Date(record.timestamp).toLocaleString(),
+            record.playerName ? `${record.playerName} (P${record.playerId})` : `P${record.playerId}`,
+            tierSwatch(record.tierColor, formatPrize(record.prizeValue)),
+            record.seed || '—',
+            // Games voided by the integrity checks say why
+            record.invalid
+                ? `${t(`history.status.${record.status}`)} · ${t(`integrity.${record.invalid}`)}`
+                : t(`history.status.${record.status || ROUND_STATUS.CONFIRMED}`)
+        ]));
+    }
+
+    function refresh() {
+        render().catch(err => console.error("Failed to load round history:", err));
+    }
+
+    openBtn.addEventListener('click', () => {
+        refresh();
+        historyModal.classList.remove('hidden');
+    });
+
+    closeBtn.addEventListener('click', () => {
+        historyModal.classList.add('hidden');
+    });
+
+    newSessionBtn.addEventListener('click', () => {
+        startNewSession();
+        refresh();
+    });
+
+    exportCsvBtn.addEventListener('click', async () => {
+        const records = await getAllRoundRecords();
+        // BOM so spreadsheet apps detect UTF-8 (Chinese labels)
+        downloadText('\uFEFF' + roundRecordsToCsv(records),
+            `PartyGame_history_${formatDatetimeStamp()}.csv`, 'text/csv');
+    });
+
+    exportJsonBtn.addEventListener('click', async () => {
+        const records = await getAllRoundRecords();
+        downloadText(JSON.stringify(records, null, 2),
+            `PartyGame_history_${formatDatetimeStamp()}.json`, 'application/json');
+    });
+
+    clearBtn.addEventListener('click', async () => {
+        if (!confirm(t('history.confirmClear'))) return;
+        await clearRoundRecords();
+        refresh();
+    });
+}
@@ -0,0 +1,210 @@
+// Round History Store
+// Persists every finished game in IndexedDB (one record per player) so organisers
+// can reconcile what was given away against the real prize budget.
+
+import { formatDatetimeStamp } from './utils.js';
+
+const HISTORY_DB_NAME = 'faceGameHistory';
+const HISTORY_DB_VERSION = 1;
+const ROUNDS_STORE = 'rounds';
+const SESSION_STORAGE_KEY = 'faceGame.sessionId';
+
+let historyDbPromise = null;
+
+// Wrap an IDBRequest in a Promise
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openHistoryDb() {
+    if (!historyDbPromise) {
+        const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(ROUNDS_STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('timestamp', 'timestamp');
+            store.createIndex('sessionId', 'sessionId');
+        };
+        historyDbPromise = idbRequest(request);
+    }
+    return historyDbPromise;
+}
+
+/**
+ * Returns the current session id, creating one on first use.
+ * A session lasts until the operator starts a new one (it survives reloads).
+ */
+export function getSessionId() {
+    let sessionId = localStorage.getItem(SESSION_STORAGE_KEY);
+    if (!sessionId) sessionId = startNewSession();
+    return sessionId;
+}
+
+export function startNewSession() {
+    const sessionId = `S${formatDatetimeStamp()}`;
+    localStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+    return sessionId;
+}
+
+// Resolve when a transaction has committed
+function idbTransactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Record status values. Records start as pending and only count towards the
+ * totals once the operator confirms them in the result modal.
+ * Records saved before statuses existed have no status and count as confirmed.
+ * Their names are in the message catalogues ("history.status.<value>").
+ */
+export const ROUND_STATUS = {
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    VOIDED: 'voided'
+};
+
+/**
+ * Stores round records (one per player) in a single transaction.
+ * @param {Array<object>} records
+ * @returns {Promise<Array<number>>} The ids assigned to the records
+ */
+export async function addRoundRecords(records) {
+    const db = await openHistoryDb();
+    const tx = db.transaction(ROUNDS_STORE, 'readwrite');
+    const store = tx.objectStore(ROUNDS_STORE);
+    const requests = records.map(record => store.add(record));
+    await idbTransactionDone(tx);
+    return requests.map(request => request.result);
+}
+
+/**
+ * Sets the status of the given records (e.g. after the operator confirms a result).
+ */
+export async function updateRoundRecordStatus(ids, status) {
+    const db = await openHistoryDb();
+    const tx = db.transaction(ROUNDS_STORE, 'readwrite');
+    const store = tx.objectStore(ROUNDS_STORE);
+    ids.forEach(id => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+            if (request.result) store.put({ ...request.result, status });
+        };
+    });
+    return idbTransactionDone(tx);
+}
+
+function isRecordConfirmed(record) {
+    return !record.status || record.status === ROUND_STATUS.CONFIRMED;
+}
+
+/**
+ * @returns {Promise<Array<object>>} All round records, oldest first
+ */
+export async function getAllRoundRecords() {
+    const db = await openHistoryDb();
+    const store = db.transaction(ROUNDS_STORE).objectStore(ROUNDS_STORE);
+    return idbRequest(store.index('timestamp').getAll());
+}
+
+export async function clearRoundRecords() {
+    const db = await openHistoryDb();
+    const store = db.transaction(ROUNDS_STORE, 'readwrite').objectStore(ROUNDS_STORE);
+    return idbRequest(store.clear());
+}
+
+/**
+ * Prizes won in a record. A multi-round game can award several tiers; records
+ * without awards (a miss, or saved before game modes existed) hold a single tier.
+ * @returns {Array<{tierId:string|null, tierLabel:string|null, tierColor:string|null, prizeValue:number}>}
+ */
+function getRecordAwards(record) {
+    if (record.awards && record.awards.length > 0) return record.awards;
+    return [{
+        tierId: record.tierId,
+        tierLabel: record.tierLabel,
+        tierColor: record.tierColor,
+        prizeValue: record.prizeValue
+    }];
+}
+
+/**
+ * Aggregates confirmed records into totals per prize tier and per session.
+ */
+export function summarizeRoundRecords(records) {
+    const byTier = new Map();
+    const bySession = new Map();
+    let grandTotal = 0;
+
+    records.filter(isRecordConfirmed).forEach(record => {
+        grandTotal += record.prizeValue;
+
+        getRecordAwards(record).forEach(award => {
+            const tierKey = award.tierId || 'none';
+            if (!byTier.has(tierKey)) {
+                byTier.set(tierKey, {
+                    tierId: award.tierId,
+                    label: award.tierLabel || null, // null for a miss
+                    color: award.tierColor,
+                    value: award.prizeValue,
+                    count: 0,
+                    total: 0
+                });
+            }
+            const tier = byTier.get(tierKey);
+            tier.count++;
+            tier.total += award.prizeValue;
+        });
+
+        if (!bySession.has(record.sessionId)) {
+            bySession.set(record.sessionId, {
+                sessionId: record.sessionId,
+                firstRound: record.timestamp,
+                rounds: 0,
+                total: 0
+            });
+        }
+        const session = bySession.get(record.sessionId);
+        session.rounds++;
+        session.total += record.prizeValue;
+    });
+
+    return {
+        byTier: Array.from(byTier.values()).sort((a, b) => b.value - a.value),
+        bySession: Array.from(bySession.values()).sort((a, b) => b.firstRound.localeCompare(a.firstRound)),
+        grandTotal
+    };
+}
+
+// Quote a CSV field when it contains separators, quotes or newlines
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const HISTORY_CSV_COLUMNS = [
+    'id', 'timestamp', 'sessionId', 'playerId', 'playerName',
+    'prizeValue', 'tierId', 'tierLabel', 'tierColor', 'mode', 'seed', 'salt', 'commitment', 'rounds', 'awards', 'status', 'invalid', 'layout'
+];
+
+// Columns holding arrays or objects, embedded as JSON strings
+const HISTORY_CSV_JSON_COLUMNS = ['rounds', 'awards', 'layout'];
+
+/**
+ * Serialises records as CSV.
+ */
+export function roundRecordsToCsv(records) {
+    const lines = [HISTORY_CSV_COLUMNS.join(',')];
+    records.forEach(record => {
+        lines.push(HISTORY_CSV_COLUMNS.map(column =>
+            csvField(HISTORY_CSV_JSON_COLUMNS.includes(column) && record[column] !== undefined
+                ? JSON.stringify(record[column])
+                : record[column])
+        ).join(','));
+    });
+    return lines.join('\r\n');
+}
@@ -0,0 +1,116 @@
+// Localisation
+// Message catalogues (js/locales/), the active language and the prize unit.
+// Static text in the HTML is marked with data-i18n attributes and replaced by
+// applyTranslations(); code looks messages up with t().
+
+import { enUS } from './locales/en-US.js';
+import { zhCN } from './locales/zh-CN.js';
+
+export const LOCALES = {
+    'zh-CN': { name: '中文', messages: zhCN },
+    'en-US': { name: 'English', messages: enUS }
+};
+
+// Catalogue used for keys a language doesn't have
+export const DEFAULT_LOCALE = 'zh-CN';
+
+// Prize units offered in the settings; "custom" uses the operator's own word
+export const PRIZE_UNITS = ['yuan', 'dollar', 'euro', 'points', 'custom'];
+
+let currentLocale = DEFAULT_LOCALE;
+let prizeUnit = { unit: 'yuan', customUnit: '' };
+let numberFormat = new Intl.NumberFormat(DEFAULT_LOCALE, { maximumFractionDigits: 2 });
+
+/**
+ * Picks a supported language: the setting, or the browser's language for "auto".
+ * @param {string} setting - A key of LOCALES or "auto"
+ * @param {ReadonlyArray<string>} [preferred] - Browser languages, most preferred first
+ * @returns {string} A key of LOCALES
+ */
+export function resolveLocale(setting, preferred = globalThis.navigator ? navigator.languages || [] : []) {
+    if (LOCALES[setting]) return setting;
+    for (const language of preferred) {
+        const base = language.toLowerCase().split('-')[0];
+        const match = Object.keys(LOCALES).find(locale => locale.toLowerCase().split('-')[0] === base);
+        if (match) return match;
+    }
+    return DEFAULT_LOCALE;
+}
+
+export function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * @param {string} locale - A key of LOCALES
+ */
+export function setLocale(locale) {
+    currentLocale = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+    numberFormat = new Intl.NumberFormat(currentLocale, { maximumFractionDigits: 2 });
+}
+
+/**
+ * @param {string} unit - One of PRIZE_UNITS
+ * @param {string} [customUnit] - Word shown after amounts for the "custom" unit
+ */
+export function setPrizeUnit(unit, customUnit = '') {
+    prizeUnit = { unit: PRIZE_UNITS.includes(unit) ? unit : 'yuan', customUnit };
+}
+
+/**
+ * Looks up a message in the active language.
+ * @param {string} key
+ * @param {object} [params] - Values for the {name} placeholders
+ * @returns {string} The key itself if no catalogue has it
+ */
+export function t(key, params = {}) {
+    const messages = LOCALES[currentLocale].messages;
+    const message = key in messages ? messages[key] : LOCALES[DEFAULT_LOCALE].messages[key];
+    if (message === undefined) return key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        params[name] !== undefined ? String(params[name]) : placeholder
+    );
+}
+
+/**
+ * Formats a number for the active language (grouping, decimal mark).
+ */
+export function formatNumber(value) {
+    return numberFormat.format(value);
+}
+
+/**
+ * Formats a prize amount with the configured unit, e.g. "100 元" or "$100".
+ */
+export function formatPrize(value) {
+    const { unit, customUnit } = prizeUnit;
+    return t(`unit.${unit}`, { amount: formatNumber(value), unit: customUnit }).trim();
+}
+
+/**
+ * Text shown for a tier on the wheel and in the history. Tiers without their
+ * own label show their amount in the configured unit.
+ * @param {object} tier - A tier of the wheel configuration (or its sold-out copy)
+ */
+export function getTierLabel(tier) {
+    if (tier.soldOut) return t('wheel.soldOut');
+    return tier.label || formatPrize(tier.value);
+}
+
+/**
+ * Replaces the text of every element marked for translation:
+ * data-i18n (text), data-i18n-placeholder and data-i18n-title.
+ * @param {ParentNode} [root=document]
+ */
+export function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+    if (root === document) document.documentElement.lang = currentLocale;
+}
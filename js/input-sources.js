@@ -0,0 +1,236 @@
+// Input Sources
+// Everything that can feed onResults(): the live camera, a recorded video file
+// (both run through Face Mesh) or a recorded landmark session (played back as is).
+// Every source has start() / stop(), a label for the UI and the aspect ratio of
+// the image its landmarks are normalised to. Manual steering without landmarks
+// lives in js/manual-input.js.
+
+import { t } from './i18n.js';
+
+// Shown while nothing is known about the input yet (webcams are usually 4:3)
+export const DEFAULT_INPUT_ASPECT = 4 / 3;
+
+function videoAspect(video) {
+    return video.videoWidth && video.videoHeight ? video.videoWidth / video.videoHeight : DEFAULT_INPUT_ASPECT;
+}
+
+export class CameraInputSource {
+    /**
+     * @param {HTMLVideoElement} video
+     * @param {function(HTMLVideoElement):Promise} sendFrame - Runs Face Mesh on the current frame
+     * @param {function():{width:number, height:number}} getResolution - Resolution to ask the
+     *   camera for, read on every start (see chooseCameraResolution() in js/core/screen-layout.js)
+     */
+    constructor(video, sendFrame, getResolution) {
+        this.video = video;
+        this.sendFrame = sendFrame;
+        this.getResolution = getResolution;
+        this.camera = null;
+        this.resolution = null;
+    }
+
+    get kind() {
+        return 'camera';
+    }
+
+    get requiresFaceMesh() {
+        return true;
+    }
+
+    get providesHeadings() {
+        return false;
+    }
+
+    get label() {
+        return t('input.camera');
+    }
+
+    get aspect() {
+        return videoAspect(this.video);
+    }
+
+    async start() {
+        // getUserMedia only exists in secure contexts (HTTPS or localhost)
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw new DOMException('getUserMedia is not available', 'NotSupportedError');
+        }
+        // Camera comes from the vendored camera_utils script, so create it on first
+        // use (and again when a different resolution is wanted). The browser treats
+        // the size as a preference and settles on the closest mode of the camera.
+        const resolution = this.getResolution();
+        if (!this.camera || resolution.width !== this.resolution.width || resolution.height !== this.resolution.height) {
+            this.camera = new Camera(this.video, {
+                onFrame: () => this.sendFrame(this.video),
+                width: resolution.width,
+                height: resolution.height
+            });
+            this.resolution = resolution;
+        }
+        await this.camera.start();
+    }
+
+    stop() {
+        if (this.camera) this.camera.stop();
+    }
+}
+
+/**
+ * Explains why the camera could not be opened, for the operator.
+ * @param {Error} err - Rejection of CameraInputSource.start()
+ * @returns {string}
+ */
+export function describeCameraError(err) {
+    switch (err && err.name) {
+        case 'NotAllowedError':
+        case 'SecurityError':
+            return t('camera.error.denied');
+        case 'NotFoundError':
+        case 'OverconstrainedError':
+            return t('camera.error.notFound');
+        case 'NotReadableError':
+        case 'AbortError':
+            return t('camera.error.busy');
+        case 'NotSupportedError':
+            return t('camera.error.unsupported');
+        default:
+            return t('camera.error.generic');
+    }
+}
+
+export class VideoFileInputSource {
+    /**
+     * @param {HTMLVideoElement} video - Plays the file (it replaces the camera picture)
+     * @param {File} file
+     * @param {function(HTMLVideoElement):Promise} sendFrame - Runs Face Mesh on the current frame
+     */
+    constructor(video, file, sendFrame) {
+        this.video = video;
+        this.file = file;
+        this.sendFrame = sendFrame;
+        this.url = null;
+        this.running = false;
+    }
+
+    get kind() {
+        return 'video';
+    }
+
+    get requiresFaceMesh() {
+        return true;
+    }
+
+    get providesHeadings() {
+        return false;
+    }
+
+    get label() {
+        return t('input.label.video', { name: this.file.name });
+    }
+
+    get aspect() {
+        return videoAspect(this.video);
+    }
+
+    async start() {
+        this.url = URL.createObjectURL(this.file);
+        this.video.srcObject = null;
+        this.video.src = this.url;
+        this.video.loop = true;
+        this.video.muted = true;
+        await this.video.play();
+        this.running = true;
+        this.pump();
+    }
+
+    // Send one frame at a time; Face Mesh can't take a new frame before the last is done
+    async pump() {
+        while (this.running) {
+            await new Promise(resolve => {
+                if (this.video.requestVideoFrameCallback) {
+                    this.video.requestVideoFrameCallback(resolve);
+                } else {
+                    requestAnimationFrame(resolve);
+                }
+            });
+            if (!this.running) break;
+            try {
+                await this.sendFrame(this.video);
+            } catch (err) {
+                console.error("Face Mesh failed on a video frame:", err);
+            }
+        }
+    }
+
+    stop() {
+        this.running = false;
+        this.video.pause();
+        this.video.removeAttribute('src');
+        this.video.load();
+        URL.revokeObjectURL(this.url);
+        this.url = null;
+    }
+}
+
+export class LandmarkPlaybackSource {
+    /**
+     * @param {object} session - From validateLandmarkSession()
+     * @param {string} name - File name, shown in the UI
+     * @param {function(object):void} onFrame - Receives { multiFaceLandmarks, playbackTimestamp } like onResults()
+     */
+    constructor(session, name, onFrame) {
+        this.session = session;
+        this.name = name;
+        this.onFrame = onFrame;
+        this.frameRequest = null;
+    }
+
+    get kind() {
+        return 'landmarks';
+    }
+
+    // Landmarks are replayed as recorded, so playback works without the model
+    get requiresFaceMesh() {
+        return false;
+    }
+
+    get providesHeadings() {
+        return false;
+    }
+
+    get label() {
+        return t('input.label.landmarks', { name: this.name });
+    }
+
+    get aspect() {
+        return this.session.aspect;
+    }
+
+    start() {
+        this.startTime = performance.now();
+        this.nextFrame = 0;
+        this.frameRequest = requestAnimationFrame(now => this.tick(now));
+    }
+
+    tick(now) {
+        const { frames, duration } = this.session;
+
+        // Deliver every frame that is due, each with its recorded timestamp, so
+        // smoothing and dwell see exactly the timing of the recording
+        while (this.nextFrame < frames.length && frames[this.nextFrame].t <= now - this.startTime) {
+            const frame = frames[this.nextFrame++];
+            this.onFrame({ multiFaceLandmarks: frame.faces, playbackTimestamp: this.startTime + frame.t });
+        }
+
+        // Loop the session
+        if (this.nextFrame >= frames.length) {
+            this.startTime += duration + 1;
+            this.nextFrame = 0;
+        }
+        this.frameRequest = requestAnimationFrame(next => this.tick(next));
+    }
+
+    stop() {
+        cancelAnimationFrame(this.frameRequest);
+        this.frameRequest = null;
+    }
+}
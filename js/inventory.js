@@ -0,0 +1,58 @@
+// Prize Inventory
+// Tracks how many prizes of each tier have been handed out against the stock
+// and budget in the wheel configuration, and keeps the count in localStorage.
+
+import { findPrizeShortfall } from './core/prize-tiers.js';
+
+// Availability of tiers and the look of sold-out ones (see js/core/prize-tiers.js)
+export {
+    SOLD_OUT_SHRINK_FACTOR, createTierResolver, getRemainingBudget, getRemainingStock, isTierAvailable
+} from './core/prize-tiers.js';
+
+const INVENTORY_STORAGE_KEY = 'faceGame.inventory';
+
+/**
+ * Inventory state: prizes issued per tier id and the total value spent.
+ * Stored separately from the wheel config so editing the stock keeps the count.
+ */
+export function loadInventory() {
+    try {
+        const stored = localStorage.getItem(INVENTORY_STORAGE_KEY);
+        if (stored) {
+            const parsed = JSON.parse(stored);
+            return { issued: parsed.issued || {}, spent: Number(parsed.spent) || 0 };
+        }
+    } catch (err) {
+        console.error("Stored inventory is invalid, starting fresh:", err);
+    }
+    return { issued: {}, spent: 0 };
+}
+
+function saveInventory(inventory) {
+    localStorage.setItem(INVENTORY_STORAGE_KEY, JSON.stringify(inventory));
+}
+
+export function resetInventory() {
+    const inventory = { issued: {}, spent: 0 };
+    saveInventory(inventory);
+    return inventory;
+}
+
+/**
+ * Records confirmed prizes against the inventory. Prizes beyond the stock or
+ * budget left are still recorded, so the counts show what was handed out.
+ * @param {object} inventory - Updated in place and saved
+ * @param {Array<object>} tiers - Tiers awarded (sold-out or missing tiers are ignored)
+ * @param {object} config - Wheel configuration with the stock and budget
+ * @returns {Array<{tier:object, reason:string}>} The prizes that were not covered (see findPrizeShortfall)
+ */
+export function recordIssuedPrizes(inventory, tiers, config) {
+    const shortfall = findPrizeShortfall(tiers, config, inventory);
+    tiers.forEach(tier => {
+        if (!tier || tier.soldOut) return;
+        inventory.issued[tier.id] = (inventory.issued[tier.id] || 0) + 1;
+        inventory.spent += tier.value;
+    });
+    saveInventory(inventory);
+    return shortfall;
+}
@@ -0,0 +1,84 @@
+// Landmark Sessions
+// Records the Face Mesh landmarks fed to onResults() with their timestamps, so a
+// sequence of head movements can be saved to a file and replayed exactly.
+
+import {
+    LANDMARK_SESSION_FORMAT, LANDMARK_SESSION_VERSION, expandLandmarkSession, findLandmarkSessionProblem
+} from './core/landmark-session.js';
+import { formatDatetimeStamp, downloadText } from './utils.js';
+import { t } from './i18n.js';
+
+// Normalised coordinates only need 5 decimals; keeps the files a manageable size
+const LANDMARK_PRECISION = 1e5;
+
+function roundLandmarkValue(value) {
+    return Math.round(value * LANDMARK_PRECISION) / LANDMARK_PRECISION;
+}
+
+export class LandmarkRecorder {
+    constructor() {
+        this.aspect = null;
+        this.startedAt = new Date().toISOString();
+        this.startTime = null;
+        this.frames = [];
+    }
+
+    /**
+     * Adds one detection frame.
+     * @param {Array<Array<{x:number, y:number, z:number}>>} multiFaceLandmarks
+     * @param {number} now - performance.now() style timestamp of the frame
+     * @param {number} aspect - Width / height of the input the landmarks are normalised to
+     */
+    add(multiFaceLandmarks, now, aspect) {
+        if (this.startTime === null) {
+            this.startTime = now;
+            this.aspect = aspect;
+        }
+        this.frames.push({
+            t: Math.round(now - this.startTime),
+            // Each face is stored flat as [x, y, z, x, y, z, ...]
+            faces: multiFaceLandmarks.map(landmarks => landmarks.flatMap(point => [
+                roundLandmarkValue(point.x),
+                roundLandmarkValue(point.y),
+                roundLandmarkValue(point.z)
+            ]))
+        });
+    }
+
+    toJSON() {
+        return {
+            format: LANDMARK_SESSION_FORMAT,
+            version: LANDMARK_SESSION_VERSION,
+            startedAt: this.startedAt,
+            aspect: this.aspect,
+            frames: this.frames
+        };
+    }
+
+    download() {
+        downloadText(JSON.stringify(this), `PartyGame_landmarks_${formatDatetimeStamp()}.json`, 'application/json');
+    }
+}
+
+/**
+ * Checks a parsed session file and expands the flat landmark arrays.
+ * @returns {object} See expandLandmarkSession()
+ * @throws {Error} With a message for the operator when the file can't be replayed
+ */
+function validateLandmarkSession(session) {
+    const found = findLandmarkSessionProblem(session);
+    if (found) throw new Error(t(`landmarks.error.${found.problem}`, found));
+    return expandLandmarkSession(session);
+}
+
+export function readLandmarkSessionFile(file) {
+    return file.text().then(text => {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (err) {
+            throw new Error(t('file.error.json'));
+        }
+        return validateLandmarkSession(parsed);
+    });
+}
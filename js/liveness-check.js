@@ -0,0 +1,82 @@
+// Liveness Check
+// Before a round, asks every player in front of the camera to blink once, so a
+// photo or a video on a phone held up to the camera can't play. Shares the
+// calibration overlay (the prompt without the target dot).
+
+import { LivenessCheck, eyeAspectRatio } from './core/liveness.js';
+import { t } from './i18n.js';
+
+const LIVENESS_TIMEOUT = 10000; // ms before the check gives up
+
+// The running check and its prompt, or null when no check is in progress
+let activeCheck = null;
+
+// Whether runLivenessCheck() is running, the closing message included
+let checking = false;
+
+/**
+ * Feeds the faces of a detection result into the running check.
+ * Called from onResults() for every detection frame; ignored when not checking.
+ * @param {Array<{id:number, landmarks:Array<object>}>} faces - Tracked faces (see js/core/face-tracker.js)
+ * @param {number} aspect - Frame width / height
+ * @param {number} timestamp - Milliseconds
+ */
+export function addLivenessSample(faces, aspect, timestamp) {
+    if (!activeCheck) return;
+    faces.forEach(({ id, landmarks }) => {
+        if (activeCheck.check.update(id, eyeAspectRatio(landmarks, aspect), timestamp)) activeCheck.update();
+    });
+}
+
+export function isCheckingLiveness() {
+    return checking;
+}
+
+/**
+ * Runs the check until every player has blinked or the time is up.
+ * Fails straight away when there is nobody to check.
+ * @param {Array<number>} playerIds - Players who must blink
+ * @returns {Promise<boolean>} Whether everyone blinked
+ */
+export async function runLivenessCheck(playerIds) {
+    checking = true;
+    try {
+        return await showLivenessCheck(playerIds);
+    } finally {
+        checking = false;
+    }
+}
+
+async function showLivenessCheck(playerIds) {
+    const overlay = document.getElementById('calibration_overlay');
+    const prompt = overlay.querySelector('.calibration-prompt');
+    overlay.classList.add('liveness-check');
+    overlay.classList.remove('hidden');
+
+    const passed = await new Promise(resolve => {
+        const timer = setTimeout(() => resolve(false), LIVENESS_TIMEOUT);
+        activeCheck = {
+            check: new LivenessCheck(playerIds),
+            update() {
+                const { waiting, passed } = this.check;
+                if (waiting.length === 0) {
+                    clearTimeout(timer);
+                    resolve(passed);
+                    return;
+                }
+                prompt.textContent = playerIds.length > 1
+                    ? t('liveness.promptPlayers', { players: waiting.map(id => `P${id}`).join(', ') })
+                    : t('liveness.prompt');
+            }
+        };
+        activeCheck.update();
+    });
+    activeCheck = null;
+
+    prompt.textContent = t(passed ? 'liveness.passed' : 'liveness.failed');
+    await new Promise(resolve => setTimeout(resolve, 800));
+    overlay.classList.add('hidden');
+    overlay.classList.remove('liveness-check');
+
+    return passed;
+}
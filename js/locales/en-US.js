@@ -0,0 +1,353 @@
+// US English messages. Keys match js/locales/zh-CN.js.
+
+export const enUS = {
+    // Prize amounts; {amount} is formatted for the language, {unit} is the custom unit
+    'unit.yuan': '¥{amount}',
+    'unit.dollar': '${amount}',
+    'unit.euro': '€{amount}',
+    'unit.points': '{amount} pts',
+    'unit.custom': '{amount} {unit}',
+
+    // Live HUD
+    'hud.touched': 'Pointing at',
+    'hud.won': 'You won',
+    'hud.language': 'Language',
+    'hud.settings': 'Settings',
+    'hud.history': 'History',
+    'hud.playerName': 'Player name (optional)',
+    'hud.operator': 'Operator console',
+    'hud.mute': 'Mute',
+    'hud.unmute': 'Unmute',
+
+    // Inputs
+    'input.camera': 'Camera',
+    'input.video': 'Video file…',
+    'input.landmarks': 'Motion recording…',
+    'input.manual': 'Mouse / keyboard / gamepad',
+    'input.camera.start': 'Turn on camera',
+    'input.camera.stop': 'Turn off camera',
+    'input.manual.start': 'Start steering',
+    'input.manual.stop': 'Stop steering',
+    'input.playback.start': 'Start playback',
+    'input.playback.stop': 'Stop playback',
+    'input.record.start': 'Record motion',
+    'input.record.stop': 'Stop recording',
+    'input.useManual': 'Use mouse / keyboard / gamepad instead',
+    'input.label.video': 'Video: {name}',
+    'input.label.landmarks': 'Motion recording: {name}',
+    'input.label.manual': 'Mouse / keyboard / gamepad: drag from the centre of the screen, or turn with ← →',
+    'input.error.model': 'The face tracking model failed to load. Check the files in vendor/',
+    'input.error.playback': 'Can\'t start playback: {message}',
+    'input.error.file': 'Can\'t read the file: {message}',
+    'camera.error.denied': 'Camera access was denied. Allow the camera in the browser\'s address bar',
+    'camera.error.notFound': 'No camera found',
+    'camera.error.busy': 'The camera can\'t start. Another program may be using it',
+    'camera.error.unsupported': 'This browser or page doesn\'t support the camera (HTTPS or localhost is required)',
+    'camera.error.generic': 'Can\'t turn on the camera',
+    'landmarks.error.notSession': 'The file is not a motion recording',
+    'landmarks.error.version': 'Unsupported motion recording version: {version}',
+    'landmarks.error.empty': 'The motion recording has no frames',
+    'landmarks.error.frame': 'Frame {frame} of the motion recording is invalid',
+    'landmarks.error.face': 'A face in frame {frame} of the motion recording has missing landmarks',
+    'file.error.json': 'The file is not valid JSON',
+
+    // Countdown panel
+    'countdown.label': '{seconds}s countdown',
+    'countdown.round': '{mode} · round {round} / {total}',
+    'countdown.best': 'Best {amount}',
+    'countdown.total': 'Total {amount}',
+    'countdown.startGame': 'Press "Space"<br>to start',
+    'countdown.nextRound': 'Press "Space"<br>for round {round}',
+
+    // Announcements (js/announcer.js)
+    'a11y.sector': 'Pointing at {prize}',
+    'a11y.playerSector': 'P{player} pointing at {prize}',
+    'a11y.countdownStart': '{seconds} second countdown',
+    'a11y.countdown': '{seconds}',
+    'a11y.result': 'You won {prize}',
+    'a11y.playerResult': 'P{player} won {prize}',
+    'a11y.separator': ', ',
+    'a11y.aborted': 'Game aborted',
+    'a11y.invalid': 'No valid result: {reason}',
+    'a11y.playerInvalid': 'P{player} no valid result',
+
+    'perf.detection': 'Detection {fps} fps',
+    'perf.render': 'Rendering {fps} fps',
+    'perf.latency': 'Latency {ms} ms',
+
+    // Seed commitment (js/core/fairness.js)
+    'commitment.title': 'Wheel commitment (SHA-256)',
+    'commitment.verify': 'Verify',
+    'commitment.fixedSeed': 'Fixed seed',
+    'commitment.unavailable': 'Unavailable (HTTPS or localhost is required)',
+
+    // Calibration
+    'calibration.center': 'Look at the centre of the screen',
+    'calibration.topLeft': 'Look at the top-left corner',
+    'calibration.topRight': 'Look at the top-right corner',
+    'calibration.bottomRight': 'Look at the bottom-right corner',
+    'calibration.bottomLeft': 'Look at the bottom-left corner',
+    'calibration.done': 'Calibration complete',
+    'calibration.failed': 'Calibration failed, keeping the previous settings',
+    'calibration.gazeHint': 'Keep your head still and follow the dot with your eyes',
+    'liveness.prompt': 'Blink once to start',
+    'liveness.promptPlayers': 'Blink once to start: {players}',
+    'liveness.passed': 'Ready',
+    'liveness.failed': 'No blink seen, the round did not start',
+    'integrity.faceLost': 'The face was not tracked through the final second',
+    'integrity.multipleFaces': 'More than one face was in the frame',
+    'integrity.faceSwap': 'The face changed during the round',
+
+    // Game modes (js/core/game-modes.js)
+    'gameMode.single': 'Single round',
+    'gameMode.bestOf': 'Best of',
+    'gameMode.cumulative': 'Cumulative',
+    'gameMode.suddenDeath': 'Sudden death',
+
+    // Result modal and image
+    'result.loading': 'Loading...',
+    'result.imageFailed': 'Failed to create the result image',
+    'result.confirm': 'Confirm prize',
+    'result.void': 'Void',
+    'result.confirmed': 'Prize confirmed',
+    'result.voided': 'Result voided',
+    'result.shortfall': 'Prize confirmed, but more was won than is left: {prizes}',
+    'result.shortfallReason.stock': '{tier} (out of stock)',
+    'result.shortfallReason.budget': '{tier} (over budget)',
+    'result.player': 'P{player}: {amount}{rounds}',
+    'result.rounds': ' (rounds: {rounds})',
+    'result.invalid': 'No valid result',
+    'result.playerInvalid': 'P{player}: no valid result ({reason})',
+    'result.nothingIssued': 'Nothing to hand out, the game was voided',
+    'result.seed': 'Seed {seed} · salt {salt}',
+    'replay.encoding': 'Creating replay...',
+    'replay.unsupported': 'This browser can\'t record replays',
+    'replay.failed': 'Failed to create the replay',
+    'replay.downloadClip': 'Download replay (WebM)',
+    'replay.downloadAnimation': 'Download animation ({format})',
+
+    // Wheel
+    'wheel.soldOut': 'Sold out',
+
+    // Settings
+    'settings.title': 'Settings',
+    'settings.prizes': 'Prizes',
+    'settings.totalSectors': 'Total sectors',
+    'settings.tier.color': 'Colour',
+    'settings.tier.textColor': 'Text colour',
+    'settings.tier.label': 'Name',
+    'settings.tier.labelAuto': 'From amount',
+    'settings.tier.pattern': 'Pattern',
+    'settings.tier.value': 'Amount',
+    'settings.tier.minCount': 'Min. count',
+    'settings.tier.size': 'Relative size',
+    'settings.tier.stock': 'Stock',
+    'settings.tier.remaining': 'Left',
+    'settings.tier.remove': 'Remove',
+    'settings.addTier': 'Add prize',
+    'settings.inventory': 'Stock and budget',
+    'settings.budget': 'Total budget',
+    'settings.budgetRemaining': 'Budget left: ',
+    'settings.unlimited': 'Unlimited',
+    'settings.soldOut': 'When a prize runs out',
+    'settings.soldOut.label': 'Show "Sold out"',
+    'settings.soldOut.shrink': 'Shrink the sector and show "Sold out"',
+    'settings.soldOut.merge': 'Merge into the next lower prize',
+    'settings.resetInventory': 'Reset stock',
+    'settings.confirmResetInventory': 'Reset the stock? Issued counts and the spent budget go back to zero.',
+    'settings.game': 'Game mode',
+    'settings.game.mode': 'Mode',
+    'settings.game.single': 'Single round',
+    'settings.game.bestOf': 'Best of (best of N rounds counts)',
+    'settings.game.cumulative': 'Cumulative (N rounds add up)',
+    'settings.game.suddenDeath': 'Sudden death (new wheel every round, out on a lower prize)',
+    'settings.game.rounds': 'Rounds',
+    'settings.game.countdown': 'Countdown per round (s)',
+    'settings.spin': 'Spinning wheel',
+    'settings.spin.enabled': 'Spin the wheel during the countdown, stopping when it ends',
+    'settings.spin.speed': 'Speed (°/s)',
+    'settings.spin.directionChanges': 'Direction changes',
+    'settings.spin.stopTime': 'Slow-down time (s)',
+    'settings.spin.seed': 'Fixed seed',
+    'settings.spin.seedPlaceholder': 'Empty = random',
+    'settings.display': 'Language and unit',
+    'settings.display.unit': 'Prize unit',
+    'settings.display.yuan': 'Yuan',
+    'settings.display.dollar': 'Dollars',
+    'settings.display.euro': 'Euros',
+    'settings.display.points': 'Points',
+    'settings.display.custom': 'Custom',
+    'settings.display.customUnit': 'Custom unit',
+    'settings.accessibility': 'Accessibility',
+    'settings.accessibility.palette': 'Wheel colours',
+    'settings.accessibility.default': 'As configured',
+    'settings.accessibility.colorBlind': 'Colour-blind safe',
+    'settings.accessibility.highContrast': 'High contrast',
+    'settings.accessibility.autoPatterns': 'Add patterns to prizes that have none',
+    'settings.accessibility.speech': 'Read out the sector, the countdown and the result',
+    'pattern.none': 'None',
+    'pattern.stripes': 'Stripes',
+    'pattern.dots': 'Dots',
+    'pattern.grid': 'Grid',
+    'pattern.crosshatch': 'Crosshatch',
+    'pattern.zigzag': 'Zigzag',
+    'pattern.checker': 'Checker',
+    'settings.multiplayer': 'Multiplayer',
+    'settings.multiplayer.enabled': 'Enable multiplayer (one ray per face)',
+    'settings.multiplayer.maxPlayers': 'Max. players',
+    'settings.camera': 'Camera',
+    'settings.camera.resolution': 'Resolution (applies the next time the camera starts)',
+    'settings.camera.auto': 'Automatic (fits the video frame)',
+    'settings.effects': 'Sound and effects',
+    'settings.effects.muted': 'Mute',
+    'settings.effects.volume': 'Volume (0-1)',
+    'settings.effects.preset': 'Sound preset',
+    'settings.effects.normal': 'Standard',
+    'settings.effects.quiet': 'Quiet venue (no ticks or fanfare, only the last 3 seconds beep)',
+    'settings.effects.particles': 'Throw coins or confetti when the result appears',
+    'settings.webhook': 'Result webhook',
+    'settings.webhook.enabled': 'POST every round result and confirmed prize as JSON to the URL below',
+    'settings.webhook.url': 'Webhook URL',
+    'settings.performance': 'Performance',
+    'settings.performance.hud': 'Show detection rate, frame rate and latency',
+    'settings.calibration': 'Head calibration',
+    'settings.calibration.beforeRound': 'Calibrate before every game (look at the centre and the four corners)',
+    'settings.calibration.reset': 'Reset calibration',
+    'settings.control': 'Control',
+    'settings.control.mode': 'The ray follows',
+    'settings.control.head': 'Head direction',
+    'settings.control.gaze': 'Eye gaze (harder, with its own short calibration)',
+    'settings.control.headWeight': 'Share of the head direction in the gaze mode (0-1)',
+    'settings.integrity': 'Round checks',
+    'settings.integrity.enabled': 'Void a round when a face is lost in its final second or swapped',
+    'settings.integrity.singlePlayer': 'Single player: also void a round when a second face shows up',
+    'settings.integrity.liveness': 'Ask players to blink before each round',
+    'settings.smoothing': 'Ray smoothing',
+    'settings.smoothing.enabled': 'Enable smoothing (One-Euro filter)',
+    'settings.smoothing.minCutoff': 'Min. cutoff (Hz)',
+    'settings.smoothing.beta': 'Speed coefficient beta',
+    'settings.dwell.enabled': 'Dwell lock: a sector only counts once the ray stays on it',
+    'settings.dwell.time': 'Dwell time (ms)',
+    'settings.resultImage': 'Result image',
+    'settings.resultImage.width': 'Resolution',
+    'settings.resultImage.format': 'Format',
+    'settings.resultImage.quality': 'Quality (JPEG / WebP)',
+    'settings.replay': 'Replay',
+    'settings.replay.enabled': 'Record a replay of every countdown (WebM)',
+    'settings.replay.tail': 'Keep recording after the end (s)',
+    'settings.replay.width': 'Video width',
+    'settings.replay.animated': 'Also export an animation',
+    'settings.replay.none': 'No',
+    'settings.import': 'Import from file',
+    'settings.export': 'Export configuration',
+    'settings.reset': 'Restore defaults',
+    'settings.save': 'Save',
+    'settings.error.number': '"{name}" must be a number',
+    'settings.error.range': '"{name}" must be between {min} and {max}',
+    'settings.error.format': '"{name}" has an invalid format',
+    'settings.error.integer': '"{name}" must be a whole number',
+    'settings.error.boolean': '"{name}" must be true or false',
+    'settings.error.string': '"{name}" must be text',
+    'settings.error.object': '"{name}" must be a group of settings',
+    'settings.error.choice': '"{name}" must be one of {values}',
+
+    // Wheel configuration errors (js/wheel-config.js)
+    'wheelConfig.error.object': 'The configuration must be a JSON object',
+    'wheelConfig.error.noTiers': 'At least one prize (tiers) is required',
+    'wheelConfig.error.totalSectors': 'Total sectors must be a positive integer',
+    'wheelConfig.error.weightRange': 'weightRange must be [min, max] and greater than 0',
+    'wheelConfig.error.budget': 'The total budget must be a non-negative number, or empty for no limit',
+    'wheelConfig.error.soldOutMode': 'soldOutMode must be one of {modes}',
+    'wheelConfig.error.tier': 'Prize {tier} has an invalid format',
+    'wheelConfig.error.color': 'The colour of prize {tier} must be #RRGGBB',
+    'wheelConfig.error.textColor': 'The text colour of prize {tier} must be #RRGGBB',
+    'wheelConfig.error.value': 'The amount of prize {tier} must be a non-negative number',
+    'wheelConfig.error.minCount': 'The min. count of prize {tier} must be a non-negative integer',
+    'wheelConfig.error.size': 'The relative size of prize {tier} must be greater than 0',
+    'wheelConfig.error.stock': 'The stock of prize {tier} must be a non-negative integer, or empty for no limit',
+    'wheelConfig.error.pattern': 'The pattern of prize {tier} must be one of {patterns}',
+    'wheelConfig.error.minimumSectors': 'The min. counts add up to {minimum}, more than the {total} sectors',
+
+    // History
+    'history.title': 'History',
+    'history.grandTotal': 'Total handed out',
+    'history.grandTotalNote': '(confirmed results only)',
+    'history.byTier': 'By prize',
+    'history.bySession': 'By session',
+    'history.recent': 'Recent results',
+    'history.tier': 'Prize',
+    'history.count': 'Count',
+    'history.total': 'Total',
+    'history.session': 'Session',
+    'history.records': 'Records',
+    'history.time': 'Time',
+    'history.player': 'Player',
+    'history.seed': 'Seed',
+    'history.status': 'Status',
+    'history.currentSession': '{session} (current)',
+    'history.miss': 'Miss',
+    'history.status.pending': 'Pending',
+    'history.status.confirmed': 'Handed out',
+    'history.status.voided': 'Voided',
+    'history.newSession': 'Start new session',
+    'history.exportCsv': 'Export CSV',
+    'history.exportJson': 'Export JSON',
+    'history.clear': 'Clear history',
+    'history.confirmClear': 'Clear the whole history? This can\'t be undone.',
+
+    // Operator console (operator.html)
+    'operator.title': 'Operator console',
+    'operator.connected': 'Connected to the game window',
+    'operator.waiting': 'Waiting for the game window… open the game page in this browser',
+    'operator.unsupported': 'This browser has no BroadcastChannel, so it can\'t reach the game window',
+    'operator.game': 'Game',
+    'operator.phase': 'Status',
+    'operator.phase.idle': 'Ready to start',
+    'operator.phase.calibrating': 'Calibrating',
+    'operator.phase.livenessCheck': 'Waiting for a blink',
+    'operator.phase.countdown': 'Countdown running',
+    'operator.phase.betweenRounds': 'Waiting for the next round',
+    'operator.phase.result': 'Result waiting for confirmation',
+    'operator.countdown': 'Countdown',
+    'operator.round': 'Round',
+    'operator.input': 'Input',
+    'operator.inputRunning': '{input} (running)',
+    'operator.inputStopped': '{input} (stopped)',
+    'operator.playerName': 'Player name',
+    'operator.start': 'Start next round',
+    'operator.abort': 'Abort game',
+    'operator.confirmAbort': 'Abort the current game? No result is stored and the wheel is generated again.',
+    'operator.newWheel': 'New wheel',
+    'operator.result': 'Result',
+    'operator.closeResult': 'Close result screen',
+    'operator.players': 'Players',
+    'operator.currentPrize': 'Current prize',
+    'operator.tracking': 'Tracking',
+    'operator.inFrame': 'In frame',
+    'operator.lost': 'Lost',
+    'operator.stats': 'Statistics',
+    'operator.stats.games': 'Games played',
+    'operator.stats.confirmed': 'Handed out',
+    'operator.stats.voided': 'Voided',
+    'operator.stats.issued': 'Total handed out',
+    'operator.stats.performance': 'Performance',
+    'operator.settingsRejected': 'The game did not accept the settings: {message}',
+
+    // Verification page (verify.html)
+    'verify.title': 'Wheel verification',
+    'verify.intro': 'Before every game the page shows a SHA-256 commitment to the wheel\'s seed. After the game the result image and the history reveal the seed and the salt. Check the commitment here and rebuild the same wheel from the seed.',
+    'verify.commitment': 'Check the commitment',
+    'verify.seed': 'Seed',
+    'verify.seedPlaceholder': '8 hex digits',
+    'verify.salt': 'Salt',
+    'verify.rebuild': 'Rebuild the wheel',
+    'verify.recordHint': 'Paste JSON exported from the history (one record or the whole file) instead of the fields above',
+    'verify.run': 'Verify',
+    'verify.commitmentColumn': 'Commitment',
+    'verify.wheel': 'Wheel',
+    'verify.match': '✓ Matches',
+    'verify.mismatch': '✗ Does not match',
+    'verify.error.json': 'Invalid JSON',
+    'verify.error.noSeed': 'No records with a seed',
+    'verify.error.failed': 'Verification failed (this browser may not support Web Crypto)'
+};
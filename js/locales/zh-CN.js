@@ -0,0 +1,355 @@
+// Simplified Chinese messages (the original language of the game).
+// Keys are shared with the other catalogues in this folder; {name} is replaced
+// by the parameter of the same name, see t() in js/i18n.js.
+
+export const zhCN = {
+    // Prize amounts; {amount} is formatted for the language, {unit} is the custom unit
+    'unit.yuan': '{amount} 元',
+    'unit.dollar': '{amount} 美元',
+    'unit.euro': '{amount} 欧元',
+    'unit.points': '{amount} 分',
+    'unit.custom': '{amount} {unit}',
+
+    // Live HUD
+    'hud.touched': '已触及',
+    'hud.won': '恭喜获得',
+    'hud.language': '语言',
+    'hud.settings': '设置',
+    'hud.history': '历史记录',
+    'hud.playerName': '玩家名称（可选）',
+    'hud.operator': '操作台',
+    'hud.mute': '静音',
+    'hud.unmute': '取消静音',
+
+    // Inputs
+    'input.camera': '摄像头',
+    'input.video': '视频文件…',
+    'input.landmarks': '动作录制文件…',
+    'input.manual': '鼠标 / 键盘 / 手柄',
+    'input.camera.start': '开启摄像头',
+    'input.camera.stop': '关闭摄像头',
+    'input.manual.start': '开始操控',
+    'input.manual.stop': '停止操控',
+    'input.playback.start': '开始回放',
+    'input.playback.stop': '停止回放',
+    'input.record.start': '录制动作',
+    'input.record.stop': '停止录制',
+    'input.useManual': '改用鼠标 / 键盘 / 手柄',
+    'input.label.video': '视频：{name}',
+    'input.label.landmarks': '动作录制：{name}',
+    'input.label.manual': '鼠标 / 键盘 / 手柄：从屏幕中心拖动，或按 ← → 键转动',
+    'input.error.model': '人脸识别模型加载失败，请检查 vendor/ 中的文件',
+    'input.error.playback': '无法开始回放：{message}',
+    'input.error.file': '无法读取文件：{message}',
+    'camera.error.denied': '摄像头权限被拒绝，请在浏览器地址栏中允许访问摄像头',
+    'camera.error.notFound': '没有找到可用的摄像头',
+    'camera.error.busy': '摄像头无法启动，可能正被其他程序占用',
+    'camera.error.unsupported': '此浏览器或页面不支持摄像头（需要 HTTPS 或 localhost）',
+    'camera.error.generic': '无法开启摄像头',
+    'landmarks.error.notSession': '文件不是动作录制文件',
+    'landmarks.error.version': '不支持的动作录制文件版本：{version}',
+    'landmarks.error.empty': '动作录制文件中没有任何帧',
+    'landmarks.error.frame': '动作录制文件第 {frame} 帧无效',
+    'landmarks.error.face': '动作录制文件第 {frame} 帧的人脸关键点不完整',
+    'file.error.json': '文件不是有效的 JSON',
+
+    // Countdown panel
+    'countdown.label': '{seconds}s倒计时',
+    'countdown.round': '{mode} 第 {round} / {total} 轮',
+    'countdown.best': '最佳 {amount}',
+    'countdown.total': '累计 {amount}',
+    'countdown.startGame': '按压 "空格键"<br>开启游戏',
+    'countdown.nextRound': '按压 "空格键"<br>开始第 {round} 轮',
+
+    // Announcements (js/announcer.js)
+    'a11y.sector': '指向 {prize}',
+    'a11y.playerSector': 'P{player} 指向 {prize}',
+    'a11y.countdownStart': '倒计时 {seconds} 秒',
+    'a11y.countdown': '{seconds}',
+    'a11y.result': '恭喜获得 {prize}',
+    'a11y.playerResult': 'P{player} 获得 {prize}',
+    'a11y.separator': '，',
+    'a11y.aborted': '游戏已中止',
+    'a11y.invalid': '无有效结果：{reason}',
+    'a11y.playerInvalid': 'P{player} 无有效结果',
+
+    'perf.detection': '检测 {fps} 帧/秒',
+    'perf.render': '渲染 {fps} 帧/秒',
+    'perf.latency': '延迟 {ms} 毫秒',
+
+    // Seed commitment (js/core/fairness.js)
+    'commitment.title': '转盘承诺 (SHA-256)',
+    'commitment.verify': '验证',
+    'commitment.fixedSeed': '固定种子',
+    'commitment.unavailable': '不可用（需要 HTTPS 或 localhost）',
+
+    // Calibration
+    'calibration.center': '请看向屏幕中心',
+    'calibration.topLeft': '请看向左上角',
+    'calibration.topRight': '请看向右上角',
+    'calibration.bottomRight': '请看向右下角',
+    'calibration.bottomLeft': '请看向左下角',
+    'calibration.done': '校准完成',
+    'calibration.failed': '校准失败，将沿用之前的设置',
+    'calibration.gazeHint': '头部保持不动，只用眼睛跟随圆点',
+    'liveness.prompt': '请眨一下眼睛开始',
+    'liveness.promptPlayers': '请眨一下眼睛开始：{players}',
+    'liveness.passed': '准备就绪',
+    'liveness.failed': '未检测到眨眼，本轮未开始',
+    'integrity.faceLost': '最后一秒内未能持续跟踪到人脸',
+    'integrity.multipleFaces': '画面中出现了多张人脸',
+    'integrity.faceSwap': '本轮中途更换了人脸',
+
+    // Game modes (js/core/game-modes.js)
+    'gameMode.single': '单轮',
+    'gameMode.bestOf': '最佳成绩',
+    'gameMode.cumulative': '累计总额',
+    'gameMode.suddenDeath': '突然死亡',
+
+    // Result modal and image
+    'result.loading': '加载中...',
+    'result.imageFailed': '结果图片生成失败',
+    'result.confirm': '确认发放',
+    'result.void': '作废',
+    'result.confirmed': '已确认发放',
+    'result.voided': '结果已作废',
+    'result.shortfall': '已确认发放，但中奖超出剩余：{prizes}',
+    'result.shortfallReason.stock': '{tier}（库存不足）',
+    'result.shortfallReason.budget': '{tier}（超出预算）',
+    'result.player': 'P{player}: {amount}{rounds}',
+    'result.rounds': '（各轮：{rounds}）',
+    'result.invalid': '无有效结果',
+    'result.playerInvalid': 'P{player}：无有效结果（{reason}）',
+    'result.nothingIssued': '本局已作废，无奖品发放',
+    'result.seed': '种子 {seed} · 盐 {salt}',
+    'replay.encoding': '回放生成中...',
+    'replay.unsupported': '此浏览器不支持录制回放',
+    'replay.failed': '回放生成失败',
+    'replay.downloadClip': '下载回放 (WebM)',
+    'replay.downloadAnimation': '下载动图 ({format})',
+
+    // Wheel
+    'wheel.soldOut': '已抽完',
+
+    // Settings
+    'settings.title': '设置',
+    'settings.prizes': '奖池',
+    'settings.totalSectors': '扇区总数',
+    'settings.tier.color': '颜色',
+    'settings.tier.textColor': '文字颜色',
+    'settings.tier.label': '名称',
+    'settings.tier.labelAuto': '按金额',
+    'settings.tier.pattern': '图案',
+    'settings.tier.value': '金额',
+    'settings.tier.minCount': '最少个数',
+    'settings.tier.size': '相对大小',
+    'settings.tier.stock': '库存',
+    'settings.tier.remaining': '剩余',
+    'settings.tier.remove': '删除',
+    'settings.addTier': '添加奖项',
+    'settings.inventory': '库存与预算',
+    'settings.budget': '总预算',
+    'settings.budgetRemaining': '剩余预算：',
+    'settings.unlimited': '不限',
+    'settings.soldOut': '奖项抽完后',
+    'settings.soldOut.label': '显示“已抽完”',
+    'settings.soldOut.shrink': '缩小扇区并显示“已抽完”',
+    'settings.soldOut.merge': '并入下一档奖项',
+    'settings.resetInventory': '重置库存',
+    'settings.confirmResetInventory': '确定要重置库存吗？已发放数量和已用预算将清零。',
+    'settings.game': '游戏模式',
+    'settings.game.mode': '模式',
+    'settings.game.single': '单轮',
+    'settings.game.bestOf': '最佳成绩（N 轮取最高一轮）',
+    'settings.game.cumulative': '累计总额（N 轮奖金相加）',
+    'settings.game.suddenDeath': '突然死亡（每轮重排转盘，奖金低于上一轮即出局）',
+    'settings.game.rounds': '轮数',
+    'settings.game.countdown': '每轮倒计时 (秒)',
+    'settings.spin': '转盘旋转',
+    'settings.spin.enabled': '倒计时期间转动转盘，倒计时结束时停下',
+    'settings.spin.speed': '转速 (度/秒)',
+    'settings.spin.directionChanges': '换向次数',
+    'settings.spin.stopTime': '减速时间 (秒)',
+    'settings.spin.seed': '固定种子',
+    'settings.spin.seedPlaceholder': '留空则随机',
+    'settings.display': '语言与单位',
+    'settings.display.unit': '奖金单位',
+    'settings.display.yuan': '元',
+    'settings.display.dollar': '美元',
+    'settings.display.euro': '欧元',
+    'settings.display.points': '积分',
+    'settings.display.custom': '自定义',
+    'settings.display.customUnit': '自定义单位',
+    'settings.accessibility': '无障碍',
+    'settings.accessibility.palette': '转盘配色',
+    'settings.accessibility.default': '按奖项设置',
+    'settings.accessibility.colorBlind': '色盲友好',
+    'settings.accessibility.highContrast': '高对比度',
+    'settings.accessibility.autoPatterns': '为没有图案的奖项自动添加图案',
+    'settings.accessibility.speech': '语音播报当前扇区、倒计时和结果',
+    'pattern.none': '无',
+    'pattern.stripes': '斜纹',
+    'pattern.dots': '圆点',
+    'pattern.grid': '网格',
+    'pattern.crosshatch': '交叉线',
+    'pattern.zigzag': '锯齿',
+    'pattern.checker': '棋盘',
+    'settings.multiplayer': '多人模式',
+    'settings.multiplayer.enabled': '启用多人模式（每张人脸一条射线）',
+    'settings.multiplayer.maxPlayers': '最多玩家数',
+    'settings.camera': '摄像头',
+    'settings.camera.resolution': '分辨率（下次开启摄像头时生效）',
+    'settings.camera.auto': '自动（按画面大小）',
+    'settings.effects': '音效与特效',
+    'settings.effects.muted': '静音',
+    'settings.effects.volume': '音量 (0-1)',
+    'settings.effects.preset': '音效方案',
+    'settings.effects.normal': '标准',
+    'settings.effects.quiet': '安静场所（无滴答声和号角，只提示最后 3 秒）',
+    'settings.effects.particles': '结果出现时撒金币或彩纸',
+    'settings.webhook': '结果推送',
+    'settings.webhook.enabled': '每轮结果和确认的奖品以 JSON 推送到下面的地址',
+    'settings.webhook.url': '推送地址',
+    'settings.performance': '性能',
+    'settings.performance.hud': '显示检测帧率、渲染帧率和延迟',
+    'settings.calibration': '头部校准',
+    'settings.calibration.beforeRound': '每局游戏开始前进行校准（看向中心和四个角）',
+    'settings.calibration.reset': '重置校准',
+    'settings.control': '操控方式',
+    'settings.control.mode': '射线跟随',
+    'settings.control.head': '头部朝向',
+    'settings.control.gaze': '眼睛注视（更难，有单独的简短校准）',
+    'settings.control.headWeight': '注视模式中头部朝向的比重 (0-1)',
+    'settings.integrity': '轮次校验',
+    'settings.integrity.enabled': '最后一秒丢失人脸或中途换人时本轮作废',
+    'settings.integrity.singlePlayer': '单人模式：画面中出现第二张人脸时本轮作废',
+    'settings.integrity.liveness': '每轮开始前要求玩家眨眼',
+    'settings.smoothing': '射线平滑',
+    'settings.smoothing.enabled': '启用平滑（One-Euro 滤波）',
+    'settings.smoothing.minCutoff': '最小截止频率 (Hz)',
+    'settings.smoothing.beta': '速度系数 beta',
+    'settings.dwell.enabled': '停留锁定：射线停留足够久才算选中扇区',
+    'settings.dwell.time': '停留时间 (毫秒)',
+    'settings.resultImage': '结果图片',
+    'settings.resultImage.width': '分辨率',
+    'settings.resultImage.format': '格式',
+    'settings.resultImage.quality': '质量 (JPEG / WebP)',
+    'settings.replay': '回放',
+    'settings.replay.enabled': '录制每轮倒计时的回放视频 (WebM)',
+    'settings.replay.tail': '结束后继续录制 (秒)',
+    'settings.replay.width': '视频宽度',
+    'settings.replay.animated': '同时导出动图',
+    'settings.replay.none': '不导出',
+    'settings.import': '从文件导入',
+    'settings.export': '导出配置',
+    'settings.reset': '恢复默认',
+    'settings.save': '保存',
+    'settings.error.number': '"{name}" 必须是数字',
+    'settings.error.range': '"{name}" 必须在 {min} 到 {max} 之间',
+    'settings.error.format': '"{name}" 格式不正确',
+    'settings.error.integer': '"{name}" 必须是整数',
+    'settings.error.boolean': '"{name}" 必须是 true 或 false',
+    'settings.error.string': '"{name}" 必须是文本',
+    'settings.error.object': '"{name}" 必须是一组设置',
+    'settings.error.choice': '"{name}" 必须是以下之一：{values}',
+
+    // Wheel configuration errors (js/wheel-config.js)
+    'wheelConfig.error.object': '配置必须是一个 JSON 对象',
+    'wheelConfig.error.noTiers': '至少需要一个奖项 (tiers)',
+    'wheelConfig.error.totalSectors': '扇区总数必须是正整数',
+    'wheelConfig.error.weightRange': 'weightRange 必须是 [最小值, 最大值] 且大于 0',
+    'wheelConfig.error.budget': '总预算必须是非负数，留空表示不限',
+    'wheelConfig.error.soldOutMode': 'soldOutMode 必须是 {modes} 之一',
+    'wheelConfig.error.tier': '第 {tier} 个奖项格式不正确',
+    'wheelConfig.error.color': '第 {tier} 个奖项的颜色必须是 #RRGGBB 格式',
+    'wheelConfig.error.textColor': '第 {tier} 个奖项的文字颜色必须是 #RRGGBB 格式',
+    'wheelConfig.error.value': '第 {tier} 个奖项的金额必须是非负数',
+    'wheelConfig.error.minCount': '第 {tier} 个奖项的最少个数必须是非负整数',
+    'wheelConfig.error.size': '第 {tier} 个奖项的相对大小必须大于 0',
+    'wheelConfig.error.stock': '第 {tier} 个奖项的库存必须是非负整数，留空表示不限',
+    'wheelConfig.error.pattern': '第 {tier} 个奖项的图案必须是 {patterns} 之一',
+    'wheelConfig.error.minimumSectors': '最少个数之和 ({minimum}) 超过了扇区总数 ({total})',
+
+    // History
+    'history.title': '历史记录',
+    'history.grandTotal': '累计发放',
+    'history.grandTotalNote': '（仅统计已确认的结果）',
+    'history.byTier': '按奖项统计',
+    'history.bySession': '按场次统计',
+    'history.recent': '最近记录',
+    'history.tier': '奖项',
+    'history.count': '次数',
+    'history.total': '合计',
+    'history.session': '场次',
+    'history.records': '记录数',
+    'history.time': '时间',
+    'history.player': '玩家',
+    'history.seed': '种子',
+    'history.status': '状态',
+    'history.currentSession': '{session}（当前）',
+    'history.miss': '未命中',
+    'history.status.pending': '待确认',
+    'history.status.confirmed': '已发放',
+    'history.status.voided': '已作废',
+    'history.newSession': '开始新场次',
+    'history.exportCsv': '导出 CSV',
+    'history.exportJson': '导出 JSON',
+    'history.clear': '清空记录',
+    'history.confirmClear': '确定要清空全部历史记录吗？此操作无法撤销。',
+
+    // Operator console (operator.html)
+    'operator.title': '操作台',
+    'operator.connected': '已连接游戏窗口',
+    'operator.waiting': '等待游戏窗口……请在同一浏览器中打开游戏页面',
+    'operator.unsupported': '此浏览器不支持 BroadcastChannel，无法连接游戏窗口',
+    'operator.game': '游戏',
+    'operator.phase': '状态',
+    'operator.phase.idle': '等待开始',
+    'operator.phase.calibrating': '校准中',
+    'operator.phase.livenessCheck': '等待眨眼',
+    'operator.phase.countdown': '倒计时中',
+    'operator.phase.betweenRounds': '等待下一轮',
+    'operator.phase.result': '等待确认结果',
+    'operator.countdown': '倒计时',
+    'operator.round': '轮次',
+    'operator.input': '输入',
+    'operator.inputRunning': '{input}（运行中）',
+    'operator.inputStopped': '{input}（未开启）',
+    'operator.playerName': '玩家名称',
+    'operator.start': '开始下一轮',
+    'operator.abort': '中止游戏',
+    'operator.confirmAbort': '中止当前游戏？本局不会记录结果，转盘将重新生成。',
+    'operator.newWheel': '换新转盘',
+    'operator.result': '结果',
+    'operator.closeResult': '关闭结果画面',
+    'operator.players': '玩家',
+    'operator.currentPrize': '当前奖金',
+    'operator.tracking': '跟踪',
+    'operator.inFrame': '画面中',
+    'operator.lost': '已丢失',
+    'operator.stats': '统计',
+    'operator.stats.games': '已玩局数',
+    'operator.stats.confirmed': '已发放',
+    'operator.stats.voided': '已作废',
+    'operator.stats.issued': '发放总额',
+    'operator.stats.performance': '性能',
+    'operator.settingsRejected': '游戏未接受这些设置：{message}',
+
+    // Verification page (verify.html)
+    'verify.title': '转盘验证',
+    'verify.intro': '每局游戏开始前，页面会显示转盘种子的 SHA-256 承诺；游戏结束后，结果图片和历史记录会公开种子和盐。在这里核对承诺，并用种子重建同一个转盘。',
+    'verify.commitment': '核对承诺',
+    'verify.seed': '种子',
+    'verify.seedPlaceholder': '8 位十六进制',
+    'verify.salt': '盐',
+    'verify.rebuild': '重建转盘',
+    'verify.recordHint': '粘贴历史记录导出的 JSON（一条记录或整个文件），可代替上面的输入',
+    'verify.run': '验证',
+    'verify.commitmentColumn': '承诺',
+    'verify.wheel': '转盘',
+    'verify.match': '✓ 一致',
+    'verify.mismatch': '✗ 不一致',
+    'verify.error.json': 'JSON 格式不正确',
+    'verify.error.noSeed': '没有带种子的记录',
+    'verify.error.failed': '验证失败（此浏览器可能不支持 Web Crypto）'
+};
@@ -0,0 +1,161 @@
+// Manual Input
+// Steers the ray without head tracking, for machines without a camera and for
+// guests who can't use head tracking: drag from the centre of the screen with
+// the mouse or a finger, turn the ray with the arrow keys, or point it with a
+// gamepad's left stick (the d-pad turns it like the arrow keys). The source
+// hands headings straight to the game, skipping Face Mesh and calibration.
+
+import { WHEEL_START_ANGLE } from './core/wheel-layout.js';
+import { getHeadingForScreenDirection } from './core/hit-test.js';
+import { DEFAULT_INPUT_ASPECT } from './input-sources.js';
+import { t } from './i18n.js';
+
+const MANUAL_TURN_SPEED = Math.PI * 2 / 3; // rad/s while an arrow key or d-pad button is held
+const MANUAL_DRAG_MIN_DISTANCE = 10;       // px from the centre before a drag sets the direction
+const GAMEPAD_DEADZONE = 0.3;              // Stick deflection below this keeps the last direction
+
+// Standard gamepad mapping: d-pad left / right
+const GAMEPAD_BUTTON_LEFT = 14;
+const GAMEPAD_BUTTON_RIGHT = 15;
+
+// Pointer events on these elements are left to the page
+const MANUAL_IGNORED_TARGETS = 'button, input, select, textarea, label, .side-panel, .modal-overlay';
+
+export class ManualInputSource {
+    /**
+     * @param {HTMLElement} surface - Element that receives drags (usually document.body)
+     * @param {function({heading:{x:number, y:number}, timestamp:number}):void} onHeading
+     *   Receives the heading once per animation frame while running
+     * @param {function():{x:number, y:number}} getOrigin - Where the rays start on screen (CSS pixels)
+     */
+    constructor(surface, onHeading, getOrigin) {
+        this.surface = surface;
+        this.onHeading = onHeading;
+        this.getOrigin = getOrigin;
+        this.angle = WHEEL_START_ANGLE; // Screen angle of the drawn ray
+        this.heldKeys = new Set();
+        this.dragPointer = null;
+        this.frameRequest = null;
+        this.lastFrame = null;
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+    }
+
+    get kind() {
+        return 'manual';
+    }
+
+    get requiresFaceMesh() {
+        return false;
+    }
+
+    // Headings come from the player directly, not from landmarks
+    get providesHeadings() {
+        return true;
+    }
+
+    get label() {
+        return t('input.label.manual');
+    }
+
+    get aspect() {
+        return DEFAULT_INPUT_ASPECT;
+    }
+
+    start() {
+        this.surface.classList.add('manual-input');
+        this.surface.addEventListener('pointerdown', this.handlePointerDown);
+        this.surface.addEventListener('pointermove', this.handlePointerMove);
+        this.surface.addEventListener('pointerup', this.handlePointerUp);
+        this.surface.addEventListener('pointercancel', this.handlePointerUp);
+        document.addEventListener('keydown', this.handleKeyDown);
+        document.addEventListener('keyup', this.handleKeyUp);
+        this.lastFrame = null;
+        this.frameRequest = requestAnimationFrame(now => this.tick(now));
+    }
+
+    stop() {
+        this.surface.classList.remove('manual-input');
+        this.surface.removeEventListener('pointerdown', this.handlePointerDown);
+        this.surface.removeEventListener('pointermove', this.handlePointerMove);
+        this.surface.removeEventListener('pointerup', this.handlePointerUp);
+        this.surface.removeEventListener('pointercancel', this.handlePointerUp);
+        document.removeEventListener('keydown', this.handleKeyDown);
+        document.removeEventListener('keyup', this.handleKeyUp);
+        this.heldKeys.clear();
+        this.dragPointer = null;
+        cancelAnimationFrame(this.frameRequest);
+        this.frameRequest = null;
+    }
+
+    tick(now) {
+        const dt = this.lastFrame === null ? 0 : (now - this.lastFrame) / 1000;
+        this.lastFrame = now;
+
+        let turn = 0;
+        if (this.heldKeys.has('ArrowLeft')) turn--;
+        if (this.heldKeys.has('ArrowRight')) turn++;
+        turn += this.pollGamepad();
+        this.angle += Math.sign(turn) * MANUAL_TURN_SPEED * dt;
+
+        const direction = { x: Math.cos(this.angle), y: Math.sin(this.angle) };
+        this.onHeading({ heading: getHeadingForScreenDirection(direction), timestamp: now });
+        this.frameRequest = requestAnimationFrame(next => this.tick(next));
+    }
+
+    /**
+     * Points the ray along the first gamepad's left stick.
+     * @returns {number} -1 / 1 while the d-pad turns the ray left / right, otherwise 0
+     */
+    pollGamepad() {
+        if (!navigator.getGamepads) return 0;
+        const gamepad = Array.from(navigator.getGamepads()).find(pad => pad && pad.connected);
+        if (!gamepad) return 0;
+
+        const [stickX = 0, stickY = 0] = gamepad.axes;
+        if (Math.hypot(stickX, stickY) > GAMEPAD_DEADZONE) {
+            this.angle = Math.atan2(stickY, stickX);
+        }
+        const pressed = (index) => gamepad.buttons[index] && gamepad.buttons[index].pressed;
+        return (pressed(GAMEPAD_BUTTON_RIGHT) ? 1 : 0) - (pressed(GAMEPAD_BUTTON_LEFT) ? 1 : 0);
+    }
+
+    // Points the ray from its origin towards the pointer
+    aimAt(event) {
+        const origin = this.getOrigin();
+        const x = event.clientX - origin.x;
+        const y = event.clientY - origin.y;
+        if (Math.hypot(x, y) < MANUAL_DRAG_MIN_DISTANCE) return;
+        this.angle = Math.atan2(y, x);
+    }
+
+    handlePointerDown(event) {
+        if (this.dragPointer !== null || event.target.closest(MANUAL_IGNORED_TARGETS)) return;
+        this.dragPointer = event.pointerId;
+        this.surface.setPointerCapture(event.pointerId);
+        this.aimAt(event);
+    }
+
+    handlePointerMove(event) {
+        if (event.pointerId === this.dragPointer) this.aimAt(event);
+    }
+
+    handlePointerUp(event) {
+        if (event.pointerId === this.dragPointer) this.dragPointer = null;
+    }
+
+    handleKeyDown(event) {
+        if (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight') return;
+        if (event.target.closest('input, textarea, select')) return;
+        event.preventDefault();
+        this.heldKeys.add(event.key);
+    }
+
+    handleKeyUp(event) {
+        this.heldKeys.delete(event.key);
+    }
+}
@@ -0,0 +1,154 @@
+// Operator Channel
+// Links the game window to the operator console (operator.html), opened in
+// another window of the same browser, over a BroadcastChannel. The console
+// sends commands and a heartbeat; the game answers with its state a few times
+// a second, and with the error of a command that failed. Each side counts the
+// other as gone once it stops hearing from it.
+
+const CHANNEL_NAME = 'faceGame.operator';
+
+// How often the game sends its state and the console its heartbeat (ms)
+const STATE_INTERVAL = 250;
+const HEARTBEAT_INTERVAL = 1000;
+
+// Silence after which the other window counts as closed (ms)
+const CONNECTION_TIMEOUT = 3000;
+
+// Commands the console can send to the game
+export const OPERATOR_COMMAND = {
+    START_ROUND: 'startRound',
+    ABORT_GAME: 'abortGame',
+    NEW_WHEEL: 'newWheel',
+    CONFIRM_RESULT: 'confirmResult',
+    VOID_RESULT: 'voidResult',
+    CLOSE_RESULT: 'closeResult',
+    SET_PLAYER_NAME: 'setPlayerName', // args: { name }
+    SAVE_SETTINGS: 'saveSettings' // args: { settings }
+};
+
+export function isOperatorChannelSupported() {
+    return typeof BroadcastChannel === 'function';
+}
+
+// One end of the channel: tracks whether the other end is still there
+class ChannelPeer {
+    /**
+     * @param {string} role - "game" or "console"; messages from the same role are ignored
+     * @param {function(boolean): void} onConnectionChange
+     */
+    constructor(role, onConnectionChange) {
+        this.role = role;
+        this.onConnectionChange = onConnectionChange;
+        this.connected = false;
+        this.lastHeard = -Infinity;
+        this.channel = new BroadcastChannel(CHANNEL_NAME);
+        this.channel.addEventListener('message', event => {
+            const message = event.data;
+            if (!message || !message.from || message.from === this.role) return;
+            if (message.type === 'bye') {
+                this.setConnected(false);
+                return;
+            }
+            this.lastHeard = performance.now();
+            this.setConnected(true);
+            this.receive(message);
+        });
+        // Tell the other window straight away when this one is closed
+        window.addEventListener('pagehide', () => this.post({ type: 'bye' }));
+    }
+
+    post(message) {
+        this.channel.postMessage({ ...message, from: this.role });
+    }
+
+    // Called on a timer; drops the connection after a silence
+    checkConnection() {
+        if (this.connected && performance.now() - this.lastHeard > CONNECTION_TIMEOUT) this.setConnected(false);
+    }
+
+    setConnected(connected) {
+        if (connected === this.connected) return;
+        this.connected = connected;
+        this.onConnectionChange(connected);
+    }
+}
+
+/**
+ * Game side: runs the console's commands and keeps it up to date.
+ */
+export class GameChannel extends ChannelPeer {
+    /**
+     * @param {object} handlers
+     * @param {function(): object} handlers.getState - Snapshot of the game for the console (structured-cloneable)
+     * @param {function(string, object): void} handlers.onCommand - Called with an OPERATOR_COMMAND and its
+     *   arguments; an error it throws is sent back to the console
+     * @param {function(boolean): void} handlers.onConnectionChange - Called when a console connects or goes away
+     */
+    constructor({ getState, onCommand, onConnectionChange }) {
+        super('game', onConnectionChange);
+        this.getState = getState;
+        this.onCommand = onCommand;
+        setInterval(() => {
+            this.checkConnection();
+            if (this.connected) this.publish();
+        }, STATE_INTERVAL);
+    }
+
+    receive(message) {
+        if (message.type === 'command') {
+            try {
+                this.onCommand(message.command, message.args || {});
+            } catch (err) {
+                console.error("Operator command failed:", err);
+                this.post({
+                    type: 'commandError',
+                    command: message.command,
+                    error: { message: err.message, key: err.key, params: err.params }
+                });
+            }
+        }
+        // Answer a new console and every command straight away
+        if (message.type === 'hello' || message.type === 'command') this.publish();
+    }
+
+    publish() {
+        this.post({ type: 'state', state: this.getState() });
+    }
+}
+
+/**
+ * Console side: sends commands and receives the game's state.
+ */
+export class ConsoleChannel extends ChannelPeer {
+    /**
+     * @param {object} handlers
+     * @param {function(object): void} handlers.onState - Called with every state the game sends
+     * @param {function(string, {message:string, key?:string, params?:object}): void} handlers.onCommandError -
+     *   Called with the OPERATOR_COMMAND the game couldn't carry out and the reason: a message, and
+     *   for a rejected setting its message key and params
+     * @param {function(boolean): void} handlers.onConnectionChange - Called when the game window appears or goes away
+     */
+    constructor({ onState, onCommandError, onConnectionChange }) {
+        super('console', onConnectionChange);
+        this.onState = onState;
+        this.onCommandError = onCommandError;
+        this.post({ type: 'hello' });
+        setInterval(() => {
+            this.checkConnection();
+            this.post({ type: 'heartbeat' });
+        }, HEARTBEAT_INTERVAL);
+    }
+
+    receive(message) {
+        if (message.type === 'state') this.onState(message.state);
+        if (message.type === 'commandError') this.onCommandError(message.command, message.error);
+    }
+
+    /**
+     * @param {string} command - One of OPERATOR_COMMAND
+     * @param {object} [args]
+     */
+    send(command, args = {}) {
+        this.post({ type: 'command', command, args });
+    }
+}
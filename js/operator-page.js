@@ -0,0 +1,176 @@
+// Operator Console
+// Entry point of operator.html: runs the game in the other window (start and
+// abort rounds, a new wheel, confirm or void results, settings) and shows its
+// live state, so the operator never has to reach past the guest.
+
+import { ConsoleChannel, OPERATOR_COMMAND, isOperatorChannelSupported } from './operator-channel.js';
+import { formatPerfStats } from './perf-hud.js';
+import { collectSettingFields, renderSettingFields } from './settings-panel.js';
+import { loadSettings } from './settings.js';
+import { applyTranslations, formatNumber, formatPrize, resolveLocale, setLocale, setPrizeUnit, t } from './i18n.js';
+
+const connectionStatus = document.getElementById('operator_connection');
+const phaseDisplay = document.getElementById('operator_phase');
+const countdownDisplay = document.getElementById('operator_countdown');
+const roundDisplay = document.getElementById('operator_round');
+const inputDisplay = document.getElementById('operator_input');
+const commitmentDisplay = document.getElementById('operator_commitment');
+const playerNameInput = document.getElementById('operator_player_name');
+const startBtn = document.getElementById('operator_start_btn');
+const abortBtn = document.getElementById('operator_abort_btn');
+const newWheelBtn = document.getElementById('operator_new_wheel_btn');
+const pendingResultList = document.getElementById('operator_pending_result');
+const confirmBtn = document.getElementById('operator_confirm_btn');
+const voidBtn = document.getElementById('operator_void_btn');
+const closeResultBtn = document.getElementById('operator_close_result_btn');
+const playerRows = document.getElementById('operator_players');
+const statsList = document.getElementById('operator_stats');
+const settingFields = Array.from(document.querySelectorAll('#operator_settings [data-setting]'));
+const settingsError = document.getElementById('operator_settings_error');
+const saveSettingsBtn = document.getElementById('operator_save_settings_btn');
+
+// Latest state from the game window; null until it answers
+let gameState = null;
+
+// Settings the fields show, and whether the operator has edited them since
+let shownSettings = '';
+let settingsEdited = false;
+
+// Same language and prize unit as the game
+function applyDisplaySettings(settings) {
+    setLocale(resolveLocale(settings.display.locale));
+    setPrizeUnit(settings.display.unit, settings.display.customUnit);
+    applyTranslations();
+}
+
+applyDisplaySettings(loadSettings());
+
+const gameButtons = [startBtn, abortBtn, newWheelBtn, confirmBtn, voidBtn, closeResultBtn, saveSettingsBtn];
+
+function showConnection(connected) {
+    connectionStatus.textContent = t(connected ? 'operator.connected' : 'operator.waiting');
+    connectionStatus.classList.toggle('connected', connected);
+    if (!connected) gameButtons.forEach(button => { button.disabled = true; });
+}
+
+function createStat(term, value) {
+    const fragment = document.createDocumentFragment();
+    const dt = document.createElement('dt');
+    dt.textContent = term;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    fragment.append(dt, dd);
+    return fragment;
+}
+
+/**
+ * Shows a state sent by the game (see getOperatorState() in script.js).
+ */
+function showState(state) {
+    const displayChanged = !gameState || JSON.stringify(state.settings.display) !== JSON.stringify(gameState.settings.display);
+    gameState = state;
+    if (displayChanged) applyDisplaySettings(state.settings);
+
+    phaseDisplay.textContent = t(`operator.phase.${state.phase}`);
+    countdownDisplay.textContent = state.countdown;
+    roundDisplay.textContent = state.round
+        ? t('countdown.round', { mode: t(`gameMode.${state.round.mode}`), round: state.round.current, total: state.round.total })
+        : '–';
+    inputDisplay.textContent = t(state.input.running ? 'operator.inputRunning' : 'operator.inputStopped',
+        { input: state.input.label });
+    commitmentDisplay.textContent = state.commitment;
+    if (document.activeElement !== playerNameInput) playerNameInput.value = state.playerName;
+
+    startBtn.disabled = !state.canStart;
+    abortBtn.disabled = state.phase !== 'countdown' && state.phase !== 'betweenRounds';
+    newWheelBtn.disabled = !state.canRegenerate;
+    confirmBtn.disabled = !state.pendingResult;
+    voidBtn.disabled = !state.pendingResult;
+    closeResultBtn.disabled = !state.resultShown;
+    saveSettingsBtn.disabled = false;
+
+    pendingResultList.innerHTML = '';
+    (state.pendingResult || []).forEach(result => {
+        const item = document.createElement('li');
+        item.style.setProperty('--player-color', result.color);
+        item.textContent = t('result.player', { player: result.playerId, amount: formatPrize(result.prize), rounds: '' });
+        pendingResultList.appendChild(item);
+    });
+
+    playerRows.innerHTML = '';
+    state.players.forEach(player => {
+        const row = document.createElement('tr');
+        [`P${player.id}`, formatPrize(player.prize), t(player.inFrame ? 'operator.inFrame' : 'operator.lost')]
+            .forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+        row.style.color = player.color;
+        playerRows.appendChild(row);
+    });
+
+    const { stats } = state;
+    statsList.replaceChildren(
+        createStat(t('operator.stats.games'), formatNumber(stats.games)),
+        createStat(t('operator.stats.confirmed'), formatNumber(stats.confirmed)),
+        createStat(t('operator.stats.voided'), formatNumber(stats.voided)),
+        createStat(t('operator.stats.issued'), formatPrize(stats.issued)),
+        createStat(t('operator.stats.performance'), formatPerfStats(state.performance).join(' · '))
+    );
+
+    // Follow settings changed elsewhere unless the operator is editing them
+    const settings = JSON.stringify(state.settings);
+    if (settings !== shownSettings && !settingsEdited) {
+        renderSettingFields(settingFields, state.settings);
+        shownSettings = settings;
+    }
+}
+
+// The game refused a command: rejected settings are shown under the settings,
+// other failures are only logged in the game window
+function showCommandError(command, error) {
+    if (command !== OPERATOR_COMMAND.SAVE_SETTINGS) return;
+    // Keep the operator's edits on screen so they can be corrected
+    settingsEdited = true;
+    const message = error.key ? t(error.key, error.params) : error.message;
+    settingsError.textContent = t('operator.settingsRejected', { message });
+}
+
+if (isOperatorChannelSupported()) {
+    const channel = new ConsoleChannel({
+        onState: showState,
+        onCommandError: showCommandError,
+        onConnectionChange: showConnection
+    });
+    showConnection(false);
+
+    startBtn.addEventListener('click', () => channel.send(OPERATOR_COMMAND.START_ROUND));
+    abortBtn.addEventListener('click', () => {
+        if (confirm(t('operator.confirmAbort'))) channel.send(OPERATOR_COMMAND.ABORT_GAME);
+    });
+    newWheelBtn.addEventListener('click', () => channel.send(OPERATOR_COMMAND.NEW_WHEEL));
+    confirmBtn.addEventListener('click', () => channel.send(OPERATOR_COMMAND.CONFIRM_RESULT));
+    voidBtn.addEventListener('click', () => channel.send(OPERATOR_COMMAND.VOID_RESULT));
+    closeResultBtn.addEventListener('click', () => channel.send(OPERATOR_COMMAND.CLOSE_RESULT));
+    playerNameInput.addEventListener('change', () => {
+        channel.send(OPERATOR_COMMAND.SET_PLAYER_NAME, { name: playerNameInput.value.trim() });
+    });
+
+    settingFields.forEach(field => field.addEventListener('input', () => {
+        settingsEdited = true;
+    }));
+    saveSettingsBtn.addEventListener('click', () => {
+        try {
+            const settings = collectSettingFields(settingFields, gameState.settings);
+            channel.send(OPERATOR_COMMAND.SAVE_SETTINGS, { settings });
+            settingsEdited = false;
+            settingsError.textContent = '';
+        } catch (err) {
+            settingsError.textContent = err.message;
+        }
+    });
+} else {
+    connectionStatus.textContent = t('operator.unsupported');
+    gameButtons.forEach(button => { button.disabled = true; });
+}
@@ -0,0 +1,86 @@
+// Performance Overlay
+// Shows how fast faces are detected, how fast the screen is drawn and how long
+// a camera frame takes to show up as a ray, to tell a slow laptop from a slow
+// camera. Toggled in the settings; measuring continues while it is hidden.
+
+import { RateMeter, RollingAverage } from './core/frame-stats.js';
+import { formatNumber, t } from './i18n.js';
+
+// Rewriting the text every frame would make it unreadable (ms)
+const HUD_UPDATE_INTERVAL = 250;
+
+export class PerfHud {
+    /**
+     * @param {HTMLElement} element - Overlay the figures are written to
+     */
+    constructor(element) {
+        this.element = element;
+        this.visible = false;
+        this.detectionRate = new RateMeter();
+        this.renderRate = new RateMeter();
+        this.latency = new RollingAverage();
+        this.shownAt = -Infinity;
+    }
+
+    /**
+     * @param {object} options - The "performance" settings
+     * @param {boolean} options.hud - Show the overlay
+     */
+    setOptions({ hud }) {
+        this.visible = hud;
+        this.element.classList.toggle('hidden', !hud);
+        this.shownAt = -Infinity;
+    }
+
+    /**
+     * A detection result arrived (one per camera frame, even without faces).
+     * @param {number} now - performance.now()
+     */
+    recordDetection(now) {
+        this.detectionRate.tick(now);
+    }
+
+    /**
+     * A frame reached the screen as rays.
+     * @param {number} latency - Milliseconds from handing the frame to the detector until its rays were drawn
+     */
+    recordLatency(latency) {
+        this.latency.add(latency);
+    }
+
+    /**
+     * A display frame was drawn; refreshes the overlay now and then.
+     * @param {number} now - performance.now()
+     */
+    recordFrame(now) {
+        this.renderRate.tick(now);
+        if (!this.visible || now - this.shownAt < HUD_UPDATE_INTERVAL) return;
+        this.shownAt = now;
+        this.element.textContent = formatPerfStats(this.getStats(now)).join('\n');
+    }
+
+    /**
+     * The current figures, also shown in the operator console.
+     * @param {number} now - performance.now()
+     * @returns {{detectionFps:number, renderFps:number, latency:number|null}} Rates per second, latency in ms
+     */
+    getStats(now) {
+        return {
+            detectionFps: this.detectionRate.rate(now),
+            renderFps: this.renderRate.rate(now),
+            latency: this.latency.value
+        };
+    }
+}
+
+/**
+ * One line of text per figure of getStats().
+ * @returns {Array<string>}
+ */
+export function formatPerfStats({ detectionFps, renderFps, latency }) {
+    return [
+        t('perf.detection', { fps: formatNumber(Math.round(detectionFps)) }),
+        t('perf.render', { fps: formatNumber(Math.round(renderFps)) }),
+        t('perf.latency', { ms: latency === null ? '–' : formatNumber(Math.round(latency)) })
+    ];
+}
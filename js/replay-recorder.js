@@ -0,0 +1,182 @@
+// Replay Recorder
+// Records the composited scene (mirrored video, wheel, rays, countdown) into a
+// WebM clip with MediaRecorder while rounds are played, optionally sampling
+// frames for an animated GIF / WebP (see js/core/animated-image.js).
+
+import { quantizeGifFrame, encodeGif, encodeAnimatedWebp } from './core/animated-image.js';
+import { RESULT_DESIGN_WIDTH, RESULT_DESIGN_HEIGHT } from './result-renderer.js';
+
+const REPLAY_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const REPLAY_FPS = 30;
+
+// Animated images are kept small: they are meant for chat apps
+const ANIMATION_FPS = 10;
+const ANIMATION_WIDTH = 480;
+// Frames kept in memory (15 s at full rate); longer games are thinned out
+const ANIMATION_MAX_FRAMES = 150;
+
+function createReplayMediaRecorder(canvas, chunks) {
+    if (!canvas.captureStream || typeof MediaRecorder === 'undefined') return null;
+    const mimeType = REPLAY_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) return null;
+
+    const recorder = new MediaRecorder(canvas.captureStream(REPLAY_FPS), { mimeType });
+    recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+    };
+    return recorder;
+}
+
+export class ReplayRecorder {
+    /**
+     * @param {object} options - The "replay" settings
+     * @param {number} options.width - Clip width in pixels; the height follows the result image
+     * @param {string} options.animated - "none", "gif" or "webp"
+     * @param {function(CanvasRenderingContext2D):void} drawFrame - Draws the current
+     *   scene in result design units (RESULT_DESIGN_WIDTH x RESULT_DESIGN_HEIGHT)
+     */
+    constructor({ width, animated }, drawFrame) {
+        this.drawFrame = drawFrame;
+        this.scale = width / RESULT_DESIGN_WIDTH;
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = Math.round(width);
+        this.canvas.height = Math.round(RESULT_DESIGN_HEIGHT * this.scale);
+        this.ctx = this.canvas.getContext('2d');
+
+        this.chunks = [];
+        this.mediaRecorder = createReplayMediaRecorder(this.canvas, this.chunks);
+
+        this.animated = animated;
+        this.animationFrames = []; // GIF: palette indices, WebP: Promise<Blob|null>
+        this.animationCanvas = document.createElement('canvas');
+        this.animationCanvas.width = ANIMATION_WIDTH;
+        this.animationCanvas.height = Math.round(ANIMATION_WIDTH * RESULT_DESIGN_HEIGHT / RESULT_DESIGN_WIDTH);
+        this.animationCtx = this.animationCanvas.getContext('2d', { willReadFrequently: true });
+        this.lastAnimationFrame = -Infinity;
+        this.animationInterval = 1000 / ANIMATION_FPS;
+
+        this.running = false;
+        this.frameRequest = null;
+        this.pauseTimer = null;
+    }
+
+    /**
+     * Starts recording, or resumes after pauseAfter().
+     */
+    record() {
+        clearTimeout(this.pauseTimer);
+        this.pauseTimer = null;
+        if (this.running) return;
+        this.running = true;
+
+        if (this.mediaRecorder) {
+            if (this.mediaRecorder.state === 'inactive') {
+                this.mediaRecorder.start(1000);
+            } else if (this.mediaRecorder.state === 'paused') {
+                this.mediaRecorder.resume();
+            }
+        }
+        this.frameRequest = requestAnimationFrame(now => this.renderFrame(now));
+    }
+
+    renderFrame(now) {
+        if (!this.running) return;
+        this.ctx.setTransform(this.scale, 0, 0, this.scale, 0, 0);
+        this.drawFrame(this.ctx);
+
+        if (this.animated !== 'none' && now - this.lastAnimationFrame >= this.animationInterval) {
+            this.lastAnimationFrame = now;
+            this.captureAnimationFrame();
+        }
+        this.frameRequest = requestAnimationFrame(next => this.renderFrame(next));
+    }
+
+    captureAnimationFrame() {
+        const { width, height } = this.animationCanvas;
+        this.animationCtx.drawImage(this.canvas, 0, 0, width, height);
+        if (this.animated === 'gif') {
+            this.animationFrames.push(quantizeGifFrame(this.animationCtx.getImageData(0, 0, width, height).data));
+        } else {
+            // toBlob copies the canvas now, so the canvas can be reused straight away
+            this.animationFrames.push(new Promise(resolve => this.animationCanvas.toBlob(resolve, 'image/webp', 0.8)));
+        }
+        if (this.animationFrames.length > ANIMATION_MAX_FRAMES) {
+            // Drop every other frame and sample half as often from now on, so the
+            // whole game stays in the animation at a lower frame rate
+            this.animationFrames = this.animationFrames.filter((frame, index) => index % 2 === 0);
+            this.animationInterval *= 2;
+        }
+    }
+
+    halt() {
+        this.running = false;
+        cancelAnimationFrame(this.frameRequest);
+    }
+
+    /**
+     * Keeps recording for `tail` milliseconds, then pauses until the next record().
+     */
+    pauseAfter(tail) {
+        clearTimeout(this.pauseTimer);
+        this.pauseTimer = setTimeout(() => {
+            this.pauseTimer = null;
+            this.halt();
+            if (this.mediaRecorder && this.mediaRecorder.state === 'recording') this.mediaRecorder.pause();
+        }, tail);
+    }
+
+    /**
+     * Keeps recording for `tail` milliseconds, then stops and encodes the outputs.
+     * @returns {Promise<{clip:{url:string, extension:string}|null, animation:{url:string, extension:string}|null}>}
+     *   Object URLs; null when the browser can't produce that output
+     */
+    async finish(tail) {
+        clearTimeout(this.pauseTimer);
+        this.pauseTimer = null;
+        await new Promise(resolve => setTimeout(resolve, tail));
+        this.halt();
+
+        const clip = await this.stopClip();
+        const animation = await this.encodeAnimation();
+        return { clip, animation };
+    }
+
+    /**
+     * Stops recording and throws the recording away (the game was aborted).
+     */
+    discard() {
+        clearTimeout(this.pauseTimer);
+        this.pauseTimer = null;
+        this.halt();
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') this.mediaRecorder.stop();
+        this.animationFrames = [];
+    }
+
+    stopClip() {
+        const recorder = this.mediaRecorder;
+        if (!recorder || recorder.state === 'inactive') return Promise.resolve(null);
+        return new Promise(resolve => {
+            recorder.onstop = () => {
+                const blob = new Blob(this.chunks, { type: recorder.mimeType });
+                resolve({ url: URL.createObjectURL(blob), extension: 'webm' });
+            };
+            recorder.stop();
+        });
+    }
+
+    async encodeAnimation() {
+        if (this.animationFrames.length === 0) return null;
+        const { width, height } = this.animationCanvas;
+        const delay = this.animationInterval;
+
+        let blob;
+        if (this.animated === 'gif') {
+            blob = encodeGif(this.animationFrames, width, height, delay);
+        } else {
+            const frames = await Promise.all(this.animationFrames.map(frame => frame.then(data => data && data.arrayBuffer())));
+            blob = frames.every(Boolean) ? encodeAnimatedWebp(frames, width, height, delay) : null;
+        }
+        this.animationFrames = [];
+        return blob ? { url: URL.createObjectURL(blob), extension: this.animated } : null;
+    }
+}
@@ -0,0 +1,253 @@
+// Result Image Renderer
+// Draws the result image straight from game state: wheel sectors, the final
+// rays, the mirrored video frame, the prize banner and the win_frame.png overlay.
+// The image only depends on the scene passed in, so a round always renders the
+// same; positions and sizes come from js/core/result-layout.js.
+
+import { getDrawnRayDirection } from './core/hit-test.js';
+import {
+    RESULT_DESIGN_HEIGHT, RESULT_DESIGN_WIDTH, RESULT_FONTS, RESULT_LAYOUT, computeResultLayout, computeVideoCrop
+} from './core/result-layout.js';
+import { WHEEL_FONT_FAMILY, drawWheel } from './wheel-renderer.js';
+import { formatPrize, t } from './i18n.js';
+
+export { RESULT_DESIGN_HEIGHT, RESULT_DESIGN_WIDTH };
+
+const RESULT_FRAME_SRC = 'win_frame.png';
+
+const RESULT_IMAGE_FORMATS = {
+    png: { mimeType: 'image/png', extension: 'png' },
+    jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+    webp: { mimeType: 'image/webp', extension: 'webp' }
+};
+
+let resultFramePromise = null;
+
+/**
+ * Loads the decorative frame once.
+ * @returns {Promise<HTMLImageElement|null>} null if the image can't be loaded
+ */
+export function loadResultFrame() {
+    if (!resultFramePromise) {
+        resultFramePromise = new Promise(resolve => {
+            const frameImg = new Image();
+            frameImg.onload = () => resolve(frameImg);
+            frameImg.onerror = () => {
+                // Without the frame the result is still usable
+                console.error("Failed to load frame image");
+                resolve(null);
+            };
+            frameImg.src = RESULT_FRAME_SRC;
+        });
+    }
+    return resultFramePromise;
+}
+
+/**
+ * Copies the current video frame so later camera frames can't change the result.
+ * @returns {HTMLCanvasElement|null} null if the video has no frame yet
+ */
+export function copyVideoFrame(video) {
+    if (!video.videoWidth || !video.videoHeight) return null;
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    return canvas;
+}
+
+function traceRoundedRect(ctx, x, y, width, height, radius) {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + width, y, x + width, y + height, radius);
+    ctx.arcTo(x + width, y + height, x, y + height, radius);
+    ctx.arcTo(x, y + height, x, y, radius);
+    ctx.arcTo(x, y, x + width, y, radius);
+    ctx.closePath();
+}
+
+// Canvas font of one of RESULT_FONTS
+function getFont({ size, bold, monospace }) {
+    const family = monospace ? 'ui-monospace, Menlo, Consolas, monospace' : WHEEL_FONT_FAMILY;
+    return `${bold ? 'bold ' : ''}${size}px ${family}`;
+}
+
+/**
+ * Draws the rays as the player saw them (the live overlay is mirrored by CSS).
+ */
+function drawResultRays(ctx, rays, { center, rayLength }) {
+    rays.forEach(ray => {
+        const direction = getDrawnRayDirection(ray);
+        ctx.beginPath();
+        ctx.moveTo(center.x, center.y);
+        ctx.lineTo(center.x + direction.x * rayLength, center.y + direction.y * rayLength);
+        ctx.lineWidth = RESULT_LAYOUT.rayWidth;
+        ctx.strokeStyle = ray.color;
+        ctx.lineCap = 'round';
+        ctx.stroke();
+    });
+}
+
+/**
+ * Draws the mirrored video frame into its box, cropped like CSS object-fit: cover.
+ */
+function drawResultVideo(ctx, video, { x, y, width, height }) {
+    ctx.save();
+    traceRoundedRect(ctx, x, y, width, height, RESULT_LAYOUT.cornerRadius);
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+    ctx.shadowBlur = 30;
+    ctx.shadowOffsetY = 10;
+    ctx.fillStyle = '#000000';
+    ctx.fill();
+    ctx.restore();
+
+    // A <video> reports its frame size as videoWidth / videoHeight
+    const crop = video ? computeVideoCrop(video.videoWidth || video.width, video.videoHeight || video.height, width, height) : null;
+    if (!crop) return;
+
+    ctx.save();
+    traceRoundedRect(ctx, x, y, width, height, RESULT_LAYOUT.cornerRadius);
+    ctx.clip();
+    // Mirror the video so it matches what the player saw
+    ctx.translate(x + width, y);
+    ctx.scale(-1, 1);
+    ctx.drawImage(video, crop.x, crop.y, crop.width, crop.height, 0, 0, width, height);
+    ctx.restore();
+}
+
+/**
+ * Draws the money panel: "恭喜获得 X 元" (in the active language), or one chip per player in multiplayer mode.
+ */
+function drawResultBanner(ctx, { x, y, width, height, texts, chips }) {
+    traceRoundedRect(ctx, x + 2, y + 2, width - 4, height - 4, RESULT_LAYOUT.cornerRadius);
+    ctx.fillStyle = '#0062FF';
+    ctx.fill();
+    ctx.lineWidth = 4;
+    ctx.strokeStyle = '#FFFFFF';
+    ctx.stroke();
+
+    ctx.textBaseline = 'middle';
+    texts.forEach(text => {
+        ctx.font = getFont(text.font);
+        ctx.textAlign = text.align;
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(text.text, text.x, text.y);
+    });
+
+    ctx.textAlign = 'left';
+    chips.forEach(chip => {
+        traceRoundedRect(ctx, chip.x, chip.y, chip.width, chip.height, 8);
+        ctx.fillStyle = chip.color;
+        ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.stroke();
+        ctx.font = getFont(RESULT_FONTS.chip);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(chip.text, chip.textX, chip.textY);
+    });
+}
+
+/**
+ * Draws the countdown panel, left of the video like the live side panel.
+ */
+function drawResultCountdown(ctx, { x, y, size, text }) {
+    traceRoundedRect(ctx, x, y, size, size, RESULT_LAYOUT.cornerRadius);
+    ctx.fillStyle = '#0062FF';
+    ctx.fill();
+
+    ctx.font = getFont(RESULT_FONTS.countdown);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillText(text, x + size / 2, y + size / 2);
+}
+
+/**
+ * Reveals the seed of the game below the video, with the salt and the hash
+ * that was shown before the game (see js/core/fairness.js).
+ */
+function drawResultFairness(ctx, { x, y, width, height, lines }) {
+    traceRoundedRect(ctx, x, y, width, height, 8);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.fill();
+
+    ctx.font = getFont(RESULT_FONTS.fairness);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#FFFFFF';
+    lines.forEach(line => ctx.fillText(line.text, line.x, line.y));
+}
+
+/**
+ * Draws a result scene in design units (RESULT_DESIGN_WIDTH x RESULT_DESIGN_HEIGHT).
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} scene
+ * @param {Array<object>} scene.sectors - Sector angles, as returned by getSectorAngles()
+ * @param {Map<string, object>} [scene.tierStyles] - Palette and patterns, see js/core/palettes.js
+ * @param {Array<{x:number, y:number, color:string}>} scene.rays - Final headings (unmirrored)
+ * @param {CanvasImageSource|null} scene.video - Unmirrored video frame (or the live <video>)
+ * @param {string} scene.label - Banner text before the prize, e.g. t('hud.won')
+ * @param {Array<{playerId:number, color:string, prize:number}>} scene.results
+ * @param {boolean} scene.multiplayer
+ * @param {string} [scene.countdown] - Countdown text; the panel is left out when missing
+ * @param {{seed:string, salt:string, hash:string}} [scene.fairness] - Revealed commitment, drawn below the video
+ * @param {CanvasImageSource|null} scene.frame - Overlay drawn on top of everything
+ */
+export function drawResultScene(ctx, scene) {
+    const { fairness } = scene;
+    const layout = computeResultLayout({
+        label: scene.label,
+        prize: formatPrize(scene.results.length > 0 ? scene.results[0].prize : 0),
+        chips: scene.multiplayer
+            ? scene.results.map(result => ({ text: `P${result.playerId} ${formatPrize(result.prize)}`, color: result.color }))
+            : null,
+        countdown: scene.countdown,
+        fairness: fairness && [t('result.seed', { seed: fairness.seed, salt: fairness.salt }), `SHA-256 ${fairness.hash}`]
+    }, (text, font) => {
+        ctx.font = getFont(font);
+        return ctx.measureText(text).width;
+    });
+
+    // Page background, visible if the wheel has no sectors
+    ctx.fillStyle = '#025FF4';
+    ctx.fillRect(0, 0, RESULT_DESIGN_WIDTH, RESULT_DESIGN_HEIGHT);
+
+    // Same stacking as the live page: wheel, rays, then the video on top
+    drawWheel(ctx, scene.sectors, { width: RESULT_DESIGN_WIDTH, height: RESULT_DESIGN_HEIGHT }, scene.tierStyles);
+    drawResultRays(ctx, scene.rays, layout);
+    drawResultVideo(ctx, scene.video, layout.video);
+    drawResultBanner(ctx, layout.banner);
+    if (layout.countdown) drawResultCountdown(ctx, layout.countdown);
+    if (layout.fairness) drawResultFairness(ctx, layout.fairness);
+
+    if (scene.frame) {
+        ctx.drawImage(scene.frame, 0, 0, RESULT_DESIGN_WIDTH, RESULT_DESIGN_HEIGHT);
+    }
+}
+
+/**
+ * Renders a scene to an image.
+ * @param {object} scene - See drawResultScene()
+ * @param {object} options
+ * @param {number} options.width - Output width in pixels; the height keeps the frame's aspect ratio
+ * @param {string} options.format - "png", "jpeg" or "webp"
+ * @param {number} options.quality - 0-1, used by jpeg and webp
+ * @returns {{url:string, extension:string}} Data URL and the matching file extension
+ */
+export function renderResultImage(scene, { width, format, quality }) {
+    const scale = width / RESULT_DESIGN_WIDTH;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width);
+    canvas.height = Math.round(RESULT_DESIGN_HEIGHT * scale);
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    drawResultScene(ctx, scene);
+
+    const output = RESULT_IMAGE_FORMATS[format] || RESULT_IMAGE_FORMATS.png;
+    const url = canvas.toDataURL(output.mimeType, quality);
+    // Browsers without an encoder for the format return a PNG instead
+    const extension = url.startsWith(`data:${output.mimeType}`) ? output.extension : 'png';
+    return { url, extension };
+}
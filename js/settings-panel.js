@@ -0,0 +1,248 @@
+// Settings Panel
+// On-screen editor for the wheel configuration and the game settings.
+
+import { getRemainingStock, getRemainingBudget } from './inventory.js';
+import { getSetting, setSetting, saveSettings } from './settings.js';
+import { formatPrize, t } from './i18n.js';
+import { PATTERN_NAMES } from './core/palettes.js';
+import {
+    DEFAULT_WHEEL_CONFIG, validateWheelConfig, saveWheelConfig, readWheelConfigFile, exportWheelConfig
+} from './wheel-config.js';
+
+/**
+ * Wires up the settings modal.
+ * @param {object} options
+ * @param {function(): object} options.getWheelConfig - Returns the active wheel configuration
+ * @param {function(object): void} options.onWheelConfigSaved - Called with the saved configuration
+ * @param {function(): object} options.getSettings - Returns the active game settings
+ * @param {function(object): void} options.onSettingsSaved - Called with the saved settings
+ * @param {function(): object} options.getInventory - Returns the prize inventory (issued counts)
+ * @param {function(): void} options.onInventoryReset - Called when the operator resets the inventory
+ */
+export function initSettingsPanel({
+    getWheelConfig, onWheelConfigSaved, getSettings, onSettingsSaved, getInventory, onInventoryReset
+}) {
+    const settingsModal = document.getElementById('settings_modal');
+    const openBtn = document.getElementById('open_settings_btn');
+    const closeBtn = document.getElementById('settings_close_btn');
+    const saveBtn = document.getElementById('settings_save_btn');
+    const errorDisplay = document.getElementById('settings_error');
+
+    const totalSectorsInput = document.getElementById('wheel_total_sectors');
+    const tierRows = document.getElementById('tier_rows');
+    const addTierBtn = document.getElementById('add_tier_btn');
+    const importBtn = document.getElementById('wheel_import_btn');
+    const importInput = document.getElementById('wheel_import_input');
+    const exportBtn = document.getElementById('wheel_export_btn');
+    const resetBtn = document.getElementById('wheel_reset_btn');
+    const budgetInput = document.getElementById('wheel_budget');
+    const soldOutModeSelect = document.getElementById('wheel_sold_out_mode');
+    const budgetRemaining = document.getElementById('wheel_budget_remaining');
+    const resetInventoryBtn = document.getElementById('reset_inventory_btn');
+
+    // Game settings inputs are bound by their data-setting path (e.g. "calibration.beforeRound")
+    const settingFields = Array.from(settingsModal.querySelectorAll('[data-setting]'));
+
+    // Fields not edited in the table (id, weightRange) are carried over from this config
+    let editingConfig = null;
+
+    function showError(message) {
+        errorDisplay.textContent = message || '';
+    }
+
+    function createTierRow(tier) {
+        const row = document.createElement('tr');
+        row.dataset.tierId = tier.id || '';
+        row.innerHTML = `
+            <td><input type="color" data-field="color"></td>
+            <td><input type="color" data-field="textColor"></td>
+            <td><input type="text" data-field="label" placeholder="${t('settings.tier.labelAuto')}"></td>
+            <td><input type="number" data-field="value" min="0" step="any"></td>
+            <td><input type="number" data-field="minCount" min="0" step="1"></td>
+            <td><input type="number" data-field="size" min="0.1" step="0.1"></td>
+            <td><select data-field="pattern"></select></td>
+            <td><input type="number" data-field="stock" min="0" step="1" placeholder="${t('settings.unlimited')}"></td>
+            <td class="tier-remaining"></td>
+            <td><button type="button" class="tier-remove-btn" title="${t('settings.tier.remove')}">&times;</button></td>
+        `;
+        row.querySelector('[data-field="color"]').value = tier.color.toLowerCase();
+        row.querySelector('[data-field="textColor"]').value = (tier.textColor || tier.color).toLowerCase();
+        row.querySelector('[data-field="label"]').value = tier.label;
+        row.querySelector('[data-field="value"]').value = tier.value;
+        row.querySelector('[data-field="minCount"]').value = tier.minCount;
+        row.querySelector('[data-field="size"]').value = tier.size;
+        const patternSelect = row.querySelector('[data-field="pattern"]');
+        ['', ...PATTERN_NAMES].forEach(pattern => {
+            patternSelect.add(new Option(t(`pattern.${pattern || 'none'}`), pattern));
+        });
+        patternSelect.value = tier.pattern || '';
+        row.querySelector('[data-field="stock"]').value = tier.stock === null || tier.stock === undefined ? '' : tier.stock;
+        // Remaining stock is only known for tiers that already exist in the saved config
+        const remaining = tier.id && tier.stock !== null && tier.stock !== undefined
+            ? getRemainingStock(tier, getInventory())
+            : null;
+        row.querySelector('.tier-remaining').textContent = remaining === null ? '-' : remaining;
+        row.querySelector('.tier-remove-btn').addEventListener('click', () => row.remove());
+        return row;
+    }
+
+    function renderConfig(config) {
+        editingConfig = config;
+        totalSectorsInput.value = config.totalSectors;
+        budgetInput.value = config.budget === null ? '' : config.budget;
+        soldOutModeSelect.value = config.soldOutMode;
+        const remainingBudget = getRemainingBudget(config, getInventory());
+        budgetRemaining.textContent = remainingBudget === null ? t('settings.unlimited') : formatPrize(remainingBudget);
+        tierRows.innerHTML = '';
+        config.tiers.forEach(tier => tierRows.appendChild(createTierRow(tier)));
+        showError('');
+    }
+
+    // Build a raw config object from the table; validation happens in saveWheelConfig()
+    function collectConfig() {
+        const tiers = Array.from(tierRows.querySelectorAll('tr')).map(row => {
+            const field = (name) => row.querySelector(`[data-field="${name}"]`).value;
+            const tier = {
+                color: field('color'),
+                label: field('label'),
+                value: field('value'),
+                minCount: field('minCount'),
+                size: field('size'),
+                stock: field('stock'),
+                pattern: field('pattern')
+            };
+            if (row.dataset.tierId) tier.id = row.dataset.tierId;
+            // Only keep a separate text colour when it differs from the sector colour
+            if (field('textColor').toLowerCase() !== tier.color.toLowerCase()) {
+                tier.textColor = field('textColor');
+            }
+            return tier;
+        });
+        return {
+            totalSectors: totalSectorsInput.value,
+            weightRange: editingConfig.weightRange,
+            budget: budgetInput.value,
+            soldOutMode: soldOutModeSelect.value,
+            tiers
+        };
+    }
+
+    openBtn.addEventListener('click', () => {
+        renderConfig(getWheelConfig());
+        renderSettingFields(settingFields, getSettings());
+        settingsModal.classList.remove('hidden');
+    });
+
+    closeBtn.addEventListener('click', () => {
+        settingsModal.classList.add('hidden');
+    });
+
+    addTierBtn.addEventListener('click', () => {
+        tierRows.appendChild(createTierRow({
+            color: '#FFFFFF',
+            label: '',
+            value: 0,
+            minCount: 1,
+            size: 1,
+            stock: null
+        }));
+    });
+
+    importBtn.addEventListener('click', () => importInput.click());
+
+    importInput.addEventListener('change', () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) return;
+        readWheelConfigFile(file)
+            .then(renderConfig)
+            .catch(err => showError(err.message));
+    });
+
+    exportBtn.addEventListener('click', () => {
+        try {
+            exportWheelConfig(validateWheelConfig(collectConfig()));
+            showError('');
+        } catch (err) {
+            showError(err.message);
+        }
+    });
+
+    resetBtn.addEventListener('click', () => {
+        renderConfig(validateWheelConfig(DEFAULT_WHEEL_CONFIG));
+    });
+
+    resetInventoryBtn.addEventListener('click', () => {
+        if (!confirm(t('settings.confirmResetInventory'))) return;
+        onInventoryReset();
+        renderConfig(editingConfig);
+    });
+
+    saveBtn.addEventListener('click', () => {
+        try {
+            const settings = collectSettingFields(settingFields, getSettings());
+            const saved = saveWheelConfig(collectConfig());
+            saveSettings(settings);
+            onWheelConfigSaved(saved);
+            onSettingsSaved(settings);
+            settingsModal.classList.add('hidden');
+        } catch (err) {
+            showError(err.message);
+        }
+    });
+}
+
+/**
+ * Shows settings in [data-setting] fields, found by their dot-separated path.
+ * Also used by the operator console (see js/operator-page.js).
+ * @param {Array<HTMLElement>} fields
+ * @param {object} settings
+ */
+export function renderSettingFields(fields, settings) {
+    fields.forEach(field => {
+        const value = getSetting(settings, field.dataset.setting);
+        if (field.type === 'checkbox') {
+            field.checked = Boolean(value);
+        } else {
+            field.value = value;
+        }
+    });
+}
+
+/**
+ * Reads [data-setting] fields over a copy of the settings.
+ * @param {Array<HTMLElement>} fields
+ * @param {object} settings - Values of settings without a field
+ * @returns {object} The edited copy
+ * @throws {Error} With a user-facing message when a field is invalid
+ */
+export function collectSettingFields(fields, settings) {
+    const collected = JSON.parse(JSON.stringify(settings));
+    fields.forEach(field => {
+        const path = field.dataset.setting;
+        if (field.type === 'checkbox') {
+            setSetting(collected, path, field.checked);
+        } else if (field.type === 'number') {
+            const value = Number(field.value);
+            const name = field.closest('label').textContent.trim();
+            if (field.value === '' || !Number.isFinite(value)) {
+                throw new Error(t('settings.error.number', { name }));
+            }
+            if ((field.min !== '' && value < Number(field.min)) || (field.max !== '' && value > Number(field.max))) {
+                throw new Error(t('settings.error.range', { name, min: field.min || '-∞', max: field.max || '∞' }));
+            }
+            setSetting(collected, path, value);
+        } else if (field.type === 'text') {
+            const value = field.value.trim();
+            if (value !== '' && field.pattern && !new RegExp(`^(?:${field.pattern})$`).test(value)) {
+                throw new Error(t('settings.error.format', { name: field.closest('label').textContent.trim() }));
+            }
+            setSetting(collected, path, value);
+        } else {
+            // Selects hold strings; keep numeric settings numeric
+            const current = getSetting(collected, path);
+            setSetting(collected, path, typeof current === 'number' ? Number(field.value) : field.value);
+        }
+    });
+    return collected;
+}
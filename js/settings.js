@@ -0,0 +1,246 @@
+// Game Settings
+// Persistent options edited through [data-setting] fields in the settings panel.
+
+import { LOCALES, t } from './i18n.js';
+
+const SETTINGS_STORAGE_KEY = 'faceGame.settings';
+
+const DEFAULT_SETTINGS = {
+    multiplayer: {
+        // Track up to maxPlayers faces (2-4), each with its own ray and prize
+        enabled: false,
+        maxPlayers: 3
+    },
+    game: {
+        mode: 'single', // single, bestOf, cumulative or suddenDeath (see js/core/game-modes.js)
+        rounds: 3,      // Rounds per game (most rounds in sudden death)
+        countdown: 5    // Seconds per round
+    },
+    spin: {
+        // Turn the wheel during the countdown (see js/core/wheel-motion.js)
+        enabled: false,
+        speed: 90,           // Degrees per second at full speed
+        directionChanges: 2, // Reversals per round
+        stopTime: 1.5        // Seconds to ease to a stop before the clock reaches zero
+    },
+    layout: {
+        // Seed (1-8 hex digits) for every new wheel and its motion; empty = random.
+        // Enter a seed from the history to replay that game's wheel.
+        seed: ''
+    },
+    calibration: {
+        // Run the "look at centre, then each corner" round before every game
+        beforeRound: true
+    },
+    control: {
+        // What steers the ray: head (head pose) or gaze (eyes, see js/core/eye-gaze.js)
+        mode: 'head',
+        headWeight: 0.3 // Share of the head pose in the gaze mode, 0 (eyes only) to 1
+    },
+    integrity: {
+        // Void a round unless every player's face stays tracked through its
+        // final second without being swapped (see js/core/round-integrity.js)
+        enabled: true,
+        singlePlayer: true, // Single-player games: also void when a second face shows up
+        liveness: false     // Ask every player to blink before each round (see js/liveness-check.js)
+    },
+    smoothing: {
+        enabled: true,
+        minCutoff: 1.0, // Hz; lower = steadier ray at rest, more lag
+        beta: 0.3       // Higher = ray follows fast head movement with less lag
+    },
+    dwell: {
+        // Only count a sector after the ray has stayed inside it for `time` ms
+        enabled: false,
+        time: 400
+    },
+    resultImage: {
+        // Output width in pixels; the height follows the frame's aspect ratio
+        width: 1732,
+        format: 'png', // png, jpeg or webp
+        quality: 0.92  // jpeg / webp only
+    },
+    replay: {
+        // Record a WebM clip of every countdown plus `tail` seconds after it
+        enabled: true,
+        tail: 2,         // Seconds
+        width: 960,      // Clip width in pixels
+        animated: 'none' // Also export an animated image: none, gif or webp
+    },
+    display: {
+        locale: 'auto',  // zh-CN, en-US or auto (the browser's language), see js/i18n.js
+        unit: 'yuan',    // Prize unit: yuan, dollar, euro, points or custom
+        customUnit: ''   // Word shown after amounts for the custom unit
+    },
+    camera: {
+        // Size asked of the camera: auto (enough for the video frame on this
+        // screen, see js/core/screen-layout.js) or "<width>x<height>"
+        resolution: 'auto'
+    },
+    effects: {
+        // Sounds (see js/sound-effects.js) and particle bursts (see js/effects-layer.js)
+        muted: false,
+        volume: 0.8,       // 0 to 1
+        preset: 'normal',  // normal, or quiet (no ticks or fanfare, fewer beeps, softer)
+        particles: true    // Coins or confetti over the result
+    },
+    webhook: {
+        // POST every round's result and every confirmed game as JSON to `url`
+        // (see js/webhook.js); undelivered ones are queued and retried
+        enabled: false,
+        url: ''
+    },
+    performance: {
+        // Overlay with the detection rate, the frame rate and the latency (see js/perf-hud.js)
+        hud: false
+    },
+    accessibility: {
+        palette: 'default',  // default, colorBlind or highContrast, see js/core/palettes.js
+        autoPatterns: false, // Patterns for tiers without their own
+        speech: false        // Speak announcements aloud (the live region is always updated)
+    }
+};
+
+// Values the settings panel allows (its [data-setting] fields in index.html),
+// checked when settings arrive from elsewhere: the integration API or the
+// operator console. Settings without a rule take any value of their type.
+const SETTING_RULES = {
+    'multiplayer.maxPlayers': { values: [2, 3, 4] },
+    'game.mode': { values: ['single', 'bestOf', 'cumulative', 'suddenDeath'] },
+    'game.rounds': { min: 1, max: 20, integer: true },
+    'game.countdown': { min: 1, max: 3599, integer: true },
+    'spin.speed': { min: 10, max: 720 },
+    'spin.directionChanges': { min: 0, max: 10, integer: true },
+    'spin.stopTime': { min: 0, max: 10 },
+    'layout.seed': { pattern: /^(?:[0-9a-fA-F]{1,8})?$/ },
+    'control.mode': { values: ['head', 'gaze'] },
+    'control.headWeight': { min: 0, max: 1 },
+    'smoothing.minCutoff': { min: 0.01 },
+    'smoothing.beta': { min: 0 },
+    'dwell.time': { min: 0 },
+    'resultImage.width': { values: [866, 1299, 1732, 2598] },
+    'resultImage.format': { values: ['png', 'jpeg', 'webp'] },
+    'resultImage.quality': { min: 0.1, max: 1 },
+    'replay.tail': { min: 0, max: 10 },
+    'replay.width': { values: [640, 960, 1280] },
+    'replay.animated': { values: ['none', 'gif', 'webp'] },
+    'display.locale': { values: ['auto', ...Object.keys(LOCALES)] },
+    'display.unit': { values: ['yuan', 'dollar', 'euro', 'points', 'custom'] },
+    'display.customUnit': { maxLength: 12 },
+    'camera.resolution': { values: ['auto', '640x480', '1280x720', '1920x1080'] },
+    'effects.volume': { min: 0, max: 1 },
+    'effects.preset': { values: ['normal', 'quiet'] },
+    'webhook.url': { pattern: /^(?:https?:\/\/\S+)?$/ },
+    'accessibility.palette': { values: ['default', 'colorBlind', 'highContrast'] }
+};
+
+/**
+ * A rejected setting: the message in the active language, plus its key and
+ * params so the operator console can translate it in its own.
+ */
+function settingError(key, params) {
+    return Object.assign(new Error(t(key, params)), { key, params });
+}
+
+/**
+ * Checks a value against the type of the current one and the setting's rule.
+ * @throws {Error} Naming the setting and what it takes (see settingError)
+ */
+function checkSettingValue(path, value, current) {
+    if (typeof value !== typeof current || (typeof value === 'number' && !Number.isFinite(value))) {
+        throw settingError(`settings.error.${typeof current}`, { name: path });
+    }
+    const rule = SETTING_RULES[path];
+    if (!rule) return;
+    if (rule.values && !rule.values.includes(value)) {
+        throw settingError('settings.error.choice', { name: path, values: rule.values.join(', ') });
+    }
+    if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        throw settingError('settings.error.range', {
+            name: path,
+            min: rule.min === undefined ? '-∞' : rule.min,
+            max: rule.max === undefined ? '∞' : rule.max
+        });
+    }
+    if (rule.integer && !Number.isInteger(value)) {
+        throw settingError('settings.error.integer', { name: path });
+    }
+    if ((rule.pattern && !rule.pattern.test(value)) || (rule.maxLength !== undefined && value.length > rule.maxLength)) {
+        throw settingError('settings.error.format', { name: path });
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Recursively fill missing keys of `value` from `defaults`
+function mergeWithDefaults(defaults, value) {
+    const result = {};
+    Object.keys(defaults).forEach(key => {
+        if (isPlainObject(defaults[key])) {
+            result[key] = mergeWithDefaults(defaults[key], isPlainObject(value && value[key]) ? value[key] : {});
+        } else {
+            result[key] = value && value[key] !== undefined ? value[key] : defaults[key];
+        }
+    });
+    return result;
+}
+
+/**
+ * Applies a subset of the settings (e.g. { game: { rounds: 5 } }) on top of
+ * `settings`, for the integration API and the operator console. Unknown keys
+ * are ignored.
+ * @returns {object} New settings; `settings` is left unchanged
+ * @throws {Error} When a value doesn't have the type of the setting or is
+ *   outside what the settings panel allows; it carries the message `key` and
+ *   `params`
+ */
+export function mergeSettings(settings, changes, path = '') {
+    const result = {};
+    Object.keys(settings).forEach(key => {
+        const current = settings[key];
+        const change = changes ? changes[key] : undefined;
+        if (isPlainObject(current)) {
+            if (change !== undefined && !isPlainObject(change)) throw settingError('settings.error.object', { name: `${path}${key}` });
+            result[key] = mergeSettings(current, change, `${path}${key}.`);
+        } else if (change === undefined) {
+            result[key] = current;
+        } else {
+            checkSettingValue(`${path}${key}`, change, current);
+            result[key] = change;
+        }
+    });
+    return result;
+}
+
+/**
+ * Reads a nested setting by dot-separated path, e.g. "calibration.beforeRound".
+ */
+export function getSetting(settings, path) {
+    return path.split('.').reduce((node, key) => (node ? node[key] : undefined), settings);
+}
+
+/**
+ * Writes a nested setting by dot-separated path.
+ */
+export function setSetting(settings, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => node[key], settings);
+    parent[last] = value;
+}
+
+export function loadSettings() {
+    try {
+        const stored = localStorage.getItem(SETTINGS_STORAGE_KEY);
+        if (stored) return mergeWithDefaults(DEFAULT_SETTINGS, JSON.parse(stored));
+    } catch (err) {
+        console.error("Stored settings are invalid, using defaults:", err);
+    }
+    return mergeWithDefaults(DEFAULT_SETTINGS, {});
+}
+
+export function saveSettings(settings) {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
@@ -0,0 +1,140 @@
+// Sound Effects
+// Plays the bundled sounds in sounds/ through Web Audio: a tick when a ray
+// crosses into another sector, beeps over the last seconds of the countdown
+// and coin chimes plus a fanfare sized to the prize (see js/core/celebration.js).
+// Browsers only start audio after a click or key press in the page, so the
+// sounds are loaded on the first one (see unlock()).
+
+const SOUND_FILES = {
+    tick: 'sounds/tick.wav',
+    beep: 'sounds/beep.wav',
+    beepFinal: 'sounds/beep-final.wav',
+    chime: 'sounds/chime.wav',
+    fanfare: 'sounds/fanfare.wav',
+    miss: 'sounds/miss.wav'
+};
+
+// What each preset plays. The quiet venue preset drops the ticks and the
+// fanfare, only beeps over the last three seconds and plays everything softer.
+const SOUND_PRESETS = {
+    normal: { ticks: true, beepSeconds: 5, fanfare: true, gain: 1 },
+    quiet: { ticks: false, beepSeconds: 3, fanfare: false, gain: 0.4 }
+};
+
+// A fast sweep across narrow sectors would otherwise buzz (ms)
+const MIN_TICK_INTERVAL = 40;
+
+// Time between the coin chimes of a celebration (seconds)
+const CHIME_INTERVAL = 0.12;
+
+export class SoundEffects {
+    constructor() {
+        this.context = null;
+        this.output = null;
+        this.buffers = new Map();
+        this.muted = false;
+        this.volume = 1;
+        this.preset = SOUND_PRESETS.normal;
+        this.lastTick = -Infinity;
+    }
+
+    /**
+     * @param {object} options - The "effects" settings
+     * @param {boolean} options.muted
+     * @param {number} options.volume - 0 to 1
+     * @param {string} options.preset - "normal" or "quiet"
+     */
+    setOptions({ muted, volume, preset }) {
+        this.muted = muted;
+        this.volume = volume;
+        this.preset = SOUND_PRESETS[preset] || SOUND_PRESETS.normal;
+        this.updateGain();
+    }
+
+    updateGain() {
+        if (this.output) this.output.gain.value = this.muted ? 0 : this.volume * this.preset.gain;
+    }
+
+    /**
+     * Creates the audio context and loads the sounds; call from a user gesture.
+     * Does nothing in browsers without Web Audio.
+     */
+    unlock() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        if (!this.context) {
+            this.context = new AudioContextClass();
+            this.output = this.context.createGain();
+            this.output.connect(this.context.destination);
+            this.updateGain();
+            this.load();
+        }
+        if (this.context.state === 'suspended') this.context.resume();
+    }
+
+    load() {
+        Object.entries(SOUND_FILES).forEach(([name, url]) => {
+            fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`${url}: ${response.status}`);
+                    return response.arrayBuffer();
+                })
+                .then(data => this.context.decodeAudioData(data))
+                .then(buffer => this.buffers.set(name, buffer))
+                .catch(err => console.error("Failed to load sound:", err));
+        });
+    }
+
+    /**
+     * Plays a loaded sound; silently skipped while muted or before it has loaded.
+     * @param {string} name - Key of SOUND_FILES
+     * @param {object} [options]
+     * @param {number} [options.delay=0] - Seconds from now
+     * @param {number} [options.rate=1] - Playback rate (also shifts the pitch)
+     */
+    play(name, { delay = 0, rate = 1 } = {}) {
+        const buffer = this.buffers.get(name);
+        if (!buffer || this.muted || this.context.state !== 'running') return;
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        source.playbackRate.value = rate;
+        source.connect(this.output);
+        source.start(this.context.currentTime + delay);
+    }
+
+    /**
+     * A ray moved into another sector.
+     * @param {number} now - performance.now()
+     */
+    tick(now) {
+        if (!this.preset.ticks || now - this.lastTick < MIN_TICK_INTERVAL) return;
+        this.lastTick = now;
+        this.play('tick');
+    }
+
+    /**
+     * The countdown reached another second.
+     * @param {number} secondsLeft - 0 when the round is over
+     */
+    countdown(secondsLeft) {
+        if (secondsLeft === 0) {
+            this.play('beepFinal');
+        } else if (secondsLeft <= this.preset.beepSeconds) {
+            this.play('beep');
+        }
+    }
+
+    /**
+     * Plays the sounds of a celebration.
+     * @param {object} plan - From planCelebration()
+     */
+    celebrate({ chimes, fanfare }) {
+        if (chimes === 0) {
+            this.play('miss');
+            return;
+        }
+        // Each chime a little higher than the one before
+        for (let i = 0; i < chimes; i++) this.play('chime', { delay: i * CHIME_INTERVAL, rate: 1 + i * 0.06 });
+        if (fanfare && this.preset.fanfare) this.play('fanfare', { delay: chimes * CHIME_INTERVAL });
+    }
+}
@@ -0,0 +1,34 @@
+// Shared helpers
+
+/**
+ * Formats a date as YYYYMMDD_HHMMSS for download filenames (e.g. PartyGame_<datetime>.png).
+ */
+export function formatDatetimeStamp(date = new Date()) {
+    return date.getFullYear().toString() +
+        String(date.getMonth() + 1).padStart(2, '0') +
+        String(date.getDate()).padStart(2, '0') + '_' +
+        String(date.getHours()).padStart(2, '0') +
+        String(date.getMinutes()).padStart(2, '0') +
+        String(date.getSeconds()).padStart(2, '0');
+}
+
+/**
+ * Triggers a browser download of a URL (data:, blob: or same-origin).
+ */
+export function downloadFile(href, filename) {
+    const downloadLink = document.createElement('a');
+    downloadLink.href = href;
+    downloadLink.download = filename;
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+    document.body.removeChild(downloadLink);
+}
+
+/**
+ * Downloads text content as a file.
+ */
+export function downloadText(text, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    downloadFile(url, filename);
+    URL.revokeObjectURL(url);
+}
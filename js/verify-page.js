@@ -0,0 +1,104 @@
+// Verification Page
+// Entry point of verify.html: checks revealed seeds against the commitments
+// shown before each game and redraws the wheel rebuilt from the seed.
+
+import { verifyRoundRecord } from './core/fairness.js';
+import { getTierStyles } from './core/palettes.js';
+import { getSectorAngles } from './core/wheel-layout.js';
+import { drawWheel } from './wheel-renderer.js';
+import { applyTranslations, resolveLocale, setLocale, setPrizeUnit, t } from './i18n.js';
+import { loadSettings } from './settings.js';
+
+// Same language, prize unit and wheel palette as the game
+const settings = loadSettings();
+setLocale(resolveLocale(settings.display.locale));
+setPrizeUnit(settings.display.unit, settings.display.customUnit);
+applyTranslations();
+
+const seedInput = document.getElementById('verify_seed');
+const saltInput = document.getElementById('verify_salt');
+const commitmentInput = document.getElementById('verify_commitment');
+const recordInput = document.getElementById('verify_record');
+const verifyBtn = document.getElementById('verify_btn');
+const errorMessage = document.getElementById('verify_error');
+const resultRows = document.getElementById('verify_results');
+const wheelCanvas = document.getElementById('verify_canvas');
+
+/**
+ * Records to check: the pasted history JSON, or the three fields.
+ * @throws {Error} With a user-facing message when the JSON can't be read
+ */
+function readRecords() {
+    const text = recordInput.value.trim();
+    if (!text) {
+        return [{
+            seed: seedInput.value.trim(),
+            salt: saltInput.value.trim(),
+            commitment: commitmentInput.value.trim()
+        }];
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (err) {
+        throw new Error(t('verify.error.json'));
+    }
+    const records = (Array.isArray(parsed) ? parsed : [parsed]).filter(record => record && record.seed);
+    if (records.length === 0) throw new Error(t('verify.error.noSeed'));
+    return records;
+}
+
+function verdict(ok) {
+    return t(ok ? 'verify.match' : 'verify.mismatch');
+}
+
+async function verify() {
+    errorMessage.textContent = '';
+    resultRows.innerHTML = '';
+    wheelCanvas.classList.add('hidden');
+
+    let records;
+    try {
+        records = readRecords();
+    } catch (err) {
+        errorMessage.textContent = err.message;
+        return;
+    }
+
+    let shownWheel = false;
+    for (const record of records) {
+        const result = await verifyRoundRecord(record);
+        const cells = [
+            record.timestamp ? new Date(record.timestamp).toLocaleString() : '—',
+            record.playerId ? `P${record.playerId}` : '—',
+            record.seed,
+            verdict(result.commitment),
+            record.layout ? verdict(result.layout && result.seedChain) : '—'
+        ];
+        const row = document.createElement('tr');
+        cells.forEach(cell => {
+            const td = document.createElement('td');
+            td.textContent = cell;
+            row.appendChild(td);
+        });
+        resultRows.appendChild(row);
+
+        // Draw the first rebuilt wheel
+        if (result.rebuilt && !shownWheel) {
+            shownWheel = true;
+            const ctx = wheelCanvas.getContext('2d');
+            const tierStyles = getTierStyles(record.layout.tiers, settings.accessibility);
+            const area = { width: wheelCanvas.width, height: wheelCanvas.height };
+            drawWheel(ctx, getSectorAngles(result.rebuilt), area, tierStyles);
+            wheelCanvas.classList.remove('hidden');
+        }
+    }
+}
+
+verifyBtn.addEventListener('click', () => {
+    verify().catch(err => {
+        console.error("Failed to verify:", err);
+        errorMessage.textContent = t('verify.error.failed');
+    });
+});
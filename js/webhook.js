@@ -0,0 +1,62 @@
+// Webhook
+// Optionally POSTs the round results as JSON to a URL set in the settings, such
+// as a local service that prints prize tickets or feeds a CRM. Results that
+// can't be delivered wait in an outbox that survives reloads (see
+// js/core/outbox.js) and are sent again when the browser is back online.
+
+import { Outbox } from './core/outbox.js';
+
+const WEBHOOK_QUEUE_KEY = 'faceGame.webhookQueue';
+
+// Milliseconds before a request that got no answer counts as failed
+const WEBHOOK_TIMEOUT = 10000;
+
+export class Webhook {
+    constructor() {
+        this.enabled = false;
+        this.url = '';
+        this.outbox = new Outbox({
+            send: message => this.post(message),
+            storage: localStorage,
+            storageKey: WEBHOOK_QUEUE_KEY,
+            retries: 3,
+            retryDelay: 2000,
+            onSaveError: err => console.error("Failed to store the webhook queue:", err)
+        });
+        window.addEventListener('online', () => this.outbox.flush());
+    }
+
+    /**
+     * @param {object} options - The "webhook" settings
+     * @param {boolean} options.enabled
+     * @param {string} options.url
+     */
+    setOptions({ enabled, url }) {
+        this.enabled = enabled && url !== '';
+        this.url = url;
+        // Results queued earlier go out as soon as there is somewhere to send them
+        if (this.enabled && this.outbox.length > 0) this.outbox.flush();
+    }
+
+    /**
+     * Queues a message for the URL; ignored while the webhook is off.
+     * @param {string} event - Name of the game event (see js/game-api.js)
+     * @param {object} data - The event's detail
+     */
+    send(event, data) {
+        if (!this.enabled) return;
+        this.outbox.enqueue({ event, timestamp: new Date().toISOString(), data });
+    }
+
+    async post(message) {
+        // Keep the queue while the webhook is switched off
+        if (!this.enabled) throw new Error('Webhook is off');
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(message),
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+        });
+        if (!response.ok) throw new Error(`Webhook answered ${response.status}`);
+    }
+}
@@ -0,0 +1,204 @@
+// Wheel Configuration
+// Single source of truth for the prize tiers drawn on the wheel and used for hit-testing.
+
+import { downloadText } from './utils.js';
+import { PATTERN_NAMES } from './core/palettes.js';
+import { t } from './i18n.js';
+
+const WHEEL_CONFIG_STORAGE_KEY = 'faceGame.wheelConfig';
+
+/**
+ * Default wheel layout (matches the original hardcoded palette).
+ * - color:     sector fill colour
+ * - textColor: optional colour for the edge label (defaults to color)
+ * - label:     text drawn at the window edge ('' = the value in the prize unit)
+ * - value:     prize value shown in the money panel
+ * - minCount:  minimum number of sectors this tier gets on the wheel
+ * - size:      relative angular size of this tier's sectors (1 = normal)
+ * - stock:     number of prizes available for this tier (null = unlimited)
+ * - pattern:   optional pattern drawn over the colour (see js/core/palettes.js)
+ */
+export const DEFAULT_WHEEL_CONFIG = {
+    totalSectors: 20,
+    // Random weight range applied to every sector before the tier size multiplier
+    weightRange: [0.4, 1.2],
+    // Total value that may be handed out (null = no limit)
+    budget: null,
+    // How sold-out tiers appear: "shrink", "merge" (into the next lower tier) or "label"
+    soldOutMode: 'label',
+    tiers: [
+        { id: 'tier100', color: '#FF78A3', label: '', value: 100, minCount: 1, size: 1, stock: null },
+        { id: 'tier50', color: '#47D495', label: '', value: 50, minCount: 1, size: 1, stock: null },
+        { id: 'tier20', color: '#FFCC8D', label: '', value: 20, minCount: 1, size: 1, stock: null },
+        { id: 'tier10', color: '#87C9EA', label: '', value: 10, minCount: 1, size: 1, stock: null },
+        { id: 'tier5', color: '#C088D2', label: '', value: 5, minCount: 1, size: 1, stock: null },
+        { id: 'tier1', color: '#DDDDDD', textColor: '#AAAAAA', label: '', value: 1, minCount: 1, size: 1, stock: null }
+    ]
+};
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const SOLD_OUT_MODES = ['shrink', 'merge', 'label'];
+
+// Empty values (null, undefined, '') mean "no limit"
+function isUnset(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Validates a wheel configuration and returns a normalised copy.
+ * Missing optional fields are filled with defaults.
+ * @param {object} config - Raw configuration (e.g. parsed from JSON)
+ * @returns {object} Normalised configuration
+ * @throws {Error} With a user-facing message when the configuration is invalid
+ */
+export function validateWheelConfig(config) {
+    if (!config || typeof config !== 'object') {
+        throw new Error(t('wheelConfig.error.object'));
+    }
+    if (!Array.isArray(config.tiers) || config.tiers.length === 0) {
+        throw new Error(t('wheelConfig.error.noTiers'));
+    }
+
+    const totalSectors = Number(config.totalSectors);
+    if (!Number.isInteger(totalSectors) || totalSectors < 1) {
+        throw new Error(t('wheelConfig.error.totalSectors'));
+    }
+
+    const weightRange = config.weightRange || DEFAULT_WHEEL_CONFIG.weightRange;
+    if (!Array.isArray(weightRange) || weightRange.length !== 2 ||
+        !(weightRange[0] > 0) || !(weightRange[1] >= weightRange[0])) {
+        throw new Error(t('wheelConfig.error.weightRange'));
+    }
+
+    const budget = isUnset(config.budget) ? null : Number(config.budget);
+    if (budget !== null && (!Number.isFinite(budget) || budget < 0)) {
+        throw new Error(t('wheelConfig.error.budget'));
+    }
+
+    const soldOutMode = config.soldOutMode || DEFAULT_WHEEL_CONFIG.soldOutMode;
+    if (!SOLD_OUT_MODES.includes(soldOutMode)) {
+        throw new Error(t('wheelConfig.error.soldOutMode', { modes: SOLD_OUT_MODES.join(' / ') }));
+    }
+
+    const usedIds = new Set();
+    const tiers = config.tiers.map((tier, index) => {
+        const position = { tier: index + 1 };
+        if (!tier || typeof tier !== 'object') {
+            throw new Error(t('wheelConfig.error.tier', position));
+        }
+        if (!HEX_COLOR_PATTERN.test(tier.color || '')) {
+            throw new Error(t('wheelConfig.error.color', position));
+        }
+        if (tier.textColor && !HEX_COLOR_PATTERN.test(tier.textColor)) {
+            throw new Error(t('wheelConfig.error.textColor', position));
+        }
+
+        const value = Number(tier.value);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(t('wheelConfig.error.value', position));
+        }
+
+        const minCount = tier.minCount === undefined ? 1 : Number(tier.minCount);
+        if (!Number.isInteger(minCount) || minCount < 0) {
+            throw new Error(t('wheelConfig.error.minCount', position));
+        }
+
+        const size = tier.size === undefined ? 1 : Number(tier.size);
+        if (!Number.isFinite(size) || size <= 0) {
+            throw new Error(t('wheelConfig.error.size', position));
+        }
+
+        const stock = isUnset(tier.stock) ? null : Number(tier.stock);
+        if (stock !== null && (!Number.isInteger(stock) || stock < 0)) {
+            throw new Error(t('wheelConfig.error.stock', position));
+        }
+
+        const pattern = tier.pattern ? String(tier.pattern) : '';
+        if (pattern && !PATTERN_NAMES.includes(pattern)) {
+            throw new Error(t('wheelConfig.error.pattern', { ...position, patterns: PATTERN_NAMES.join(' / ') }));
+        }
+
+        // Tier ids must be stable and unique; generate one from the value if missing
+        let id = tier.id ? String(tier.id) : `tier${value}`;
+        while (usedIds.has(id)) id += '_';
+        usedIds.add(id);
+
+        // Older configurations spelled out the default "<value> 元" label; an
+        // empty label follows the prize unit from the settings instead
+        const label = tier.label === undefined ? '' : String(tier.label);
+
+        const normalised = {
+            id,
+            color: tier.color.toUpperCase(),
+            label: label === `${value} 元` ? '' : label,
+            value,
+            minCount,
+            size,
+            stock
+        };
+        if (tier.textColor) normalised.textColor = tier.textColor.toUpperCase();
+        if (pattern) normalised.pattern = pattern;
+        return normalised;
+    });
+
+    const minimumSectors = tiers.reduce((sum, tier) => sum + tier.minCount, 0);
+    if (minimumSectors > totalSectors) {
+        throw new Error(t('wheelConfig.error.minimumSectors', { minimum: minimumSectors, total: totalSectors }));
+    }
+
+    return {
+        totalSectors,
+        weightRange: [Number(weightRange[0]), Number(weightRange[1])],
+        budget,
+        soldOutMode,
+        tiers
+    };
+}
+
+/**
+ * Loads the wheel configuration from localStorage, falling back to the default.
+ */
+export function loadWheelConfig() {
+    try {
+        const stored = localStorage.getItem(WHEEL_CONFIG_STORAGE_KEY);
+        if (stored) return validateWheelConfig(JSON.parse(stored));
+    } catch (err) {
+        console.error("Stored wheel config is invalid, using default:", err);
+    }
+    return validateWheelConfig(DEFAULT_WHEEL_CONFIG);
+}
+
+/**
+ * Validates and persists a wheel configuration.
+ * @returns {object} The normalised configuration that was saved
+ */
+export function saveWheelConfig(config) {
+    const normalised = validateWheelConfig(config);
+    localStorage.setItem(WHEEL_CONFIG_STORAGE_KEY, JSON.stringify(normalised));
+    return normalised;
+}
+
+/**
+ * Reads and validates a wheel configuration from a JSON file chosen by the user.
+ * @param {File} file
+ * @returns {Promise<object>} The normalised configuration
+ */
+export function readWheelConfigFile(file) {
+    return file.text().then(text => {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (err) {
+            throw new Error(t('file.error.json'));
+        }
+        return validateWheelConfig(parsed);
+    });
+}
+
+/**
+ * Downloads the given configuration as a JSON file.
+ */
+export function exportWheelConfig(config) {
+    downloadText(JSON.stringify(config, null, 2), 'wheel-config.json', 'application/json');
+}
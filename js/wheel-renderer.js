@@ -0,0 +1,223 @@
+// Wheel Renderer
+// Draws the prize wheel (sectors, borders and edge labels) onto any 2D context.
+// Shared by the live background and the result image so both look the same.
+
+import { WHEEL_BORDER_RAD, getSectorAngles } from './core/wheel-layout.js';
+import { getTierStyle } from './core/palettes.js';
+import { getTierLabel } from './i18n.js';
+
+export const WHEEL_FONT_FAMILY = '"Segoe UI", Roboto, Helvetica, Arial, sans-serif';
+
+// Label inset from the left/right and top/bottom edges and label size, for
+// areas that don't bring their own (see computeScreenLayout() in js/core/screen-layout.js)
+const DEFAULT_LABEL_PADDING = { x: 60, y: 40 };
+const DEFAULT_LABEL_FONT_SIZE = 28;
+
+// Pattern tiles are drawn once per pattern; the lines are dark with a light
+// core so they show on every sector colour
+const PATTERN_TILE_SIZE = 24;
+const patternTiles = new Map();
+
+const PATTERN_PAINTERS = {
+    stripes: (ctx, size) => {
+        ctx.moveTo(-size / 4, size / 4);
+        ctx.lineTo(size / 4, -size / 4);
+        ctx.moveTo(0, size);
+        ctx.lineTo(size, 0);
+        ctx.moveTo(size * 3 / 4, size * 5 / 4);
+        ctx.lineTo(size * 5 / 4, size * 3 / 4);
+    },
+    dots: (ctx, size) => {
+        ctx.moveTo(size / 2 + size / 6, size / 2);
+        ctx.arc(size / 2, size / 2, size / 6, 0, Math.PI * 2);
+    },
+    grid: (ctx, size) => {
+        ctx.moveTo(size / 2, 0);
+        ctx.lineTo(size / 2, size);
+        ctx.moveTo(0, size / 2);
+        ctx.lineTo(size, size / 2);
+    },
+    crosshatch: (ctx, size) => {
+        ctx.moveTo(0, 0);
+        ctx.lineTo(size, size);
+        ctx.moveTo(0, size);
+        ctx.lineTo(size, 0);
+    },
+    zigzag: (ctx, size) => {
+        ctx.moveTo(0, size * 2 / 3);
+        ctx.lineTo(size / 4, size / 3);
+        ctx.lineTo(size / 2, size * 2 / 3);
+        ctx.lineTo(size * 3 / 4, size / 3);
+        ctx.lineTo(size, size * 2 / 3);
+    },
+    checker: (ctx, size) => {
+        ctx.rect(0, 0, size / 2, size / 2);
+        ctx.rect(size / 2, size / 2, size / 2, size / 2);
+    }
+};
+
+function getPatternTile(name) {
+    if (!patternTiles.has(name)) {
+        const tile = document.createElement('canvas');
+        tile.width = PATTERN_TILE_SIZE;
+        tile.height = PATTERN_TILE_SIZE;
+        const tileCtx = tile.getContext('2d');
+        tileCtx.beginPath();
+        PATTERN_PAINTERS[name](tileCtx, PATTERN_TILE_SIZE);
+        tileCtx.lineCap = 'square';
+        if (name === 'checker') {
+            tileCtx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+            tileCtx.fill();
+        } else {
+            tileCtx.lineWidth = 4;
+            tileCtx.strokeStyle = 'rgba(0, 0, 0, 0.45)';
+            tileCtx.stroke();
+            tileCtx.lineWidth = 1.5;
+            tileCtx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+            tileCtx.stroke();
+        }
+        patternTiles.set(name, tile);
+    }
+    return patternTiles.get(name);
+}
+
+/**
+ * Draws the wheel over a width x height area, large enough to cover it.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<{startAngle:number, endAngle:number, midAngle:number, tier:object}>} sectorAngles
+ * @param {object} area - A screen layout from computeScreenLayout(), or just a size
+ * @param {number} area.width
+ * @param {number} area.height
+ * @param {{x:number, y:number}} [area.center] - Wheel centre; the middle of the area by default
+ * @param {{x:number, y:number}} [area.labelPadding] - Label inset from the edges
+ * @param {number} [area.labelFontSize]
+ * @param {Map<string, object>|null} [tierStyles] - Palette and patterns from getTierStyles()
+ *   (js/core/palettes.js); by default every tier is drawn in its configured colours
+ */
+export function drawWheel(ctx, sectorAngles, area, tierStyles = null) {
+    const { width, height } = area;
+    const { x: centerX, y: centerY } = area.center || { x: width / 2, y: height / 2 };
+    const labelPadding = area.labelPadding || DEFAULT_LABEL_PADDING;
+    // Radius should be large enough to cover the entire area
+    const radius = Math.hypot(Math.max(centerX, width - centerX), Math.max(centerY, height - centerY)) + 50;
+
+    sectorAngles.forEach(sector => {
+        const style = getTierStyle(sector.tier, tierStyles);
+
+        // Draw color sector
+        ctx.beginPath();
+        ctx.moveTo(centerX, centerY);
+        ctx.arc(centerX, centerY, radius, sector.startAngle, sector.endAngle - WHEEL_BORDER_RAD);
+        ctx.closePath();
+        ctx.fillStyle = style.color;
+        ctx.fill();
+        if (style.pattern) {
+            ctx.fillStyle = ctx.createPattern(getPatternTile(style.pattern), 'repeat');
+            ctx.fill();
+        }
+
+        // Draw white border
+        ctx.beginPath();
+        ctx.moveTo(centerX, centerY);
+        ctx.arc(centerX, centerY, radius, sector.endAngle - WHEEL_BORDER_RAD, sector.endAngle);
+        ctx.closePath();
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fill();
+    });
+
+    // Draw prize text on colored sectors, positioned at the edge of the area
+    ctx.font = `bold ${area.labelFontSize || DEFAULT_LABEL_FONT_SIZE}px ${WHEEL_FONT_FAMILY}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    sectorAngles.forEach(sector => {
+        const prizeText = getTierLabel(sector.tier);
+        const textColor = getTierStyle(sector.tier, tierStyles).textColor;
+        if (!prizeText) return;
+
+        const { x, y } = getWheelLabelPosition(sector.midAngle, width, height, centerX, centerY, labelPadding);
+
+        // Draw text with white outline for visibility
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 4;
+        ctx.strokeText(prizeText, x, y);
+        ctx.fillStyle = textColor;
+        ctx.fillText(prizeText, x, y);
+    });
+}
+
+/**
+ * Keeps the live wheel drawn in an offscreen canvas at the screen's resolution.
+ * A display frame only copies it; it is drawn again when the wheel, its
+ * rotation, the screen layout or the tier styles change, or after invalidate().
+ */
+export class WheelCache {
+    constructor() {
+        this.canvas = null;
+        this.key = null;
+    }
+
+    // The labels changed (language or prize unit), so draw again next time
+    invalidate() {
+        this.key = null;
+    }
+
+    /**
+     * Draws the wheel into the cache unless it is already there.
+     * @param {object} sectorData - Layout from generateWheelLayout()
+     * @param {number} rotation - Clockwise rotation of the wheel (rad)
+     * @param {object} layout - From computeScreenLayout()
+     * @param {Map<string, object>|null} tierStyles - From getTierStyles()
+     * @returns {boolean} Whether the cached wheel changed
+     */
+    update(sectorData, rotation, layout, tierStyles) {
+        const key = this.key;
+        if (key && key.sectorData === sectorData && key.rotation === rotation &&
+            key.layout === layout && key.tierStyles === tierStyles) {
+            return false;
+        }
+        this.key = { sectorData, rotation, layout, tierStyles };
+
+        const pixelWidth = Math.round(layout.width * layout.devicePixelRatio);
+        const pixelHeight = Math.round(layout.height * layout.devicePixelRatio);
+        if (!this.canvas) this.canvas = createOffscreenCanvas(pixelWidth, pixelHeight);
+        if (this.canvas.width !== pixelWidth || this.canvas.height !== pixelHeight) {
+            this.canvas.width = pixelWidth;
+            this.canvas.height = pixelHeight;
+        }
+        const ctx = this.canvas.getContext('2d');
+        ctx.setTransform(layout.devicePixelRatio, 0, 0, layout.devicePixelRatio, 0, 0);
+        ctx.clearRect(0, 0, layout.width, layout.height);
+        drawWheel(ctx, getSectorAngles(sectorData, rotation), layout, tierStyles);
+        return true;
+    }
+}
+
+// OffscreenCanvas where available; a detached canvas element does the same job
+function createOffscreenCanvas(width, height) {
+    if (typeof OffscreenCanvas === 'function') return new OffscreenCanvas(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Finds where a ray from the centre at `angle` leaves the padded area.
+ * @returns {{x:number, y:number}}
+ */
+function getWheelLabelPosition(angle, width, height, centerX, centerY, padding) {
+    // Calculate direction vector
+    const dirX = Math.cos(angle);
+    const dirY = Math.sin(angle);
+
+    // Check intersection with each edge of the area
+    const candidates = [];
+    if (dirX > 0) candidates.push((width - centerX - padding.x) / dirX); // Right edge
+    if (dirX < 0) candidates.push((padding.x - centerX) / dirX); // Left edge
+    if (dirY > 0) candidates.push((height - centerY - padding.y) / dirY); // Bottom edge
+    if (dirY < 0) candidates.push((padding.y - centerY) / dirY); // Top edge
+    const t = Math.min(...candidates.filter(candidate => candidate > 0));
+
+    return { x: centerX + dirX * t, y: centerY + dirY * t };
+}
@@ -1,614 +1,1710 @@
+import { Announcer } from './js/announcer.js';
+import { assetUrl, loadVendorScripts, registerServiceWorker } from './js/app-config.js';
+import { addCalibrationSample, isCalibrating, runCalibration } from './js/calibration.js';
+import { COUNTDOWN_STATE, Countdown, formatCountdown } from './js/core/countdown.js';
+import { createCommitment, createLayoutSnapshot, getLayoutInputs } from './js/core/fairness.js';
+import { createDefaultGazeCalibration } from './js/core/eye-gaze.js';
+import { getCelebrationLevel, planCelebration } from './js/core/celebration.js';
+import { PLAYER_COLORS, FaceTracker } from './js/core/face-tracker.js';
+import { HeadingFilter, DwellLock } from './js/core/filters.js';
+import { GameSession } from './js/core/game-modes.js';
+import { HeadCalibration } from './js/core/head-pose.js';
+import { HeadingTimeline } from './js/core/heading-timeline.js';
+import { computeHeading } from './js/core/heading.js';
+import { detectDrawnRaySector } from './js/core/hit-test.js';
+import { getTierStyles } from './js/core/palettes.js';
+import { createSeed, createSeededRandom, deriveSeed, formatSeed, parseSeed } from './js/core/random.js';
+import { RoundMonitor, measureFace } from './js/core/round-integrity.js';
+import { chooseCameraResolution, computeScreenLayout } from './js/core/screen-layout.js';
+import { generateWheelLayout, getSectorAngles } from './js/core/wheel-layout.js';
+import { WheelMotion } from './js/core/wheel-motion.js';
+import { EffectsLayer } from './js/effects-layer.js';
+import { GAME_EVENT, GameApi } from './js/game-api.js';
+import { initHistoryPanel } from './js/history-panel.js';
+import { getSessionId, ROUND_STATUS, addRoundRecords, updateRoundRecordStatus } from './js/history-store.js';
+import {
+    LOCALES, applyTranslations, formatPrize, getLocale, getTierLabel, resolveLocale, setLocale, setPrizeUnit, t
+} from './js/i18n.js';
+import {
+    CameraInputSource, DEFAULT_INPUT_ASPECT, describeCameraError, VideoFileInputSource, LandmarkPlaybackSource
+} from './js/input-sources.js';
+import { loadInventory, resetInventory, recordIssuedPrizes } from './js/inventory.js';
+import { LandmarkRecorder, readLandmarkSessionFile } from './js/landmark-session.js';
+import { addLivenessSample, isCheckingLiveness, runLivenessCheck } from './js/liveness-check.js';
+import { ManualInputSource } from './js/manual-input.js';
+import { GameChannel, OPERATOR_COMMAND, isOperatorChannelSupported } from './js/operator-channel.js';
+import { PerfHud } from './js/perf-hud.js';
+import { ReplayRecorder } from './js/replay-recorder.js';
+import { loadResultFrame, copyVideoFrame, drawResultScene, renderResultImage } from './js/result-renderer.js';
+import { initSettingsPanel } from './js/settings-panel.js';
+import { loadSettings, mergeSettings, saveSettings } from './js/settings.js';
+import { SoundEffects } from './js/sound-effects.js';
+import { formatDatetimeStamp, downloadFile } from './js/utils.js';
+import { loadWheelConfig } from './js/wheel-config.js';
+import { WheelCache } from './js/wheel-renderer.js';
+import { Webhook } from './js/webhook.js';
+
 // Get DOM elements
 const videoElement = document.getElementById('input_video');
 const canvasElement = document.getElementById('output_canvas');
 const canvasCtx = canvasElement.getContext('2d');
 const moneyDisplay = document.getElementById('money_display');
+const moneySingle = document.querySelector('.money-single');
+const playerScores = document.getElementById('player_scores');
+const playerNameInput = document.getElementById('player_name');
+
+// Persistent game settings (see js/settings.js)
+let settings = loadSettings();
+
+// Language and prize unit come from the settings (see js/i18n.js)
+function applyDisplaySettings() {
+    setLocale(resolveLocale(settings.display.locale));
+    setPrizeUnit(settings.display.unit, settings.display.customUnit);
+    applyTranslations();
+}
+
+applyDisplaySettings();
+moneyDisplay.textContent = formatPrize(0);
+
+// Reads out the sector, the countdown and the result (see js/announcer.js)
+const announcer = new Announcer(document.getElementById('announcer'));
+announcer.setOptions(settings.accessibility);
+
+// Detection rate, frame rate and latency overlay (see js/perf-hud.js)
+const perfHud = new PerfHud(document.getElementById('perf_hud'));
+perfHud.setOptions(settings.performance);
 
-// Prize values for each color
-const prizeValues = {
-    '#FF78A3': 100,
-    '#47D495': 50,
-    '#FFCC8D': 20,
-    '#87C9EA': 10,
-    '#C088D2': 5,
-    '#DDDDDD': 1
+// Ticks, countdown beeps and the win fanfare (see js/sound-effects.js)
+const soundEffects = new SoundEffects();
+soundEffects.setOptions(settings.effects);
+
+// Audio can only start after a click or key press in this window
+['pointerdown', 'keydown'].forEach(type => document.addEventListener(type, () => soundEffects.unlock()));
+
+// Coins and confetti over the result (see js/effects-layer.js)
+const effectsLayer = new EffectsLayer(document.getElementById('effects_canvas'));
+effectsLayer.setOptions(settings.effects);
+
+// Events and controls for other systems on the page, as window.faceGame (see js/game-api.js)
+const gameApi = new GameApi({
+    startRound: () => startNextRound(),
+    regenerateWheel: () => regenerateWheel(),
+    getConfig: () => JSON.parse(JSON.stringify(settings)),
+    setConfig: (changes) => {
+        changeSettings(changes);
+        return JSON.parse(JSON.stringify(settings));
+    },
+    getState: () => JSON.parse(JSON.stringify(getOperatorState()))
+});
+window.faceGame = gameApi;
+
+// Posts each round's result and each confirmed game to the configured URL (see js/webhook.js)
+const webhook = new Webhook();
+webhook.setOptions(settings.webhook);
+[GAME_EVENT.ROUND_END, GAME_EVENT.RESULT_CONFIRMED].forEach(type => {
+    gameApi.on(type, detail => webhook.send(type, detail));
+});
+
+/**
+ * A tier as event details carry it.
+ * @returns {{label:string, value:number}|null}
+ */
+function describeTier(tier) {
+    return tier ? { label: getTierLabel(tier), value: tier.value } : null;
+}
+
+// Map the player's head pose, or eye gaze (see js/core/eye-gaze.js), onto the
+// wheel; replaced by each calibration round of that control mode
+const calibrations = {
+    head: HeadCalibration.createDefault(),
+    gaze: createDefaultGazeCalibration()
 };
 
+// The eye gaze mode is calibrated before its first game even when calibration is off
+let gazeCalibrated = false;
+
+// Tracked players, keyed by the stable id from FaceTracker.
+// Each player owns their smoothing and dwell state and their current prize.
+const players = new Map();
+
+function activeMaxPlayers() {
+    return settings.multiplayer.enabled ? settings.multiplayer.maxPlayers : 1;
+}
+
+const faceTracker = new FaceTracker({ maxPlayers: activeMaxPlayers() });
+
+// Single-player games look for a second face too, to void rounds with a helper in the frame
+function detectedFaceLimit() {
+    const { integrity } = settings;
+    return !settings.multiplayer.enabled && integrity.enabled && integrity.singlePlayer ? 2 : activeMaxPlayers();
+}
+
+// Watches each round for lost, extra and swapped faces (see js/core/round-integrity.js)
+const roundMonitor = new RoundMonitor();
+
+function getPlayer(id) {
+    if (!players.has(id)) {
+        players.set(id, {
+            id: id,
+            color: PLAYER_COLORS[(id - 1) % PLAYER_COLORS.length],
+            headingFilter: new HeadingFilter(settings.smoothing),
+            dwellLock: new DwellLock(settings.dwell.time),
+            // Smoothed headings of the last results, drawn between by the render loop
+            timeline: new HeadingTimeline(),
+            inFrame: false,
+            heading: null,
+            sectorIndex: -1,
+            prize: 0,
+            lastSeen: 0
+        });
+    }
+    return players.get(id);
+}
+
+// Manual input always steers player 1; otherwise players are the tracked faces
+function isPlayerTracked(id) {
+    return inputSource.providesHeadings ? id === 1 : faceTracker.hasTrack(id);
+}
+
+// Rebuild per-player filters with the current settings
+function resetRayFilters() {
+    players.clear();
+    faceTracker.setMaxPlayers(activeMaxPlayers());
+}
+
+// Give the players' filters the current settings; players keep their tracks,
+// rays and prizes (settings can change mid-round), only those above the
+// player limit leave
+function updateRayFilters() {
+    faceTracker.setMaxPlayers(activeMaxPlayers());
+    players.forEach((player, id) => {
+        if (id > activeMaxPlayers()) {
+            players.delete(id);
+            return;
+        }
+        player.headingFilter.setParams(settings.smoothing);
+        player.dwellLock.dwellTime = settings.dwell.time;
+    });
+}
+
 /**
- * Detects which sector the DRAWN ray is pointing at and returns the prize value.
- * The drawn ray is the mirrored version of the actual ray (due to CSS scaleX(-1) on canvas).
- * @param {number} headingX - The x component of the heading direction (before mirror)
- * @param {number} headingY - The y component of the heading direction
- * @returns {number} The prize value for the detected sector
+ * Highlights the locked sector on the overlay canvas.
+ * The overlay is mirrored by CSS, so the drawing is flipped back to line up with the background.
  */
-function detectDrawnRaySectorPrize(headingX, headingY) {
-    if (!sectorData) return 0;
-    
-    const { assignments, weights, totalWeight, totalSectors } = sectorData;
+function drawSectorHighlight(sectorIndex, color) {
+    const sector = getSectorAngles(sectorData, wheelRotation)[sectorIndex];
+    if (!sector) return;
     
-    // The canvas has CSS transform: scaleX(-1), so the DRAWN ray direction is mirrored
-    // Visual ray direction = (-headingX, headingY)
-    const drawnRayX = -headingX;
-    const drawnRayY = headingY;
+    const { x: centerX, y: centerY } = screenLayout.center;
+    const radius = screenLayout.wheelRadius;
     
-    // Calculate the angle of the drawn ray direction
-    let rayAngle = Math.atan2(drawnRayY, drawnRayX);
+    canvasCtx.save();
+    canvasCtx.translate(screenLayout.width, 0);
+    canvasCtx.scale(-1, 1);
+    canvasCtx.beginPath();
+    canvasCtx.moveTo(centerX, centerY);
+    canvasCtx.arc(centerX, centerY, radius, sector.startAngle, sector.endAngle);
+    canvasCtx.closePath();
+    canvasCtx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+    canvasCtx.fill();
+    canvasCtx.lineWidth = 6;
+    canvasCtx.strokeStyle = color;
+    canvasCtx.stroke();
+    canvasCtx.restore();
+}
+
+// Scores last shown in multiplayer mode, to skip rebuilding them every frame
+let shownScores = null;
+
+/**
+ * Shows each player's current prize in the money panel.
+ * Single-player mode keeps the original "已触及 X 元" readout.
+ */
+function updateMoneyDisplay(now) {
+    if (!settings.multiplayer.enabled) {
+        const player = players.get(1);
+        // Called every frame, so the text is only touched when the prize changed
+        if (player && moneyDisplay.textContent !== formatPrize(player.prize)) {
+            moneyDisplay.textContent = formatPrize(player.prize);
+        }
+        return;
+    }
     
-    // Normalize ray angle to match sector angles (which start from -PI/2, i.e., top/12 o'clock)
-    // Sector angles go from -PI/2 to 3*PI/2
-    while (rayAngle < -Math.PI / 2) rayAngle += 2 * Math.PI;
-    while (rayAngle >= 3 * Math.PI / 2) rayAngle -= 2 * Math.PI;
+    const scores = Array.from(players.values())
+        .sort((a, b) => a.id - b.id)
+        .map(player => ({
+            id: player.id,
+            color: player.color,
+            prize: formatPrize(player.prize),
+            // Dim players whose face is currently lost
+            lost: now - player.lastSeen > 500
+        }));
+    // Called every frame, so the scores are only rebuilt when one changed
+    const key = JSON.stringify(scores);
+    if (key === shownScores) return;
+    shownScores = key;
     
-    let currentAngle = -Math.PI / 2; // Start from top (12 o'clock)
+    // The prize unit can be free text from the settings, so no innerHTML
+    playerScores.replaceChildren(...scores.map(score => {
+        const item = document.createElement('span');
+        item.className = 'player-score';
+        item.classList.toggle('lost', score.lost);
+        item.style.setProperty('--player-color', score.color);
+        const prize = document.createElement('b');
+        prize.textContent = score.prize;
+        item.append(`P${score.id} `, prize);
+        return item;
+    }));
+}
+
+function applyPlayerModeDisplay() {
+    playerScores.classList.toggle('hidden', !settings.multiplayer.enabled);
+    moneySingle.classList.toggle('hidden', settings.multiplayer.enabled);
+}
+
+/**
+ * Stores a finished game in the history (one record per player).
+ * Records stay pending until the operator confirms or voids the result;
+ * players voided by the integrity checks are stored as voided straight away.
+ * @param {Array<object>} gameResults - From GameSession.getResults()
+ * @param {GameSession} session - The game the results were played in
+ * @returns {Promise<Array<number>>} The ids of the stored records
+ */
+function saveRoundHistory(gameResults, session) {
+    const timestamp = new Date().toISOString();
+    const sessionId = getSessionId();
+    const playerName = playerNameInput.value.trim();
+    const layout = createLayoutSnapshot(sectorData, sectorData.inputs);
     
-    for (let i = 0; i < totalSectors; i++) {
-        const span = (weights[i] / totalWeight) * 2 * Math.PI;
-        const endAngle = currentAngle + span;
-        
-        if (rayAngle >= currentAngle && rayAngle < endAngle) {
-            const color = assignments[i];
-            return prizeValues[color] || 0;
-        }
-        
-        currentAngle = endAngle;
-    }
+    const records = gameResults.map(result => ({
+        timestamp,
+        sessionId,
+        playerId: result.playerId,
+        playerName,
+        prizeValue: result.prize,
+        tierId: result.tier ? result.tier.id : null,
+        tierLabel: result.tier ? getTierLabel(result.tier) : null,
+        tierColor: result.tier ? result.tier.color : null,
+        mode: session.mode,
+        seed: session.seed === null ? null : formatSeed(session.seed),
+        // Commitment shown before the game; the seed above reveals it
+        salt: gameCommitment ? gameCommitment.salt : null,
+        commitment: gameCommitment ? gameCommitment.hash : null,
+        rounds: result.rounds,
+        awards: result.awards.map(tier => ({
+            tierId: tier.id,
+            tierLabel: getTierLabel(tier),
+            tierColor: tier.color,
+            prizeValue: tier.value
+        })),
+        status: result.invalid ? ROUND_STATUS.VOIDED : ROUND_STATUS.PENDING,
+        invalid: result.invalid,
+        layout
+    }));
     
-    return 0;
+    return addRoundRecords(records).catch(err => {
+        console.error("Failed to save round history:", err);
+        return [];
+    });
 }
 
 /**
- * Calculates the visual gaze direction based on Face Mesh landmarks.
- * Simulates PnP by comparing the nose tip position relative to the 
- * center of the head (approximated by the midpoint of the ears/cheeks).
+ * Snapshot of every player's prize, sorted by player id.
+ * @returns {Array<{playerId:number, color:string, heading:object|null, prize:number, tier:object|null}>}
  */
-function calculateFaceHeading(landmarks) {
-    // MediaPipe Landmark indices
-    const NOSE_TIP = 1;
-    const LEFT_EAR_TRAGION = 234;
-    const RIGHT_EAR_TRAGION = 454;
+function getRoundResults() {
+    return Array.from(players.values())
+        .sort((a, b) => a.id - b.id)
+        .map(player => ({
+            playerId: player.id,
+            color: player.color,
+            heading: player.heading && { x: player.heading.x, y: player.heading.y },
+            prize: player.prize,
+            tier: player.sectorIndex === -1 ? null : sectorData.assignments[player.sectorIndex]
+        }));
+}
 
-    const nose = landmarks[NOSE_TIP];
-    const leftEar = landmarks[LEFT_EAR_TRAGION];
-    const rightEar = landmarks[RIGHT_EAR_TRAGION];
+function onResults(results) {
+    const arrival = performance.now();
+    // Recorded sessions carry the time each frame was originally captured
+    const now = results.playbackTimestamp !== undefined ? results.playbackTimestamp : arrival;
+    // Latency counts from handing the frame to Face Mesh (recordings skip detection)
+    const startedAt = results.playbackTimestamp !== undefined ? arrival : frameSentAt;
+    
+    if (landmarkRecorder) landmarkRecorder.add(results.multiFaceLandmarks || [], now, inputSource.aspect);
+    
+    const detectedFaces = results.multiFaceLandmarks || [];
+    const faces = faceTracker.update(detectedFaces, now);
+    roundMonitor.observe(arrival, detectedFaces.length, faces.map(({ id, landmarks }) => ({
+        id,
+        face: measureFace(landmarks, inputSource.aspect)
+    })));
+    addLivenessSample(faces, inputSource.aspect, now);
+    
+    const headings = faces.map(({ id, landmarks }) => {
+        const heading = computeHeading(landmarks, inputSource.aspect, calibrations[settings.control.mode], settings.control);
+        // Calibration follows player 1 (the only player in single-player mode)
+        if (id === 1) addCalibrationSample(heading.feature);
+        return { id, heading };
+    });
+    
+    receiveHeadings(headings, now, startedAt);
+}
 
-    // Calculate the midpoint between the ears (approximate center of head rotation axis)
-    // Note: Z coordinate is depth relative to camera plane
-    const midPoint = {
-        x: (leftEar.x + rightEar.x) / 2,
-        y: (leftEar.y + rightEar.y) / 2,
-        z: (leftEar.z + rightEar.z) / 2
-    };
+/**
+ * Receives the steered heading of the manual input (see js/manual-input.js).
+ * Manual input always steers player 1.
+ */
+function onManualHeading({ heading, timestamp }) {
+    receiveHeadings([{ id: 1, heading }], timestamp, timestamp);
+}
 
-    // Calculate vector from Head Center to Nose
-    // This vector represents the "forward" direction of the face in 3D space
-    let dirX = nose.x - midPoint.x;
-    let dirY = nose.y - midPoint.y;
-    // let dirZ = nose.z - midPoint.z; // Not needed for 2D ray projection
+/**
+ * Smooths every player's heading as a detection result arrives. Every input
+ * ends up here, whether its headings come from landmarks or are steered by hand.
+ * The rays are drawn and hit-tested by the render loop (see renderFrame()).
+ * @param {Array<{id:number, heading:{x:number, y:number}}>} headings - Raw heading per player id
+ * @param {number} now - Timestamp of the frame
+ * @param {number} startedAt - When the frame entered the pipeline (performance.now())
+ */
+function receiveHeadings(headings, now, startedAt) {
+    const arrival = performance.now();
+    perfHud.recordDetection(arrival);
+    undrawnFrameStart = startedAt;
+    
+    // The video frame takes the shape of the input once its size is known
+    if (inputSource.aspect !== screenLayout.videoAspect) applyScreenLayout(inputSource.aspect);
+    
+    // Players missing from this result lose their ray until they are found again
+    players.forEach(player => {
+        player.inFrame = false;
+    });
+    
+    for (const { id, heading: rawHeading } of headings) {
+        const player = getPlayer(id);
+        player.lastSeen = arrival;
+        player.inFrame = true;
+        
+        // Smooth the heading before it is drawn or hit-tested
+        const heading = settings.smoothing.enabled
+            ? player.headingFilter.filter(rawHeading, now)
+            : rawHeading;
+        player.timeline.push(heading, now, arrival);
+    }
+}
 
-    // Normalize/Scale the vector for easier visualization
-    // Because landmarks are normalized (0-1), these differences are very small.
-    // We scale them up significantly to create a visible ray direction.
-    const sensitivity = 20.0; // Adjust this to make the ray more or less sensitive to movement
+// When the newest detection result entered the pipeline, until its rays are drawn
+let undrawnFrameStart = null;
 
-    return {
-        x: dirX * sensitivity,
-        y: dirY * sensitivity
-    };
-}
+// Whether the overlay has rays on it that the next frame must clear
+let raysDrawn = false;
 
-function onResults(results) {
-    // 1. Prepare Canvas
-    // Set canvas to full screen resolution
-    canvasElement.width = window.innerWidth;
-    canvasElement.height = window.innerHeight;
+/**
+ * Hit-tests and draws every player's ray for one display frame, between their
+ * last two detection results (see js/core/heading-timeline.js).
+ * @param {number} now - Timestamp of the display frame (performance.now() clock)
+ */
+function drawRays(now) {
+    const visiblePlayers = Array.from(players.values()).filter(player => player.inFrame);
+    updateMoneyDisplay(now);
+    if (visiblePlayers.length === 0 && !raysDrawn) {
+        undrawnFrameStart = null;
+        return;
+    }
     
-    // Clear previous frame
+    // 1. Clear previous frame
     canvasCtx.save();
-    canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
+    canvasCtx.clearRect(0, 0, screenLayout.width, screenLayout.height);
 
     // Optional: Draw the video frame onto the canvas (if you want to process pixels)
     // For this app, we rely on the <video> element behind the transparent canvas
     // so we don't need to draw the image here, saving performance.
     
-    if (results.multiFaceLandmarks) {
-        for (const landmarks of results.multiFaceLandmarks) {
-            // 2. Calculate Ray Geometry
-            const heading = calculateFaceHeading(landmarks);
-            
-            // Define Center Point (Start of Ray)
-            const centerX = canvasElement.width / 2;
-            const centerY = canvasElement.height / 2;
-
-            // Define End Point (End of Ray)
-            // We project the heading vector (normalized 0-1 space) to pixel space
-            // Multiplier length determines the visual length of the ray
-            const rayLength = Math.max(canvasElement.width, canvasElement.height) * 1.5; 
-            
-            const endX = centerX + (heading.x * rayLength);
-            const endY = centerY + (heading.y * rayLength);
-
-            // 3. Draw the Visuals
-            
-            // A. Draw Ray (Blue Line)
-            canvasCtx.beginPath();
-            canvasCtx.moveTo(centerX, centerY);
-            canvasCtx.lineTo(endX, endY);
-            canvasCtx.lineWidth = 6;
-            canvasCtx.strokeStyle = '#0062FF'; // Dark Blue
-            canvasCtx.lineCap = 'round';
-            canvasCtx.stroke();
-
-            // B. Draw Start Point (White Circle)
-            canvasCtx.beginPath();
-            canvasCtx.arc(centerX, centerY, 10, 0, 2 * Math.PI);
-            canvasCtx.fillStyle = '#FFFFFF';
-            canvasCtx.fill();
-            canvasCtx.strokeStyle = '#00008B';
-            canvasCtx.lineWidth = 2;
-            canvasCtx.stroke();
-            
-            // C. Detect which sector the DRAWN ray is pointing at and update money display
-            const prize = detectDrawnRaySectorPrize(heading.x, heading.y);
-            moneyDisplay.textContent = prize;
-            
-            // Debug: Draw the nose tip just to see tracking match
-            // const nose = landmarks[1];
-            // canvasCtx.beginPath();
-            // canvasCtx.arc(nose.x * canvasElement.width, nose.y * canvasElement.height, 5, 0, 2*Math.PI);
-            // canvasCtx.fillStyle = 'red';
-            // canvasCtx.fill();
+    // Define Center Point (Start of every Ray), the centre of the wheel
+    const { x: centerX, y: centerY } = screenLayout.center;
+    
+    for (const player of visiblePlayers) {
+        // 2. The heading between the last two results, with the matching frame
+        // time so dwell keeps running on the detection clock
+        const { heading, time } = player.timeline.sample(now);
+        
+        // Detect which sector the DRAWN ray is pointing at; with dwell lock
+        // enabled only a sector the ray has stayed in long enough counts
+        // Same rotation as the wheel on screen, so the hit follows the spin exactly
+        let sectorIndex = detectDrawnRaySector(getSectorAngles(sectorData, wheelRotation), heading);
+        if (settings.dwell.enabled) {
+            sectorIndex = player.dwellLock.update(sectorIndex, time);
+            drawSectorHighlight(sectorIndex, player.color);
         }
+        // Tick as the ray crosses into another prize during a round
+        if (sectorIndex !== player.sectorIndex && sectorIndex !== -1 && roundCountdown.isRunning) soundEffects.tick(now);
+        if (sectorIndex !== player.sectorIndex) {
+            const tier = sectorIndex === -1 ? null : sectorData.assignments[sectorIndex];
+            gameApi.emit(GAME_EVENT.SECTOR_CHANGE, {
+                playerId: player.id,
+                sectorIndex,
+                tier: describeTier(tier),
+                prize: tier ? tier.value : 0,
+                inRound: roundCountdown.isRunning
+            });
+        }
+        player.heading = heading;
+        player.sectorIndex = sectorIndex;
+        player.prize = sectorIndex === -1 ? 0 : sectorData.assignments[sectorIndex].value;
+        announcer.updateSector(player.id, sectorIndex === -1 ? null : sectorData.assignments[sectorIndex],
+            settings.multiplayer.enabled, time);
+
+        // Define End Point (End of Ray)
+        // We project the heading vector (normalized 0-1 space) to pixel space
+        // Multiplier length determines the visual length of the ray
+        const rayLength = Math.max(screenLayout.width, screenLayout.height) * 1.5; 
+        
+        const endX = centerX + (heading.x * rayLength);
+        const endY = centerY + (heading.y * rayLength);
+
+        // 3. Draw the Visuals
+        
+        // A. Draw Ray (player colour, blue for player 1)
+        canvasCtx.beginPath();
+        canvasCtx.moveTo(centerX, centerY);
+        canvasCtx.lineTo(endX, endY);
+        canvasCtx.lineWidth = 6;
+        canvasCtx.strokeStyle = player.color;
+        canvasCtx.lineCap = 'round';
+        canvasCtx.stroke();
+    }
+    
+    if (visiblePlayers.length > 0) {
+        // B. Draw Start Point (White Circle) on top of all rays
+        canvasCtx.beginPath();
+        canvasCtx.arc(centerX, centerY, 10, 0, 2 * Math.PI);
+        canvasCtx.fillStyle = '#FFFFFF';
+        canvasCtx.fill();
+        canvasCtx.strokeStyle = '#00008B';
+        canvasCtx.lineWidth = 2;
+        canvasCtx.stroke();
     }
     canvasCtx.restore();
+    raysDrawn = visiblePlayers.length > 0;
+    
+    // C. Time from the camera frame to its rays on screen
+    if (undrawnFrameStart !== null && raysDrawn) perfHud.recordLatency(performance.now() - undrawnFrameStart);
+    undrawnFrameStart = null;
 }
 
-// Initialize Face Mesh
-const faceMesh = new FaceMesh({locateFile: (file) => {
-    return `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`;
-}});
+// Face Mesh is created once the vendored MediaPipe scripts have loaded.
+// Resolves to whether it was; a missing vendor/ is reported when the input starts.
+let faceMesh = null;
 
-faceMesh.setOptions({
-    maxNumFaces: 1,
-    refineLandmarks: true, // Better accuracy for eyes/lips
-    minDetectionConfidence: 0.5,
-    minTrackingConfidence: 0.5
-});
+const trackingReady = loadVendorScripts().then(() => {
+    // Initialize Face Mesh (model and WASM files come from the same asset base)
+    faceMesh = new FaceMesh({locateFile: (file) => {
+        return assetUrl(`@mediapipe/face_mesh/${file}`);
+    }});
 
-faceMesh.onResults(onResults);
+    faceMesh.setOptions({
+        maxNumFaces: detectedFaceLimit(),
+        refineLandmarks: true, // Better accuracy for eyes/lips
+        minDetectionConfidence: 0.5,
+        minTrackingConfidence: 0.5
+    });
 
-// Initialize Camera
-const camera = new Camera(videoElement, {
-    onFrame: async () => {
-        await faceMesh.send({image: videoElement});
-    },
-    width: 640,
-    height: 480
+    faceMesh.onResults(onResults);
+    return true;
+}).catch(err => {
+    console.error("Failed to load MediaPipe assets:", err);
+    return false;
 });
 
-// Camera Toggle Logic
+registerServiceWorker();
+
+// When the frame Face Mesh is working on was handed to it, for the latency figure
+let frameSentAt = 0;
+
+function sendToFaceMesh(image) {
+    frameSentAt = performance.now();
+    return faceMesh.send({ image });
+}
+
+// Input Source Logic (see js/input-sources.js)
 const openCamBtn = document.getElementById('open_cam_btn');
-let isCameraRunning = false;
+const inputSourceSelect = document.getElementById('input_source_select');
+const inputSourceFile = document.getElementById('input_source_file');
+const inputSourceLabel = document.getElementById('input_source_label');
+const recordSessionBtn = document.getElementById('record_session_btn');
+const inputError = document.getElementById('input_error');
+const inputErrorMessage = document.getElementById('input_error_message');
+
+let inputSource = new CameraInputSource(videoElement, sendToFaceMesh, getCameraResolution);
+let isInputRunning = false;
+
+// Landmarks of the running session while "录制动作" is active
+let landmarkRecorder = null;
+
+function updateInputControls() {
+    const isCamera = inputSource.kind === 'camera';
+    const action = isInputRunning ? 'stop' : 'start';
+    if (isCamera) {
+        openCamBtn.textContent = t(`input.camera.${action}`);
+    } else if (inputSource.providesHeadings) {
+        openCamBtn.textContent = t(`input.manual.${action}`);
+    } else {
+        openCamBtn.textContent = t(`input.playback.${action}`);
+    }
+    recordSessionBtn.textContent = t(landmarkRecorder ? 'input.record.stop' : 'input.record.start');
+    inputSourceSelect.value = inputSource.kind;
+    inputSourceLabel.textContent = isCamera ? '' : inputSource.label;
+}
+
+function showInputError(message) {
+    inputErrorMessage.textContent = message;
+    inputError.classList.remove('hidden');
+}
+
+/**
+ * Tells integrations the input started, stopped or failed to start.
+ * @param {Error|null} error - Why it failed to start
+ */
+function emitInputState(error) {
+    gameApi.emit(GAME_EVENT.CAMERA_STATE_CHANGE, {
+        running: isInputRunning,
+        source: inputSource.kind,
+        label: inputSource.label,
+        error: error ? error.message : null
+    });
+}
+
+/**
+ * Starts the current input source. Failures (camera permission denied, no
+ * webcam, missing model files) are shown next to the controls.
+ * @returns {Promise<boolean>} Whether the input is running
+ */
+async function startInput() {
+    if (isInputRunning) return true;
+    if (inputSource.requiresFaceMesh && !(await trackingReady)) {
+        showInputError(t('input.error.model'));
+        return false;
+    }
+    try {
+        await inputSource.start();
+    } catch (err) {
+        console.error("Failed to start input source:", err);
+        showInputError(inputSource.kind === 'camera'
+            ? describeCameraError(err)
+            : t('input.error.playback', { message: err.message }));
+        emitInputState(err);
+        return false;
+    }
+    inputError.classList.add('hidden');
+    isInputRunning = true;
+    updateInputControls();
+    emitInputState(null);
+    return true;
+}
+
+function stopInput() {
+    if (!isInputRunning) return;
+    inputSource.stop();
+    isInputRunning = false;
+    updateInputControls();
+    emitInputState(null);
+    
+    // The render loop clears the rays once no player is in the frame
+    players.forEach(player => {
+        player.inFrame = false;
+    });
+}
+
+/**
+ * Switches to another input source, keeping it running if the old one was.
+ */
+function setInputSource(source) {
+    const wasRunning = isInputRunning;
+    stopInput();
+    inputSource = source;
+    // Track ids and filters belong to the faces of the old input
+    faceTracker.reset();
+    resetRayFilters();
+    updateInputControls();
+    if (wasRunning) startInput();
+}
 
 openCamBtn.addEventListener('click', () => {
-    if (!isCameraRunning) {
-        // Start Camera
-        camera.start();
-        isCameraRunning = true;
-        openCamBtn.textContent = "关闭摄像头";
+    if (!isInputRunning) {
+        startInput();
     } else {
-        // Stop Camera
-        camera.stop(); // Assuming MediaPipe Camera utils supports stop()
-        isCameraRunning = false;
-        openCamBtn.textContent = "打开摄像头";
-        
-        // Optional: Clear canvas when camera stops
-        canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
+        stopInput();
     }
 });
 
-// Initialize Dynamic Background using Canvas (html2canvas compatible)
-const bgCanvas = document.getElementById('background_canvas');
-const bgCtx = bgCanvas.getContext('2d');
+// Picking a file source opens the file picker; the source only changes once a file is chosen
+let requestedSourceKind = null;
 
-// Store sector data for redrawing on resize
-let sectorData = null;
+inputSourceSelect.addEventListener('change', () => {
+    const kind = inputSourceSelect.value;
+    inputSourceSelect.value = inputSource.kind;
+    // Hand the arrow keys back to the game (they would change the selection)
+    inputSourceSelect.blur();
+    if (kind === 'camera') {
+        setInputSource(new CameraInputSource(videoElement, sendToFaceMesh, getCameraResolution));
+        return;
+    }
+    if (kind === 'manual') {
+        useManualInput();
+        return;
+    }
+    requestedSourceKind = kind;
+    inputSourceFile.accept = kind === 'video' ? 'video/*' : 'application/json,.json';
+    inputSourceFile.click();
+});
 
-function initDynamicBackground() {
-    const palette = ['#FF78A3', '#47D495', '#FFCC8D', '#87C9EA', '#C088D2', '#DDDDDD'];
-    const totalSectors = 20;
+inputSourceFile.addEventListener('change', () => {
+    const file = inputSourceFile.files[0];
+    inputSourceFile.value = '';
+    if (!file) return;
     
-    // 1. Prepare colors ensuring each appears at least once
-    let assignments = [...palette];
-    while (assignments.length < totalSectors) {
-        assignments.push(palette[Math.floor(Math.random() * palette.length)]);
+    if (requestedSourceKind === 'video') {
+        setInputSource(new VideoFileInputSource(videoElement, file, sendToFaceMesh));
+        return;
     }
-    
-    // Shuffle colors
-    for (let i = assignments.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [assignments[i], assignments[j]] = [assignments[j], assignments[i]];
+    readLandmarkSessionFile(file)
+        .then(session => setInputSource(new LandmarkPlaybackSource(session, file.name, onResults)))
+        .catch(err => {
+            inputSourceLabel.textContent = t('input.error.file', { message: err.message });
+        });
+});
+
+/**
+ * Switches to mouse / touch / keyboard / gamepad steering and starts it.
+ */
+function useManualInput() {
+    inputError.classList.add('hidden');
+    setInputSource(new ManualInputSource(document.body, onManualHeading, () => screenLayout.center));
+    startInput();
+}
+
+document.getElementById('use_manual_input_btn').addEventListener('click', useManualInput);
+
+// Resolution asked of the camera: fixed in the settings, or enough for the video frame on this screen
+function getCameraResolution() {
+    return chooseCameraResolution(settings.camera.resolution, screenLayout);
+}
+
+recordSessionBtn.addEventListener('click', () => {
+    if (!landmarkRecorder) {
+        landmarkRecorder = new LandmarkRecorder();
+        updateInputControls();
+        recordSessionBtn.classList.add('recording');
+        return;
     }
     
-    // 2. Generate random angles (weights)
-    const weights = Array.from({length: totalSectors}, () => Math.random() * 0.8 + 0.4); 
-    const totalWeight = weights.reduce((a, b) => a + b, 0);
+    // Stop and download what was captured
+    if (landmarkRecorder.frames.length > 0) landmarkRecorder.download();
+    landmarkRecorder = null;
+    updateInputControls();
+    recordSessionBtn.classList.remove('recording');
+});
+
+updateInputControls();
+
+// Initialize Dynamic Background using Canvas
+const bgCanvas = document.getElementById('background_canvas');
+const bgCtx = bgCanvas.getContext('2d');
+
+// Where the wheel centre, the video frame, the labels and the ray origin go on
+// this screen (see js/core/screen-layout.js). Drawing is in CSS pixels.
+const container = document.querySelector('.container');
+let screenLayout = computeScreenLayout({
+    width: window.innerWidth,
+    height: window.innerHeight,
+    devicePixelRatio: window.devicePixelRatio || 1,
+    videoAspect: DEFAULT_INPUT_ASPECT
+});
+
+// Set by resize events; the render loop lays the screen out once per frame
+let layoutPending = false;
+
+/**
+ * Lays the screen out again for the viewport, the pixel ratio and the input
+ * image. The render loop redraws the wheel for the new layout.
+ * @param {number} [videoAspect] - Width / height of the input image; unchanged by default
+ */
+function applyScreenLayout(videoAspect = screenLayout.videoAspect) {
+    layoutPending = false;
+    screenLayout = computeScreenLayout({
+        width: window.innerWidth,
+        height: window.innerHeight,
+        devicePixelRatio: window.devicePixelRatio || 1,
+        videoAspect
+    });
     
-    // Store sector data
-    sectorData = { assignments, weights, totalWeight, totalSectors };
+    const { video, scale, orientation } = screenLayout;
+    document.body.classList.toggle('layout-portrait', orientation === 'portrait');
+    container.style.setProperty('--video-x', `${video.x}px`);
+    container.style.setProperty('--video-y', `${video.y}px`);
+    container.style.setProperty('--video-width', `${video.width}px`);
+    container.style.setProperty('--video-height', `${video.height}px`);
+    container.style.setProperty('--layout-scale', scale);
     
-    // Draw background
-    drawBackground();
+    resizeCanvas(bgCanvas, bgCtx);
+    resizeCanvas(canvasElement, canvasCtx);
+    effectsLayer.setLayout(screenLayout);
+    // Resizing cleared the rays too
+    raysDrawn = false;
+}
+
+/**
+ * Gives a full-screen canvas one pixel per device pixel, so it stays sharp on
+ * high-DPI screens; drawing code keeps working in CSS pixels.
+ * Resizing clears the canvas, so it only happens when the size changed.
+ */
+function resizeCanvas(canvas, ctx) {
+    const { width, height, devicePixelRatio } = screenLayout;
+    const pixelWidth = Math.round(width * devicePixelRatio);
+    const pixelHeight = Math.round(height * devicePixelRatio);
+    if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+        canvas.width = pixelWidth;
+        canvas.height = pixelHeight;
+    }
+    ctx.setTransform(devicePixelRatio, 0, 0, devicePixelRatio, 0, 0);
+}
+
+// Moving the window to a screen with another pixel ratio doesn't fire "resize"
+function watchDevicePixelRatio() {
+    matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`).addEventListener('change', () => {
+        layoutPending = true;
+        watchDevicePixelRatio();
+    }, { once: true });
+}
+
+// Active wheel configuration (tiers, sector count, weight range)
+let wheelConfig = loadWheelConfig();
+
+// Prizes issued so far; sold-out tiers change how the wheel is generated
+let inventory = loadInventory();
+
+// Colours and patterns the tiers are drawn with (palette from the settings).
+// Only drawing reads them; hit-testing goes by the tier assigned to each sector.
+let tierStyles = getTierStyles(wheelConfig.tiers, settings.accessibility);
+
+// Store sector data for redrawing on resize
+let sectorData = null;
+
+// Commitment to the seed of the game being played (see js/core/fairness.js)
+let gameCommitment = null;
+const commitmentHash = document.getElementById('seed_commitment_hash');
+const commitmentNote = document.getElementById('seed_commitment_note');
+
+// Clockwise rotation of the spinning wheel (rad). Drawing and hit-testing both
+// read it, so a ray always hits the sector it is drawn over.
+let wheelRotation = 0;
+
+// Motion of the round being played, if the wheel spins (see js/core/wheel-motion.js)
+let wheelMotion = null;
+
+// Rounds started on the current wheel; each one spins differently
+let roundsOnWheel = 0;
+
+// The wheel configuration or the stock changed while the wheel was in use
+let wheelRebuildPending = false;
+
+// Seed for a new wheel: the fixed seed from the settings, or a random one
+function createWheelSeed() {
+    const fixed = parseSeed(settings.layout.seed);
+    return fixed === null ? createSeed() : fixed;
 }
 
+/**
+ * Generates a new wheel. The layout and every round's motion on it follow
+ * from the seed alone, so a game can be replayed from its seed.
+ * @param {number} [seed] - Defaults to createWheelSeed()
+ * @param {Promise<object|null>} [commitment] - Commitment covering the seed; by
+ *   default a new one is made (see js/core/fairness.js)
+ */
+function initDynamicBackground(seed = createWheelSeed(), commitment = commitToSeed(seed)) {
+    wheelRebuildPending = false;
+    sectorData = generateWheelLayout(wheelConfig, inventory, createSeededRandom(seed));
+    sectorData.seed = seed;
+    sectorData.inputs = getLayoutInputs(wheelConfig, inventory);
+    sectorData.commitment = commitment;
+    sectorData.revealed = false;
+    showCommitment(sectorData);
+    roundsOnWheel = 0;
+    stopWheelMotion();
+    wheelRotation = 0;
+    
+    // Sector indices changed, so any dwell lock refers to the old layout
+    players.forEach(player => player.dwellLock.reset());
+    announcer.resetSectors();
+}
+
+/**
+ * Commits to a seed before anyone plays on its wheel.
+ * @returns {Promise<object|null>} null where Web Crypto is unavailable (insecure context)
+ */
+function commitToSeed(seed) {
+    return createCommitment(seed).catch(err => {
+        console.error("Failed to commit to the wheel seed:", err);
+        return null;
+    });
+}
+
+/**
+ * Shows the hash of the wheel's commitment once it is ready.
+ * A fixed seed (see the settings) is known in advance, so it is labelled.
+ */
+function showCommitment(layout) {
+    commitmentHash.textContent = '…';
+    commitmentNote.textContent = parseSeed(settings.layout.seed) === null ? '' : t('commitment.fixedSeed');
+    layout.commitment.then(commitment => {
+        if (sectorData !== layout) return;
+        commitmentHash.textContent = commitment ? commitment.hash : t('commitment.unavailable');
+    });
+}
+
+// The wheel is drawn offscreen and only copied to the background canvas when it
+// changed, so frames without a change cost nothing (see js/wheel-renderer.js)
+const wheelCache = new WheelCache();
+
 function drawBackground() {
     if (!sectorData) return;
+    if (!wheelCache.update(sectorData, wheelRotation, screenLayout, tierStyles)) return;
+    bgCtx.clearRect(0, 0, screenLayout.width, screenLayout.height);
+    bgCtx.drawImage(wheelCache.canvas, 0, 0, screenLayout.width, screenLayout.height);
+}
+
+/**
+ * Spins the wheel through the round that is starting, continuing from where
+ * the previous round left it.
+ */
+function startWheelMotion() {
+    roundsOnWheel++;
+    const random = createSeededRandom(deriveSeed(sectorData.seed, roundsOnWheel));
+    wheelMotion = WheelMotion.create(settings.spin, gameSession.countdown, random, wheelRotation);
+}
+
+// Turns the wheel to where the round's motion has it now
+function turnWheel() {
+    const elapsed = (performance.now() - roundCountdown.startTime) / 1000;
+    wheelRotation = wheelMotion.angleAt(elapsed);
+    
+    // The wheel stands still once the clock reaches zero
+    if (elapsed >= wheelMotion.duration) wheelMotion = null;
+}
+
+function stopWheelMotion() {
+    wheelMotion = null;
+}
+
+/**
+ * Draws one display frame: applies a pending resize, turns the spinning wheel,
+ * copies the wheel if it changed and draws the rays. It runs at the display's
+ * rate, whatever the rate of the detection results.
+ * @param {number} now - Frame timestamp from requestAnimationFrame()
+ */
+function renderFrame(now) {
+    if (layoutPending) applyScreenLayout();
+    if (wheelMotion) turnWheel();
+    drawBackground();
+    drawRays(now);
+    effectsLayer.draw(now);
+    perfHud.recordFrame(now);
+    requestAnimationFrame(renderFrame);
+}
+
+// Lay out again on window resize (also fired when a tablet is rotated); a
+// burst of resize events only costs one layout per frame
+window.addEventListener('resize', () => {
+    layoutPending = true;
+});
+applyScreenLayout();
+watchDevicePixelRatio();
+
+initDynamicBackground();
+requestAnimationFrame(renderFrame);
+
+initSettingsPanel({
+    getWheelConfig: () => wheelConfig,
+    onWheelConfigSaved: (config) => {
+        // The panel saves the wheel configuration with every other setting
+        if (JSON.stringify(config) === JSON.stringify(wheelConfig)) return;
+        wheelConfig = config;
+        tierStyles = getTierStyles(wheelConfig.tiers, settings.accessibility);
+        rebuildWheel();
+    },
+    getInventory: () => inventory,
+    onInventoryReset: () => {
+        const hadIssued = inventory.spent > 0 || Object.keys(inventory.issued).length > 0;
+        inventory = resetInventory();
+        if (hadIssued) rebuildWheel();
+    },
+    getSettings: () => settings,
+    onSettingsSaved: applySettings
+});
+
+/**
+ * Switches the game to newly saved settings, from the settings panel or the
+ * operator console.
+ */
+function applySettings(saved) {
+    const seedChanged = saved.layout.seed !== settings.layout.seed;
+    // The eye gaze calibration holds only for the head weight it was made with
+    if (saved.control.headWeight !== settings.control.headWeight) {
+        calibrations.gaze = createDefaultGazeCalibration();
+        gazeCalibrated = false;
+    }
+    settings = saved;
+    tierStyles = getTierStyles(wheelConfig.tiers, settings.accessibility);
+    announcer.setOptions(settings.accessibility);
+    perfHud.setOptions(settings.performance);
+    soundEffects.setOptions(settings.effects);
+    effectsLayer.setOptions(settings.effects);
+    webhook.setOptions(settings.webhook);
+    // Show the wheel of a newly entered seed straight away, unless a game is on
+    // or a result still waits on the wheel it was played on
+    if (seedChanged && !isGameInProgress() && !pendingResult) initDynamicBackground();
+    updateRayFilters();
+    if (faceMesh) faceMesh.setOptions({ maxNumFaces: detectedFaceLimit() });
+    applyPlayerModeDisplay();
+    refreshDisplayText();
+}
+
+/**
+ * Checks, saves and applies settings that didn't come from the settings panel
+ * (the operator console or the integration API); any subset of the settings.
+ * @throws {Error} When a value isn't one the settings allow; nothing changes then
+ */
+function changeSettings(changes) {
+    const updated = mergeSettings(settings, changes);
+    saveSettings(updated);
+    applySettings(updated);
+}
+
+applyPlayerModeDisplay();
+
+initHistoryPanel();
+
+// Language switcher next to the settings button; saved with the settings
+const languageSelect = document.getElementById('language_select');
+Object.entries(LOCALES).forEach(([locale, { name }]) => {
+    languageSelect.add(new Option(name, locale));
+});
+languageSelect.value = getLocale();
+
+languageSelect.addEventListener('change', () => {
+    settings.display.locale = languageSelect.value;
+    saveSettings(settings);
+    refreshDisplayText();
+    languageSelect.blur();
+});
+
+// Mute button next to the language switcher; saved with the settings
+const muteBtn = document.getElementById('mute_btn');
+
+function updateMuteButton() {
+    muteBtn.textContent = t(settings.effects.muted ? 'hud.unmute' : 'hud.mute');
+    muteBtn.setAttribute('aria-pressed', String(settings.effects.muted));
+}
+
+muteBtn.addEventListener('click', () => {
+    settings.effects.muted = !settings.effects.muted;
+    saveSettings(settings);
+    soundEffects.setOptions(settings.effects);
+    updateMuteButton();
+    muteBtn.blur();
+});
+updateMuteButton();
+
+/**
+ * Re-applies the language and prize unit from the settings and redraws every
+ * piece of text the game wrote itself (static text is handled by applyTranslations()).
+ */
+function refreshDisplayText() {
+    applyDisplaySettings();
+    languageSelect.value = getLocale();
+    updateMuteButton();
+    updateInputControls();
+    updateCountdownPanel();
+    const player = players.get(1);
+    moneyDisplay.textContent = formatPrize(player ? player.prize : 0);
+    showCommitment(sectorData);
+    wheelCache.invalidate();
+}
+
+// Enter in the name field hands the keyboard back to the game (Space starts a round)
+playerNameInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') playerNameInput.blur();
+});
+
+document.getElementById('reset_calibration_btn').addEventListener('click', () => {
+    calibrations.head = HeadCalibration.createDefault();
+    calibrations.gaze = createDefaultGazeCalibration();
+    gazeCalibrated = false;
+});
+
+// Countdown Logic
+const countdownDisplay = document.querySelector('.countdown-display');
+const modal = document.getElementById('game_modal');
+const modalCloseBtn = document.getElementById('modal_close_btn');
+const resultActions = document.getElementById('result_actions');
+const resultStatus = document.getElementById('result_status');
+const countdownLabel = document.querySelector('.countdown-label');
+const countdownRound = document.getElementById('countdown_round');
+const countdownTotal = document.getElementById('countdown_total');
+const countdownInstruction = document.querySelector('.countdown-instruction');
+const resultReplay = document.getElementById('result_replay');
+const replayVideo = document.getElementById('result_replay_video');
+const replayStatus = document.getElementById('result_replay_status');
+const downloadClipBtn = document.getElementById('download_clip_btn');
+const downloadAnimationBtn = document.getElementById('download_animation_btn');
+let countdownTimer = null;
+
+// The last seconds of every countdown are read out (see js/announcer.js)
+const COUNTDOWN_ANNOUNCED_SECONDS = 3;
+
+// Countdown of the round being played (see js/core/countdown.js)
+const roundCountdown = new Countdown();
+
+// Game in progress (or the last finished one), see js/core/game-modes.js
+let gameSession = null;
+
+// Replay of the game in progress, created when its first countdown starts
+let replayRecorder = null;
+
+// Datetime stamp shared by every file of the shown result (PartyGame_<datetime>.*)
+let resultStamp = formatDatetimeStamp();
+
+function isGameInProgress() {
+    return gameSession !== null && !gameSession.isOver();
+}
+
+/**
+ * Shows the countdown length, the round in progress and the running total.
+ * Between games it previews the next game from the current settings.
+ */
+function updateCountdownPanel() {
+    const session = isGameInProgress() ? gameSession : new GameSession(settings.game);
+    const multiRound = session.totalRounds > 1;
     
-    const { assignments, weights, totalWeight, totalSectors } = sectorData;
-    const borderWidth = 0.5; // degrees for white border
+    countdownLabel.textContent = t('countdown.label', { seconds: session.countdown });
+    if (!roundCountdown.isRunning) countdownDisplay.textContent = formatCountdown(session.countdown);
     
-    // Set canvas size to window size
-    bgCanvas.width = window.innerWidth;
-    bgCanvas.height = window.innerHeight;
+    countdownRound.classList.toggle('hidden', !multiRound);
+    countdownRound.textContent = t('countdown.round', {
+        mode: t(`gameMode.${session.mode}`),
+        round: session.currentRound,
+        total: session.totalRounds
+    });
     
-    const centerX = bgCanvas.width / 2;
-    const centerY = bgCanvas.height / 2;
-    // Radius should be large enough to cover the entire screen
-    const radius = Math.sqrt(centerX * centerX + centerY * centerY) + 50;
+    // Best-of shows the best round so far, the other modes the sum
+    const results = session.getResults();
+    const totalKey = session.mode === 'bestOf' ? 'countdown.best' : 'countdown.total';
+    countdownTotal.classList.toggle('hidden', !multiRound || results.length === 0);
+    countdownTotal.textContent = settings.multiplayer.enabled
+        ? results.map(result => `P${result.playerId} ${formatPrize(result.prize)}`).join(' · ')
+        : t(totalKey, { amount: formatPrize(results.length > 0 ? results[0].prize : 0) });
     
-    // Video frame dimensions (must match CSS)
-    const videoWidth = 640;
-    const videoHeight = 480;
-    const videoLeft = centerX - videoWidth / 2;
-    const videoRight = centerX + videoWidth / 2;
-    const videoTop = centerY - videoHeight / 2;
-    const videoBottom = centerY + videoHeight / 2;
+    // Catalogue messages are trusted HTML (they contain <br>)
+    countdownInstruction.innerHTML = session.roundsPlayed > 0
+        ? t('countdown.nextRound', { round: session.currentRound })
+        : t('countdown.startGame');
+}
+
+updateCountdownPanel();
+
+function startCountdown() {
+    // Prevent multiple triggers
+    if (!roundCountdown.start(gameSession.countdown, performance.now())) return;
     
-    // Store sector angles for text placement
-    let sectorAngles = [];
+    // Only players in front of the camera now take part in this round
+    players.forEach((player, id) => {
+        if (!isPlayerTracked(id)) players.delete(id);
+    });
     
-    let currentAngle = -Math.PI / 2; // Start from top (12 o'clock)
+    // Steered input has no face to check
+    if (settings.integrity.enabled && !inputSource.providesHeadings) {
+        roundMonitor.start(getRoundParticipants(), !settings.multiplayer.enabled && settings.integrity.singlePlayer);
+    }
     
-    for (let i = 0; i < totalSectors; i++) {
-        const span = (weights[i] / totalWeight) * 2 * Math.PI;
-        const borderRad = (borderWidth / 360) * 2 * Math.PI;
-        const color = assignments[i];
-        
-        // Store sector info
-        sectorAngles.push({
-            startAngle: currentAngle,
-            endAngle: currentAngle + span,
-            midAngle: currentAngle + span / 2,
-            color: color
-        });
-        
-        // Draw color sector
-        bgCtx.beginPath();
-        bgCtx.moveTo(centerX, centerY);
-        bgCtx.arc(centerX, centerY, radius, currentAngle, currentAngle + span - borderRad);
-        bgCtx.closePath();
-        bgCtx.fillStyle = color;
-        bgCtx.fill();
-        
-        // Draw white border
-        bgCtx.beginPath();
-        bgCtx.moveTo(centerX, centerY);
-        bgCtx.arc(centerX, centerY, radius, currentAngle + span - borderRad, currentAngle + span);
-        bgCtx.closePath();
-        bgCtx.fillStyle = '#FFFFFF';
-        bgCtx.fill();
-        
-        currentAngle += span;
+    // Sudden death plays every round on a fresh wheel, seeded from the previous
+    // one so the whole game follows from its first seed
+    if (gameSession.roundsPlayed > 0 && gameSession.reshuffles) {
+        initDynamicBackground(deriveSeed(sectorData.seed, 0), sectorData.commitment);
     }
+    if (settings.spin.enabled) startWheelMotion();
     
-    // Draw prize text on colored sectors, positioned at browser window edge
-    bgCtx.font = 'bold 28px "Segoe UI", Roboto, Helvetica, Arial, sans-serif';
-    bgCtx.textAlign = 'center';
-    bgCtx.textBaseline = 'middle';
+    // Record the round for the replay (the recorder pauses between rounds)
+    if (settings.replay.enabled) {
+        if (!replayRecorder) replayRecorder = new ReplayRecorder(settings.replay, drawReplayFrame);
+        replayRecorder.record();
+    }
     
-    sectorAngles.forEach(sector => {
-        let prizeText = null;
-        let textColor = null;
-        
-        if (sector.color === '#FF78A3') {
-            prizeText = '100 元';
-            textColor = '#FF78A3';
-        } else if (sector.color === '#47D495') {
-            prizeText = '50 元';
-            textColor = '#47D495';
-        } else if (sector.color === '#FFCC8D') {
-            prizeText = '20 元';
-            textColor = '#FFCC8D';
-        } else if (sector.color === '#87C9EA') {
-            prizeText = '10 元';
-            textColor = '#87C9EA';
-        } else if (sector.color === '#C088D2') {
-            prizeText = '5 元';
-            textColor = '#C088D2';
-        } else if (sector.color === '#DDDDDD') {
-            prizeText = '1 元';
-            textColor = '#AAAAAA'; // Darker gray for better visibility
-        }
-        
-        if (prizeText) {
-            const angle = sector.midAngle;
-            
-            // Calculate direction vector
-            const dirX = Math.cos(angle);
-            const dirY = Math.sin(angle);
-            
-            // Find intersection with browser window boundary
-            let t = Infinity;
-            
-            // Check intersection with each edge of the browser window
-            if (dirX > 0) {
-                // Right edge
-                const tRight = (bgCanvas.width - centerX - 60) / dirX; // 60px padding from edge
-                if (tRight > 0) t = Math.min(t, tRight);
-            } else if (dirX < 0) {
-                // Left edge
-                const tLeft = (60 - centerX) / dirX; // 60px padding from edge
-                if (tLeft > 0) t = Math.min(t, tLeft);
-            }
-            
-            if (dirY > 0) {
-                // Bottom edge
-                const tBottom = (bgCanvas.height - centerY - 40) / dirY; // 40px padding from edge
-                if (tBottom > 0) t = Math.min(t, tBottom);
-            } else if (dirY < 0) {
-                // Top edge
-                const tTop = (40 - centerY) / dirY; // 40px padding from edge
-                if (tTop > 0) t = Math.min(t, tTop);
+    updateCountdownPanel();
+    countdownDisplay.textContent = formatCountdown(roundCountdown.timeLeft);
+    announcer.announce(t('a11y.countdownStart', { seconds: roundCountdown.timeLeft }));
+    gameApi.emit(GAME_EVENT.ROUND_START, {
+        round: gameSession.currentRound,
+        totalRounds: gameSession.totalRounds,
+        mode: gameSession.mode,
+        seconds: roundCountdown.timeLeft,
+        players: Array.from(players.keys()).sort((a, b) => a - b),
+        commitment: gameCommitment && gameCommitment.hash
+    });
+    let shownSeconds = roundCountdown.timeLeft;
+
+    // The countdown runs on timestamps; polling often keeps the display on the second
+    countdownTimer = setInterval(() => {
+        const state = roundCountdown.update(performance.now());
+        countdownDisplay.textContent = formatCountdown(roundCountdown.timeLeft);
+
+        // Count the last seconds down aloud
+        if (roundCountdown.timeLeft !== shownSeconds) {
+            shownSeconds = roundCountdown.timeLeft;
+            soundEffects.countdown(shownSeconds);
+            gameApi.emit(GAME_EVENT.TICK, { secondsLeft: shownSeconds });
+            if (shownSeconds > 0 && shownSeconds <= COUNTDOWN_ANNOUNCED_SECONDS) {
+                announcer.announce(t('a11y.countdown', { seconds: shownSeconds }));
             }
-            
-            // Position text at browser window edge
-            const textX = centerX + dirX * t;
-            const textY = centerY + dirY * t;
-            
-            // Draw text with white outline for visibility
-            bgCtx.strokeStyle = '#FFFFFF';
-            bgCtx.lineWidth = 4;
-            bgCtx.strokeText(prizeText, textX, textY);
-            bgCtx.fillStyle = textColor;
-            bgCtx.fillText(prizeText, textX, textY);
         }
+
+        if (state === COUNTDOWN_STATE.FINISHED) {
+            clearInterval(countdownTimer);
+            finishRound();
+        }
+    }, 100);
+}
+
+/**
+ * Freezes every player's prize at the moment the countdown ended, then either
+ * waits for the next round or shows the result of the whole game.
+ */
+function finishRound() {
+    const roundResults = validateRoundResults(getRoundResults());
+    gameSession.recordRound(roundResults);
+    gameApi.emit(GAME_EVENT.ROUND_END, {
+        round: gameSession.roundsPlayed,
+        totalRounds: gameSession.totalRounds,
+        mode: gameSession.mode,
+        results: roundResults.map(result => ({
+            playerId: result.playerId,
+            prize: result.prize,
+            tier: describeTier(result.tier),
+            invalid: result.invalid
+        })),
+        gameOver: gameSession.isOver()
     });
+    const tail = settings.replay.tail * 1000;
+    
+    if (!gameSession.isOver()) {
+        if (replayRecorder) replayRecorder.pauseAfter(tail);
+        updateCountdownPanel();
+        return;
+    }
+    
+    const replay = replayRecorder ? replayRecorder.finish(tail) : null;
+    replayRecorder = null;
+    // The result reveals the seed, so the next game needs a new wheel
+    sectorData.revealed = true;
+    showGameResult(gameSession, replay);
 }
 
-// Redraw on window resize
-window.addEventListener('resize', drawBackground);
+/**
+ * Players who must be in front of the camera when the round ends: player 1 in
+ * single-player games, otherwise whoever is tracked as it starts.
+ */
+function getRoundParticipants() {
+    return settings.multiplayer.enabled ? Array.from(players.keys()) : [1];
+}
 
-initDynamicBackground();
+/**
+ * Voids the prize of every player whose round failed the integrity checks.
+ * A player the monitor expected but who never showed up gets a void result too.
+ * @param {Array<object>} roundResults - From getRoundResults()
+ * @returns {Array<object>} The results, each with `invalid` set to a failure or null
+ */
+function validateRoundResults(roundResults) {
+    if (!roundMonitor.active) return roundResults.map(result => ({ ...result, invalid: null }));
+    const verdicts = roundMonitor.finish(performance.now());
+    const results = roundResults.map(result => ({ ...result, invalid: verdicts.get(result.playerId) || null }));
+    verdicts.forEach((failure, playerId) => {
+        if (failure && !results.some(result => result.playerId === playerId)) {
+            const player = getPlayer(playerId);
+            results.push({ playerId, color: player.color, heading: null, prize: 0, tier: null, invalid: failure });
+        }
+    });
+    results.forEach(result => {
+        if (!result.invalid) return;
+        result.prize = 0;
+        result.tier = null;
+    });
+    return results.sort((a, b) => a.playerId - b.playerId);
+}
 
-// Countdown Logic
-const countdownDisplay = document.querySelector('.countdown-display');
-const modal = document.getElementById('game_modal');
-const modalCloseBtn = document.getElementById('modal_close_btn');
-let countdownTimer = null;
-let isCountingDown = false;
+/**
+ * Opens the result modal for a finished game.
+ * @param {GameSession} session
+ * @param {Promise<object>|null} replay - Outputs of ReplayRecorder.finish(), if recorded
+ */
+function showGameResult(session, replay) {
+    const gameResults = session.getResults();
+    resultStamp = formatDatetimeStamp();
+    sessionStats.games++;
+    showReplay(replay);
+    announcer.announce(settings.multiplayer.enabled
+        ? gameResults.map(result => result.invalid
+            ? t('a11y.playerInvalid', { player: result.playerId, reason: t(`integrity.${result.invalid}`) })
+            : t('a11y.playerResult', { player: result.playerId, prize: formatPrize(result.prize) })
+        ).join(t('a11y.separator'))
+        : gameResults.length > 0 && gameResults[0].invalid
+            ? t('a11y.invalid', { reason: t(`integrity.${gameResults[0].invalid}`) })
+            : t('a11y.result', { prize: formatPrize(gameResults.length > 0 ? gameResults[0].prize : 0) }));
+    
+    // Show modal immediately with loading text
+    const modalBody = modal.querySelector('.modal-body');
+    modalBody.textContent = t('result.loading');
+    modal.classList.remove('hidden');
+    
+    // Only valid results wait for the operator's decision
+    const recordIds = saveRoundHistory(gameResults, session);
+    const validResults = gameResults.filter(result => !result.invalid);
+    
+    // Coins, confetti and a fanfare sized to the best prize that stands
+    const bestPrize = validResults.reduce((best, result) => Math.max(best, result.prize), 0);
+    const celebration = planCelebration(getCelebrationLevel(bestPrize, wheelConfig.tiers));
+    soundEffects.celebrate(celebration);
+    effectsLayer.celebrate(celebration, screenLayout.center, wheelConfig.tiers.map(tier => tier.color));
+    
+    if (gameResults.length > 0 && validResults.length === 0) {
+        // Nobody's result stands: say why instead of showing a prize
+        sessionStats.voided++;
+        resultStatus.textContent = t('result.nothingIssued');
+        resultActions.classList.add('hidden');
+        modalBody.replaceChildren(createInvalidResult(gameResults));
+        if (wheelRebuildPending) initDynamicBackground();
+        updateCountdownPanel();
+        return;
+    }
+    showResultActions(validResults, recordIds.then(ids => ids.filter((id, index) => !gameResults[index].invalid)));
+    
+    // Render the result image from the final game state
+    captureResultImage(gameResults).then(({ url, extension }) => {
+        const img = document.createElement('img');
+        img.src = url;
+        img.dataset.extension = extension;
+        img.style.maxWidth = '100%';
+        img.style.maxHeight = '80vh';
+        img.style.borderRadius = '8px';
+        img.style.boxShadow = '0 4px 12px rgba(0,0,0,0.2)';
+        
+        modalBody.innerHTML = ''; // Clear "Loading..."
+        modalBody.appendChild(img);
+        
+        // List every player's prize (and each round's) below the image
+        if (settings.multiplayer.enabled || session.totalRounds > 1 || validResults.length < gameResults.length) {
+            modalBody.appendChild(createPlayerResultsList(gameResults));
+        }
+    }).catch(err => {
+        console.error("Failed to render result image:", err);
+        modalBody.textContent = t('result.imageFailed');
+    }).finally(() => {
+        // Reset Countdown Display
+        updateCountdownPanel();
+    });
+}
 
-function startCountdown() {
-    if (isCountingDown) return; // Prevent multiple triggers
-    isCountingDown = true;
-    let timeLeft = 5;
+/**
+ * Starts the next round (Space, or the operator console): a new game starts
+ * with calibration, later rounds continue straight away.
+ * Players blink first when the liveness check is on.
+ */
+async function startNextRound() {
+    if (roundCountdown.isRunning || isCalibrating() || isCheckingLiveness()) return;
+    // 如果没有打开摄像头的话，先等待摄像头完成打开
+    if (!isInputRunning && !(await startInput())) return;
+    if (!isGameInProgress()) {
+        // The last game revealed this wheel's seed: show the commitment of a
+        // new wheel first, the next Space starts the game on it
+        if (sectorData.revealed && parseSeed(settings.layout.seed) === null) {
+            initDynamicBackground();
+            return;
+        }
+        // Map this player's comfortable range onto the wheel before the game
+        // (steered input has no head pose to calibrate)
+        const { mode } = settings.control;
+        const calibrate = settings.calibration.beforeRound || (mode === 'gaze' && !gazeCalibrated);
+        if (calibrate && !inputSource.providesHeadings) {
+            const calibration = await runCalibration(mode);
+            if (calibration) calibrations[mode] = calibration;
+            if (calibration && mode === 'gaze') gazeCalibrated = true;
+        }
+        gameCommitment = await sectorData.commitment;
+        gameSession = new GameSession({ ...settings.game, seed: sectorData.seed });
+    }
+    // Every player blinks before each round to show they aren't a photo
+    if (settings.integrity.liveness && !inputSource.providesHeadings) {
+        const participants = settings.multiplayer.enabled
+            ? Array.from(players.keys()).filter(isPlayerTracked)
+            : [1];
+        if (!(await runLivenessCheck(participants))) {
+            announcer.announce(t('liveness.failed'));
+            return;
+        }
+    }
+    startCountdown();
+}
 
-    countdownDisplay.textContent = `00 : 0${timeLeft}`;
+/**
+ * Abandons the game in progress without a result: nothing is stored or
+ * issued. Players have seen the wheel, so the next game gets a new one.
+ */
+function abortGame() {
+    if (!isGameInProgress()) return;
+    clearInterval(countdownTimer);
+    roundCountdown.reset();
+    roundMonitor.cancel();
+    if (replayRecorder) replayRecorder.discard();
+    replayRecorder = null;
+    gameSession = null;
+    initDynamicBackground();
+    updateCountdownPanel();
+    announcer.announce(t('a11y.aborted'));
+}
 
-    countdownTimer = setInterval(() => {
-        timeLeft--;
-        if (timeLeft >= 0) {
-            countdownDisplay.textContent = `00 : 0${timeLeft}`;
-        }
+// A new wheel between games; a game or an undecided result keeps its wheel
+function regenerateWheel() {
+    if (isGameInProgress() || isCalibrating() || isCheckingLiveness() || pendingResult) return false;
+    initDynamicBackground();
+    return true;
+}
 
-        if (timeLeft < 0) {
-            clearInterval(countdownTimer);
-            isCountingDown = false;
-            // Reset display
-            countdownDisplay.textContent = "00 : 05";
-            // Show Modal
-            modal.classList.remove('hidden');
-        }
-    }, 1000);
+// A new wheel for a changed configuration or stock, or once the wheel in use
+// is free again: when the game ends or its result is settled
+function rebuildWheel() {
+    wheelRebuildPending = !regenerateWheel();
 }
 
 // Event Listener for Space Key
-document.addEventListener('keydown', async (event) => {
+document.addEventListener('keydown', (event) => {
+    // Don't hijack Space while typing in the settings panel
+    if (event.target.closest('input, textarea, select')) return;
     if (event.code === 'Space') {
         event.preventDefault(); // Prevent default scrolling behavior
-        // 如果没有打开摄像头的话，先等待摄像头完成打开
-        if (!isCameraRunning) {
-            await camera.start();
-            isCameraRunning = true;
-            openCamBtn.textContent = "关闭摄像头";
-        }
-        startCountdown();
+        startNextRound();
     }
 });
 
-// Event Listener for Modal Close Button
-modalCloseBtn.addEventListener('click', () => {
+/**
+ * Closes the result modal, downloading the result image.
+ */
+function closeResultModal() {
     // Get the image from modal
     const modalBody = modal.querySelector('.modal-body');
     const img = modalBody.querySelector('img');
     
     if (img && img.src) {
-        // Generate filename with datetime
-        const now = new Date();
-        const datetime = now.getFullYear().toString() +
-            String(now.getMonth() + 1).padStart(2, '0') +
-            String(now.getDate()).padStart(2, '0') + '_' +
-            String(now.getHours()).padStart(2, '0') +
-            String(now.getMinutes()).padStart(2, '0') +
-            String(now.getSeconds()).padStart(2, '0');
-        const filename = `PartyGame_${datetime}.png`;
-        
-        // Create download link and trigger download
-        const downloadLink = document.createElement('a');
-        downloadLink.href = img.src;
-        downloadLink.download = filename;
-        document.body.appendChild(downloadLink);
-        downloadLink.click();
-        document.body.removeChild(downloadLink);
+        downloadResultFile({ url: img.src, extension: img.dataset.extension || 'png' });
     }
     
     // Close modal
+    replayVideo.pause();
     modal.classList.add('hidden');
-});
+}
+
+// Event Listener for Modal Close Button
+modalCloseBtn.addEventListener('click', closeResultModal);
+
+function downloadResultFile({ url, extension }) {
+    downloadFile(url, `PartyGame_${resultStamp}.${extension}`);
+}
+
+// Replay outputs shown in the result modal: { clip, animation }
+let replayOutputs = null;
+let shownReplay = null;
 
 /**
- * Captures the full screen including the video element.
- * Uses html2canvas with a workaround for the webcam video stream.
- * Then composites the screenshot with a decorative frame.
- */
-function captureScreen(callback) {
-    const originalVideo = document.getElementById('input_video');
-    const videoFrame = document.querySelector('.video-frame');
-    
-    // 1. Create a temporary canvas with the mirrored video frame
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = originalVideo.videoWidth;
-    tempCanvas.height = originalVideo.videoHeight;
-    const ctx = tempCanvas.getContext('2d');
-    
-    // Draw with horizontal flip baked in (to match what user sees)
-    ctx.translate(tempCanvas.width, 0);
-    ctx.scale(-1, 1);
-    ctx.drawImage(originalVideo, 0, 0, tempCanvas.width, tempCanvas.height);
-    
-    // Apply same positioning styles as video (but NO transform)
-    tempCanvas.style.display = 'block';
-    tempCanvas.style.position = 'absolute';
-    tempCanvas.style.top = '0';
-    tempCanvas.style.left = '0';
-    tempCanvas.style.width = '100%';
-    tempCanvas.style.height = '100%';
-    tempCanvas.style.objectFit = 'cover';
-    tempCanvas.id = 'temp_video_canvas';
-    
-    // 2. Temporarily hide video and show the canvas in the REAL DOM
-    originalVideo.style.display = 'none';
-    videoFrame.appendChild(tempCanvas);
-    
-    // 3. Take screenshot
-    html2canvas(document.body, {
-        ignoreElements: (element) => element.id === 'game_modal',
-        backgroundColor: null
-    }).then(screenshotCanvas => {
-        // 4. Restore: show video, remove temp canvas
-        originalVideo.style.display = 'block';
-        tempCanvas.remove();
-        
-        // 5. Load the frame image and composite
-        const frameImg = new Image();
-        frameImg.onload = () => {
-            // Create final canvas with frame dimensions
-            const finalCanvas = document.createElement('canvas');
-            finalCanvas.width = frameImg.width;
-            finalCanvas.height = frameImg.height;
-            const finalCtx = finalCanvas.getContext('2d');
-            
-            // Calculate how to fit and center the screenshot within the frame
-            const frameW = frameImg.width;
-            const frameH = frameImg.height;
-            const shotW = screenshotCanvas.width;
-            const shotH = screenshotCanvas.height;
-            
-            // Scale screenshot to fit frame while maintaining aspect ratio
-            const scaleX = frameW / shotW;
-            const scaleY = frameH / shotH;
-            const scale = Math.max(scaleX, scaleY); // Use max to cover the frame area
-            
-            const scaledW = shotW * scale;
-            const scaledH = shotH * scale;
-            
-            // Center the screenshot
-            const offsetX = (frameW - scaledW) / 2;
-            const offsetY = (frameH - scaledH) / 2;
-            
-            // Draw screenshot first (bottom layer)
-            finalCtx.drawImage(screenshotCanvas, offsetX, offsetY, scaledW, scaledH);
-            
-            // Draw frame on top
-            finalCtx.drawImage(frameImg, 0, 0, frameW, frameH);
-            
-            const dataURL = finalCanvas.toDataURL('image/png');
-            callback(dataURL);
-        };
-        frameImg.onerror = () => {
-            // If frame fails to load, just use the screenshot
-            console.error("Failed to load frame image");
-            const dataURL = screenshotCanvas.toDataURL('image/png');
-            callback(dataURL);
-        };
-        frameImg.src = 'win_frame.png';
-        
+ * Shows the replay clip next to the result image once it has been encoded.
+ */
+function showReplay(replay) {
+    if (replayOutputs) {
+        [replayOutputs.clip, replayOutputs.animation].forEach(output => {
+            if (output) URL.revokeObjectURL(output.url);
+        });
+    }
+    replayOutputs = null;
+    shownReplay = replay;
+    replayVideo.removeAttribute('src');
+    downloadClipBtn.classList.add('hidden');
+    downloadAnimationBtn.classList.add('hidden');
+    resultReplay.classList.toggle('hidden', !replay);
+    if (!replay) return;
+    
+    replayStatus.textContent = t('replay.encoding');
+    replay.then(outputs => {
+        // A newer game may have replaced this result in the meantime
+        if (shownReplay !== replay) return;
+        replayOutputs = outputs;
+        const { clip, animation } = outputs;
+        replayStatus.textContent = clip || animation ? '' : t('replay.unsupported');
+        if (clip) {
+            replayVideo.src = clip.url;
+            replayVideo.play().catch(() => {});
+            downloadClipBtn.classList.remove('hidden');
+        }
+        if (animation) {
+            downloadAnimationBtn.textContent = t('replay.downloadAnimation', { format: animation.extension.toUpperCase() });
+            downloadAnimationBtn.classList.remove('hidden');
+        }
     }).catch(err => {
-        // Restore on error too
-        originalVideo.style.display = 'block';
-        tempCanvas.remove();
-        console.error("Screenshot failed:", err);
+        console.error("Failed to record replay:", err);
+        if (shownReplay === replay) replayStatus.textContent = t('replay.failed');
     });
 }
 
-function startCountdown() {
-    if (isCountingDown) return; // Prevent multiple triggers
-    isCountingDown = true;
-    let timeLeft = 5;
+downloadClipBtn.addEventListener('click', () => downloadResultFile(replayOutputs.clip));
+downloadAnimationBtn.addEventListener('click', () => downloadResultFile(replayOutputs.animation));
 
-    countdownDisplay.textContent = `00 : 0${timeLeft}`;
+// Result waiting for the operator's decision: { gameResults, recordIds: Promise, commitment }
+let pendingResult = null;
 
-    countdownTimer = setInterval(() => {
-        timeLeft--;
-        if (timeLeft >= 0) {
-            countdownDisplay.textContent = `00 : 0${timeLeft}`;
-        }
+// Games played since the page was opened, shown in the operator console
+const sessionStats = { games: 0, confirmed: 0, voided: 0, issued: 0 };
 
-        if (timeLeft < 0) {
-            clearInterval(countdownTimer);
-            isCountingDown = false;
-            
-            // 1. Reset display immediately or keep 00:00? 
-            // User said: "倒计时器结束后，”00:00“会变成”00:05“" 
-            // AND "展示就是刚才的截屏" (Show the screenshot just taken).
-            // Taking screenshot of 00:00 seems appropriate for "just finished".
-            
-            // Show modal immediately with loading text
-            const modalBody = modal.querySelector('.modal-body');
-            modalBody.innerHTML = '加载中...';
-            modal.classList.remove('hidden');
-
-            // 2. Capture Screenshot
-            // Note: Since we show modal, we must ensure 'ignoreElements' works (it does).
-            // We capture the state where timer shows 00:00 (if we haven't reset it yet).
-            
-            // Wait a brief moment to ensure DOM renders "00:00" before capturing?
-            // setInterval usually runs somewhat in sync with render loop, but requestAnimationFrame is better.
-            // We'll just call it.
-            
-            // 截图前将"已触及"改为"恭喜获得"
-            const moneyPanel = document.querySelector('.money-panel');
-            const originalText = moneyPanel.innerHTML;
-            const moneyValue = document.getElementById('money_display').textContent;
-            moneyPanel.innerHTML = `恭喜获得 <span id="money_display">${moneyValue}</span> 元`;
-            
-            captureScreen((dataURL) => {
-                // 截图后恢复原文字
-                moneyPanel.innerHTML = originalText;
-                
-                // 3. Update Modal with Screenshot
-                // Create an image element
-                const img = document.createElement('img');
-                img.src = dataURL;
-                img.style.maxWidth = '100%';
-                img.style.maxHeight = '80vh';
-                img.style.borderRadius = '8px';
-                img.style.boxShadow = '0 4px 12px rgba(0,0,0,0.2)';
-                
-                modalBody.innerHTML = ''; // Clear "Loading..."
-                modalBody.appendChild(img);
-                
-                // 4. Reset Countdown Display
-                countdownDisplay.textContent = "00 : 05";
+function showResultActions(gameResults, recordIds) {
+    // The commitment of the wheel this result was played on, whatever happens before it is settled
+    pendingResult = { gameResults, recordIds, commitment: gameCommitment };
+    resultStatus.textContent = '';
+    resultActions.classList.remove('hidden');
+}
+
+/**
+ * Confirms or voids the pending result. Only confirmed prizes are taken out of
+ * the inventory; either way the wheel is regenerated for the next round.
+ */
+async function settlePendingResult(confirmed) {
+    if (!pendingResult) return;
+    const { gameResults, recordIds, commitment } = pendingResult;
+    pendingResult = null;
+    
+    resultActions.classList.add('hidden');
+    resultStatus.textContent = t(confirmed ? 'result.confirmed' : 'result.voided');
+    
+    if (confirmed) {
+        const shortfall = recordIssuedPrizes(inventory, gameResults.flatMap(result => result.awards), wheelConfig);
+        if (shortfall.length > 0) {
+            // Won on a wheel drawn before the last prizes ran out; the operator has to cover them
+            resultStatus.textContent = t('result.shortfall', {
+                prizes: shortfall.map(({ tier, reason }) => t(`result.shortfallReason.${reason}`, { tier: getTierLabel(tier) })).join(', ')
             });
         }
-    }, 1000);
+        sessionStats.confirmed++;
+        sessionStats.issued += gameResults.reduce((sum, result) => sum + result.prize, 0);
+        // Sent once the history has the records, so integrations can refer to them
+        const playerName = playerNameInput.value;
+        const seed = commitment && formatSeed(commitment.seed);
+        recordIds.then(ids => gameApi.emit(GAME_EVENT.RESULT_CONFIRMED, {
+            results: gameResults.map(result => ({
+                playerId: result.playerId,
+                prize: result.prize,
+                rounds: result.rounds,
+                awards: result.awards.map(describeTier)
+            })),
+            recordIds: ids,
+            playerName,
+            seed
+        }));
+    } else {
+        sessionStats.voided++;
+    }
+    initDynamicBackground();
+    
+    try {
+        await updateRoundRecordStatus(await recordIds, confirmed ? ROUND_STATUS.CONFIRMED : ROUND_STATUS.VOIDED);
+    } catch (err) {
+        console.error("Failed to update round history:", err);
+    }
+}
+
+document.getElementById('confirm_result_btn').addEventListener('click', () => settlePendingResult(true));
+document.getElementById('void_result_btn').addEventListener('click', () => settlePendingResult(false));
+
+/**
+ * Builds the per-player prize list shown in the result modal,
+ * with every round's prize in multi-round games.
+ */
+function createPlayerResultsList(gameResults) {
+    const list = document.createElement('ul');
+    list.className = 'player-results';
+    gameResults.forEach(result => {
+        const item = document.createElement('li');
+        const rounds = result.rounds.length > 1
+            ? t('result.rounds', { rounds: result.rounds.map(formatPrize).join(' / ') })
+            : '';
+        item.style.setProperty('--player-color', result.color);
+        item.textContent = result.invalid
+            ? t('result.playerInvalid', { player: result.playerId, reason: t(`integrity.${result.invalid}`) })
+            : t('result.player', { player: result.playerId, amount: formatPrize(result.prize), rounds });
+        item.classList.toggle('invalid', Boolean(result.invalid));
+        list.appendChild(item);
+    });
+    return list;
+}
+
+/**
+ * The "no valid result" state of the result modal, with each player's reason.
+ */
+function createInvalidResult(gameResults) {
+    const container = document.createElement('div');
+    container.className = 'result-invalid';
+    const title = document.createElement('h2');
+    title.textContent = t('result.invalid');
+    const reasons = document.createElement('ul');
+    gameResults.forEach(result => {
+        const item = document.createElement('li');
+        item.textContent = settings.multiplayer.enabled
+            ? t('result.playerInvalid', { player: result.playerId, reason: t(`integrity.${result.invalid}`) })
+            : t(`integrity.${result.invalid}`);
+        reasons.appendChild(item);
+    });
+    container.append(title, reasons);
+    return container;
+}
+
+/**
+ * Renders the result image for the game that just ended (see js/result-renderer.js).
+ * The video frame is copied straight away so it shows the moment the countdown ended.
+ * @returns {Promise<{url:string, extension:string}>}
+ */
+async function captureResultImage(gameResults) {
+    const scene = {
+        sectors: getSectorAngles(sectorData, wheelRotation),
+        rays: getResultRays(gameResults),
+        video: copyVideoFrame(videoElement),
+        tierStyles,
+        label: t('hud.won'),
+        results: gameResults,
+        multiplayer: settings.multiplayer.enabled,
+        fairness: gameCommitment && { seed: formatSeed(gameCommitment.seed), salt: gameCommitment.salt, hash: gameCommitment.hash }
+    };
+    scene.frame = await loadResultFrame();
+    return renderResultImage(scene, settings.resultImage);
+}
+
+function getResultRays(results) {
+    return results
+        .filter(result => result.heading)
+        .map(result => ({ x: result.heading.x, y: result.heading.y, color: result.color }));
+}
+
+/**
+ * Draws the live scene into a replay frame (see js/replay-recorder.js).
+ * After the countdown the banner reads "恭喜获得" and the clock stays at zero.
+ */
+function drawReplayFrame(ctx) {
+    const roundResults = getRoundResults().filter(result => isPlayerTracked(result.playerId));
+    drawResultScene(ctx, {
+        sectors: getSectorAngles(sectorData, wheelRotation),
+        rays: getResultRays(roundResults),
+        video: videoElement,
+        tierStyles,
+        label: t(roundCountdown.isRunning ? 'hud.touched' : 'hud.won'),
+        results: roundResults,
+        multiplayer: settings.multiplayer.enabled,
+        countdown: roundCountdown.isRunning ? countdownDisplay.textContent : formatCountdown(0),
+        frame: null
+    });
+}
+
+// Operator Console (operator.html in a second window, see js/operator-channel.js)
+const openOperatorBtn = document.getElementById('open_operator_btn');
+
+/**
+ * What the game is doing, for the operator console.
+ * @returns {string} idle, calibrating, livenessCheck, countdown, betweenRounds or result
+ */
+function getGamePhase() {
+    if (isCalibrating()) return 'calibrating';
+    if (isCheckingLiveness()) return 'livenessCheck';
+    if (roundCountdown.isRunning) return 'countdown';
+    if (isGameInProgress()) return 'betweenRounds';
+    if (pendingResult) return 'result';
+    return 'idle';
+}
+
+/**
+ * Snapshot of the game sent to the operator console a few times a second.
+ * Prizes are amounts; the console formats them itself.
+ */
+function getOperatorState() {
+    const session = isGameInProgress() ? gameSession : null;
+    return {
+        phase: getGamePhase(),
+        countdown: countdownDisplay.textContent,
+        round: session && { mode: session.mode, current: session.currentRound, total: session.totalRounds },
+        resultShown: !modal.classList.contains('hidden'),
+        pendingResult: pendingResult && pendingResult.gameResults.map(result => ({
+            playerId: result.playerId,
+            color: result.color,
+            prize: result.prize
+        })),
+        players: Array.from(players.values())
+            .sort((a, b) => a.id - b.id)
+            .map(player => ({ id: player.id, color: player.color, prize: player.prize, inFrame: player.inFrame })),
+        input: { running: isInputRunning, label: inputSource.label },
+        commitment: commitmentHash.textContent,
+        playerName: playerNameInput.value,
+        canStart: !roundCountdown.isRunning && !isCalibrating() && !isCheckingLiveness(),
+        canRegenerate: !isGameInProgress() && !isCalibrating() && !isCheckingLiveness() && !pendingResult,
+        performance: perfHud.getStats(performance.now()),
+        stats: sessionStats,
+        settings
+    };
+}
+
+function handleOperatorCommand(command, args) {
+    switch (command) {
+        case OPERATOR_COMMAND.START_ROUND:
+            startNextRound();
+            break;
+        case OPERATOR_COMMAND.ABORT_GAME:
+            abortGame();
+            break;
+        case OPERATOR_COMMAND.NEW_WHEEL:
+            regenerateWheel();
+            break;
+        case OPERATOR_COMMAND.CONFIRM_RESULT:
+            settlePendingResult(true);
+            break;
+        case OPERATOR_COMMAND.VOID_RESULT:
+            settlePendingResult(false);
+            break;
+        case OPERATOR_COMMAND.CLOSE_RESULT:
+            if (!modal.classList.contains('hidden')) closeResultModal();
+            break;
+        case OPERATOR_COMMAND.SET_PLAYER_NAME:
+            playerNameInput.value = args.name;
+            break;
+        case OPERATOR_COMMAND.SAVE_SETTINGS:
+            // Rejected settings throw back to the console (see GameChannel)
+            changeSettings(args.settings);
+            break;
+        default:
+            console.error("Unknown operator command:", command);
+    }
+}
+
+if (isOperatorChannelSupported()) {
+    // With a console connected the guest sees only the wheel, the video and the result
+    new GameChannel({
+        getState: getOperatorState,
+        onCommand: handleOperatorCommand,
+        onConnectionChange: (connected) => {
+            document.body.classList.toggle('operator-connected', connected);
+        }
+    });
+    openOperatorBtn.addEventListener('click', () => {
+        window.open('operator.html', 'faceGameOperator', 'popup,width=720,height=900');
+    });
+} else {
+    // Without BroadcastChannel the console couldn't reach this window
+    openOperatorBtn.remove();
 }
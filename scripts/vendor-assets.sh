@@ -0,0 +1,50 @@
+#!/bin/sh
+# Downloads the third-party browser assets into vendor/ so the game can be
+# served without any CDN. Run once on a machine with access to the npm
+# registry, then copy the whole folder to the venue machine.
+#
+# The layout mirrors the npm package names, so the asset base path can also
+# point at an npm CDN (e.g. https://cdn.jsdelivr.net/npm/).
+
+set -e
+
+FACE_MESH_VERSION=0.4.1657299874
+CAMERA_UTILS_VERSION=0.3.1675466862
+
+ROOT_DIR=$(cd "$(dirname "$0")/.." && pwd)
+VENDOR_DIR="$ROOT_DIR/vendor"
+TMP_DIR=$(mktemp -d)
+trap 'rm -rf "$TMP_DIR"' EXIT
+
+# fetch <package> <version> <target dir> <files...>
+fetch() {
+    package=$1
+    version=$2
+    target="$VENDOR_DIR/$3"
+    shift 3
+
+    echo "Fetching $package@$version"
+    (cd "$TMP_DIR" && npm pack --silent "$package@$version" > /dev/null)
+    mkdir -p "$TMP_DIR/extract" "$target"
+    tar -xzf "$TMP_DIR"/*.tgz -C "$TMP_DIR/extract"
+    for file in "$@"; do
+        mkdir -p "$(dirname "$target/$file")"
+        cp "$TMP_DIR/extract/package/$file" "$target/$file"
+    done
+    rm -rf "$TMP_DIR"/*.tgz "$TMP_DIR/extract"
+}
+
+fetch @mediapipe/face_mesh "$FACE_MESH_VERSION" @mediapipe/face_mesh \
+    face_mesh.js \
+    face_mesh.binarypb \
+    face_mesh_solution_packed_assets.data \
+    face_mesh_solution_packed_assets_loader.js \
+    face_mesh_solution_simd_wasm_bin.js \
+    face_mesh_solution_simd_wasm_bin.wasm \
+    face_mesh_solution_wasm_bin.js \
+    face_mesh_solution_wasm_bin.wasm
+
+fetch @mediapipe/camera_utils "$CAMERA_UTILS_VERSION" @mediapipe/camera_utils \
+    camera_utils.js
+
+echo "Vendored assets written to $VENDOR_DIR"
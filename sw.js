@@ -0,0 +1,140 @@
+// Service Worker
+// Precaches the app shell, the frame image and the vendored MediaPipe model /
+// WASM files so the game starts with the network disabled.
+// Bump CACHE_VERSION whenever any of the files below change.
+
+const CACHE_VERSION = 'v24';
+const CACHE_NAME = `face-game-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'verify.html',
+    'operator.html',
+    'style.css',
+    'script.js',
+    'win_frame.png',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'sounds/tick.wav',
+    'sounds/beep.wav',
+    'sounds/beep-final.wav',
+    'sounds/chime.wav',
+    'sounds/fanfare.wav',
+    'sounds/miss.wav',
+    'js/app-config.js',
+    'js/utils.js',
+    'js/i18n.js',
+    'js/locales/zh-CN.js',
+    'js/locales/en-US.js',
+    'js/wheel-config.js',
+    'js/settings.js',
+    'js/calibration.js',
+    'js/liveness-check.js',
+    'js/landmark-session.js',
+    'js/input-sources.js',
+    'js/manual-input.js',
+    'js/inventory.js',
+    'js/history-store.js',
+    'js/history-panel.js',
+    'js/wheel-renderer.js',
+    'js/result-renderer.js',
+    'js/replay-recorder.js',
+    'js/settings-panel.js',
+    'js/announcer.js',
+    'js/perf-hud.js',
+    'js/sound-effects.js',
+    'js/effects-layer.js',
+    'js/operator-channel.js',
+    'js/game-api.js',
+    'js/webhook.js',
+    'js/core/wheel-layout.js',
+    'js/core/prize-tiers.js',
+    'js/core/hit-test.js',
+    'js/core/palettes.js',
+    'js/core/screen-layout.js',
+    'js/core/result-layout.js',
+    'js/core/animated-image.js',
+    'js/core/landmark-session.js',
+    'js/core/heading-timeline.js',
+    'js/core/face-tracker.js',
+    'js/core/filters.js',
+    'js/core/frame-stats.js',
+    'js/core/head-pose.js',
+    'js/core/heading.js',
+    'js/core/eye-gaze.js',
+    'js/core/countdown.js',
+    'js/core/game-modes.js',
+    'js/core/random.js',
+    'js/core/round-integrity.js',
+    'js/core/liveness.js',
+    'js/core/celebration.js',
+    'js/core/wheel-motion.js',
+    'js/core/fairness.js',
+    'js/core/outbox.js',
+    'js/verify-page.js',
+    'js/operator-page.js'
+];
+
+// Default vendor/ layout written by scripts/vendor-assets.sh.
+// Assets served from a custom asset base are cached at runtime instead.
+const VENDOR_ASSETS = [
+    'vendor/@mediapipe/face_mesh/face_mesh.js',
+    'vendor/@mediapipe/face_mesh/face_mesh.binarypb',
+    'vendor/@mediapipe/face_mesh/face_mesh_solution_packed_assets.data',
+    'vendor/@mediapipe/face_mesh/face_mesh_solution_packed_assets_loader.js',
+    'vendor/@mediapipe/face_mesh/face_mesh_solution_simd_wasm_bin.js',
+    'vendor/@mediapipe/face_mesh/face_mesh_solution_simd_wasm_bin.wasm',
+    'vendor/@mediapipe/face_mesh/face_mesh_solution_wasm_bin.js',
+    'vendor/@mediapipe/face_mesh/face_mesh_solution_wasm_bin.wasm',
+    'vendor/@mediapipe/camera_utils/camera_utils.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL);
+        // A missing vendor file must not block the app shell from installing
+        await Promise.all(VENDOR_ASSETS.map(url =>
+            cache.add(url).catch(err => console.warn(`Could not precache ${url}:`, err))
+        ));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('face-game-') && key !== CACHE_NAME)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+// Cache first, then network; successful responses are added to the cache
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        // Query strings (e.g. ?assetBase=...) don't change the app shell
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+
+        try {
+            const response = await fetch(request);
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        } catch (err) {
+            // Offline navigation to an uncached URL: fall back to the app shell
+            if (request.mode === 'navigate') {
+                const shell = await cache.match('index.html');
+                if (shell) return shell;
+            }
+            throw err;
+        }
+    })());
+});
@@ -0,0 +1,231 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeAnimatedWebp, encodeGif, quantizeGifFrame } from '../js/core/animated-image.js';
+
+const ascii = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+const uint16 = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8);
+const uint24 = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+const uint32 = (bytes, offset) => new DataView(bytes.buffer, bytes.byteOffset).getUint32(offset, true);
+
+async function blobBytes(blob) {
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+// Joins GIF sub-blocks, checking that each but the last is full
+function readSubBlocks(bytes, offset) {
+    const data = [];
+    const sizes = [];
+    while (bytes[offset] !== 0) {
+        const size = bytes[offset];
+        sizes.push(size);
+        data.push(...bytes.subarray(offset + 1, offset + 1 + size));
+        offset += 1 + size;
+    }
+    sizes.slice(0, -1).forEach(size => assert.equal(size, 255));
+    return { data, end: offset + 1 };
+}
+
+// Plain GIF LZW decoder, written from the specification
+function lzwDecode(data, minCodeSize, pixelCount) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    let codeSize = minCodeSize + 1;
+    let table = [];
+    let previous = null;
+    let bitPosition = 0;
+    const output = [];
+
+    const reset = () => {
+        table = Array.from({ length: endCode + 1 }, (_, code) => [code]);
+        codeSize = minCodeSize + 1;
+        previous = null;
+    };
+    reset();
+
+    while (bitPosition + codeSize <= data.length * 8) {
+        let code = 0;
+        for (let bit = 0; bit < codeSize; bit++, bitPosition++) {
+            code |= ((data[bitPosition >> 3] >> (bitPosition & 7)) & 1) << bit;
+        }
+        if (code === clearCode) {
+            reset();
+            continue;
+        }
+        if (code === endCode) break;
+
+        let entry;
+        if (previous === null) {
+            entry = table[code];
+        } else {
+            entry = code < table.length ? table[code] : [...table[previous], table[previous][0]];
+            if (table.length < 4096) table.push([...table[previous], entry[0]]);
+        }
+        output.push(...entry);
+        if (table.length === (1 << codeSize) && codeSize < 12) codeSize++;
+        previous = code;
+    }
+    assert.equal(output.length, pixelCount);
+    return output;
+}
+
+function decodeGif(bytes) {
+    assert.equal(ascii(bytes, 0, 6), 'GIF89a');
+    const width = uint16(bytes, 6);
+    const height = uint16(bytes, 8);
+    assert.equal(bytes[10], 0xF7);
+    const palette = bytes.subarray(13, 13 + 256 * 3);
+
+    let offset = 13 + 256 * 3;
+    assert.equal(ascii(bytes, offset + 3, 11), 'NETSCAPE2.0');
+    assert.equal(uint16(bytes, offset + 16), 0, 'loops forever');
+    offset += 19;
+
+    const frames = [];
+    while (bytes[offset] === 0x21) {
+        assert.equal(bytes[offset + 1], 0xF9);
+        const delay = uint16(bytes, offset + 4) * 10;
+        offset += 8;
+        assert.equal(bytes[offset], 0x2C);
+        assert.deepEqual([uint16(bytes, offset + 5), uint16(bytes, offset + 7)], [width, height]);
+        const minCodeSize = bytes[offset + 10];
+        const { data, end } = readSubBlocks(bytes, offset + 11);
+        frames.push({ delay, indices: lzwDecode(data, minCodeSize, width * height) });
+        offset = end;
+    }
+    assert.equal(bytes[offset], 0x3B);
+    assert.equal(offset, bytes.length - 1);
+    return { width, height, palette, frames };
+}
+
+// Deterministic palette indices for a frame of noise
+function noise(length, seed) {
+    const indices = new Uint8Array(length);
+    let state = seed;
+    for (let i = 0; i < length; i++) {
+        state = (state * 1103515245 + 12345) >>> 0;
+        indices[i] = (state >>> 16) % 252;
+    }
+    return indices;
+}
+
+describe('quantizeGifFrame', () => {
+    it('maps colours on the colour cube to palette entries of the same colour', async () => {
+        const colors = [[0, 0, 0], [255, 255, 255], [255, 0, 0], [51, 85, 204], [0, 170, 0]];
+        const indices = quantizeGifFrame(Uint8ClampedArray.from(colors.flatMap(rgb => [...rgb, 255])));
+        const { palette } = decodeGif(await blobBytes(encodeGif([indices], colors.length, 1, 100)));
+        colors.forEach((rgb, i) => assert.deepEqual([...palette.subarray(indices[i] * 3, indices[i] * 3 + 3)], rgb));
+    });
+
+    it('snaps other colours to the nearest level of each channel', () => {
+        const [near] = quantizeGifFrame(Uint8ClampedArray.from([60, 40, 240, 255]));
+        const [exact] = quantizeGifFrame(Uint8ClampedArray.from([51, 42.5, 255, 255]));
+        assert.equal(near, exact);
+    });
+});
+
+describe('encodeGif', () => {
+    it('writes the header and one frame per input with the delay in centiseconds', async () => {
+        const frames = [new Uint8Array(12).fill(3), new Uint8Array(12).fill(7)];
+        const gif = decodeGif(await blobBytes(encodeGif(frames, 4, 3, 100)));
+        assert.equal(gif.width, 4);
+        assert.equal(gif.height, 3);
+        assert.deepEqual(gif.frames.map(frame => frame.delay), [100, 100]);
+        assert.deepEqual(gif.frames.map(frame => frame.indices), frames.map(frame => [...frame]));
+    });
+
+    it('round-trips a frame long enough to grow the codes to 12 bits and start over', async () => {
+        const width = 120;
+        const height = 90;
+        const frames = [noise(width * height, 1), noise(width * height, 2)];
+        const gif = decodeGif(await blobBytes(encodeGif(frames, width, height, 200)));
+        assert.deepEqual(gif.frames.map(frame => frame.indices), frames.map(frame => [...frame]));
+    });
+
+    it('round-trips long runs of one colour', async () => {
+        const indices = new Uint8Array(200 * 150);
+        indices.fill(9, 0, 20000);
+        indices.fill(200, 20000);
+        const gif = decodeGif(await blobBytes(encodeGif([indices], 200, 150, 100)));
+        assert.deepEqual(gif.frames[0].indices, [...indices]);
+    });
+});
+
+// A RIFF chunk as a list of bytes, padded to an even size
+function riffChunk(id, data) {
+    const size = [0, 8, 16, 24].map(shift => (data.length >> shift) & 0xFF);
+    return [...id].map(char => char.charCodeAt(0)).concat(size, [...data], data.length % 2 ? [0] : []);
+}
+
+// A still WebP file with the given chunks
+function stillWebp(chunks) {
+    const body = [...'WEBP'].map(char => char.charCodeAt(0)).concat(...chunks.map(([id, data]) => riffChunk(id, data)));
+    return Uint8Array.from(riffChunk('RIFF', body)).buffer;
+}
+
+// Splits RIFF chunks, checking the sizes and the padding to an even length
+function readChunks(bytes, offset, end) {
+    const chunks = [];
+    while (offset < end) {
+        const size = uint32(bytes, offset + 4);
+        chunks.push({ id: ascii(bytes, offset, 4), data: bytes.subarray(offset + 8, offset + 8 + size) });
+        if (size % 2) assert.equal(bytes[offset + 8 + size], 0);
+        offset += 8 + size + (size % 2);
+    }
+    assert.equal(offset, end);
+    return chunks;
+}
+
+describe('encodeAnimatedWebp', () => {
+    const opaque = stillWebp([['VP8 ', Uint8Array.from([1, 2, 3, 4, 5])], ['EXIF', Uint8Array.from([9, 9])]]);
+    const transparent = stillWebp([
+        ['VP8X', new Uint8Array(10)],
+        ['ALPH', Uint8Array.from([6, 7, 8])],
+        ['VP8L', Uint8Array.from([10, 11, 12, 13])]
+    ]);
+
+    it('wraps the frames into a RIFF container with matching sizes', async () => {
+        const bytes = await blobBytes(encodeAnimatedWebp([opaque, opaque], 480, 309, 100));
+        assert.equal(ascii(bytes, 0, 4), 'RIFF');
+        assert.equal(uint32(bytes, 4), bytes.length - 8);
+        assert.equal(ascii(bytes, 8, 4), 'WEBP');
+
+        const chunks = readChunks(bytes, 12, bytes.length);
+        assert.deepEqual(chunks.map(chunk => chunk.id), ['VP8X', 'ANIM', 'ANMF', 'ANMF']);
+
+        const [vp8x, anim] = chunks;
+        assert.equal(vp8x.data.length, 10);
+        assert.equal(vp8x.data[0], 0x02, 'animation without alpha');
+        assert.equal(uint24(vp8x.data, 4) + 1, 480);
+        assert.equal(uint24(vp8x.data, 7) + 1, 309);
+        assert.deepEqual([...anim.data], [0, 0, 0, 0, 0, 0]);
+    });
+
+    it('gives every frame the full canvas, the delay and only its bitstream', async () => {
+        const bytes = await blobBytes(encodeAnimatedWebp([opaque, transparent], 64, 48, 200));
+        const frames = readChunks(bytes, 12, bytes.length).filter(chunk => chunk.id === 'ANMF');
+        frames.forEach(({ data }) => {
+            assert.equal(uint24(data, 0), 0);
+            assert.equal(uint24(data, 3), 0);
+            assert.equal(uint24(data, 6) + 1, 64);
+            assert.equal(uint24(data, 9) + 1, 48);
+            assert.equal(uint24(data, 12), 200);
+            assert.equal(data[15], 0x02);
+        });
+
+        const [first, second] = frames.map(({ data }) => readChunks(data, 16, data.length));
+        assert.deepEqual(first.map(chunk => [chunk.id, [...chunk.data]]), [['VP8 ', [1, 2, 3, 4, 5]]]);
+        assert.deepEqual(second.map(chunk => [chunk.id, [...chunk.data]]), [['ALPH', [6, 7, 8]], ['VP8L', [10, 11, 12, 13]]]);
+    });
+
+    it('sets the alpha flag when a frame has alpha', async () => {
+        const bytes = await blobBytes(encodeAnimatedWebp([opaque, transparent], 64, 48, 100));
+        const [vp8x] = readChunks(bytes, 12, bytes.length);
+        assert.equal(vp8x.data[0], 0x12);
+    });
+
+    it('gives up on frames that are not WebP', () => {
+        assert.equal(encodeAnimatedWebp([opaque, new Uint8Array(20).buffer], 64, 48, 100), null);
+        assert.equal(encodeAnimatedWebp([], 64, 48, 100), null);
+    });
+});
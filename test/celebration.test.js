@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ParticleField, getCelebrationLevel, planCelebration } from '../js/core/celebration.js';
+
+const TIERS = [{ value: 0 }, { value: 5 }, { value: 20 }, { value: 20 }, { value: 100 }];
+
+// Repeats a fixed sequence of "random" numbers
+function sequence(...values) {
+    let index = 0;
+    return () => values[index++ % values.length];
+}
+
+describe('getCelebrationLevel', () => {
+    it('has nothing to celebrate for a miss', () => {
+        assert.equal(getCelebrationLevel(0, TIERS), 0);
+    });
+
+    it('ranks the prize among the distinct tier values', () => {
+        assert.equal(getCelebrationLevel(5, TIERS), 1 / 3);
+        assert.equal(getCelebrationLevel(20, TIERS), 2 / 3);
+        assert.equal(getCelebrationLevel(100, TIERS), 1);
+    });
+
+    it('caps game totals above the best tier and lifts amounts below the cheapest', () => {
+        assert.equal(getCelebrationLevel(300, TIERS), 1);
+        assert.equal(getCelebrationLevel(2, TIERS), 1 / 3);
+    });
+
+    it('celebrates fully on a wheel without prize values', () => {
+        assert.equal(getCelebrationLevel(10, [{ value: 0 }]), 1);
+    });
+});
+
+describe('planCelebration', () => {
+    it('plans nothing for a miss', () => {
+        assert.deepEqual(planCelebration(0), { level: 0, chimes: 0, fanfare: false, particles: null });
+    });
+
+    it('grows with the level', () => {
+        const small = planCelebration(1 / 3);
+        const big = planCelebration(1);
+        assert.equal(small.fanfare, false);
+        assert.equal(small.particles.kind, 'coins');
+        assert.equal(big.fanfare, true);
+        assert.equal(big.particles.kind, 'confetti');
+        assert.ok(big.chimes > small.chimes);
+        assert.ok(big.particles.count > small.particles.count);
+    });
+});
+
+describe('ParticleField', () => {
+    const burst = (kind, count) => ({ kind, count, origin: { x: 100, y: 300 }, width: 400, colors: ['#FF0000', '#00FF00'] });
+
+    it('bursts coins upwards from the origin', () => {
+        const field = new ParticleField();
+        field.burst(burst('coins', 3), sequence(0.5));
+        assert.equal(field.active, true);
+        field.particles.forEach(particle => {
+            assert.equal(particle.x, 100);
+            assert.equal(particle.y, 300);
+            assert.ok(particle.vy < 0);
+        });
+    });
+
+    it('drops confetti from above the top edge across the width', () => {
+        const field = new ParticleField();
+        field.burst(burst('confetti', 2), sequence(0.25, 0.9));
+        field.particles.forEach(particle => {
+            assert.ok(particle.y < 0);
+            assert.ok(particle.x >= 0 && particle.x <= 400);
+            assert.ok(['#FF0000', '#00FF00'].includes(particle.color));
+        });
+    });
+
+    it('pulls particles down and removes them once they are done', () => {
+        const field = new ParticleField();
+        field.burst(burst('coins', 5), sequence(0.1, 0.7, 0.4));
+        const [first] = field.particles;
+        const vy = first.vy;
+        field.step(0.1, 600);
+        assert.ok(first.vy > vy);
+        for (let i = 0; i < 40; i++) field.step(0.1, 600);
+        assert.equal(field.active, false);
+    });
+
+    it('clears every particle', () => {
+        const field = new ParticleField();
+        field.burst(burst('confetti', 10), sequence(0.3));
+        field.clear();
+        assert.equal(field.active, false);
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { COUNTDOWN_STATE, Countdown, formatCountdown } from '../js/core/countdown.js';
+
+describe('Countdown', () => {
+    it('starts idle', () => {
+        const countdown = new Countdown();
+        assert.equal(countdown.state, COUNTDOWN_STATE.IDLE);
+        assert.equal(countdown.isRunning, false);
+        assert.equal(countdown.update(1000), COUNTDOWN_STATE.IDLE);
+    });
+
+    it('counts whole seconds down to zero', () => {
+        const countdown = new Countdown();
+        assert.equal(countdown.start(5, 1000), true);
+        assert.equal(countdown.state, COUNTDOWN_STATE.RUNNING);
+        assert.equal(countdown.timeLeft, 5);
+
+        countdown.update(1999);
+        assert.equal(countdown.timeLeft, 5);
+        countdown.update(2000);
+        assert.equal(countdown.timeLeft, 4);
+        countdown.update(6000);
+        assert.equal(countdown.timeLeft, 0);
+        assert.equal(countdown.state, COUNTDOWN_STATE.RUNNING);
+    });
+
+    it('holds zero for a full second before finishing', () => {
+        const countdown = new Countdown();
+        countdown.start(3, 0);
+
+        assert.equal(countdown.update(3999), COUNTDOWN_STATE.RUNNING);
+        assert.equal(countdown.timeLeft, 0);
+        assert.equal(countdown.update(4000), COUNTDOWN_STATE.FINISHED);
+        assert.equal(countdown.timeLeft, 0);
+        assert.equal(countdown.isRunning, false);
+    });
+
+    it('jumps straight to finished when updates are late', () => {
+        const countdown = new Countdown();
+        countdown.start(5, 0);
+        assert.equal(countdown.update(60000), COUNTDOWN_STATE.FINISHED);
+        assert.equal(countdown.timeLeft, 0);
+    });
+
+    it('ignores start() while running', () => {
+        const countdown = new Countdown();
+        countdown.start(5, 0);
+        assert.equal(countdown.start(10, 500), false);
+        countdown.update(1000);
+        assert.equal(countdown.timeLeft, 4);
+    });
+
+    it('can start again once finished', () => {
+        const countdown = new Countdown();
+        countdown.start(1, 0);
+        countdown.update(2000);
+        assert.equal(countdown.state, COUNTDOWN_STATE.FINISHED);
+
+        assert.equal(countdown.start(2, 5000), true);
+        assert.equal(countdown.timeLeft, 2);
+        assert.equal(countdown.update(6000), COUNTDOWN_STATE.RUNNING);
+        assert.equal(countdown.timeLeft, 1);
+    });
+
+    it('does not change after finishing', () => {
+        const countdown = new Countdown();
+        countdown.start(1, 0);
+        countdown.update(2000);
+        assert.equal(countdown.update(9000), COUNTDOWN_STATE.FINISHED);
+    });
+
+    it('returns to idle on reset', () => {
+        const countdown = new Countdown();
+        countdown.start(5, 0);
+        countdown.reset();
+        assert.equal(countdown.state, COUNTDOWN_STATE.IDLE);
+        assert.equal(countdown.start(5, 100), true);
+    });
+});
+
+describe('formatCountdown', () => {
+    it('formats minutes and seconds', () => {
+        assert.equal(formatCountdown(0), '00 : 00');
+        assert.equal(formatCountdown(5), '00 : 05');
+        assert.equal(formatCountdown(75), '01 : 15');
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GAZE_LANDMARKS, blendGaze, createDefaultGazeCalibration, estimateEyeGaze } from '../js/core/eye-gaze.js';
+import { computeHeading } from '../js/core/heading.js';
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, message || `${actual} != ${expected}`);
+
+/**
+ * Refined Face Mesh landmarks with two level eyes 0.1 wide (in frame heights)
+ * and both irises moved by `gaze` eye widths from the middle of the eye.
+ */
+function eyeLandmarks({ gaze = { x: 0, y: 0 }, aspect = 1, count = 478 } = {}) {
+    const landmarks = Array.from({ length: count }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+    const place = (index, x, y) => {
+        if (index < count) landmarks[index] = { x: x / aspect, y, z: 0 };
+    };
+    [[GAZE_LANDMARKS.IMAGE_LEFT_EYE, 0.3], [GAZE_LANDMARKS.IMAGE_RIGHT_EYE, 0.6]].forEach(([eye, left]) => {
+        // The outer corner of the image-left eye is on the left, of the image-right eye on the right
+        const [outer, inner] = eye === GAZE_LANDMARKS.IMAGE_LEFT_EYE ? [left, left + 0.1] : [left + 0.1, left];
+        place(eye.outer, outer, 0.4);
+        place(eye.inner, inner, 0.4);
+        place(eye.upper, left + 0.05, 0.38);
+        place(eye.lower, left + 0.05, 0.42);
+        place(eye.iris, left + 0.05 + gaze.x * 0.1, 0.4 + gaze.y * 0.1);
+    });
+    return landmarks;
+}
+
+describe('estimateEyeGaze', () => {
+    it('reads centred irises as looking straight ahead', () => {
+        const gaze = estimateEyeGaze(eyeLandmarks(), 1);
+        close(gaze.x, 0);
+        close(gaze.y, 0);
+    });
+
+    it('measures the iris offset in eye widths with the image-space sign convention', () => {
+        const gaze = estimateEyeGaze(eyeLandmarks({ gaze: { x: 0.15, y: -0.05 } }), 1);
+        close(gaze.x, 0.15);
+        close(gaze.y, -0.05);
+    });
+
+    it('does not depend on the aspect ratio of the input', () => {
+        const gaze = estimateEyeGaze(eyeLandmarks({ gaze: { x: -0.1, y: 0.04 }, aspect: 16 / 9 }), 16 / 9);
+        close(gaze.x, -0.1);
+        close(gaze.y, 0.04);
+    });
+
+    it('needs the iris landmarks of the refined mesh', () => {
+        assert.equal(estimateEyeGaze(eyeLandmarks({ count: 468 }), 1), null);
+    });
+});
+
+describe('blendGaze', () => {
+    const gaze = { x: 0.1, y: -0.05 };
+    const pose = { yaw: -0.25, pitch: 0.35 };
+
+    it('scales the eyes alone and the head alone to the wheel', () => {
+        assert.deepEqual(blendGaze(gaze, pose, 0), { x: 0.5, y: -0.5 });
+        assert.deepEqual(blendGaze(gaze, pose, 1), { x: -0.5, y: 1 });
+    });
+
+    it('mixes both by the head weight', () => {
+        const blended = blendGaze(gaze, pose, 0.5);
+        close(blended.x, 0);
+        close(blended.y, 0.25);
+    });
+
+    it('clamps the head weight to 0..1', () => {
+        assert.deepEqual(blendGaze(gaze, pose, 2), blendGaze(gaze, pose, 1));
+    });
+});
+
+describe('computeHeading in the eye gaze mode', () => {
+    const calibration = createDefaultGazeCalibration();
+
+    it('follows the eyes', () => {
+        const heading = computeHeading(eyeLandmarks({ gaze: { x: 0.1, y: 0.05 } }), 1, calibration,
+            { mode: 'gaze', headWeight: 0 });
+        close(heading.x, 0.5);
+        close(heading.y, 0.5);
+        close(heading.feature.x, 0.5);
+    });
+
+    it('falls back to the head pose without iris landmarks', () => {
+        const heading = computeHeading(eyeLandmarks({ count: 468 }), 1, calibration, { mode: 'gaze', headWeight: 0 });
+        assert.deepEqual(heading.feature, blendGaze({ x: 0, y: 0 }, heading.pose, 1));
+    });
+});
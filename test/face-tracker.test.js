@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FaceTracker } from '../js/core/face-tracker.js';
+
+// A face with its nose tip (the tracked landmark) at x, y
+function face(x, y = 0.5) {
+    return [{ x: 0, y: 0 }, { x, y }];
+}
+
+// Player ids by nose position, e.g. { '0.2': 1, '0.8': 2 }
+function idsByX(tracked) {
+    return Object.fromEntries(tracked.map(({ id, landmarks }) => [landmarks[1].x.toFixed(2), id]));
+}
+
+describe('FaceTracker', () => {
+    it('hands out the lowest free ids to new faces', () => {
+        const tracker = new FaceTracker({ maxPlayers: 4 });
+        const tracked = tracker.update([face(0.8), face(0.2)], 0);
+        assert.deepEqual(tracked.map(({ id }) => id), [1, 2]);
+        assert.deepEqual(idsByX(tracked), { '0.80': 1, '0.20': 2 });
+    });
+
+    it('keeps ids when the faces come back in a different order', () => {
+        const tracker = new FaceTracker({ maxPlayers: 2 });
+        tracker.update([face(0.2), face(0.8)], 0);
+        const tracked = tracker.update([face(0.79), face(0.21)], 33);
+        assert.deepEqual(idsByX(tracked), { '0.21': 1, '0.79': 2 });
+    });
+
+    it('keeps ids while two faces walk past each other', () => {
+        const tracker = new FaceTracker({ maxPlayers: 2 });
+        let firstIds = null;
+        // Both walk 0.05 per frame, one just above the other, and swap sides
+        for (let frame = 0; frame <= 12; frame++) {
+            const left = 0.2 + frame * 0.05;
+            const right = 0.8 - frame * 0.05;
+            const faces = frame % 2 ? [face(left, 0.45), face(right, 0.55)] : [face(right, 0.55), face(left, 0.45)];
+            const tracked = tracker.update(faces, frame * 33);
+            const ids = Object.fromEntries(tracked.map(({ id, landmarks }) => [landmarks[1].y, id]));
+            firstIds ??= ids;
+            assert.deepEqual(ids, firstIds, `frame ${frame}`);
+        }
+    });
+
+    it('gives a face that left and came back its id within maxMissingTime', () => {
+        const tracker = new FaceTracker({ maxPlayers: 2, maxMissingTime: 1000 });
+        tracker.update([face(0.2), face(0.8)], 0);
+        tracker.update([face(0.8)], 500);
+        assert.equal(tracker.hasTrack(1), true);
+        const tracked = tracker.update([face(0.2), face(0.8)], 900);
+        assert.deepEqual(idsByX(tracked), { '0.20': 1, '0.80': 2 });
+    });
+
+    it('frees the id of a face gone for longer than maxMissingTime', () => {
+        const tracker = new FaceTracker({ maxPlayers: 2, maxMissingTime: 1000 });
+        tracker.update([face(0.2), face(0.8)], 0);
+        tracker.update([face(0.8)], 600);
+        tracker.update([face(0.8)], 1500);
+        assert.equal(tracker.hasTrack(1), false);
+        // Anyone stepping in now, wherever they stand, gets the freed id
+        const tracked = tracker.update([face(0.8), face(0.5)], 1533);
+        assert.deepEqual(idsByX(tracked), { '0.80': 2, '0.50': 1 });
+    });
+
+    it('hands a stranger the id of the stalest missing track when all ids are taken', () => {
+        const tracker = new FaceTracker({ maxPlayers: 2, maxMissingTime: 1000 });
+        tracker.update([face(0.2), face(0.8)], 0);
+        tracker.update([face(0.8)], 100);
+        const tracked = tracker.update([face(0.8), face(0.5)], 200);
+        assert.deepEqual(idsByX(tracked), { '0.80': 2, '0.50': 1 });
+    });
+
+    it('leaves out faces beyond maxPlayers', () => {
+        const tracker = new FaceTracker({ maxPlayers: 2 });
+        tracker.update([face(0.2), face(0.8)], 0);
+        const tracked = tracker.update([face(0.5), face(0.2), face(0.8)], 33);
+        assert.deepEqual(idsByX(tracked), { '0.20': 1, '0.80': 2 });
+        assert.deepEqual(tracked.map(({ id }) => id), [1, 2]);
+    });
+
+    it('tracks a single player by default', () => {
+        const tracker = new FaceTracker();
+        const tracked = tracker.update([face(0.2), face(0.8)], 0);
+        assert.deepEqual(tracked.map(({ id }) => id), [1]);
+    });
+
+    it('drops the tracks above a lowered maxPlayers', () => {
+        const tracker = new FaceTracker({ maxPlayers: 3 });
+        tracker.update([face(0.2), face(0.5), face(0.8)], 0);
+        tracker.setMaxPlayers(1);
+        assert.equal(tracker.hasTrack(1), true);
+        assert.equal(tracker.hasTrack(2), false);
+        assert.equal(tracker.hasTrack(3), false);
+    });
+
+    it('forgets every track on reset()', () => {
+        const tracker = new FaceTracker({ maxPlayers: 2 });
+        tracker.update([face(0.2), face(0.8)], 0);
+        tracker.reset();
+        const tracked = tracker.update([face(0.8)], 33);
+        assert.deepEqual(idsByX(tracked), { '0.80': 1 });
+    });
+});
@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+
+import {
+    createCommitment, createLayoutSnapshot, getLayoutInputs, hashSeed, rebuildLayout, verifyRoundRecord
+} from '../js/core/fairness.js';
+import { createSeededRandom, deriveSeed, formatSeed } from '../js/core/random.js';
+import { generateWheelLayout } from '../js/core/wheel-layout.js';
+import { DEFAULT_WHEEL_CONFIG, validateWheelConfig } from '../js/wheel-config.js';
+
+const emptyInventory = () => ({ issued: {}, spent: 0 });
+
+// A game record as script.js stores it, for a wheel generated from wheelSeed
+async function playRecord(gameSeed, wheelSeed = gameSeed, config = DEFAULT_WHEEL_CONFIG, inventory = emptyInventory()) {
+    const layout = generateWheelLayout(config, inventory, createSeededRandom(wheelSeed));
+    layout.seed = wheelSeed;
+    const commitment = await createCommitment(gameSeed);
+    return {
+        seed: formatSeed(gameSeed),
+        salt: commitment.salt,
+        commitment: commitment.hash,
+        layout: createLayoutSnapshot(layout, getLayoutInputs(config, inventory))
+    };
+}
+
+describe('commitments', () => {
+    it('hashes "<seed>:<salt>" with SHA-256', async () => {
+        const expected = createHash('sha256').update('00c0ffee:0123456789abcdef').digest('hex');
+        assert.equal(await hashSeed(0xC0FFEE, '0123456789abcdef'), expected);
+    });
+
+    it('salts every commitment differently', async () => {
+        const a = await createCommitment(42);
+        const b = await createCommitment(42);
+        assert.match(a.salt, /^[0-9a-f]{32}$/);
+        assert.match(a.hash, /^[0-9a-f]{64}$/);
+        assert.notEqual(a.salt, b.salt);
+        assert.notEqual(a.hash, b.hash);
+        assert.equal(await hashSeed(42, a.salt), a.hash);
+    });
+});
+
+describe('verifyRoundRecord', () => {
+    it('accepts an untouched record', async () => {
+        const result = await verifyRoundRecord(await playRecord(0x1234ABCD));
+        assert.equal(result.commitment, true);
+        assert.equal(result.seedChain, true);
+        assert.equal(result.layout, true);
+        assert.equal(result.rebuilt.assignments.length, DEFAULT_WHEEL_CONFIG.totalSectors);
+    });
+
+    it('rejects a seed or salt that does not match the commitment', async () => {
+        const record = await playRecord(7);
+        assert.equal((await verifyRoundRecord({ ...record, seed: formatSeed(8) })).commitment, false);
+        assert.equal((await verifyRoundRecord({ ...record, salt: '0'.repeat(32) })).commitment, false);
+    });
+
+    it('rejects a layout that the seed does not produce', async () => {
+        const record = await playRecord(9);
+        const sectors = record.layout.sectors.map((sector, i) => i === 3 ? { ...sector, weight: sector.weight * 1.01 } : sector);
+        const result = await verifyRoundRecord({ ...record, layout: { ...record.layout, sectors } });
+        assert.equal(result.commitment, true);
+        assert.equal(result.layout, false);
+    });
+
+    it('follows the reshuffled wheels of sudden death back to the game seed', async () => {
+        const gameSeed = 0xFEEDBEEF;
+        const thirdWheel = deriveSeed(deriveSeed(gameSeed, 0), 0);
+        const result = await verifyRoundRecord(await playRecord(gameSeed, thirdWheel));
+        assert.equal(result.seedChain, true);
+        assert.equal(result.layout, true);
+    });
+
+    it('rejects a wheel whose seed does not come from the game seed', async () => {
+        const result = await verifyRoundRecord(await playRecord(1, 2));
+        assert.equal(result.commitment, true);
+        assert.equal(result.seedChain, false);
+    });
+
+    it('checks only the commitment without a layout', async () => {
+        const { seed, salt, commitment } = await playRecord(3);
+        const result = await verifyRoundRecord({ seed, salt, commitment });
+        assert.equal(result.commitment, true);
+        assert.equal(result.layout, false);
+        assert.equal(result.rebuilt, null);
+    });
+
+    it('fails without a readable seed', async () => {
+        const result = await verifyRoundRecord({ seed: 'nope', salt: 'x', commitment: 'y' });
+        assert.deepEqual(result, { commitment: false, seedChain: false, layout: false, rebuilt: null });
+    });
+});
+
+describe('layout inputs', () => {
+    it('rebuild sold-out tiers from the recorded stock', () => {
+        const config = validateWheelConfig({
+            ...DEFAULT_WHEEL_CONFIG,
+            soldOutMode: 'shrink',
+            tiers: DEFAULT_WHEEL_CONFIG.tiers.map(tier => tier.id === 'tier100' ? { ...tier, stock: 1 } : tier)
+        });
+        const inventory = { issued: { tier100: 1 }, spent: 100 };
+        const layout = generateWheelLayout(config, inventory, createSeededRandom(11));
+        layout.seed = 11;
+        const snapshot = createLayoutSnapshot(layout, getLayoutInputs(config, inventory));
+
+        // Later changes to the stock don't reach the snapshot
+        inventory.issued.tier100 = 0;
+        const rebuilt = rebuildLayout(snapshot, 11);
+        assert.deepEqual(rebuilt.weights, layout.weights);
+        assert.ok(rebuilt.assignments.some(tier => tier.soldOut));
+    });
+});
@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DwellLock, HeadingFilter } from '../js/core/filters.js';
+
+// Feeds headings 33 ms apart and returns the last filtered one
+function run(filter, headings) {
+    let result = null;
+    headings.forEach((heading, index) => {
+        result = filter.filter(heading, index * 33);
+    });
+    return result;
+}
+
+const repeat = (heading, count) => Array(count).fill(heading);
+
+describe('HeadingFilter', () => {
+    it('passes the first heading through unchanged', () => {
+        const filter = new HeadingFilter({ minCutoff: 1, beta: 0 });
+        assert.deepEqual(filter.filter({ x: 0.4, y: -0.2 }, 0), { x: 0.4, y: -0.2 });
+    });
+
+    it('follows a step more slowly with a lower cutoff', () => {
+        const step = [{ x: 0, y: 0 }, ...repeat({ x: 1, y: 1 }, 3)];
+        const smooth = run(new HeadingFilter({ minCutoff: 0.5, beta: 0 }), step);
+        const quick = run(new HeadingFilter({ minCutoff: 5, beta: 0 }), step);
+        assert.ok(smooth.x > 0 && smooth.x < quick.x && quick.x < 1);
+        assert.equal(smooth.x, smooth.y);
+    });
+
+    it('settles on a heading that stays put', () => {
+        const result = run(new HeadingFilter({ minCutoff: 1, beta: 0 }), [{ x: 0, y: 0 }, ...repeat({ x: 0.5, y: -0.5 }, 300)]);
+        assert.ok(Math.abs(result.x - 0.5) < 1e-3);
+        assert.ok(Math.abs(result.y + 0.5) < 1e-3);
+    });
+
+    it('lags less on fast movement with a higher beta', () => {
+        const sweep = Array.from({ length: 10 }, (_, i) => ({ x: i * 0.1, y: 0 }));
+        const still = run(new HeadingFilter({ minCutoff: 1, beta: 0 }), sweep);
+        const responsive = run(new HeadingFilter({ minCutoff: 1, beta: 2 }), sweep);
+        assert.ok(0.9 - responsive.x < 0.9 - still.x);
+    });
+
+    it('moves straight across the left edge instead of round the wheel', () => {
+        // Pointing left, crossing from just above to just below the horizon:
+        // the angle wraps from +180° to -180°, the vector barely moves
+        const filter = new HeadingFilter({ minCutoff: 1, beta: 0.3 });
+        filter.filter({ x: -1, y: 0.05 }, 0);
+        const result = filter.filter({ x: -1, y: -0.05 }, 33);
+        assert.ok(Math.abs(result.x + 1) < 1e-9);
+        assert.ok(result.y < 0.05 && result.y > -0.05);
+    });
+
+    it('survives repeated timestamps', () => {
+        const filter = new HeadingFilter({ minCutoff: 1, beta: 0.3 });
+        filter.filter({ x: 0, y: 0 }, 100);
+        const result = filter.filter({ x: 1, y: 1 }, 100);
+        assert.ok(Number.isFinite(result.x) && Number.isFinite(result.y));
+    });
+
+    it('changes its smoothing without starting over', () => {
+        const step = [{ x: 0, y: 0 }, ...repeat({ x: 1, y: 1 }, 3)];
+        const changed = new HeadingFilter({ minCutoff: 0.5, beta: 0 });
+        changed.filter(step[0], 0);
+        changed.setParams({ minCutoff: 5, beta: 0 });
+        let result = null;
+        step.slice(1).forEach((heading, index) => {
+            result = changed.filter(heading, (index + 1) * 33);
+        });
+        assert.deepEqual(result, run(new HeadingFilter({ minCutoff: 5, beta: 0 }), step));
+    });
+
+    it('starts over after reset()', () => {
+        const filter = new HeadingFilter({ minCutoff: 1, beta: 0 });
+        run(filter, repeat({ x: 0, y: 0 }, 5));
+        filter.reset();
+        assert.deepEqual(filter.filter({ x: 1, y: 1 }, 1000), { x: 1, y: 1 });
+    });
+});
+
+describe('DwellLock', () => {
+    it('locks a sector once the ray has stayed in it for the dwell time', () => {
+        const lock = new DwellLock(400);
+        assert.equal(lock.update(3, 0), -1);
+        assert.equal(lock.update(3, 399), -1);
+        assert.equal(lock.update(3, 400), 3);
+    });
+
+    it('keeps the locked sector while passing through others', () => {
+        const lock = new DwellLock(400);
+        lock.update(3, 0);
+        lock.update(3, 400);
+        assert.equal(lock.update(4, 500), 3);
+        assert.equal(lock.update(5, 700), 3);
+        assert.equal(lock.update(5, 1099), 3);
+        assert.equal(lock.update(5, 1100), 5);
+    });
+
+    it('restarts the dwell time when the ray leaves the candidate', () => {
+        const lock = new DwellLock(400);
+        lock.update(1, 0);
+        lock.update(2, 300);
+        assert.equal(lock.update(1, 450), -1);
+        assert.equal(lock.update(1, 850), 1);
+    });
+
+    it('never locks onto the space outside the wheel', () => {
+        const lock = new DwellLock(100);
+        lock.update(2, 0);
+        lock.update(2, 100);
+        assert.equal(lock.update(-1, 200), 2);
+        assert.equal(lock.update(-1, 1000), 2);
+    });
+
+    it('locks straight away with no dwell time', () => {
+        assert.equal(new DwellLock(0).update(7, 0), 7);
+    });
+});
@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RateMeter, RollingAverage } from '../js/core/frame-stats.js';
+
+describe('RateMeter', () => {
+    it('reports 0 until there are two events', () => {
+        const meter = new RateMeter();
+        assert.equal(meter.rate(0), 0);
+        meter.tick(0);
+        assert.equal(meter.rate(0), 0);
+    });
+
+    it('measures a steady rate', () => {
+        const meter = new RateMeter();
+        for (let time = 0; time <= 2000; time += 50) meter.tick(time);
+        assert.ok(Math.abs(meter.rate(2000) - 20) < 0.5);
+    });
+
+    it('drops when events stop arriving', () => {
+        const meter = new RateMeter();
+        for (let time = 0; time <= 1000; time += 50) meter.tick(time);
+        assert.ok(meter.rate(1500) < meter.rate(1000));
+        assert.equal(meter.rate(2500), 0);
+    });
+});
+
+describe('RollingAverage', () => {
+    it('is null before the first value', () => {
+        assert.equal(new RollingAverage().value, null);
+    });
+
+    it('averages only the latest values', () => {
+        const average = new RollingAverage(2);
+        [10, 20, 40].forEach(value => average.add(value));
+        assert.equal(average.value, 30);
+    });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameSession } from '../js/core/game-modes.js';
+
+const tier = (value) => ({ id: `tier${value}`, value });
+
+// One round: prizes per player id
+const round = (prizes) => Object.entries(prizes).map(([playerId, prize]) => ({
+    playerId: Number(playerId),
+    color: '#000000',
+    heading: { x: 0, y: 0 },
+    prize,
+    tier: prize ? tier(prize) : null
+}));
+
+describe('GameSession', () => {
+    it('plays a single round in single mode', () => {
+        const session = new GameSession({ mode: 'single', rounds: 5, countdown: 5 });
+        assert.equal(session.totalRounds, 1);
+        assert.equal(session.isOver(), false);
+
+        session.recordRound(round({ 1: 20 }));
+        assert.equal(session.isOver(), true);
+        assert.deepEqual(session.getResults().map(result => result.prize), [20]);
+    });
+
+    it('falls back to single mode for unknown modes', () => {
+        const session = new GameSession({ mode: 'unknown', rounds: 3, countdown: 5 });
+        assert.equal(session.mode, 'single');
+        assert.equal(session.totalRounds, 1);
+    });
+
+    it('advances the current round until the last one', () => {
+        const session = new GameSession({ mode: 'cumulative', rounds: 2, countdown: 5 });
+        assert.equal(session.currentRound, 1);
+        session.recordRound(round({ 1: 10 }));
+        assert.equal(session.currentRound, 2);
+        assert.equal(session.isOver(), false);
+        session.recordRound(round({ 1: 10 }));
+        assert.equal(session.currentRound, 2);
+        assert.equal(session.isOver(), true);
+    });
+
+    it('keeps each player\'s best round in best-of mode', () => {
+        const session = new GameSession({ mode: 'bestOf', rounds: 3, countdown: 5 });
+        session.recordRound(round({ 1: 10, 2: 50 }));
+        session.recordRound(round({ 1: 50, 2: 20 }));
+        session.recordRound(round({ 1: 20, 2: 100 }));
+
+        const results = session.getResults();
+        assert.deepEqual(results.map(result => result.prize), [50, 100]);
+        assert.deepEqual(results[0].awards.map(award => award.value), [50]);
+        assert.deepEqual(results[0].rounds, [10, 50, 20]);
+    });
+
+    it('adds up every round in cumulative mode', () => {
+        const session = new GameSession({ mode: 'cumulative', rounds: 3, countdown: 5 });
+        session.recordRound(round({ 1: 10, 2: 50 }));
+        session.recordRound(round({ 1: 50, 2: 20 }));
+        session.recordRound(round({ 1: 20, 2: 100 }));
+
+        const results = session.getResults();
+        assert.deepEqual(results.map(result => result.prize), [80, 170]);
+        assert.equal(results[1].tier.value, 100);
+        assert.equal(results[1].awards.length, 3);
+    });
+
+    it('knocks players out on a lower prize in sudden death', () => {
+        const session = new GameSession({ mode: 'suddenDeath', rounds: 3, countdown: 5 });
+        assert.equal(session.reshuffles, true);
+        session.recordRound(round({ 1: 10, 2: 50 }));
+        session.recordRound(round({ 1: 50, 2: 20 }));
+        assert.equal(session.isOver(), false);
+        session.recordRound(round({ 1: 20, 2: 100 }));
+
+        // Player 1: 10 + 50, then knocked out by 20; player 2: knocked out in round 2
+        assert.deepEqual(session.getResults().map(result => result.prize), [60, 50]);
+    });
+
+    it('ends sudden death early once every player is out', () => {
+        const session = new GameSession({ mode: 'suddenDeath', rounds: 5, countdown: 5 });
+        session.recordRound(round({ 1: 20 }));
+        session.recordRound(round({ 1: 0 }));
+        assert.equal(session.isOver(), true);
+        assert.equal(session.getResults()[0].prize, 20);
+    });
+
+    it('voids a player\'s whole game on an invalid round', () => {
+        const session = new GameSession({ mode: 'cumulative', rounds: 3, countdown: 5 });
+        session.recordRound(round({ 1: 20, 2: 50 }));
+        session.recordRound([
+            ...round({ 1: 10 }),
+            { playerId: 2, color: '#000000', heading: null, prize: 50, tier: tier(50), invalid: 'faceLost' }
+        ]);
+        session.recordRound(round({ 1: 10, 2: 100 }));
+
+        const results = session.getResults();
+        assert.deepEqual(results.map(result => result.prize), [40, 0]);
+        assert.deepEqual(results.map(result => result.invalid), [null, 'faceLost']);
+        assert.equal(results[1].tier, null);
+        assert.deepEqual(results[1].awards, []);
+        assert.deepEqual(results[1].rounds, [50, 0]);
+    });
+
+    it('ends the game once every player is void', () => {
+        const session = new GameSession({ mode: 'bestOf', rounds: 3, countdown: 5 });
+        session.recordRound([{ playerId: 1, color: '#000000', heading: null, prize: 0, tier: null, invalid: 'faceSwap' }]);
+        assert.equal(session.isOver(), true);
+        assert.equal(session.getResults()[0].prize, 0);
+    });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HeadCalibration } from '../js/core/head-pose.js';
+
+function assertHeading(actual, expected) {
+    assert.ok(Math.abs(actual.x - expected.x) < 1e-9, `x: ${actual.x} != ${expected.x}`);
+    assert.ok(Math.abs(actual.y - expected.y) < 1e-9, `y: ${actual.y} != ${expected.y}`);
+}
+
+// An asymmetric calibration: the player turns further right than left
+const calibration = new HeadCalibration({
+    center: { x: 0.1, y: -0.05 },
+    xPositive: 0.5,
+    xNegative: -0.1,
+    yPositive: 0.25,
+    yNegative: -0.2
+});
+
+describe('HeadCalibration.map', () => {
+    it('maps the centre to the middle of the wheel', () => {
+        assertHeading(calibration.map({ x: 0.1, y: -0.05 }), { x: 0, y: 0 });
+    });
+
+    it('maps each calibrated extreme to the edge of the wheel', () => {
+        assertHeading(calibration.map({ x: 0.5, y: 0.25 }), { x: 1, y: 1 });
+        assertHeading(calibration.map({ x: -0.1, y: -0.2 }), { x: -1, y: -1 });
+        assertHeading(calibration.map({ x: 0.5, y: -0.2 }), { x: 1, y: -1 });
+        assertHeading(calibration.map({ x: -0.1, y: 0.25 }), { x: -1, y: 1 });
+    });
+
+    it('scales each side of the centre separately', () => {
+        assertHeading(calibration.map({ x: 0.3, y: -0.125 }), { x: 0.5, y: -0.5 });
+        assertHeading(calibration.map({ x: 0, y: 0.1 }), { x: -0.5, y: 0.5 });
+    });
+
+    it('clamps to 1.5 beyond the calibrated range', () => {
+        assertHeading(calibration.map({ x: 5, y: -5 }), { x: 1.5, y: -1.5 });
+        assertHeading(calibration.map({ x: -5, y: 5 }), { x: -1.5, y: 1.5 });
+    });
+
+    it('follows an axis whose positive side has the smaller feature values', () => {
+        const inverted = new HeadCalibration({ center: { x: 0, y: 0 }, xPositive: -0.4, xNegative: 0.4, yPositive: 0.3, yNegative: -0.3 });
+        assertHeading(inverted.map({ x: -0.4, y: 0 }), { x: 1, y: 0 });
+        assertHeading(inverted.map({ x: 0.2, y: 0 }), { x: -0.5, y: 0 });
+    });
+
+    it('covers the wheel with ±0.5 rad of yaw and ±0.35 rad of pitch by default', () => {
+        const defaults = HeadCalibration.createDefault();
+        assertHeading(defaults.map({ x: 0.5, y: -0.35 }), { x: 1, y: -1 });
+        assertHeading(defaults.map({ x: 0.25, y: 0 }), { x: 0.5, y: 0 });
+    });
+});
+
+describe('HeadCalibration.fromTargets', () => {
+    const target = (hx, hy, fx, fy) => ({ heading: { x: hx, y: hy }, feature: { x: fx, y: fy } });
+
+    it('averages the centre and the corners of each direction', () => {
+        const fitted = HeadCalibration.fromTargets([
+            target(0, 0, 0, 0),
+            target(1, 1, 0.4, 0.3), target(1, -1, 0.6, -0.3),
+            target(-1, 1, -0.5, 0.3), target(-1, -1, -0.5, -0.3)
+        ]);
+        assert.equal(fitted.xPositive, 0.5);
+        assert.equal(fitted.xNegative, -0.5);
+        assert.equal(fitted.yPositive, 0.3);
+        assert.equal(fitted.yNegative, -0.3);
+        assertHeading(fitted.map({ x: 0.5, y: 0.3 }), { x: 1, y: 1 });
+    });
+
+    it('rejects samples that barely move or are missing a direction', () => {
+        const still = [target(0, 0, 0, 0), target(1, 1, 0.01, 0.01), target(-1, -1, -0.01, -0.01)];
+        assert.equal(HeadCalibration.fromTargets(still), null);
+        assert.equal(HeadCalibration.fromTargets([target(0, 0, 0, 0), target(1, 1, 0.5, 0.5)]), null);
+    });
+});
@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HeadingTimeline } from '../js/core/heading-timeline.js';
+
+describe('HeadingTimeline', () => {
+    it('has nothing to draw before the first result', () => {
+        assert.equal(new HeadingTimeline().sample(0), null);
+    });
+
+    it('holds a single result', () => {
+        const timeline = new HeadingTimeline();
+        timeline.push({ x: 0.2, y: -0.4 }, 5000, 100);
+        assert.deepEqual(timeline.sample(150), { heading: { x: 0.2, y: -0.4 }, time: 5000 });
+    });
+
+    it('moves from the older result to the newer one over an interval', () => {
+        const timeline = new HeadingTimeline();
+        timeline.push({ x: 0, y: 0 }, 1000, 100);
+        timeline.push({ x: 1, y: -1 }, 1040, 140);
+
+        assert.deepEqual(timeline.sample(140), { heading: { x: 0, y: 0 }, time: 1000 });
+        assert.deepEqual(timeline.sample(160), { heading: { x: 0.5, y: -0.5 }, time: 1020 });
+        assert.deepEqual(timeline.sample(180), { heading: { x: 1, y: -1 }, time: 1040 });
+        // Holds the newest result once the next one is late
+        assert.deepEqual(timeline.sample(400), { heading: { x: 1, y: -1 }, time: 1040 });
+    });
+
+    it('never goes back in time when a new result arrives', () => {
+        const timeline = new HeadingTimeline();
+        timeline.push({ x: 0, y: 0 }, 0, 0);
+        timeline.push({ x: 1, y: 0 }, 30, 30);
+        const before = timeline.sample(50).time;
+        timeline.push({ x: 2, y: 0 }, 60, 60);
+        assert.ok(timeline.sample(60).time >= before);
+    });
+
+    it('jumps instead of gliding after a long gap', () => {
+        const timeline = new HeadingTimeline(250);
+        timeline.push({ x: 0, y: 0 }, 0, 0);
+        timeline.push({ x: 1, y: 0 }, 1000, 1000);
+        assert.deepEqual(timeline.sample(1000).heading, { x: 1, y: 0 });
+    });
+});
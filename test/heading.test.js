@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HeadCalibration, POSE_LANDMARKS, estimateHeadPose } from '../js/core/head-pose.js';
+import { computeHeading } from '../js/core/heading.js';
+import { getSectorAngles } from '../js/core/wheel-layout.js';
+import { detectDrawnRaySector } from '../js/core/hit-test.js';
+
+// Frontal face in isotropic units around the origin (x right, y down, z away from the camera)
+const FACE_POINTS = {
+    [POSE_LANDMARKS.FOREHEAD]: { x: 0, y: -0.2, z: 0 },
+    [POSE_LANDMARKS.CHIN]: { x: 0, y: 0.2, z: 0 },
+    [POSE_LANDMARKS.LEFT_EYE_OUTER]: { x: -0.1, y: -0.1, z: 0.02 },
+    [POSE_LANDMARKS.RIGHT_EYE_OUTER]: { x: 0.1, y: -0.1, z: 0.02 },
+    [POSE_LANDMARKS.LEFT_CHEEK]: { x: -0.15, y: 0, z: 0.05 },
+    [POSE_LANDMARKS.RIGHT_CHEEK]: { x: 0.15, y: 0, z: 0.05 },
+    [POSE_LANDMARKS.LEFT_MOUTH]: { x: -0.05, y: 0.1, z: 0.01 },
+    [POSE_LANDMARKS.RIGHT_MOUTH]: { x: 0.05, y: 0.1, z: 0.01 }
+};
+
+/**
+ * Builds Face Mesh style landmarks for a head turned by yaw / pitch (radians),
+ * normalised like MediaPipe: x and z by the image width, y by the image height.
+ */
+function faceLandmarks({ yaw = 0, pitch = 0, aspect = 4 / 3 } = {}) {
+    const landmarks = Array.from({ length: 478 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+    Object.entries(FACE_POINTS).forEach(([index, p]) => {
+        // Yaw turns the face normal (0, 0, -1) towards +x, pitch towards +y
+        const x1 = p.x * Math.cos(yaw) - p.z * Math.sin(yaw);
+        const z1 = p.x * Math.sin(yaw) + p.z * Math.cos(yaw);
+        const y2 = p.y * Math.cos(pitch) - z1 * Math.sin(pitch);
+        const z2 = p.y * Math.sin(pitch) + z1 * Math.cos(pitch);
+        landmarks[index] = { x: 0.5 + x1 / aspect, y: 0.5 + y2, z: z2 / aspect };
+    });
+    return landmarks;
+}
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, message || `${actual} != ${expected}`);
+
+describe('estimateHeadPose', () => {
+    it('reports a frontal face as looking straight ahead', () => {
+        const pose = estimateHeadPose(faceLandmarks());
+        close(pose.yaw, 0);
+        close(pose.pitch, 0);
+        close(pose.roll, 0);
+    });
+
+    it('recovers yaw and pitch with the image-space sign convention', () => {
+        close(estimateHeadPose(faceLandmarks({ yaw: 0.3 })).yaw, 0.3);
+        close(estimateHeadPose(faceLandmarks({ yaw: -0.2 })).yaw, -0.2);
+        close(estimateHeadPose(faceLandmarks({ pitch: 0.25 })).pitch, 0.25);
+        close(estimateHeadPose(faceLandmarks({ pitch: -0.15 })).pitch, -0.15);
+    });
+
+    it('does not depend on the aspect ratio of the input', () => {
+        const aspect = 16 / 9;
+        const pose = estimateHeadPose(faceLandmarks({ yaw: 0.3, aspect }), aspect);
+        close(pose.yaw, 0.3);
+    });
+});
+
+describe('computeHeading', () => {
+    const calibration = HeadCalibration.createDefault();
+
+    it('maps the pose through the calibration', () => {
+        const turned = computeHeading(faceLandmarks({ yaw: 0.25 }), 4 / 3, calibration);
+        close(turned.x, 0.5);
+        close(turned.y, 0);
+        close(turned.pose.yaw, 0.25);
+        assert.deepEqual(turned.feature, { x: turned.pose.yaw, y: turned.pose.pitch });
+
+        const raised = computeHeading(faceLandmarks({ pitch: -0.175 }), 4 / 3, calibration);
+        close(raised.x, 0);
+        close(raised.y, -0.5);
+    });
+
+    it('clamps headings beyond the calibrated range', () => {
+        const heading = computeHeading(faceLandmarks({ yaw: 1.2 }), 4 / 3, calibration);
+        close(heading.x, 1.5);
+    });
+
+    it('uses a custom calibration centre', () => {
+        const custom = new HeadCalibration({
+            center: { x: 0.1, y: 0 },
+            xPositive: 0.4,
+            xNegative: -0.2,
+            yPositive: 0.3,
+            yNegative: -0.3
+        });
+        close(computeHeading(faceLandmarks({ yaw: 0.1 }), 4 / 3, custom).x, 0);
+        close(computeHeading(faceLandmarks({ yaw: -0.2 }), 4 / 3, custom).x, -1);
+    });
+
+    it('lands on the mirrored side of the wheel', () => {
+        const tier = (id) => ({ id, value: 0 });
+        const quarters = getSectorAngles({
+            assignments: [tier('a'), tier('b'), tier('c'), tier('d')],
+            weights: [1, 1, 1, 1],
+            totalWeight: 4,
+            totalSectors: 4
+        });
+        // Turning towards +x and up in the camera image shows on screen as up-left
+        const heading = computeHeading(faceLandmarks({ yaw: 0.3, pitch: -0.2 }), 4 / 3, calibration);
+        assert.equal(detectDrawnRaySector(quarters, heading), 3);
+    });
+});
@@ -0,0 +1,184 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WHEEL_BORDER_RAD, WHEEL_START_ANGLE, getSectorAngles } from '../js/core/wheel-layout.js';
+import {
+    detectDrawnRaySector, findSectorAtAngle, getDrawnRayDirection, getHeadingForScreenDirection, normalizeWheelAngle
+} from '../js/core/hit-test.js';
+
+const tier = (id) => ({ id, value: 0 });
+
+// Four equal quarters clockwise from 12 o'clock:
+// 0 = top-right, 1 = bottom-right, 2 = bottom-left, 3 = top-left (on screen)
+const quarters = getSectorAngles({
+    assignments: [tier('a'), tier('b'), tier('c'), tier('d')],
+    weights: [1, 1, 1, 1],
+    totalWeight: 4,
+    totalSectors: 4
+});
+
+// Uneven wheel for the coverage tests
+const uneven = getSectorAngles({
+    assignments: [tier('a'), tier('b'), tier('c'), tier('d'), tier('e'), tier('f'), tier('g')],
+    weights: [0.4, 1.2, 0.13, 0.9, 0.77, 0.2, 1.1],
+    totalWeight: 4.7,
+    totalSectors: 7
+});
+
+describe('mirroring', () => {
+    it('flips the heading horizontally to get the drawn ray', () => {
+        assert.deepEqual(getDrawnRayDirection({ x: 0.4, y: -0.3 }), { x: -0.4, y: -0.3 });
+    });
+
+    it('turns a screen direction back into the heading that draws it', () => {
+        const direction = { x: 0.6, y: -0.8 };
+        assert.deepEqual(getHeadingForScreenDirection(direction), { x: -0.6, y: -0.8 });
+        assert.deepEqual(getDrawnRayDirection(getHeadingForScreenDirection(direction)), direction);
+    });
+
+    it('hits the sector a screen-steered ray points at', () => {
+        quarters.forEach((sector, i) => {
+            const direction = { x: Math.cos(sector.midAngle), y: Math.sin(sector.midAngle) };
+            assert.equal(detectDrawnRaySector(quarters, getHeadingForScreenDirection(direction)), i);
+        });
+    });
+
+    it('hit-tests the drawn ray, not the raw heading', () => {
+        // Up and to +x in the camera image is up-left on the mirrored screen
+        assert.equal(detectDrawnRaySector(quarters, { x: 1, y: -1 }), 3);
+        assert.equal(detectDrawnRaySector(quarters, { x: -1, y: -1 }), 0);
+        assert.equal(detectDrawnRaySector(quarters, { x: 1, y: 1 }), 2);
+        assert.equal(detectDrawnRaySector(quarters, { x: -1, y: 1 }), 1);
+    });
+
+    it('ignores the length of the heading', () => {
+        assert.equal(detectDrawnRaySector(quarters, { x: 0.01, y: -0.01 }), 3);
+        assert.equal(detectDrawnRaySector(quarters, { x: 1.5, y: -1.5 }), 3);
+    });
+});
+
+describe('sector boundaries', () => {
+    it('counts a ray on a boundary for the sector that starts there', () => {
+        quarters.forEach((sector, i) => {
+            assert.equal(findSectorAtAngle(quarters, sector.startAngle), i);
+        });
+    });
+
+    it('counts a ray just before a boundary for the sector that ends there', () => {
+        quarters.forEach((sector, i) => {
+            assert.equal(findSectorAtAngle(quarters, sector.endAngle - 1e-9), i);
+        });
+    });
+
+    it('puts straight up in the first sector', () => {
+        assert.equal(detectDrawnRaySector(quarters, { x: 0, y: -1 }), 0);
+        assert.equal(findSectorAtAngle(quarters, WHEEL_START_ANGLE), 0);
+    });
+
+    it('wraps angles just left of 12 o\'clock into the last sector', () => {
+        assert.equal(findSectorAtAngle(quarters, WHEEL_START_ANGLE - 1e-9), 3);
+        assert.equal(findSectorAtAngle(quarters, WHEEL_START_ANGLE + 2 * Math.PI - 1e-9), 3);
+        assert.equal(findSectorAtAngle(quarters, WHEEL_START_ANGLE + 2 * Math.PI), 0);
+    });
+
+    it('accepts angles from any turn', () => {
+        const angle = Math.PI / 4; // bottom-right
+        [-2, -1, 0, 1, 2].forEach(turns => {
+            assert.equal(findSectorAtAngle(quarters, angle + turns * 2 * Math.PI), 1);
+        });
+    });
+
+    it('leaves no gaps anywhere on an uneven wheel', () => {
+        for (let i = 0; i < 3600; i++) {
+            const angle = WHEEL_START_ANGLE + (i / 3600) * 2 * Math.PI;
+            assert.notEqual(findSectorAtAngle(uneven, angle), -1, `angle ${angle}`);
+        }
+    });
+
+    it('finds no sector on an empty wheel', () => {
+        assert.equal(detectDrawnRaySector([], { x: 0, y: -1 }), -1);
+    });
+});
+
+describe('rotated wheel', () => {
+    it('hits the sector turned under the ray', () => {
+        const rotation = Math.PI / 2; // a quarter turn clockwise
+        const rotated = getSectorAngles({
+            assignments: [tier('a'), tier('b'), tier('c'), tier('d')],
+            weights: [1, 1, 1, 1],
+            totalWeight: 4,
+            totalSectors: 4
+        }, rotation);
+        // Sector 0 moved from top-right to bottom-right, sector 3 to top-right
+        assert.equal(detectDrawnRaySector(rotated, { x: -1, y: 1 }), 0);
+        assert.equal(detectDrawnRaySector(rotated, { x: -1, y: -1 }), 3);
+    });
+
+    it('agrees with the unrotated wheel at the counter-rotated angle', () => {
+        [0.3, -1.1, 4, 13].forEach(rotation => {
+            const rotated = getSectorAngles({
+                assignments: [tier('a'), tier('b'), tier('c'), tier('d'), tier('e'), tier('f'), tier('g')],
+                weights: [0.4, 1.2, 0.13, 0.9, 0.77, 0.2, 1.1],
+                totalWeight: 4.7,
+                totalSectors: 7
+            }, rotation);
+            for (let i = 0; i < 360; i++) {
+                const angle = (i / 360) * 2 * Math.PI + 0.001;
+                assert.equal(findSectorAtAngle(rotated, angle), findSectorAtAngle(uneven, angle - rotation), `angle ${angle}`);
+            }
+        });
+    });
+
+    it('keeps the boundary rule on rotated sectors', () => {
+        const rotated = getSectorAngles({
+            assignments: [tier('a'), tier('b'), tier('c'), tier('d')],
+            weights: [1, 1, 1, 1],
+            totalWeight: 4,
+            totalSectors: 4
+        }, 2.5);
+        rotated.forEach((sector, i) => {
+            assert.equal(findSectorAtAngle(rotated, sector.startAngle), i);
+            assert.equal(findSectorAtAngle(rotated, sector.endAngle - 1e-9), i);
+        });
+    });
+});
+
+describe('border hits', () => {
+    it('counts a ray on the white border for the sector the border ends', () => {
+        uneven.forEach((sector, i) => {
+            const onBorder = sector.endAngle - WHEEL_BORDER_RAD / 2;
+            assert.equal(findSectorAtAngle(uneven, onBorder), i);
+        });
+    });
+
+    it('counts a ray just past the border for the next sector', () => {
+        uneven.forEach((sector, i) => {
+            assert.equal(findSectorAtAngle(uneven, sector.endAngle + 1e-9), (i + 1) % uneven.length);
+        });
+    });
+
+    it('matches the drawn ray angle through the border', () => {
+        const sector = quarters[0];
+        const angle = sector.endAngle - WHEEL_BORDER_RAD / 2;
+        // Screen direction of the angle, turned back into an unmirrored heading
+        const heading = { x: -Math.cos(angle), y: Math.sin(angle) };
+        assert.equal(detectDrawnRaySector(quarters, heading), 0);
+    });
+});
+
+describe('normalizeWheelAngle', () => {
+    it('maps every angle into [start, start + 2π)', () => {
+        [-10, -Math.PI, -Math.PI / 2, 0, Math.PI, 3 * Math.PI / 2, 10].forEach(angle => {
+            const normalized = normalizeWheelAngle(angle);
+            assert.ok(normalized >= WHEEL_START_ANGLE);
+            assert.ok(normalized < WHEEL_START_ANGLE + 2 * Math.PI);
+            assert.ok(Math.abs(Math.sin(normalized) - Math.sin(angle)) < 1e-9);
+            assert.ok(Math.abs(Math.cos(normalized) - Math.cos(angle)) < 1e-9);
+        });
+    });
+
+    it('maps into the range of a custom start angle', () => {
+        assert.equal(normalizeWheelAngle(1, 0.5), 1);
+        assert.ok(Math.abs(normalizeWheelAngle(0.4, 0.5) - (0.4 + 2 * Math.PI)) < 1e-9);
+    });
+});
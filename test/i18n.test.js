@@ -0,0 +1,112 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    DEFAULT_LOCALE, LOCALES, formatNumber, formatPrize, getTierLabel, resolveLocale, setLocale, setPrizeUnit, t
+} from '../js/i18n.js';
+
+afterEach(() => {
+    setLocale(DEFAULT_LOCALE);
+    setPrizeUnit('yuan');
+});
+
+describe('message catalogues', () => {
+    it('have the same keys in every language', () => {
+        const expected = Object.keys(LOCALES[DEFAULT_LOCALE].messages).sort();
+        Object.entries(LOCALES).forEach(([locale, { messages }]) => {
+            assert.deepEqual(Object.keys(messages).sort(), expected, locale);
+        });
+    });
+
+    it('use the same placeholders in every language', () => {
+        const placeholders = (message) => (message.match(/\{\w+\}/g) || []).sort();
+        const reference = LOCALES[DEFAULT_LOCALE].messages;
+        Object.values(LOCALES).forEach(({ messages }) => {
+            Object.keys(reference).forEach(key => {
+                assert.deepEqual(placeholders(messages[key]), placeholders(reference[key]), key);
+            });
+        });
+    });
+});
+
+describe('t', () => {
+    it('fills in placeholders', () => {
+        setLocale('en-US');
+        assert.equal(t('countdown.round', { mode: 'Best of', round: 2, total: 3 }), 'Best of · round 2 / 3');
+    });
+
+    it('leaves unknown placeholders in place', () => {
+        setLocale('en-US');
+        assert.equal(t('countdown.label'), '{seconds}s countdown');
+    });
+
+    it('returns the key when no catalogue has the message', () => {
+        assert.equal(t('no.such.key'), 'no.such.key');
+    });
+
+    it('falls back to the default language for an unknown locale', () => {
+        setLocale('xx-XX');
+        assert.equal(t('hud.won'), LOCALES[DEFAULT_LOCALE].messages['hud.won']);
+    });
+});
+
+describe('resolveLocale', () => {
+    it('keeps a supported setting', () => {
+        assert.equal(resolveLocale('en-US', ['zh-CN']), 'en-US');
+    });
+
+    it('matches the browser language by its base for "auto"', () => {
+        assert.equal(resolveLocale('auto', ['en-GB', 'zh-CN']), 'en-US');
+        assert.equal(resolveLocale('auto', ['fr-FR', 'zh-TW']), 'zh-CN');
+    });
+
+    it('falls back to the default language', () => {
+        assert.equal(resolveLocale('auto', ['fr-FR']), DEFAULT_LOCALE);
+        assert.equal(resolveLocale('auto', []), DEFAULT_LOCALE);
+    });
+});
+
+describe('formatPrize', () => {
+    it('groups digits for the language', () => {
+        setLocale('en-US');
+        assert.equal(formatNumber(1234.5), '1,234.5');
+    });
+
+    it('places the unit as the language does', () => {
+        assert.equal(formatPrize(100), '100 元');
+        setLocale('en-US');
+        assert.equal(formatPrize(100), '¥100');
+        setPrizeUnit('dollar');
+        assert.equal(formatPrize(2500), '$2,500');
+        setPrizeUnit('points');
+        assert.equal(formatPrize(5), '5 pts');
+    });
+
+    it('uses the custom unit word', () => {
+        setPrizeUnit('custom', 'tokens');
+        assert.equal(formatPrize(3), '3 tokens');
+        setPrizeUnit('custom', '');
+        assert.equal(formatPrize(3), '3');
+    });
+
+    it('treats an unknown unit as yuan', () => {
+        setPrizeUnit('pesos');
+        assert.equal(formatPrize(10), '10 元');
+    });
+});
+
+describe('getTierLabel', () => {
+    it('prefers the tier\'s own label', () => {
+        assert.equal(getTierLabel({ label: 'Jackpot', value: 100 }), 'Jackpot');
+    });
+
+    it('shows the amount in the prize unit when the label is empty', () => {
+        setLocale('en-US');
+        setPrizeUnit('euro');
+        assert.equal(getTierLabel({ label: '', value: 50 }), '€50');
+    });
+
+    it('marks sold-out tiers', () => {
+        assert.equal(getTierLabel({ label: '100 元', value: 0, soldOut: true }), t('wheel.soldOut'));
+    });
+});
@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    FACE_MESH_POINTS, LANDMARK_SESSION_FORMAT, LANDMARK_SESSION_PROBLEM, LANDMARK_SESSION_VERSION,
+    expandLandmarkSession, findLandmarkSessionProblem
+} from '../js/core/landmark-session.js';
+
+function flatFace(points = FACE_MESH_POINTS) {
+    return Array.from({ length: points * 3 }, (_, i) => (i % 3 === 2 ? 0 : 0.5));
+}
+
+function session(frames, extra = {}) {
+    return { format: LANDMARK_SESSION_FORMAT, version: LANDMARK_SESSION_VERSION, aspect: 16 / 9, frames, ...extra };
+}
+
+describe('findLandmarkSessionProblem', () => {
+    it('accepts faces with and without the iris landmarks, and frames without faces', () => {
+        const frames = [{ t: 0, faces: [flatFace()] }, { t: 33, faces: [] }, { t: 66, faces: [flatFace(478), flatFace()] }];
+        assert.equal(findLandmarkSessionProblem(session(frames)), null);
+    });
+
+    it('rejects files that are not a session of this version', () => {
+        assert.deepEqual(findLandmarkSessionProblem(null), { problem: LANDMARK_SESSION_PROBLEM.NOT_SESSION });
+        assert.deepEqual(findLandmarkSessionProblem({ format: 'other' }), { problem: LANDMARK_SESSION_PROBLEM.NOT_SESSION });
+        assert.deepEqual(findLandmarkSessionProblem(session([], { version: 2 })), { problem: LANDMARK_SESSION_PROBLEM.VERSION, version: 2 });
+        assert.deepEqual(findLandmarkSessionProblem(session([])), { problem: LANDMARK_SESSION_PROBLEM.EMPTY });
+    });
+
+    it('rejects a frame that goes back in time', () => {
+        const frames = [{ t: 40, faces: [] }, { t: 20, faces: [] }];
+        assert.deepEqual(findLandmarkSessionProblem(session(frames)), { problem: LANDMARK_SESSION_PROBLEM.FRAME, frame: 2 });
+    });
+
+    it('rejects faces with truncated landmarks', () => {
+        const frames = [{ t: 0, faces: [flatFace()] }, { t: 33, faces: [flatFace(), flatFace(100)] }];
+        assert.deepEqual(findLandmarkSessionProblem(session(frames)), { problem: LANDMARK_SESSION_PROBLEM.FACE, frame: 2 });
+    });
+
+    it('rejects faces with a partial point or values that are not numbers', () => {
+        const partial = flatFace().concat([0.5]);
+        const broken = flatFace();
+        broken[10] = 'x';
+        assert.equal(findLandmarkSessionProblem(session([{ t: 0, faces: [partial] }])).problem, LANDMARK_SESSION_PROBLEM.FACE);
+        assert.equal(findLandmarkSessionProblem(session([{ t: 0, faces: [broken] }])).problem, LANDMARK_SESSION_PROBLEM.FACE);
+        assert.equal(findLandmarkSessionProblem(session([{ t: 0, faces: [null] }])).problem, LANDMARK_SESSION_PROBLEM.FACE);
+    });
+});
+
+describe('expandLandmarkSession', () => {
+    it('expands the flat arrays into points and takes the duration from the last frame', () => {
+        const expanded = expandLandmarkSession(session([{ t: 0, faces: [flatFace()] }, { t: 50, faces: [] }]));
+        assert.equal(expanded.aspect, 16 / 9);
+        assert.equal(expanded.duration, 50);
+        assert.equal(expanded.frames[0].faces[0].length, FACE_MESH_POINTS);
+        assert.deepEqual(expanded.frames[0].faces[0][0], { x: 0.5, y: 0.5, z: 0 });
+    });
+
+    it('falls back to 4:3 without a usable aspect ratio', () => {
+        assert.equal(expandLandmarkSession(session([{ t: 0, faces: [] }], { aspect: -1 })).aspect, 4 / 3);
+    });
+});
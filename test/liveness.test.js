@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BlinkDetector, LivenessCheck, eyeAspectRatio } from '../js/core/liveness.js';
+
+// Eye contour landmarks (see js/core/liveness.js)
+const EYES = [[33, 160, 158, 133, 153, 144], [362, 385, 387, 263, 373, 380]];
+
+// Landmarks with both eyes 0.1 wide and `height` tall
+function eyeLandmarks(height) {
+    const landmarks = Array.from({ length: 400 }, () => ({ x: 0, y: 0 }));
+    EYES.forEach(([outer, upper1, upper2, inner, lower2, lower1], eye) => {
+        const left = eye * 0.3;
+        landmarks[outer] = { x: left, y: 0.5 };
+        landmarks[inner] = { x: left + 0.1, y: 0.5 };
+        landmarks[upper1] = { x: left + 0.03, y: 0.5 - height / 2 };
+        landmarks[lower1] = { x: left + 0.03, y: 0.5 + height / 2 };
+        landmarks[upper2] = { x: left + 0.07, y: 0.5 - height / 2 };
+        landmarks[lower2] = { x: left + 0.07, y: 0.5 + height / 2 };
+    });
+    return landmarks;
+}
+
+// Feeds ratios 33 ms apart; returns the sample indices that completed a blink
+function feed(detector, ratios) {
+    const blinks = [];
+    ratios.forEach((ratio, index) => {
+        if (detector.update(ratio, index * 33)) blinks.push(index);
+    });
+    return blinks;
+}
+
+const repeat = (ratio, count) => Array(count).fill(ratio);
+
+describe('eyeAspectRatio', () => {
+    it('divides the eye height by its width', () => {
+        assert.ok(Math.abs(eyeAspectRatio(eyeLandmarks(0.03), 1) - 0.3) < 1e-9);
+        assert.ok(Math.abs(eyeAspectRatio(eyeLandmarks(0.03), 2) - 0.15) < 1e-9);
+    });
+});
+
+describe('BlinkDetector', () => {
+    it('detects a blink when the eyes shut and open again', () => {
+        const detector = new BlinkDetector();
+        const blinks = feed(detector, [...repeat(0.3, 20), 0.2, 0.08, 0.1, 0.2, 0.28, ...repeat(0.3, 10)]);
+        assert.deepEqual(blinks, [24]);
+    });
+
+    it('ignores eyes that never close (a photo)', () => {
+        const detector = new BlinkDetector();
+        assert.deepEqual(feed(detector, repeat(0.3, 100)), []);
+    });
+
+    it('ignores small wobbles of the eye aspect ratio', () => {
+        const detector = new BlinkDetector();
+        assert.deepEqual(feed(detector, [...repeat(0.3, 20), 0.25, 0.22, 0.26, ...repeat(0.3, 10)]), []);
+    });
+
+    it('does not count eyes shut for a long time as a blink', () => {
+        const detector = new BlinkDetector();
+        assert.deepEqual(feed(detector, [...repeat(0.3, 20), ...repeat(0.05, 30), ...repeat(0.3, 10)]), []);
+    });
+
+    it('adapts to narrow eyes', () => {
+        const detector = new BlinkDetector();
+        const blinks = feed(detector, [...repeat(0.18, 20), 0.1, 0.05, 0.16, ...repeat(0.18, 5)]);
+        assert.deepEqual(blinks, [22]);
+    });
+
+    it('starts over after reset()', () => {
+        const detector = new BlinkDetector();
+        feed(detector, [...repeat(0.3, 20), 0.05]);
+        detector.reset();
+        assert.deepEqual(feed(detector, [0.3, 0.3]), []);
+    });
+});
+
+describe('LivenessCheck', () => {
+    const blink = [...repeat(0.3, 20), 0.05, 0.3];
+
+    function feedPlayer(check, playerId, ratios) {
+        return ratios.map((ratio, index) => check.update(playerId, ratio, index * 33)).some(Boolean);
+    }
+
+    it('passes once every player has blinked', () => {
+        const check = new LivenessCheck([1, 2]);
+        assert.equal(feedPlayer(check, 1, blink), true);
+        assert.deepEqual(check.waiting, [2]);
+        assert.equal(check.passed, false);
+        feedPlayer(check, 2, blink);
+        assert.deepEqual(check.waiting, []);
+        assert.equal(check.passed, true);
+    });
+
+    it('ignores faces that are not part of the check', () => {
+        const check = new LivenessCheck([1]);
+        assert.equal(feedPlayer(check, 3, blink), false);
+        assert.deepEqual(check.waiting, [1]);
+    });
+
+    it('never passes without players', () => {
+        const check = new LivenessCheck([]);
+        assert.deepEqual(check.waiting, []);
+        assert.equal(check.passed, false);
+    });
+});
@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Outbox } from '../js/core/outbox.js';
+
+// In-memory localStorage stand-in
+function memoryStorage(initial = {}) {
+    const items = { ...initial };
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = value; },
+        items
+    };
+}
+
+// Timers that only run when the test says so
+function manualTimers() {
+    const timers = [];
+    return {
+        schedule: (callback, delay) => {
+            const timer = { callback, delay, cancelled: false };
+            timers.push(timer);
+            return timer;
+        },
+        cancel: timer => { if (timer) timer.cancelled = true; },
+        pending: () => timers.filter(timer => !timer.cancelled && !timer.ran),
+        runNext: async () => {
+            const timer = timers.find(t => !t.cancelled && !t.ran);
+            timer.ran = true;
+            await timer.callback();
+        }
+    };
+}
+
+describe('Outbox', () => {
+    it('delivers messages in order', async () => {
+        const sent = [];
+        const outbox = new Outbox({ send: async message => { sent.push(message); } });
+        await outbox.enqueue({ n: 1 });
+        await outbox.enqueue({ n: 2 });
+        assert.deepEqual(sent, [{ n: 1 }, { n: 2 }]);
+        assert.equal(outbox.length, 0);
+    });
+
+    it('retries with a doubling delay, then waits for the next flush', async () => {
+        const timers = manualTimers();
+        let attempts = 0;
+        const outbox = new Outbox({
+            send: async () => { attempts++; throw new Error('offline'); },
+            retries: 2,
+            retryDelay: 500,
+            ...timers
+        });
+
+        await outbox.enqueue({ n: 1 });
+        assert.deepEqual(timers.pending().map(timer => timer.delay), [500]);
+        await timers.runNext();
+        assert.deepEqual(timers.pending().map(timer => timer.delay), [1000]);
+        await timers.runNext();
+        assert.equal(timers.pending().length, 0);
+        assert.equal(attempts, 3);
+        assert.equal(outbox.length, 1);
+
+        // Back online: a flush starts over with fresh retries
+        await outbox.flush();
+        assert.equal(attempts, 4);
+        assert.deepEqual(timers.pending().map(timer => timer.delay), [500]);
+    });
+
+    it('keeps the order when a delivery fails', async () => {
+        const timers = manualTimers();
+        let online = false;
+        const sent = [];
+        const outbox = new Outbox({
+            send: async message => {
+                if (!online) throw new Error('offline');
+                sent.push(message.n);
+            },
+            ...timers
+        });
+        await outbox.enqueue({ n: 1 });
+        await outbox.enqueue({ n: 2 });
+        assert.deepEqual(sent, []);
+
+        online = true;
+        await outbox.flush();
+        assert.deepEqual(sent, [1, 2]);
+        assert.equal(outbox.length, 0);
+    });
+
+    it('survives a reload through the storage', async () => {
+        const storage = memoryStorage();
+        const timers = manualTimers();
+        const failing = new Outbox({ send: async () => { throw new Error('offline'); }, storage, storageKey: 'queue', ...timers });
+        await failing.enqueue({ n: 1 });
+        assert.deepEqual(JSON.parse(storage.items.queue), [{ n: 1 }]);
+
+        const sent = [];
+        const reloaded = new Outbox({ send: async message => { sent.push(message); }, storage, storageKey: 'queue' });
+        assert.equal(reloaded.length, 1);
+        await reloaded.flush();
+        assert.deepEqual(sent, [{ n: 1 }]);
+        assert.deepEqual(JSON.parse(storage.items.queue), []);
+    });
+
+    it('ignores an unreadable stored queue', () => {
+        const outbox = new Outbox({ send: async () => {}, storage: memoryStorage({ queue: '{broken' }), storageKey: 'queue' });
+        assert.equal(outbox.length, 0);
+    });
+
+    it('keeps delivering from memory when the storage refuses the queue', async () => {
+        const full = { getItem: () => null, setItem: () => { throw new Error('QuotaExceededError'); } };
+        const errors = [];
+        const sent = [];
+        let online = false;
+        const outbox = new Outbox({
+            send: async message => {
+                if (!online) throw new Error('offline');
+                sent.push(message);
+            },
+            storage: full,
+            onSaveError: err => errors.push(err.message),
+            ...manualTimers()
+        });
+        await outbox.enqueue({ n: 1 });
+        assert.equal(outbox.length, 1);
+        online = true;
+        await outbox.flush();
+        assert.deepEqual(sent, [{ n: 1 }]);
+        assert.deepEqual(errors, ['QuotaExceededError', 'QuotaExceededError']);
+    });
+
+    it('drops the oldest messages beyond the longest queue', async () => {
+        const timers = manualTimers();
+        const outbox = new Outbox({ send: async () => { throw new Error('offline'); }, maxLength: 2, ...timers });
+        await outbox.enqueue({ n: 1 });
+        await outbox.enqueue({ n: 2 });
+        await outbox.enqueue({ n: 3 });
+        assert.deepEqual(outbox.queue, [{ n: 2 }, { n: 3 }]);
+    });
+});
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PALETTES, PATTERN_NAMES, getTierStyle, getTierStyles } from '../js/core/palettes.js';
+
+const tiers = [
+    { id: 'big', color: '#FF78A3', value: 100 },
+    { id: 'mid', color: '#47D495', textColor: '#111111', value: 50, pattern: 'dots' },
+    { id: 'small', color: '#FF78A3', value: 1 }
+];
+
+describe('getTierStyles', () => {
+    it('keeps the configured colours with the default palette', () => {
+        const styles = getTierStyles(tiers, { palette: 'default', autoPatterns: false });
+        assert.deepEqual(styles.get('big'), { color: '#FF78A3', textColor: '#FF78A3', pattern: '' });
+        assert.deepEqual(styles.get('mid'), { color: '#47D495', textColor: '#111111', pattern: 'dots' });
+    });
+
+    it('recolours tiers in order and repeats the palette', () => {
+        const many = Array.from({ length: PALETTES.colorBlind.length + 1 }, (_, i) => ({ id: `t${i}`, color: '#000000' }));
+        const styles = getTierStyles(many, { palette: 'colorBlind', autoPatterns: false });
+        assert.equal(styles.get('t0').color, PALETTES.colorBlind[0].color);
+        assert.equal(styles.get(`t${PALETTES.colorBlind.length}`).color, PALETTES.colorBlind[0].color);
+    });
+
+    it('keys styles by tier id, so tiers sharing a colour stay apart', () => {
+        const styles = getTierStyles(tiers, { palette: 'highContrast', autoPatterns: false });
+        assert.notEqual(styles.get('big').color, styles.get('small').color);
+    });
+
+    it('adds patterns only to tiers without their own', () => {
+        const styles = getTierStyles(tiers, { palette: 'default', autoPatterns: true });
+        assert.equal(styles.get('mid').pattern, 'dots');
+        assert.ok(PATTERN_NAMES.includes(styles.get('big').pattern));
+        assert.notEqual(styles.get('big').pattern, styles.get('small').pattern);
+    });
+
+    it('leaves the tiers themselves untouched', () => {
+        const before = JSON.stringify(tiers);
+        getTierStyles(tiers, { palette: 'colorBlind', autoPatterns: true });
+        assert.equal(JSON.stringify(tiers), before);
+    });
+});
+
+describe('getTierStyle', () => {
+    const styles = getTierStyles(tiers, { palette: 'colorBlind', autoPatterns: true });
+
+    it('looks a sector\'s tier up by id', () => {
+        assert.equal(getTierStyle(tiers[0], styles), styles.get('big'));
+    });
+
+    it('keeps the grey look of sold-out tiers', () => {
+        const soldOut = { ...tiers[0], color: '#B0B0B0', textColor: '#888888', soldOut: true };
+        assert.deepEqual(getTierStyle(soldOut, styles), { color: '#B0B0B0', textColor: '#888888', pattern: '' });
+    });
+
+    it('falls back to the tier\'s own look without styles', () => {
+        assert.deepEqual(getTierStyle(tiers[1], null), { color: '#47D495', textColor: '#111111', pattern: 'dots' });
+    });
+});
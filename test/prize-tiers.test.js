@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    PRIZE_SHORTFALL, createTierResolver, findPrizeShortfall, getRemainingBudget, getRemainingStock, isTierAvailable
+} from '../js/core/prize-tiers.js';
+
+const tiers = [
+    { id: 'small', value: 1, stock: null, color: '#111111' },
+    { id: 'medium', value: 10, stock: 2, color: '#222222' },
+    { id: 'large', value: 100, stock: 1, color: '#333333' }
+];
+
+function config(extra = {}) {
+    return { tiers, budget: null, soldOutMode: 'label', ...extra };
+}
+
+describe('remaining stock and budget', () => {
+    it('counts down from the stock and the budget, never below zero', () => {
+        const inventory = { issued: { medium: 1, large: 3 }, spent: 310 };
+        assert.equal(getRemainingStock(tiers[0], inventory), null);
+        assert.equal(getRemainingStock(tiers[1], inventory), 1);
+        assert.equal(getRemainingStock(tiers[2], inventory), 0);
+        assert.equal(getRemainingBudget(config(), inventory), null);
+        assert.equal(getRemainingBudget(config({ budget: 300 }), inventory), 0);
+    });
+
+    it('makes a tier unavailable when it is out of stock or worth more than the budget left', () => {
+        const inventory = { issued: { large: 1 }, spent: 95 };
+        assert.equal(isTierAvailable(tiers[2], config(), inventory), false);
+        assert.equal(isTierAvailable(tiers[1], config({ budget: 100 }), inventory), false);
+        assert.equal(isTierAvailable(tiers[0], config({ budget: 100 }), inventory), true);
+    });
+});
+
+describe('createTierResolver', () => {
+    const inventory = { issued: { large: 1 }, spent: 100 };
+
+    it('keeps available tiers as they are', () => {
+        const resolve = createTierResolver(config(), inventory);
+        assert.equal(resolve(tiers[0]), tiers[0]);
+        assert.equal(resolve(tiers[1]), tiers[1]);
+    });
+
+    it('merges a sold-out tier into the next lower available one', () => {
+        const resolve = createTierResolver(config({ soldOutMode: 'merge' }), inventory);
+        assert.equal(resolve(tiers[2]), tiers[1]);
+    });
+
+    it('marks a sold-out tier as worth nothing, one object per tier', () => {
+        const resolve = createTierResolver(config(), inventory);
+        const soldOut = resolve(tiers[2]);
+        assert.equal(soldOut.soldOut, true);
+        assert.equal(soldOut.value, 0);
+        assert.equal(soldOut.id, 'large');
+        assert.equal(resolve(tiers[2]), soldOut);
+    });
+});
+
+describe('findPrizeShortfall', () => {
+    it('finds nothing while the stock and budget cover every prize', () => {
+        const inventory = { issued: { medium: 1 }, spent: 10 };
+        assert.deepEqual(findPrizeShortfall([tiers[1], tiers[0]], config({ budget: 100 }), inventory), []);
+    });
+
+    it('reports the prizes won beyond the stock left', () => {
+        const inventory = { issued: { medium: 1 }, spent: 0 };
+        const shortfall = findPrizeShortfall([tiers[1], tiers[1], tiers[2], tiers[2]], config(), inventory);
+        assert.deepEqual(shortfall, [
+            { tier: tiers[1], reason: PRIZE_SHORTFALL.STOCK },
+            { tier: tiers[2], reason: PRIZE_SHORTFALL.STOCK }
+        ]);
+    });
+
+    it('reports the prizes won beyond the budget left', () => {
+        const inventory = { issued: {}, spent: 85 };
+        const shortfall = findPrizeShortfall([tiers[1], tiers[0], tiers[1]], config({ budget: 100 }), inventory);
+        assert.deepEqual(shortfall, [{ tier: tiers[1], reason: PRIZE_SHORTFALL.BUDGET }]);
+    });
+
+    it('uses the stock of the current configuration', () => {
+        const restocked = { ...tiers[2], stock: 3 };
+        const shortfall = findPrizeShortfall([tiers[2]], config({ tiers: [restocked] }), { issued: { large: 1 }, spent: 0 });
+        assert.deepEqual(shortfall, []);
+    });
+
+    it('leaves the inventory alone and ignores sold-out tiers', () => {
+        const inventory = { issued: { large: 1 }, spent: 100 };
+        const soldOut = createTierResolver(config(), inventory)(tiers[2]);
+        assert.deepEqual(findPrizeShortfall([soldOut, null], config(), inventory), []);
+        assert.deepEqual(inventory, { issued: { large: 1 }, spent: 100 });
+    });
+});
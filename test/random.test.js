@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSeed, createSeededRandom, deriveSeed, formatSeed, parseSeed } from '../js/core/random.js';
+
+const take = (random, count) => Array.from({ length: count }, () => random());
+
+describe('createSeededRandom', () => {
+    it('repeats the same numbers for the same seed', () => {
+        assert.deepEqual(take(createSeededRandom(42), 20), take(createSeededRandom(42), 20));
+    });
+
+    it('gives different numbers for different seeds', () => {
+        assert.notDeepEqual(take(createSeededRandom(1), 5), take(createSeededRandom(2), 5));
+    });
+
+    it('stays within [0, 1) and spreads over the range', () => {
+        const numbers = take(createSeededRandom(7), 10000);
+        assert.ok(numbers.every(n => n >= 0 && n < 1));
+        const mean = numbers.reduce((a, b) => a + b, 0) / numbers.length;
+        assert.ok(Math.abs(mean - 0.5) < 0.02, `mean ${mean}`);
+    });
+});
+
+describe('deriveSeed', () => {
+    it('is deterministic and separates streams', () => {
+        assert.equal(deriveSeed(123, 1), deriveSeed(123, 1));
+        const streams = new Set([0, 1, 2, 3, 4].map(stream => deriveSeed(123, stream)));
+        assert.equal(streams.size, 5);
+        assert.notEqual(deriveSeed(123, 1), deriveSeed(124, 1));
+    });
+
+    it('returns unsigned 32-bit integers', () => {
+        [0, 1, 0xFFFFFFFF].forEach(seed => {
+            const derived = deriveSeed(seed, 3);
+            assert.ok(Number.isInteger(derived) && derived >= 0 && derived <= 0xFFFFFFFF);
+        });
+    });
+});
+
+describe('seed text', () => {
+    it('formats seeds as 8 hex digits and parses them back', () => {
+        assert.equal(formatSeed(0x1A2B), '00001a2b');
+        assert.equal(formatSeed(0xFFFFFFFF), 'ffffffff');
+        [0, 0x1A2B, 0xDEADBEEF, createSeed()].forEach(seed => {
+            assert.equal(parseSeed(formatSeed(seed)), seed);
+        });
+    });
+
+    it('accepts short and upper-case seeds', () => {
+        assert.equal(parseSeed(' 1A2b '), 0x1A2B);
+    });
+
+    it('rejects text that is not a seed', () => {
+        ['', 'xyz', '123456789', '-1', '1.5'].forEach(text => {
+            assert.equal(parseSeed(text), null, text);
+        });
+    });
+});
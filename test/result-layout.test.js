@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    RESULT_DESIGN_HEIGHT, RESULT_DESIGN_WIDTH, RESULT_LAYOUT, computeResultLayout, computeVideoCrop
+} from '../js/core/result-layout.js';
+
+// Half the font size per character, like a narrow monospace font
+const measure = (text, font) => text.length * font.size / 2;
+
+describe('computeVideoCrop', () => {
+    it('crops a 4:3 frame to a wider box from the middle', () => {
+        assert.deepEqual(computeVideoCrop(640, 480, 800, 400), { x: 0, y: 80, width: 640, height: 320 });
+    });
+
+    it('keeps a frame of the same aspect ratio whole', () => {
+        assert.deepEqual(computeVideoCrop(640, 480, 660, 495), { x: 0, y: 0, width: 640, height: 480 });
+    });
+
+    it('returns null without a frame', () => {
+        assert.equal(computeVideoCrop(0, 0, 660, 495), null);
+    });
+});
+
+describe('computeResultLayout', () => {
+    it('centres the video on the image and puts the banner above it', () => {
+        const { center, video, banner } = computeResultLayout({ label: 'Won', prize: '$5' }, measure);
+        assert.deepEqual(center, { x: RESULT_DESIGN_WIDTH / 2, y: RESULT_DESIGN_HEIGHT / 2 });
+        assert.equal(video.x + video.width / 2, center.x);
+        assert.equal(video.y + video.height / 2, center.y);
+        assert.equal(banner.x, video.x);
+        assert.equal(banner.y + banner.height + RESULT_LAYOUT.bannerGap, video.y);
+        assert.equal(banner.height, RESULT_LAYOUT.bannerHeight);
+    });
+
+    it('writes the single-player prize in the middle of the banner', () => {
+        const { banner } = computeResultLayout({ label: 'Won', prize: '$5' }, measure);
+        assert.deepEqual(banner.chips, []);
+        assert.equal(banner.texts.length, 1);
+        assert.equal(banner.texts[0].text, 'Won $5');
+        assert.equal(banner.texts[0].align, 'center');
+        assert.equal(banner.texts[0].x, banner.x + banner.width / 2);
+        assert.equal(banner.texts[0].y, banner.y + banner.height / 2);
+    });
+
+    it('centres the label and the player chips as one row when they fit', () => {
+        const chips = [{ text: 'P1 $5', color: '#f00' }, { text: 'P2 $1', color: '#0f0' }];
+        const { banner } = computeResultLayout({ label: 'Won', chips }, measure);
+        assert.equal(banner.height, RESULT_LAYOUT.bannerHeight);
+        assert.equal(banner.chips.length, 2);
+        const label = banner.texts[0];
+        const last = banner.chips[1];
+        const left = label.x - banner.x;
+        const right = banner.x + banner.width - (last.x + last.width);
+        assert.ok(Math.abs(left - right) < 1e-9);
+        assert.ok(banner.chips.every(chip => chip.y === banner.chips[0].y));
+        assert.equal(banner.chips[0].textY, label.y);
+    });
+
+    it('wraps chips that do not fit and grows the banner upwards', () => {
+        const chips = [1, 2, 3, 4].map(id => ({ text: `P${id} 1,000,000 credits`, color: '#000' }));
+        const { banner, video } = computeResultLayout({ label: 'Won', chips }, measure);
+        const rows = new Set(banner.chips.map(chip => chip.y));
+        assert.ok(rows.size > 1);
+        assert.ok(banner.height > RESULT_LAYOUT.bannerHeight);
+        assert.equal(banner.y + banner.height + RESULT_LAYOUT.bannerGap, video.y);
+        banner.chips.forEach(chip => {
+            assert.ok(chip.x >= banner.x && chip.x + chip.width <= banner.x + banner.width);
+            assert.ok(chip.y >= banner.y && chip.y + chip.height <= banner.y + banner.height);
+        });
+    });
+
+    it('only places the countdown and the seed when given', () => {
+        const without = computeResultLayout({ label: 'Won', prize: '$5' }, measure);
+        assert.equal(without.countdown, null);
+        assert.equal(without.fairness, null);
+
+        const layout = computeResultLayout({ label: 'Won', prize: '$5', countdown: '00:00', fairness: ['seed', 'SHA-256 abcdef'] }, measure);
+        assert.equal(layout.countdown.x + layout.countdown.size + RESULT_LAYOUT.countdownGap, layout.video.x);
+        assert.equal(layout.fairness.y, layout.video.y + layout.video.height + RESULT_LAYOUT.bannerGap);
+        assert.equal(layout.fairness.width, measure('SHA-256 abcdef', { size: 16 }) + RESULT_LAYOUT.fairnessPadding * 2);
+        assert.equal(layout.fairness.lines.length, 2);
+        assert.ok(layout.fairness.lines[1].y > layout.fairness.lines[0].y);
+    });
+
+    it('gives the same layout for the same content', () => {
+        const content = { label: 'Won', chips: [{ text: 'P1 $5', color: '#f00' }], countdown: '00:00' };
+        assert.deepEqual(computeResultLayout(content, measure), computeResultLayout(content, measure));
+    });
+});
@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { INTEGRITY_FAILURE, RoundMonitor, measureFace } from '../js/core/round-integrity.js';
+
+const face = (x, y = 0.5, size = 0.4) => ({ x, y, size });
+
+// Feeds one face every 40 ms from `from` to `to` (inclusive)
+function track(monitor, from, to, tracked, faceCount = tracked.length) {
+    for (let time = from; time <= to; time += 40) monitor.observe(time, faceCount, tracked);
+}
+
+describe('measureFace', () => {
+    it('measures the nose tip and bounding box in frame heights', () => {
+        const landmarks = [{ x: 0.25, y: 0.25 }, { x: 0.5, y: 0.5 }, { x: 0.75, y: 0.75 }];
+        const measured = measureFace(landmarks, 2);
+        assert.deepEqual({ x: measured.x, y: measured.y }, { x: 1, y: 0.5 });
+        assert.ok(Math.abs(measured.size - Math.hypot(1, 0.5)) < 1e-9);
+    });
+});
+
+describe('RoundMonitor', () => {
+    it('lets a result stand when the face stays through the end', () => {
+        const monitor = new RoundMonitor();
+        monitor.start([1], true);
+        track(monitor, 0, 5000, [{ id: 1, face: face(0.8) }]);
+        assert.deepEqual(monitor.finish(5000), new Map([[1, null]]));
+        assert.equal(monitor.active, false);
+    });
+
+    it('voids a player lost during the final second', () => {
+        const monitor = new RoundMonitor();
+        monitor.start([1], true);
+        track(monitor, 0, 4200, [{ id: 1, face: face(0.8) }]);
+        track(monitor, 4600, 5000, [{ id: 1, face: face(0.8) }]);
+        assert.equal(monitor.finish(5000).get(1), INTEGRITY_FAILURE.FACE_LOST);
+    });
+
+    it('tolerates breaks before the final second and short ones inside it', () => {
+        const monitor = new RoundMonitor();
+        monitor.start([1], true);
+        track(monitor, 0, 1000, [{ id: 1, face: face(0.8) }]);
+        track(monitor, 3000, 4400, [{ id: 1, face: face(0.8) }]);
+        track(monitor, 4600, 5000, [{ id: 1, face: face(0.8) }]);
+        assert.equal(monitor.finish(5000).get(1), null);
+    });
+
+    it('voids an expected player that never showed up', () => {
+        const monitor = new RoundMonitor();
+        monitor.start([1], true);
+        assert.equal(monitor.finish(5000).get(1), INTEGRITY_FAILURE.FACE_LOST);
+    });
+
+    it('voids the round when a second face stays in single-player games', () => {
+        const monitor = new RoundMonitor();
+        monitor.start([1], true);
+        track(monitor, 0, 2000, [{ id: 1, face: face(0.8) }]);
+        track(monitor, 2040, 2500, [{ id: 1, face: face(0.8) }], 2);
+        track(monitor, 2540, 5000, [{ id: 1, face: face(0.8) }]);
+        assert.equal(monitor.finish(5000).get(1), INTEGRITY_FAILURE.MULTIPLE_FACES);
+    });
+
+    it('ignores a second face that flickers up briefly or in multiplayer games', () => {
+        const single = new RoundMonitor();
+        single.start([1], true);
+        track(single, 0, 2000, [{ id: 1, face: face(0.8) }]);
+        track(single, 2040, 2200, [{ id: 1, face: face(0.8) }], 2);
+        track(single, 2240, 5000, [{ id: 1, face: face(0.8) }]);
+        assert.equal(single.finish(5000).get(1), null);
+
+        const multi = new RoundMonitor();
+        multi.start([1, 2], false);
+        track(multi, 0, 5000, [{ id: 1, face: face(0.5) }, { id: 2, face: face(1.2) }]);
+        assert.deepEqual(multi.finish(5000), new Map([[1, null], [2, null]]));
+    });
+
+    it('takes a jump across the frame for a face swap', () => {
+        const monitor = new RoundMonitor();
+        monitor.start([1, 2], false);
+        track(monitor, 0, 2000, [{ id: 1, face: face(0.5) }, { id: 2, face: face(1.2) }]);
+        track(monitor, 2040, 5000, [{ id: 1, face: face(1.2) }, { id: 2, face: face(1.2) }]);
+        const verdicts = monitor.finish(5000);
+        assert.equal(verdicts.get(1), INTEGRITY_FAILURE.FACE_SWAP);
+        assert.equal(verdicts.get(2), null);
+    });
+
+    it('takes a sudden change of size for a face swap', () => {
+        const monitor = new RoundMonitor();
+        monitor.start([1], true);
+        track(monitor, 0, 2000, [{ id: 1, face: face(0.8, 0.5, 0.4) }]);
+        track(monitor, 2040, 5000, [{ id: 1, face: face(0.8, 0.5, 0.25) }]);
+        assert.equal(monitor.finish(5000).get(1), INTEGRITY_FAILURE.FACE_SWAP);
+    });
+
+    it('allows more movement after a longer break', () => {
+        const monitor = new RoundMonitor();
+        monitor.start([1], true);
+        track(monitor, 0, 1000, [{ id: 1, face: face(0.8) }]);
+        // 0.3 frame heights is 0.75 face sizes: too far for one frame, fine after 1.5 s
+        track(monitor, 2500, 5000, [{ id: 1, face: face(1.1) }]);
+        assert.equal(monitor.finish(5000).get(1), null);
+    });
+
+    it('ignores detections while not watching a round', () => {
+        const monitor = new RoundMonitor();
+        track(monitor, 0, 1000, [{ id: 1, face: face(0.8) }], 3);
+        monitor.start([], true);
+        assert.deepEqual(monitor.finish(1000), new Map());
+    });
+});
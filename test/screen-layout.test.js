@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CAMERA_RESOLUTIONS, chooseCameraResolution, computeScreenLayout } from '../js/core/screen-layout.js';
+
+describe('computeScreenLayout', () => {
+    it('reproduces the original design on a reference window', () => {
+        const layout = computeScreenLayout({ width: 1280, height: 800 });
+        assert.equal(layout.orientation, 'landscape');
+        assert.equal(layout.scale, 1);
+        assert.deepEqual(layout.center, { x: 640, y: 400 });
+        assert.deepEqual(layout.video, { x: 320, y: 160, width: 640, height: 480 });
+        assert.deepEqual(layout.labelPadding, { x: 60, y: 40 });
+        assert.equal(layout.labelFontSize, 28);
+    });
+
+    it('centres the video on the wheel centre', () => {
+        for (const viewport of [{ width: 1920, height: 1080 }, { width: 800, height: 1280 }, { width: 360, height: 640 }]) {
+            const { center, video } = computeScreenLayout(viewport);
+            assert.ok(Math.abs(video.x + video.width / 2 - center.x) < 1e-9);
+            assert.ok(Math.abs(video.y + video.height / 2 - center.y) < 1e-9);
+        }
+    });
+
+    it('moves the centre up on portrait screens and keeps the video inside', () => {
+        const layout = computeScreenLayout({ width: 800, height: 1280 });
+        assert.equal(layout.orientation, 'portrait');
+        assert.equal(layout.center.x, 400);
+        assert.ok(layout.center.y < 640);
+        assert.ok(layout.video.x >= 0 && layout.video.x + layout.video.width <= 800);
+        assert.ok(layout.video.y >= 0);
+    });
+
+    it('follows the aspect ratio of the input', () => {
+        const { video } = computeScreenLayout({ width: 1920, height: 1080, videoAspect: 16 / 9 });
+        assert.ok(Math.abs(video.width / video.height - 16 / 9) < 1e-9);
+        assert.ok(video.width <= 1920 * 0.5 + 1e-9);
+    });
+
+    it('scales text with the screen within limits', () => {
+        assert.equal(computeScreenLayout({ width: 3840, height: 2160 }).scale, 2);
+        assert.equal(computeScreenLayout({ width: 320, height: 480 }).scale, 0.6);
+        assert.ok(computeScreenLayout({ width: 2560, height: 1440 }).labelFontSize > 28);
+    });
+
+    it('makes the wheel reach every corner', () => {
+        const layout = computeScreenLayout({ width: 800, height: 1280 });
+        const corners = [[0, 0], [800, 0], [0, 1280], [800, 1280]];
+        corners.forEach(([x, y]) => {
+            assert.ok(Math.hypot(x - layout.center.x, y - layout.center.y) < layout.wheelRadius);
+        });
+    });
+});
+
+describe('chooseCameraResolution', () => {
+    it('uses a fixed resolution from the settings', () => {
+        const layout = computeScreenLayout({ width: 1280, height: 800 });
+        assert.deepEqual(chooseCameraResolution('1920x1080', layout), { width: 1920, height: 1080 });
+    });
+
+    it('picks the smallest resolution that fills the video frame', () => {
+        const standard = computeScreenLayout({ width: 1280, height: 800 });
+        assert.deepEqual(chooseCameraResolution('auto', standard), CAMERA_RESOLUTIONS[0]);
+        const retina = computeScreenLayout({ width: 1280, height: 800, devicePixelRatio: 2 });
+        assert.deepEqual(chooseCameraResolution('auto', retina), { width: 1920, height: 1080 });
+    });
+
+    it('stops at the largest resolution', () => {
+        const layout = computeScreenLayout({ width: 3840, height: 2160, devicePixelRatio: 2 });
+        assert.deepEqual(chooseCameraResolution('auto', layout), CAMERA_RESOLUTIONS[CAMERA_RESOLUTIONS.length - 1]);
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setLocale, t } from '../js/i18n.js';
+import { loadSettings, mergeSettings } from '../js/settings.js';
+
+// Nothing stored, so this gives the defaults
+globalThis.localStorage = { getItem: () => null };
+const defaults = loadSettings();
+
+describe('mergeSettings', () => {
+    it('applies a subset of the settings and leaves the rest', () => {
+        const merged = mergeSettings(defaults, { game: { mode: 'bestOf', rounds: 5 }, display: { locale: 'en-US' } });
+        assert.equal(merged.game.mode, 'bestOf');
+        assert.equal(merged.game.rounds, 5);
+        assert.equal(merged.game.countdown, defaults.game.countdown);
+        assert.equal(merged.display.locale, 'en-US');
+        assert.deepEqual(merged.spin, defaults.spin);
+        assert.equal(defaults.game.rounds, 3);
+    });
+
+    it('ignores unknown keys', () => {
+        const merged = mergeSettings(defaults, { bogus: 1, game: { extra: true } });
+        assert.equal('bogus' in merged, false);
+        assert.equal('extra' in merged.game, false);
+    });
+
+    it('rejects values of the wrong type', () => {
+        assert.throws(() => mergeSettings(defaults, { game: { rounds: '5' } }), { key: 'settings.error.number' });
+        assert.throws(() => mergeSettings(defaults, { game: 'bestOf' }), { key: 'settings.error.object', params: { name: 'game' } });
+        assert.throws(() => mergeSettings(defaults, { effects: { volume: NaN } }), /effects\.volume/);
+        assert.throws(() => mergeSettings(defaults, { spin: { enabled: 'yes' } }), { key: 'settings.error.boolean' });
+    });
+
+    it('rejects values the settings panel does not offer', () => {
+        assert.throws(() => mergeSettings(defaults, { game: { mode: 'jackpot' } }), /game\.mode/);
+        assert.throws(() => mergeSettings(defaults, { display: { locale: 'fr-FR' } }), /display\.locale/);
+        assert.throws(() => mergeSettings(defaults, { replay: { width: 0 } }), /replay\.width/);
+        assert.throws(() => mergeSettings(defaults, { multiplayer: { maxPlayers: 8 } }), /multiplayer\.maxPlayers/);
+    });
+
+    it('rejects numbers outside the range of the settings panel', () => {
+        assert.throws(() => mergeSettings(defaults, { game: { countdown: -5 } }), /game\.countdown/);
+        assert.throws(() => mergeSettings(defaults, { game: { rounds: 2.5 } }), { key: 'settings.error.integer' });
+        assert.throws(() => mergeSettings(defaults, { effects: { volume: 2 } }), /effects\.volume/);
+        assert.throws(() => mergeSettings(defaults, { smoothing: { minCutoff: 0 } }), /smoothing\.minCutoff/);
+    });
+
+    it('checks the format of text settings', () => {
+        assert.equal(mergeSettings(defaults, { layout: { seed: '' } }).layout.seed, '');
+        assert.equal(mergeSettings(defaults, { layout: { seed: 'c0ffee' } }).layout.seed, 'c0ffee');
+        assert.throws(() => mergeSettings(defaults, { layout: { seed: 'xyz' } }), /layout\.seed/);
+        assert.throws(() => mergeSettings(defaults, { webhook: { url: 'ftp://printer' } }), /webhook\.url/);
+        assert.throws(() => mergeSettings(defaults, { display: { customUnit: 'a very long prize unit' } }), /customUnit/);
+    });
+
+    it('throws messages in the active language with their key and params', () => {
+        setLocale('en-US');
+        assert.throws(() => mergeSettings(defaults, { game: { countdown: 0 } }), {
+            message: '"game.countdown" must be between 1 and 3599',
+            key: 'settings.error.range',
+            params: { name: 'game.countdown', min: 1, max: 3599 }
+        });
+        assert.throws(() => mergeSettings(defaults, { smoothing: { beta: -1 } }), { message: '"smoothing.beta" must be between 0 and ∞' });
+        setLocale('zh-CN');
+        assert.throws(() => mergeSettings(defaults, { game: { mode: 'jackpot' } }), err => {
+            assert.equal(err.message, t(err.key, err.params));
+            assert.match(err.message, /必须是以下之一：single, bestOf, cumulative, suddenDeath/);
+            return true;
+        });
+    });
+});
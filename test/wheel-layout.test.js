@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WHEEL_START_ANGLE, generateWheelLayout, getSectorAngles } from '../js/core/wheel-layout.js';
+import { createSeededRandom } from '../js/core/random.js';
+import { SOLD_OUT_SHRINK_FACTOR } from '../js/core/prize-tiers.js';
+import { DEFAULT_WHEEL_CONFIG, validateWheelConfig } from '../js/wheel-config.js';
+
+const emptyInventory = () => ({ issued: {}, spent: 0 });
+
+describe('generateWheelLayout', () => {
+    it('creates totalSectors sectors with every tier at least minCount times', () => {
+        const layout = generateWheelLayout(DEFAULT_WHEEL_CONFIG, emptyInventory(), createSeededRandom(1));
+
+        assert.equal(layout.assignments.length, DEFAULT_WHEEL_CONFIG.totalSectors);
+        assert.equal(layout.weights.length, DEFAULT_WHEEL_CONFIG.totalSectors);
+        DEFAULT_WHEEL_CONFIG.tiers.forEach(tier => {
+            const count = layout.assignments.filter(assigned => assigned === tier).length;
+            assert.ok(count >= tier.minCount, `${tier.id} appears ${count} times`);
+        });
+    });
+
+    it('keeps weights inside the configured range scaled by tier size', () => {
+        const config = validateWheelConfig({
+            ...DEFAULT_WHEEL_CONFIG,
+            tiers: DEFAULT_WHEEL_CONFIG.tiers.map((tier, i) => ({ ...tier, size: i === 0 ? 2 : 1 }))
+        });
+        const layout = generateWheelLayout(config, emptyInventory(), createSeededRandom(2));
+        const [minWeight, maxWeight] = config.weightRange;
+
+        layout.assignments.forEach((tier, i) => {
+            assert.ok(layout.weights[i] >= minWeight * tier.size);
+            assert.ok(layout.weights[i] <= maxWeight * tier.size);
+        });
+        const sum = layout.weights.reduce((a, b) => a + b, 0);
+        assert.ok(Math.abs(layout.totalWeight - sum) < 1e-9);
+    });
+
+    it('is reproducible for the same random source', () => {
+        const a = generateWheelLayout(DEFAULT_WHEEL_CONFIG, emptyInventory(), createSeededRandom(3));
+        const b = generateWheelLayout(DEFAULT_WHEEL_CONFIG, emptyInventory(), createSeededRandom(3));
+
+        assert.deepEqual(a.assignments.map(tier => tier.id), b.assignments.map(tier => tier.id));
+        assert.deepEqual(a.weights, b.weights);
+    });
+
+    it('shrinks sold-out tiers in "shrink" mode', () => {
+        const config = validateWheelConfig({
+            ...DEFAULT_WHEEL_CONFIG,
+            soldOutMode: 'shrink',
+            weightRange: [1, 1],
+            tiers: DEFAULT_WHEEL_CONFIG.tiers.map(tier => ({ ...tier, stock: tier.id === 'tier100' ? 1 : null }))
+        });
+        const inventory = { issued: { tier100: 1 }, spent: 100 };
+        const layout = generateWheelLayout(config, inventory, createSeededRandom(4));
+
+        const soldOut = layout.assignments.findIndex(tier => tier.soldOut);
+        assert.notEqual(soldOut, -1);
+        assert.equal(layout.assignments[soldOut].value, 0);
+        assert.equal(layout.weights[soldOut], SOLD_OUT_SHRINK_FACTOR);
+        // Extra sectors only come from tiers that are still in stock
+        assert.equal(layout.assignments.filter(tier => tier.soldOut).length, 1);
+    });
+});
+
+describe('getSectorAngles', () => {
+    it('returns no sectors without a layout', () => {
+        assert.deepEqual(getSectorAngles(null), []);
+    });
+
+    it('covers exactly one turn from 12 o\'clock without gaps', () => {
+        const layout = generateWheelLayout(DEFAULT_WHEEL_CONFIG, emptyInventory(), createSeededRandom(5));
+        const sectors = getSectorAngles(layout);
+
+        assert.equal(sectors[0].startAngle, WHEEL_START_ANGLE);
+        assert.equal(sectors[sectors.length - 1].endAngle, WHEEL_START_ANGLE + 2 * Math.PI);
+        for (let i = 1; i < sectors.length; i++) {
+            assert.equal(sectors[i].startAngle, sectors[i - 1].endAngle);
+        }
+    });
+
+    it('sizes every sector by its share of the total weight', () => {
+        const layout = generateWheelLayout(DEFAULT_WHEEL_CONFIG, emptyInventory(), createSeededRandom(6));
+
+        getSectorAngles(layout).forEach((sector, i) => {
+            const span = sector.endAngle - sector.startAngle;
+            assert.ok(Math.abs(span - (layout.weights[i] / layout.totalWeight) * 2 * Math.PI) < 1e-9);
+            assert.ok(Math.abs(sector.midAngle - (sector.startAngle + span / 2)) < 1e-9);
+            assert.equal(sector.tier, layout.assignments[i]);
+        });
+    });
+
+    it('turns every sector by the rotation of the spinning wheel', () => {
+        const layout = generateWheelLayout(DEFAULT_WHEEL_CONFIG, emptyInventory(), createSeededRandom(7));
+        const still = getSectorAngles(layout);
+        const rotated = getSectorAngles(layout, 1.2);
+
+        assert.ok(Math.abs(rotated[0].startAngle - (WHEEL_START_ANGLE + 1.2)) < 1e-12);
+        // The circle still closes exactly
+        assert.equal(rotated[rotated.length - 1].endAngle, rotated[0].startAngle + 2 * Math.PI);
+        rotated.forEach((sector, i) => {
+            assert.ok(Math.abs(sector.startAngle - still[i].startAngle - 1.2) < 1e-9);
+            assert.ok(Math.abs(sector.endAngle - still[i].endAngle - 1.2) < 1e-9);
+        });
+    });
+
+    it('reduces the rotation to less than one turn', () => {
+        const layout = generateWheelLayout(DEFAULT_WHEEL_CONFIG, emptyInventory(), createSeededRandom(8));
+        [-7.5, -0.3, 2 * Math.PI + 0.3, 40].forEach(rotation => {
+            const start = getSectorAngles(layout, rotation)[0].startAngle;
+            assert.ok(start >= WHEEL_START_ANGLE && start < WHEEL_START_ANGLE + 2 * Math.PI);
+            assert.ok(Math.abs(Math.cos(start - WHEEL_START_ANGLE) - Math.cos(rotation)) < 1e-9);
+        });
+    });
+
+    it('generates the same layout from the same seed', () => {
+        const a = generateWheelLayout(DEFAULT_WHEEL_CONFIG, emptyInventory(), createSeededRandom(0xC0FFEE));
+        const b = generateWheelLayout(DEFAULT_WHEEL_CONFIG, emptyInventory(), createSeededRandom(0xC0FFEE));
+        assert.deepEqual(getSectorAngles(a), getSectorAngles(b));
+    });
+});
@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSeededRandom } from '../js/core/random.js';
+import { WHEEL_REVERSAL_TIME, WheelMotion } from '../js/core/wheel-motion.js';
+
+const SPIN = { speed: 90, directionChanges: 2, stopTime: 1.5 };
+const FULL_SPEED = Math.PI / 2; // 90 degrees per second
+
+const close = (actual, expected, tolerance = 1e-9) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+
+// Times (s) at which the wheel changes direction, sampled every millisecond
+function reversals(motion) {
+    const times = [];
+    let previous = 0;
+    for (let t = 0.001; t < motion.duration; t += 0.001) {
+        const sign = Math.sign(motion.velocityAt(t));
+        if (sign !== 0 && previous !== 0 && sign !== previous) times.push(t);
+        if (sign !== 0) previous = sign;
+    }
+    return times;
+}
+
+describe('WheelMotion', () => {
+    it('starts from the given rotation and stands still at the end', () => {
+        const motion = WheelMotion.create(SPIN, 5, createSeededRandom(1), 0.7);
+
+        assert.equal(motion.duration, 5);
+        assert.equal(motion.angleAt(0), 0.7);
+        assert.equal(motion.velocityAt(0), 0);
+        assert.equal(motion.velocityAt(5), 0);
+        assert.equal(motion.angleAt(6), motion.angleAt(5));
+        close(motion.velocityAt(4.999), 0, 0.01);
+    });
+
+    it('reproduces the same motion from the same seed', () => {
+        const a = WheelMotion.create(SPIN, 8, createSeededRandom(99));
+        const b = WheelMotion.create(SPIN, 8, createSeededRandom(99));
+        const c = WheelMotion.create(SPIN, 8, createSeededRandom(100));
+        assert.deepEqual(a.keyframes, b.keyframes);
+        for (let t = 0; t <= 8; t += 0.25) assert.equal(a.angleAt(t), b.angleAt(t));
+        assert.notDeepEqual(a.keyframes, c.keyframes);
+    });
+
+    it('never exceeds the configured speed', () => {
+        const motion = WheelMotion.create(SPIN, 6, createSeededRandom(3));
+        for (let t = 0; t <= 6; t += 0.01) {
+            assert.ok(Math.abs(motion.velocityAt(t)) <= FULL_SPEED + 1e-9);
+        }
+    });
+
+    it('changes direction the configured number of times, well apart', () => {
+        for (let seed = 0; seed < 20; seed++) {
+            const motion = WheelMotion.create({ ...SPIN, directionChanges: 3 }, 10, createSeededRandom(seed));
+            const times = reversals(motion);
+            assert.equal(times.length, 3, `seed ${seed}`);
+            for (let i = 1; i < times.length; i++) {
+                assert.ok(times[i] - times[i - 1] >= WHEEL_REVERSAL_TIME - 0.002, `seed ${seed}`);
+            }
+            // Every reversal finishes before the wheel slows down to stop
+            assert.ok(times[times.length - 1] < 10 - SPIN.stopTime);
+        }
+    });
+
+    it('fits fewer reversals into a short round', () => {
+        const motion = WheelMotion.create({ ...SPIN, directionChanges: 10 }, 3, createSeededRandom(4));
+        const times = reversals(motion);
+        assert.ok(times.length < 10);
+        assert.ok(times.length > 0);
+    });
+
+    it('integrates the velocity exactly', () => {
+        const motion = WheelMotion.create(SPIN, 7, createSeededRandom(11), -0.2);
+        const step = 1e-4;
+        let angle = motion.angleAt(0);
+        for (let t = 0; t < 7; t += step) {
+            // Trapezoid rule, exact up to rounding for a piecewise linear velocity
+            angle += (motion.velocityAt(t) + motion.velocityAt(Math.min(t + step, 7))) / 2 * step;
+        }
+        close(angle, motion.angleAt(7), 1e-4);
+    });
+
+    it('keeps the angle continuous across keyframes', () => {
+        const motion = WheelMotion.create(SPIN, 5, createSeededRandom(12));
+        motion.keyframes.forEach(({ time }) => {
+            close(motion.angleAt(time - 1e-7), motion.angleAt(time + 1e-7), 1e-6);
+        });
+    });
+
+    it('does not move without speed or time', () => {
+        const random = createSeededRandom(5);
+        assert.equal(WheelMotion.create({ ...SPIN, speed: 0 }, 5, random, 1).angleAt(3), 1);
+        assert.equal(WheelMotion.create(SPIN, 0, random, 1).angleAt(3), 1);
+    });
+});